@@ -26,14 +26,18 @@ class DocumentGenerator {
     constructor() {
         this.formData = {}; // Stores user input from the form
 
-        // varsConfig is the SINGLE SOURCE OF TRUTH for all document variables
-        // It defines: which fields to collect, save, load, and map to templates
+        // fieldSchema (loaded from src/fields/vars.json) is the SINGLE SOURCE OF TRUTH for all fields
+        // It defines: which tab owns each field, validation rules, defaults and PDF labels
         // See src/fields/vars.json.README.md for detailed documentation
-        this.varsConfig = {}; // Configuration mapping for template variables
+        this.fieldSchema = new FieldSchema();
 
         this.secureStorage = new SecureStorage(); // Secure storage instance
         this.storageUIManager = null; // Storage UI manager instance
         this.storageDataManager = null; // Storage data manager instance
+        this.jobProfileManager = null; // Job profile library instance
+        this.autosaveManager = null; // Encrypted autosave of the open draft
+        this.jobComparisonManager = null; // Comparison report of two job analyses
+        this.formHistory = null; // Undo/redo and version timeline
         this.tabsManager = null; // Tabs manager instance
 
         this.init();
@@ -43,12 +47,15 @@ class DocumentGenerator {
      * Initialize the application by loading configuration and setting up event listeners
      */
     async init() {
-        // Load variable configuration from vars.json
-        await this.loadVarsConfig();
+        // Load the field schema before the tabs build their inputs from it
+        await this.loadFieldSchema();
 
         // Initialize tabs manager
         this.initializeTabsManager();
 
+        // Start the version history once the tabs exist
+        this.initializeFormHistory();
+
         // Set up DOM event listeners
         this.setupEventListeners();
 
@@ -57,30 +64,19 @@ class DocumentGenerator {
     }
 
     /**
-     * Load variable configuration from src/fields/vars.json file
-     * Falls back to default configuration if file cannot be loaded
+     * Load the field schema from src/fields/vars.json
+     * Falls back to an empty schema (labels derived from field names, nothing required) if the file cannot be loaded
      */
-    async loadVarsConfig() {
+    async loadFieldSchema() {
         try {
-            const response = await fetch('src/fields/vars.json');
-            this.varsConfig = await response.json();
+            this.fieldSchema = await FieldSchema.load('src/fields/vars.json');
         } catch (error) {
-            console.warn('Could not load src/fields/vars.json, using default configuration');
-            this.varsConfig = this.getDefaultVarsConfig();
+            console.warn('Could not load src/fields/vars.json, continuing without a field schema', error);
+            this.fieldSchema = new FieldSchema();
         }
-    }
 
-    /**
-     * Get default variable configuration if src/fields/vars.json cannot be loaded
-     * @returns {Object} Default variable mapping configuration
-     */
-    getDefaultVarsConfig() {
-        return {
-            "documentTitle": "{documentTitle}",
-            "authorName": "{authorName}",
-            "documentDate": "{documentDate}",
-            "documentContent": "{documentContent}"
-        };
+        // Tabs and generators read the schema from here
+        window.fieldSchema = this.fieldSchema;
     }
 
     /**
@@ -96,6 +92,19 @@ class DocumentGenerator {
         }
     }
 
+    /**
+     * Initialize the form history (undo/redo across all tabs)
+     */
+    initializeFormHistory() {
+        if (this.tabsManager && typeof FormHistory !== 'undefined') {
+            this.formHistory = new FormHistory(this);
+            this.formHistory.init();
+        } else {
+            // Retry until the tabs manager and FormHistory are loaded
+            setTimeout(() => this.initializeFormHistory(), 100);
+        }
+    }
+
     /**
      * Set up all DOM event listeners for form interactions
      */
@@ -108,6 +117,12 @@ class DocumentGenerator {
                 this.tabsManager.summaryTab.setGenerateButtonHandler(() => {
                     this.generateDocument();
                 });
+                this.tabsManager.summaryTab.setGenerateWordButtonHandler(() => {
+                    this.generateWordDocument();
+                });
+                this.tabsManager.summaryTab.setVerifyButtonHandler(() => {
+                    this.verifyReport();
+                });
             } else {
                 // Fallback to the old method if the new approach isn't available
                 const generateBtn = document.getElementById('generateBtn');
@@ -134,6 +149,28 @@ class DocumentGenerator {
             this.storageDataManager = new StorageDataManager(this);
         }
 
+        // Initialize job profile manager
+        if (!this.jobProfileManager && typeof JobProfileManager !== 'undefined') {
+            this.jobProfileManager = new JobProfileManager(this);
+        }
+
+        // Initialize autosave
+        if (!this.autosaveManager && typeof AutosaveManager !== 'undefined') {
+            this.autosaveManager = new AutosaveManager(this);
+            this.autosaveManager.init();
+        }
+
+        // Initialize inactivity auto-lock
+        if (!this.inactivityLock && typeof InactivityLock !== 'undefined') {
+            this.inactivityLock = new InactivityLock(this);
+            this.inactivityLock.init();
+        }
+
+        // Initialize job comparison
+        if (!this.jobComparisonManager && typeof JobComparisonManager !== 'undefined') {
+            this.jobComparisonManager = new JobComparisonManager(this);
+        }
+
         // Initialize storage UI manager
         if (typeof StorageUIManager !== 'undefined') {
             this.storageUIManager = new StorageUIManager(this);
@@ -171,21 +208,8 @@ class DocumentGenerator {
         // Get all data from tabs
         const allTabData = this.tabsManager.getAllData();
 
-        // Flatten the tab data structure into formData
-        this.formData = {
-            ...allTabData.intro,
-            ...allTabData.demographics,
-            ...allTabData.summary,
-            // Store jobs data as a nested object for easy access
-            jobsData: allTabData.jobs,
-            // Also flatten individual demand sections for vars.json compatibility
-            physicalDemands: allTabData.jobs?.physicalDemands || {},
-            mobilityDemands: allTabData.jobs?.mobilityDemands || {},
-            cognitiveSensoryDemands: allTabData.jobs?.cognitiveSensoryDemands || {},
-            environmentalDemands: allTabData.jobs?.environmentalDemands || {},
-            liftingPushingPulling: allTabData.jobs?.liftingPushingPulling || {},
-            classificationOfWork: allTabData.jobs?.classificationOfWork || {}
-        };
+        // Flatten the tab data into formData using each field's owning tab from the schema
+        this.formData = this.fieldSchema.flatten(allTabData);
         return this.formData;
     }
 
@@ -201,6 +225,40 @@ class DocumentGenerator {
         return validation.isValid;
     }
 
+    /**
+     * Ask before generating while consistency warnings are unacknowledged
+     * @returns {Promise<boolean>} True if generation should continue
+     */
+    async confirmConsistency() {
+        const jobsTab = this.tabsManager?.jobsTab;
+        if (!jobsTab) return true;
+
+        const warnings = jobsTab.updateConsistencyCheck();
+        if (warnings.length === 0) return true;
+
+        const modal = new Modal({
+            title: 'Consistency Warnings',
+            content: `
+                <p>${warnings.length} consistency warning${warnings.length === 1 ? ' has' : 's have'} not been acknowledged.
+                Review ${warnings.length === 1 ? 'it' : 'them'} in Demands → Consistency Check, or generate anyway.</p>
+            `,
+            size: 'small',
+            buttons: [
+                { text: 'Review Warnings', action: 'review', variant: 'secondary' },
+                { text: 'Generate Anyway', action: 'generate', variant: 'primary' }
+            ]
+        });
+
+        const result = await modal.show();
+        if (result === 'generate') return true;
+
+        if (result === 'review') {
+            this.tabsManager.switchToTab('jobs');
+            jobsTab.subNav?.setActiveSection('consistency');
+        }
+        return false;
+    }
+
     /**
      * Temporarily disable the generate button for a few seconds
      */
@@ -248,6 +306,8 @@ class DocumentGenerator {
             return;
         }
 
+        if (!await this.confirmConsistency()) return;
+
         const button = this.getGenerateButton();
 
         // Set button to loading state
@@ -282,11 +342,52 @@ class DocumentGenerator {
     }
 
     /**
-     * Generate PDF using the selected template's generator class
+     * Generate an editable Word (.docx) version of the report
      */
-    async generatePDFWithTemplate() {
+    async generateWordDocument() {
+        if (!this.validateForm()) {
+            showError('Please fill in all required fields');
+            return;
+        }
+
+        if (!await this.confirmConsistency()) return;
+
+        const button = this.tabsManager?.summaryTab?.generateWordButton;
+        if (button) {
+            button.setLoading(true);
+            button.setText('Generating...');
+        }
+
+        this.collectFormData();
+
+        try {
+            const generator = new DocxGenerator();
+            const docxBlob = await generator.generate(this.formData);
+
+            this.downloadBlob(docxBlob, 'docx');
+
+            showSuccess('Word document generated and download started successfully!');
+
+        } catch (error) {
+            console.error('Word document generation failed:', error);
+            showError(`Failed to generate Word document: ${error.message}`);
+        } finally {
+            if (button) {
+                button.setLoading(false);
+                button.setText('Generate Word Document');
+            }
+        }
+    }
+
+    /**
+     * Create an instance of the selected template's generator class
+     * Shared by the download flow and the Review tab's live preview
+     * @param {Object} formData - Collected form data (defaults to this.formData)
+     * @returns {Object} Generator instance with a generate(data) method
+     */
+    createTemplateGenerator(formData = this.formData) {
         // Get the selected template
-        const selectedTemplate = this.formData.selectedTemplate || this.formData.template;
+        const selectedTemplate = formData.selectedTemplate || formData.template;
         if (!selectedTemplate) {
             throw new Error('No template selected');
         }
@@ -303,27 +404,76 @@ class DocumentGenerator {
             throw new Error(`Generator class ${templateClasses.generator} not found`);
         }
 
-        // Create an instance of the generator
-        const generator = new GeneratorClass();
+        return new GeneratorClass();
+    }
+
+    /**
+     * Generate PDF using the selected template's generator class
+     */
+    async generatePDFWithTemplate() {
+        const generator = this.createTemplateGenerator();
 
-        // Generate the PDF
-        const doc = generator.generate(this.formData);
+        // Generate the PDF (with the verification hash in the footer when the attestation asks for it)
+        const doc = generator.generate(await ReportHash.withHash(this.formData));
 
         // Return the PDF as a blob
         return doc.output('blob');
     }
 
+    /**
+     * Check that a report PDF was generated from the data currently in the form,
+     * using the verification hash printed in its footer
+     */
+    async verifyReport() {
+        if (!this.storageDataManager) {
+            showError('Storage system not initialized. Please try again.');
+            return false;
+        }
+
+        const file = await this.storageDataManager.selectFile('.pdf');
+        if (!file) return false;
+
+        try {
+            const result = await ReportHash.verify(file, this.collectFormData());
+
+            if (!result.pdfHash) {
+                showWarning(`"${file.name}" has no verification hash. Turn on "Include a verification hash" on the Summary tab before generating the report.`);
+                return false;
+            }
+            if (!result.matches) {
+                showError(`"${file.name}" does not match the form data. The report was generated from different data, or the form has changed since.`);
+                return false;
+            }
+
+            showSuccess(`"${file.name}" matches the form data (SHA-256 ${result.dataHash.slice(0, 12)}…).`);
+            return true;
+        } catch (error) {
+            console.error('Report verification error:', error);
+            showError('Failed to read the report PDF. Please try again.');
+            return false;
+        }
+    }
+
     /**
      * Create a download link for the generated PDF and trigger download
      */
     createDownloadLinkForPDF(pdfBlob) {
+        this.downloadBlob(pdfBlob, 'pdf');
+    }
+
+    /**
+     * Download a generated report file named after the job title
+     * @param {Blob} blob - File contents
+     * @param {string} extension - File extension without the dot ('pdf' or 'docx')
+     */
+    downloadBlob(blob, extension) {
         // Create a blob URL
-        const blobUrl = URL.createObjectURL(pdfBlob);
+        const blobUrl = URL.createObjectURL(blob);
 
         // Create a temporary link element
         const link = document.createElement('a');
         link.href = blobUrl;
-        link.download = `${this.formData.jobTitle || 'JDA Report'} - Job Demands Analysis - ${new Date().toLocaleDateString()}.pdf`;
+        link.download = `${this.formData.jobTitle || 'JDA Report'} - Job Demands Analysis - ${new Date().toLocaleDateString()}.${extension}`;
 
         // Trigger the download
         document.body.appendChild(link);
@@ -353,10 +503,47 @@ class DocumentGenerator {
 
     /**
      * Handle loading saved form data
+     * @param {string} [draftId] - Draft to load (opens the draft picker when omitted and there are several)
+     */
+    async handleLoadData(draftId) {
+        if (this.storageDataManager) {
+            return await this.storageDataManager.handleLoadData(draftId);
+        } else {
+            showError('Storage system not initialized. Please try again.');
+            return false;
+        }
+    }
+
+    /**
+     * Handle exporting the form as an encrypted .jda project file
      */
-    async handleLoadData() {
+    async handleExportData() {
         if (this.storageDataManager) {
-            return await this.storageDataManager.handleLoadData();
+            return await this.storageDataManager.handleExportData();
+        } else {
+            showError('Storage system not initialized. Please try again.');
+            return false;
+        }
+    }
+
+    /**
+     * Handle importing an encrypted .jda project file
+     */
+    async handleImportData() {
+        if (this.storageDataManager) {
+            return await this.storageDataManager.handleImportData();
+        } else {
+            showError('Storage system not initialized. Please try again.');
+            return false;
+        }
+    }
+
+    /**
+     * Handle saving the current job as a reusable job profile
+     */
+    async handleSaveProfile() {
+        if (this.jobProfileManager) {
+            return await this.jobProfileManager.handleSaveProfile();
         } else {
             showError('Storage system not initialized. Please try again.');
             return false;
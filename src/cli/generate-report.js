@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * Generate Report CLI - Render Job Demands Analysis PDFs from JSON in Node
+ *
+ * Loads the same browser generator scripts used by index.html (PDFUtils, ReportHash,
+ * HeaderFooterUtils, RichTextRenderer, LayoutRenderer and Template1-6) into a
+ * sandbox with a `window` global and jsPDF from node_modules, then writes the
+ * PDF to disk. Input is a JSON file shaped like DocumentGenerator.collectFormData()
+ * output (for example a decrypted .jda project or data exported by another system).
+ *
+ * Usage:
+ *   node src/cli/generate-report.js <data.json> [--template template_1] [--out report.pdf]
+ *   node src/cli/generate-report.js <data.json> --all-templates [--out-dir reports/]
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const FieldSchema = require('../fields/field-schema.js');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const SCHEMA_FILE = path.join(ROOT, 'src/fields/vars.json');
+
+/**
+ * Field schema and generator scripts in index.html load order
+ */
+const GENERATOR_SCRIPTS = [
+    'src/fields/field-schema.js',
+    'src/tabs/jobs/demands/demand-catalog.js',
+    'src/templates/pdf/generators/pdf-utils.js',
+    'src/templates/pdf/generators/report-hash.js',
+    'src/templates/pdf/generators/header-footer-utils.js',
+    'src/templates/pdf/generators/rich-text-renderer.js',
+    'src/templates/pdf/generators/layout-renderer.js',
+    'src/templates/pdf/generators/template_1.js',
+    'src/templates/pdf/generators/template_2.js',
+    'src/templates/pdf/generators/template_3.js',
+    'src/templates/pdf/generators/template_4.js',
+    'src/templates/pdf/generators/template_5.js',
+    'src/templates/pdf/generators/template_6.js'
+];
+
+const TEMPLATE_IDS = ['template_1', 'template_2', 'template_3', 'template_4', 'template_5', 'template_6'];
+
+const USAGE = `Usage:
+  node src/cli/generate-report.js <data.json> [options]
+
+Options:
+  --template <id>     Template to render (template_1 ... template_6).
+                      Defaults to the "selectedTemplate" value in the data file.
+  --all-templates     Render every template
+  --out <file>        Output PDF path (single template only)
+  --out-dir <dir>     Output directory (default: current directory)
+  --help              Show this help`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { input, template, allTemplates, out, outDir, help }
+ */
+function parseArgs(argv) {
+    const args = { input: null, template: null, allTemplates: false, out: null, outDir: process.cwd(), help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const takeValue = () => {
+            const value = argv[++i];
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`${arg} requires a value`);
+            }
+            return value;
+        };
+
+        switch (arg) {
+            case '--template':
+                args.template = takeValue();
+                break;
+            case '--all-templates':
+                args.allTemplates = true;
+                break;
+            case '--out':
+                args.out = takeValue();
+                break;
+            case '--out-dir':
+                args.outDir = takeValue();
+                break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                if (args.input) {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+                args.input = arg;
+        }
+    }
+
+    if (args.allTemplates && args.out) {
+        throw new Error('--out can only be used with a single template; use --out-dir with --all-templates');
+    }
+
+    return args;
+}
+
+/**
+ * Load the field schema from src/fields/vars.json
+ * @returns {FieldSchema} Field schema
+ */
+function loadFieldSchema() {
+    return new FieldSchema(JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8')));
+}
+
+/**
+ * Check the data against the field schema's required flags and validation rules
+ * @param {Object} data - Form data
+ * @param {FieldSchema} [schema] - Field schema (loaded from vars.json by default)
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateFormData(data, schema = loadFieldSchema()) {
+    return schema.validate(data).map(error => `"${error.name}": ${error.message}`);
+}
+
+/**
+ * Load the browser generator scripts into a sandbox with jsPDF available
+ * @param {FieldSchema} [schema] - Field schema the generators read labels from
+ * @returns {Object} Sandbox global (the scripts' `window`)
+ */
+function loadGenerators(schema = loadFieldSchema()) {
+    let jsPDF;
+    let autoTable;
+    try {
+        ({ jsPDF } = require('jspdf'));
+        autoTable = require('jspdf-autotable');
+    } catch (error) {
+        throw new Error('jsPDF is not installed. Run "npm install" in the project root first.');
+    }
+
+    // jspdf-autotable 5 no longer patches jsPDF automatically in Node
+    if (typeof autoTable.applyPlugin === 'function') {
+        autoTable.applyPlugin(jsPDF);
+    }
+
+    const sandbox = { console, atob: global.atob, btoa: global.btoa };
+    sandbox.window = sandbox;
+    sandbox.jspdf = { jsPDF };
+    sandbox.fieldSchema = schema;
+    vm.createContext(sandbox);
+
+    GENERATOR_SCRIPTS.forEach(script => {
+        const file = path.join(ROOT, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    });
+
+    return sandbox;
+}
+
+/**
+ * Render one template to a PDF file
+ * @param {Object} sandbox - Sandbox from loadGenerators()
+ * @param {string} templateId - template_1 ... template_6
+ * @param {Object} data - Form data
+ * @param {string} outputPath - Destination file
+ */
+function renderTemplate(sandbox, templateId, data, outputPath) {
+    const className = `Template${templateId.replace('template_', '')}Generator`;
+    const GeneratorClass = sandbox[className];
+    if (!GeneratorClass) {
+        throw new Error(`Generator class ${className} not found`);
+    }
+
+    const doc = new GeneratorClass().generate({ ...data, template: templateId, selectedTemplate: templateId });
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, Buffer.from(doc.output('arraybuffer')));
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (args.help || !args.input) {
+        console.log(USAGE);
+        return args.help ? 0 : 2;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+    } catch (error) {
+        console.error(`Error: Could not read ${args.input}: ${error.message}`);
+        return 1;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        console.error(`Error: ${args.input} must contain a JSON object of form data`);
+        return 1;
+    }
+
+    const templates = args.allTemplates ? TEMPLATE_IDS : [args.template || data.selectedTemplate || data.template];
+    const invalidTemplate = templates.find(id => !TEMPLATE_IDS.includes(id));
+    if (invalidTemplate !== undefined) {
+        console.error(invalidTemplate
+            ? `Error: Unknown template "${invalidTemplate}". Expected one of: ${TEMPLATE_IDS.join(', ')}`
+            : 'Error: No template selected. Pass --template <id> or --all-templates, or set "selectedTemplate" in the data file.');
+        return 1;
+    }
+
+    let schema;
+    try {
+        schema = loadFieldSchema();
+    } catch (error) {
+        console.error(`Error: Could not read the field schema: ${error.message}`);
+        return 1;
+    }
+
+    // The template comes from the command line when it isn't in the data file
+    const errors = validateFormData({ ...data, selectedTemplate: templates[0] }, schema);
+    if (errors.length > 0) {
+        console.error(`Error: ${args.input} is missing required information:`);
+        errors.forEach(message => console.error(`  - ${message}`));
+        return 1;
+    }
+
+    let sandbox;
+    try {
+        sandbox = loadGenerators(schema);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+
+    // Print the verification hash in the footers when the attestation asks for it
+    data = {
+        ...data,
+        reportHash: data.attestation?.includeHash === true
+            ? crypto.createHash('sha256').update(sandbox.ReportHash.getPayload(data)).digest('hex')
+            : undefined
+    };
+
+    const baseName = path.basename(args.input, path.extname(args.input));
+    let failed = 0;
+
+    templates.forEach(templateId => {
+        const outputPath = args.out
+            ? path.resolve(args.out)
+            : path.resolve(args.outDir, `${baseName}-${templateId}.pdf`);
+
+        try {
+            renderTemplate(sandbox, templateId, data, outputPath);
+            console.log(`${templateId}: wrote ${path.relative(process.cwd(), outputPath) || outputPath}`);
+        } catch (error) {
+            failed++;
+            console.error(`${templateId}: failed - ${error.message}`);
+        }
+    });
+
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = { parseArgs, loadFieldSchema, validateFormData, loadGenerators, renderTemplate, TEMPLATE_IDS };
@@ -6,6 +6,7 @@
  * - Configurable auto-dismiss with custom duration
  * - User-dismissible alerts with close button
  * - Multiple alerts stacking vertically
+ * - Updating the message of a shown alert (e.g. a countdown)
  * - Smooth animations for show/hide
  * - Responsive design
  *
@@ -181,6 +182,22 @@ class AlertManager {
         }
     }
 
+    /**
+     * Replace the message of an active alert
+     * @param {string} alertId - Alert ID
+     * @param {string} message - New message text
+     * @returns {boolean} False if the alert is no longer shown
+     */
+    update(alertId, message) {
+        const alert = this.alerts.find(a => a.id === alertId);
+        if (!alert) return false;
+
+        alert.config.message = message;
+        alert.element.querySelector('.alert-message').textContent = message;
+        this.repositionAlerts(); // The new text may wrap differently
+        return true;
+    }
+
     /**
      * Dismiss an alert by ID
      * @param {string} alertId - Alert ID to dismiss
@@ -354,6 +371,7 @@ if (typeof window !== 'undefined') {
     window.showSuccess = (message, options) => window.alertManager.success(message, options);
     window.showWarning = (message, options) => window.alertManager.warning(message, options);
     window.showError = (message, options) => window.alertManager.error(message, options);
+    window.updateAlert = (alertId, message) => window.alertManager.update(alertId, message);
     window.dismissAlert = (alertId) => window.alertManager.dismiss(alertId);
     window.dismissAllAlerts = () => window.alertManager.dismissAll();
 }
\ No newline at end of file
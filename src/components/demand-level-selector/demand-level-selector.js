@@ -1,11 +1,13 @@
 /**
  * Demand Level Selector Component
  *
- * A reusable comparison interface for selecting physical demand levels based on
- * U.S. Department of Labor Physical Demand Characteristics of Work.
+ * A reusable comparison interface for selecting demand levels. By default it shows the
+ * U.S. Department of Labor Physical Demand Characteristics of Work; pass
+ * DemandLevelSelector.COGNITIVE_LEVELS and COGNITIVE_COLUMNS (or your own definitions)
+ * to compare other kinds of levels.
  *
  * Features:
- * - Visual comparison of 5 demand levels (Sedentary to Very Heavy)
+ * - Visual comparison of 5 demand levels (Sedentary to Very Heavy, or Minimal to Very High)
  * - Color-coded rows using the centralized color system (success → info → warning → error)
  * - Single-select mode with entire row clickable
  * - Weight, frequency, and energy requirement display
@@ -13,6 +15,7 @@
  * - Validation support
  * - Keyboard navigation (Enter/Space to select)
  * - ARIA labels for accessibility
+ * - Suggested level highlight with an explanation, and a conflict warning
  *
  * Usage:
  * ```javascript
@@ -23,6 +26,18 @@
  *         // Handle level selection
  *     }
  * });
+ *
+ * // Cognitive levels with their own title
+ * const cognitiveSelector = new DemandLevelSelector({
+ *     containerId: 'cognitive-level-container',
+ *     title: 'Cognitive Demand Level',
+ *     levels: DemandLevelSelector.COGNITIVE_LEVELS,
+ *     columns: DemandLevelSelector.COGNITIVE_COLUMNS
+ * });
+ *
+ * // Highlight a computed level (without selecting it) and warn about a conflict
+ * selector.setSuggestion('medium', ['Occasional lifting of 26-50 lbs requires at least Medium.']);
+ * selector.setWarning('Light is below the entered data, which requires at least Medium.');
  * ```
  *
  * @author Austin Steil
@@ -34,11 +49,132 @@
  */
 
 class DemandLevelSelector {
+    /**
+     * Physical demand levels based on DOL data
+     * Color mapping: sedentary (success) → light (info) → medium (warning) → heavy/very-heavy (error)
+     */
+    static PHYSICAL_LEVELS = [
+        {
+            level: 'Sedentary',
+            value: 'sedentary',
+            occasional: '10 lbs',
+            frequent: 'Negligible',
+            constant: 'Negligible',
+            mets: '1.5-2.1',
+            color: 'sedentary'
+        },
+        {
+            level: 'Light',
+            value: 'light',
+            occasional: '20 lbs',
+            frequent: '10 lbs and/or walk/stand',
+            constant: 'Negligible and/or operate controls',
+            mets: '2.2-3.5',
+            color: 'light'
+        },
+        {
+            level: 'Medium',
+            value: 'medium',
+            occasional: '20-50 lbs',
+            frequent: '10-25 lbs',
+            constant: '10 lbs',
+            mets: '3.6-6.3',
+            color: 'medium'
+        },
+        {
+            level: 'Heavy',
+            value: 'heavy',
+            occasional: '50-100 lbs',
+            frequent: '25-50 lbs',
+            constant: '10-20 lbs',
+            mets: '6.4-7.5',
+            color: 'heavy'
+        },
+        {
+            level: 'Very Heavy',
+            value: 'very_heavy',
+            occasional: '> 100 lbs',
+            frequent: '> 50 lbs',
+            constant: '> 20 lbs',
+            mets: '> 7.5',
+            color: 'very-heavy'
+        }
+    ];
+
+    static PHYSICAL_COLUMNS = [
+        { key: 'occasional', label: 'Occasional (0-33%)' },
+        { key: 'frequent', label: 'Frequent (34-66%)' },
+        { key: 'constant', label: 'Constant (67-100%)' },
+        { key: 'mets', label: 'Energy Required (METS)' }
+    ];
+
+    /**
+     * Cognitive (mental) demand levels, using the same color steps as the physical levels
+     */
+    static COGNITIVE_LEVELS = [
+        {
+            level: 'Minimal',
+            value: 'minimal',
+            complexity: 'Simple, repetitive tasks of one or two steps',
+            decisions: 'Follows a set routine; no judgment needed',
+            supervision: 'Close supervision',
+            attention: 'Brief attention; no memorization',
+            color: 'sedentary'
+        },
+        {
+            level: 'Low',
+            value: 'low',
+            complexity: 'Routine tasks with a few steps',
+            decisions: 'Simple choices within clear rules',
+            supervision: 'Regular supervision',
+            attention: 'Remembers short instructions',
+            color: 'light'
+        },
+        {
+            level: 'Moderate',
+            value: 'moderate',
+            complexity: 'Varied tasks with detailed instructions',
+            decisions: 'Solves routine problems with standard procedures',
+            supervision: 'Periodic supervision',
+            attention: 'Sustained concentration; recalls procedures and details',
+            color: 'medium'
+        },
+        {
+            level: 'High',
+            value: 'high',
+            complexity: 'Complex, non-routine tasks',
+            decisions: 'Independent judgment; analyzes information',
+            supervision: 'Minimal supervision; may direct others',
+            attention: 'Divided attention across concurrent tasks',
+            color: 'heavy'
+        },
+        {
+            level: 'Very High',
+            value: 'very_high',
+            complexity: 'Highly complex, abstract or specialized work',
+            decisions: 'Critical decisions with significant consequences',
+            supervision: 'Works independently; responsible for others',
+            attention: 'Intense concentration under time pressure',
+            color: 'very-heavy'
+        }
+    ];
+
+    static COGNITIVE_COLUMNS = [
+        { key: 'complexity', label: 'Task Complexity' },
+        { key: 'decisions', label: 'Decision Making' },
+        { key: 'supervision', label: 'Supervision' },
+        { key: 'attention', label: 'Attention & Memory' }
+    ];
+
     /**
      * Create a new DemandLevelSelector instance
      * @param {Object} options - Configuration options
      * @param {string} options.containerId - ID of the container element (required)
      * @param {boolean} [options.required=true] - Whether selection is required for validation
+     * @param {string} [options.title] - Title above the table (defaults to the DOL physical demand title)
+     * @param {string} [options.description] - Instructions below the title
+     * @param {Array<Object>} [options.levels] - Level definitions (defaults to PHYSICAL_LEVELS)
+     * @param {Array<Object>} [options.columns] - Columns shown for each level: { key, label } (defaults to PHYSICAL_COLUMNS)
      * @param {Function} [options.onChange] - Callback when selection changes
      * @param {Function} [options.onValidate] - Callback for validation events
      */
@@ -46,64 +182,22 @@ class DemandLevelSelector {
         this.options = {
             containerId: options.containerId || null,
             required: options.required !== undefined ? options.required : true,
+            title: options.title || '37.02 U.S. Department of Labor Physical Demand Characteristics of Work',
+            description: options.description || 'Select the physical demand level that best describes this job. Use the weight and frequency information to guide your selection.',
             onChange: options.onChange || (() => {}),
             onValidate: options.onValidate || null
         };
 
         this.selectedLevel = null;
+        this.suggestedLevel = null;
         this.container = null;
         this.rowElements = [];
+        this.suggestionElement = null;
+        this.warningElement = null;
         this.validationErrors = {};
 
-        // Define demand levels based on DOL data
-        // Color mapping: sedentary (success) → light (info) → medium (warning) → heavy/very-heavy (error)
-        this.demandLevels = [
-            {
-                level: 'Sedentary',
-                value: 'sedentary',
-                occasional: '10 lbs',
-                frequent: 'Negligible',
-                constant: 'Negligible',
-                mets: '1.5-2.1',
-                color: 'sedentary'
-            },
-            {
-                level: 'Light',
-                value: 'light',
-                occasional: '20 lbs',
-                frequent: '10 lbs and/or walk/stand',
-                constant: 'Negligible and/or operate controls',
-                mets: '2.2-3.5',
-                color: 'light'
-            },
-            {
-                level: 'Medium',
-                value: 'medium',
-                occasional: '20-50 lbs',
-                frequent: '10-25 lbs',
-                constant: '10 lbs',
-                mets: '3.6-6.3',
-                color: 'medium'
-            },
-            {
-                level: 'Heavy',
-                value: 'heavy',
-                occasional: '50-100 lbs',
-                frequent: '25-50 lbs',
-                constant: '10-20 lbs',
-                mets: '6.4-7.5',
-                color: 'heavy'
-            },
-            {
-                level: 'Very Heavy',
-                value: 'very_heavy',
-                occasional: '> 100 lbs',
-                frequent: '> 50 lbs',
-                constant: '> 20 lbs',
-                mets: '> 7.5',
-                color: 'very-heavy'
-            }
-        ];
+        this.demandLevels = options.levels || DemandLevelSelector.PHYSICAL_LEVELS;
+        this.columns = options.columns || DemandLevelSelector.PHYSICAL_COLUMNS;
 
         this.init();
     }
@@ -148,6 +242,18 @@ class DemandLevelSelector {
         const table = this.createTable();
         wrapper.appendChild(table);
 
+        // Suggestion explanation and conflict warning (hidden until set)
+        this.suggestionElement = document.createElement('div');
+        this.suggestionElement.className = 'demand-level-suggestion';
+        this.suggestionElement.hidden = true;
+        wrapper.appendChild(this.suggestionElement);
+
+        this.warningElement = document.createElement('div');
+        this.warningElement.className = 'demand-level-warning';
+        this.warningElement.setAttribute('role', 'alert');
+        this.warningElement.hidden = true;
+        wrapper.appendChild(this.warningElement);
+
         this.container.appendChild(wrapper);
     }
 
@@ -159,7 +265,7 @@ class DemandLevelSelector {
     createTitle() {
         const title = document.createElement('div');
         title.className = 'demand-level-title';
-        title.textContent = '37.02 U.S. Department of Labor Physical Demand Characteristics of Work';
+        title.textContent = this.options.title;
         return title;
     }
 
@@ -171,10 +277,9 @@ class DemandLevelSelector {
     createDescription() {
         const description = document.createElement('div');
         description.className = 'demand-level-description';
-        description.innerHTML = `
-            <p>Select the physical demand level that best describes this job.
-            Use the weight and frequency information to guide your selection.</p>
-        `;
+        const paragraph = document.createElement('p');
+        paragraph.textContent = this.options.description;
+        description.appendChild(paragraph);
         return description;
     }
 
@@ -209,10 +314,7 @@ class DemandLevelSelector {
         headerRow.className = 'demand-level-header-row';
         headerRow.innerHTML = `
             <div class="demand-level-header-cell demand-level-header-level">Level</div>
-            <div class="demand-level-header-cell">Occasional (0-33%)</div>
-            <div class="demand-level-header-cell">Frequent (34-66%)</div>
-            <div class="demand-level-header-cell">Constant (67-100%)</div>
-            <div class="demand-level-header-cell">Energy Required (METS)</div>
+            ${this.columns.map(column => `<div class="demand-level-header-cell">${column.label}</div>`).join('')}
         `;
         return headerRow;
     }
@@ -235,10 +337,7 @@ class DemandLevelSelector {
 
         row.innerHTML = `
             <div class="demand-level-cell demand-level-level-name">${level.level}</div>
-            <div class="demand-level-cell">${level.occasional}</div>
-            <div class="demand-level-cell">${level.frequent}</div>
-            <div class="demand-level-cell">${level.constant}</div>
-            <div class="demand-level-cell">${level.mets}</div>
+            ${this.columns.map(column => `<div class="demand-level-cell">${level[column.key]}</div>`).join('')}
         `;
 
         // Add event listeners
@@ -301,6 +400,72 @@ class DemandLevelSelector {
         }
     }
 
+    /**
+     * Highlight a suggested level and explain why it is suggested
+     * Does not change the selection
+     * @param {string} levelValue - The value of the suggested level (e.g., 'medium')
+     * @param {Array<string>} [reasons=[]] - Sentences explaining the suggestion
+     */
+    setSuggestion(levelValue, reasons = []) {
+        this.clearSuggestion();
+
+        const levelIndex = this.demandLevels.findIndex(l => l.value === levelValue);
+        if (levelIndex < 0 || !this.suggestionElement) return;
+
+        const row = this.rowElements[levelIndex];
+        row.classList.add('demand-level-suggested');
+        const badge = document.createElement('span');
+        badge.className = 'demand-level-suggested-badge';
+        badge.textContent = 'Suggested';
+        row.querySelector('.demand-level-level-name').appendChild(badge);
+
+        const title = document.createElement('strong');
+        title.textContent = `Suggested level: ${this.demandLevels[levelIndex].level}`;
+        const list = document.createElement('ul');
+        reasons.forEach(reason => {
+            const item = document.createElement('li');
+            item.textContent = reason;
+            list.appendChild(item);
+        });
+        this.suggestionElement.replaceChildren(title, list);
+        this.suggestionElement.hidden = false;
+
+        this.suggestedLevel = levelValue;
+    }
+
+    /**
+     * Remove the suggested level highlight and explanation
+     */
+    clearSuggestion() {
+        this.rowElements.forEach(row => {
+            row.classList.remove('demand-level-suggested');
+            row.querySelector('.demand-level-suggested-badge')?.remove();
+        });
+        if (this.suggestionElement) {
+            this.suggestionElement.replaceChildren();
+            this.suggestionElement.hidden = true;
+        }
+        this.suggestedLevel = null;
+    }
+
+    /**
+     * Get the currently suggested demand level value
+     * @returns {string|null} Suggested level value or null if there is no suggestion
+     */
+    getSuggestedLevel() {
+        return this.suggestedLevel;
+    }
+
+    /**
+     * Show or hide a warning below the table (e.g. the selection conflicts with entered data)
+     * @param {string|null} message - Warning text, or null to hide the warning
+     */
+    setWarning(message) {
+        if (!this.warningElement) return;
+        this.warningElement.textContent = message || '';
+        this.warningElement.hidden = !message;
+    }
+
     /**
      * Validate the component
      * Checks if a level is selected when required
@@ -360,6 +525,7 @@ class DemandLevelSelector {
         this.selectedLevel = null;
         this.validationErrors = {};
         this.clearValidationError();
+        this.setWarning(null);
     }
 
     /**
@@ -370,6 +536,8 @@ class DemandLevelSelector {
             this.container.innerHTML = '';
         }
         this.rowElements = [];
+        this.suggestionElement = null;
+        this.warningElement = null;
     }
 }
 
@@ -6,6 +6,8 @@
  * - Image preview with thumbnails
  * - File validation (type and size)
  * - Remove individual images
+ * - Optional per-image captions
+ * - Optional downscaling/JPEG compression on upload to keep saved data and PDFs small
  * - Integration with storage system
  * - Consistent styling with color system
  * - Required/optional field support
@@ -30,6 +32,10 @@ class ImageUpload {
             acceptedFormats: options.acceptedFormats || ['image/jpeg', 'image/jpg', 'image/png', 'image/svg+xml'],
             onChange: options.onChange || null,
             helpText: options.helpText || null,
+            captions: options.captions || false,
+            compressImages: options.compressImages || false,
+            maxImageDimension: options.maxImageDimension || 1600, // Longest side in px when compressing
+            imageQuality: options.imageQuality || 0.8, // JPEG quality when compressing
             ...options
         };
 
@@ -37,7 +43,7 @@ class ImageUpload {
         this.fileInput = null;
         this.previewContainer = null;
         this.errorElement = null;
-        this.images = []; // Array of {file, preview}
+        this.images = []; // Array of {file, preview, type, caption} (restored images carry name/size instead of file)
         this.isValid = true;
 
         this.init();
@@ -151,10 +157,13 @@ class ImageUpload {
             }
 
             const reader = new FileReader();
-            reader.onload = (e) => {
+            reader.onload = async (e) => {
+                const processed = await this.processImage(e.target.result, file.type);
                 this.images.push({
                     file: file,
-                    preview: e.target.result
+                    preview: processed.preview,
+                    type: processed.type,
+                    caption: ''
                 });
                 this.renderPreviews();
                 if (this.options.onChange) {
@@ -165,6 +174,46 @@ class ImageUpload {
         }
     }
 
+    /**
+     * Downscale and re-encode an image as JPEG when compression is enabled.
+     * The original is kept if it's an SVG, can't be decoded, or is already smaller
+     * as a JPEG/PNG (formats every PDF generator can embed).
+     * @param {string} dataUrl - Image data URL from FileReader
+     * @param {string} type - Original MIME type
+     * @returns {Promise<Object>} { preview, type }
+     */
+    processImage(dataUrl, type) {
+        const original = { preview: dataUrl, type };
+        if (!this.options.compressImages || type === 'image/svg+xml') {
+            return Promise.resolve(original);
+        }
+
+        return new Promise((resolve) => {
+            const image = new Image();
+            image.onload = () => {
+                const { maxImageDimension, imageQuality } = this.options;
+                const scale = Math.min(1, maxImageDimension / Math.max(image.naturalWidth, image.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+                canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+                // JPEG has no transparency, so flatten onto white
+                const context = canvas.getContext('2d');
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                const compressed = canvas.toDataURL('image/jpeg', imageQuality);
+                const keepOriginal = ['image/jpeg', 'image/jpg', 'image/png'].includes(type) &&
+                    scale === 1 && dataUrl.length <= compressed.length;
+
+                resolve(keepOriginal ? original : { preview: compressed, type: 'image/jpeg' });
+            };
+            image.onerror = () => resolve(original);
+            image.src = dataUrl;
+        });
+    }
+
     /**
      * Validate a single file
      */
@@ -193,14 +242,45 @@ class ImageUpload {
             return;
         }
 
-        this.previewContainer.innerHTML = this.images.map((img, index) => `
-            <div class="image-preview-item">
-                <img src="${img.preview}" alt="Preview ${index + 1}" />
-                <button type="button" class="image-remove-btn" data-index="${index}" title="Remove image">
-                    ✕
-                </button>
-            </div>
-        `).join('');
+        this.previewContainer.innerHTML = this.images.map((img, index) => {
+            const preview = `
+                <div class="image-preview-item">
+                    <img src="${img.preview}" alt="${this.escapeHtml(img.caption || `Preview ${index + 1}`)}" />
+                    <button type="button" class="image-remove-btn" data-index="${index}" title="Remove image">
+                        ✕
+                    </button>
+                </div>
+            `;
+
+            if (!this.options.captions) return preview;
+
+            return `
+                <div class="image-preview-entry">
+                    ${preview}
+                    <input
+                        type="text"
+                        class="image-caption-input"
+                        data-index="${index}"
+                        value="${this.escapeHtml(img.caption || '')}"
+                        placeholder="Caption (optional)"
+                        maxlength="200"
+                        aria-label="Caption for image ${index + 1}"
+                    />
+                </div>
+            `;
+        }).join('');
+
+        // Attach caption listeners
+        this.previewContainer.querySelectorAll('.image-caption-input').forEach(input => {
+            input.addEventListener('input', () => {
+                const image = this.images[parseInt(input.dataset.index)];
+                if (!image) return;
+                image.caption = input.value;
+                if (this.options.onChange) {
+                    this.options.onChange(this.images, this);
+                }
+            });
+        });
 
         // Attach remove button listeners
         this.previewContainer.querySelectorAll('.image-remove-btn').forEach(btn => {
@@ -234,6 +314,17 @@ class ImageUpload {
         return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
     }
 
+    /**
+     * Escape HTML for safe use in markup and attribute values
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     /**
      * Show or hide error message
      */
@@ -263,9 +354,10 @@ class ImageUpload {
     getData() {
         return {
             [this.options.name]: this.images.map(img => ({
-                name: img.file ? img.file.name : 'image',
-                size: img.file ? img.file.size : 0,
-                type: img.file ? img.file.type : 'image/png',
+                name: img.file ? img.file.name : (img.name || 'image'),
+                size: img.file ? img.file.size : (img.size || 0),
+                type: img.type || (img.file ? img.file.type : 'image/png'),
+                caption: img.caption || '',
                 preview: img.preview
             }))
         };
@@ -278,6 +370,10 @@ class ImageUpload {
         if (data && data[this.options.name] && Array.isArray(data[this.options.name])) {
             this.images = data[this.options.name].map(imgData => ({
                 file: null, // File object not available from storage
+                name: imgData.name,
+                size: imgData.size,
+                type: imgData.type,
+                caption: imgData.caption || '',
                 preview: imgData.preview
             }));
             this.renderPreviews();
@@ -0,0 +1,596 @@
+/**
+ * PDF Viewer Component - Embedded in-browser PDF viewer
+ *
+ * A reusable PDF viewer built on PDF.js that supports:
+ * - Rendering PDF documents from binary data (ArrayBuffer/Uint8Array)
+ * - Page thumbnails sidebar with click-to-jump navigation
+ * - Zoom in/out, fit-to-width and reset controls
+ * - Current page tracking while scrolling
+ * - Re-rendering new documents while keeping the reader's place
+ * - Full dark mode support
+ *
+ * Dependencies:
+ * - PDF.js (pdfjsLib global, loaded from CDN)
+ *
+ * Usage:
+ * ```javascript
+ * const viewer = new PDFViewer({
+ *     containerId: 'pdf-viewer-container',
+ *     showThumbnails: true
+ * });
+ * await viewer.load(doc.output('arraybuffer'));
+ * ```
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class PDFViewer {
+    /**
+     * Create a new PDFViewer instance
+     * @param {Object} options - Configuration options
+     * @param {string} options.containerId - ID of the container element (required)
+     * @param {boolean} [options.showThumbnails=true] - Whether to show the page thumbnails sidebar
+     * @param {number|string} [options.initialZoom='fit-width'] - Initial zoom scale or 'fit-width'
+     * @param {number} [options.minZoom=0.25] - Minimum zoom scale
+     * @param {number} [options.maxZoom=4] - Maximum zoom scale
+     * @param {number} [options.zoomStep=0.25] - Amount added/removed per zoom click
+     * @param {number} [options.thumbnailWidth=110] - Thumbnail width in pixels
+     * @param {string} [options.emptyMessage] - Message shown when no document is loaded
+     * @param {Function} [options.onPageChange] - Callback when the visible page changes (pageNumber, totalPages)
+     */
+    constructor(options = {}) {
+        this.options = {
+            containerId: options.containerId || null,
+            showThumbnails: options.showThumbnails !== undefined ? options.showThumbnails : true,
+            initialZoom: options.initialZoom || 'fit-width',
+            minZoom: options.minZoom || 0.25,
+            maxZoom: options.maxZoom || 4,
+            zoomStep: options.zoomStep || 0.25,
+            thumbnailWidth: options.thumbnailWidth || 110,
+            emptyMessage: options.emptyMessage || 'No document to display.',
+            onPageChange: options.onPageChange || null
+        };
+
+        this.container = null;
+        this.pdfDocument = null;
+        this.zoomMode = this.options.initialZoom === 'fit-width' ? 'fit-width' : 'custom';
+        this.scale = typeof this.options.initialZoom === 'number' ? this.options.initialZoom : 1;
+        this.currentPage = 1;
+        this.loadToken = 0; // Incremented on every load so a slower, older load can't replace a newer document
+        this.renderToken = 0; // Incremented on every render so stale renders can bail out
+        this.thumbnailToken = 0; // Separate token so zooming doesn't cancel thumbnails
+        this.pageElements = [];
+        this.thumbnailElements = [];
+
+        this.init();
+    }
+
+    /**
+     * Initialize the component
+     * @private
+     */
+    init() {
+        if (!this.options.containerId) {
+            console.error('PDFViewer requires a containerId');
+            return;
+        }
+
+        this.container = document.getElementById(this.options.containerId);
+        if (!this.container) {
+            console.error(`PDFViewer container with ID "${this.options.containerId}" not found`);
+            return;
+        }
+
+        this.configureWorker();
+        this.render();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Point PDF.js at its worker script (must match the library version loaded in index.html)
+     * @private
+     */
+    configureWorker() {
+        if (typeof pdfjsLib !== 'undefined' && !pdfjsLib.GlobalWorkerOptions.workerSrc) {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = PDFViewer.WORKER_SRC;
+        }
+    }
+
+    /**
+     * Render the viewer structure (toolbar, thumbnails sidebar, pages area)
+     * @private
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="pdf-viewer ${this.options.showThumbnails ? 'with-thumbnails' : ''}">
+                <div class="pdf-viewer-toolbar" role="toolbar" aria-label="PDF viewer controls">
+                    <div class="pdf-viewer-toolbar-group">
+                        <button type="button" class="pdf-viewer-btn" data-action="prev" aria-label="Previous page" title="Previous page">▲</button>
+                        <button type="button" class="pdf-viewer-btn" data-action="next" aria-label="Next page" title="Next page">▼</button>
+                        <span class="pdf-viewer-page-info">Page <span class="pdf-viewer-page-current">0</span> of <span class="pdf-viewer-page-total">0</span></span>
+                    </div>
+                    <div class="pdf-viewer-toolbar-group">
+                        <button type="button" class="pdf-viewer-btn" data-action="zoom-out" aria-label="Zoom out" title="Zoom out">−</button>
+                        <span class="pdf-viewer-zoom-level" aria-live="polite">100%</span>
+                        <button type="button" class="pdf-viewer-btn" data-action="zoom-in" aria-label="Zoom in" title="Zoom in">+</button>
+                        <button type="button" class="pdf-viewer-btn pdf-viewer-btn-text" data-action="fit-width" title="Fit page to width">Fit Width</button>
+                        <button type="button" class="pdf-viewer-btn pdf-viewer-btn-text" data-action="actual-size" title="Actual size">100%</button>
+                    </div>
+                </div>
+                <div class="pdf-viewer-body">
+                    ${this.options.showThumbnails ? '<aside class="pdf-viewer-thumbnails" aria-label="Page thumbnails"></aside>' : ''}
+                    <div class="pdf-viewer-pages" tabindex="0">
+                        <div class="pdf-viewer-empty">${this.options.emptyMessage}</div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.viewerElement = this.container.querySelector('.pdf-viewer');
+        this.thumbnailsElement = this.container.querySelector('.pdf-viewer-thumbnails');
+        this.pagesElement = this.container.querySelector('.pdf-viewer-pages');
+        this.pageCurrentElement = this.container.querySelector('.pdf-viewer-page-current');
+        this.pageTotalElement = this.container.querySelector('.pdf-viewer-page-total');
+        this.zoomLevelElement = this.container.querySelector('.pdf-viewer-zoom-level');
+    }
+
+    /**
+     * Attach toolbar, scroll and keyboard listeners
+     * @private
+     */
+    attachEventListeners() {
+        this.container.querySelector('.pdf-viewer-toolbar').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'prev':
+                    this.goToPage(this.currentPage - 1);
+                    break;
+                case 'next':
+                    this.goToPage(this.currentPage + 1);
+                    break;
+                case 'zoom-in':
+                    this.zoomIn();
+                    break;
+                case 'zoom-out':
+                    this.zoomOut();
+                    break;
+                case 'fit-width':
+                    this.fitWidth();
+                    break;
+                case 'actual-size':
+                    this.setZoom(1);
+                    break;
+            }
+        });
+
+        // Track the visible page while scrolling
+        this.pagesElement.addEventListener('scroll', () => this.updateCurrentPageFromScroll());
+
+        // Ctrl/Cmd + wheel zooms instead of scrolling
+        this.pagesElement.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey && !e.metaKey) return;
+            e.preventDefault();
+            if (e.deltaY < 0) {
+                this.zoomIn();
+            } else {
+                this.zoomOut();
+            }
+        }, { passive: false });
+
+        this.pagesElement.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'PageDown':
+                    e.preventDefault();
+                    this.goToPage(this.currentPage + 1);
+                    break;
+                case 'PageUp':
+                    e.preventDefault();
+                    this.goToPage(this.currentPage - 1);
+                    break;
+                case '+':
+                case '=':
+                    e.preventDefault();
+                    this.zoomIn();
+                    break;
+                case '-':
+                    e.preventDefault();
+                    this.zoomOut();
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Load and display a PDF document
+     * Keeps the current page and zoom when a new version of a document is loaded
+     * @param {ArrayBuffer|Uint8Array} data - Binary PDF data
+     * @returns {Promise<void>}
+     */
+    async load(data) {
+        if (typeof pdfjsLib === 'undefined') {
+            throw new Error('PDF.js library is not loaded');
+        }
+
+        const loadToken = ++this.loadToken;
+        const previousPage = this.currentPage;
+        const previousScrollRatio = this.getScrollRatio();
+
+        const loadingTask = pdfjsLib.getDocument({ data: data instanceof Uint8Array ? data : new Uint8Array(data) });
+        const pdfDocument = await loadingTask.promise;
+
+        // A newer load started (or the viewer was cleared) while this one was parsing
+        if (loadToken !== this.loadToken) {
+            pdfDocument.destroy();
+            return;
+        }
+
+        if (this.pdfDocument) {
+            this.pdfDocument.destroy();
+        }
+        this.pdfDocument = pdfDocument;
+        this.currentPage = Math.min(previousPage, pdfDocument.numPages) || 1;
+
+        // Zooming while the pages render takes over the render; the document stays
+        const token = ++this.renderToken;
+        await this.renderPages(token);
+        if (loadToken !== this.loadToken) return;
+
+        if (token === this.renderToken) {
+            this.restoreScrollRatio(previousScrollRatio);
+        }
+        this.renderThumbnails(++this.thumbnailToken);
+    }
+
+    /**
+     * Render every page of the current document at the current zoom level
+     * @private
+     * @param {number} token - Render token to detect stale renders
+     * @returns {Promise<void>}
+     */
+    async renderPages(token) {
+        if (!this.pdfDocument) return;
+
+        const totalPages = this.pdfDocument.numPages;
+
+        if (this.zoomMode === 'fit-width') {
+            this.scale = await this.calculateFitWidthScale();
+            if (token !== this.renderToken) return;
+        }
+
+        // Build the new pages off-screen so the old render stays visible until replaced
+        const fragment = document.createDocumentFragment();
+        const pageElements = [];
+        const outputScale = window.devicePixelRatio || 1;
+
+        for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+            const page = await this.pdfDocument.getPage(pageNum);
+            if (token !== this.renderToken) return;
+
+            const viewport = page.getViewport({ scale: this.scale });
+            const pageElement = document.createElement('div');
+            pageElement.className = 'pdf-viewer-page';
+            pageElement.setAttribute('data-page-number', pageNum);
+            pageElement.setAttribute('aria-label', `Page ${pageNum} of ${totalPages}`);
+            pageElement.style.width = `${Math.floor(viewport.width)}px`;
+            pageElement.style.height = `${Math.floor(viewport.height)}px`;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.floor(viewport.width * outputScale);
+            canvas.height = Math.floor(viewport.height * outputScale);
+            canvas.style.width = `${Math.floor(viewport.width)}px`;
+            canvas.style.height = `${Math.floor(viewport.height)}px`;
+            pageElement.appendChild(canvas);
+
+            await page.render({
+                canvasContext: canvas.getContext('2d'),
+                viewport: viewport,
+                transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+            }).promise;
+            if (token !== this.renderToken) return;
+
+            fragment.appendChild(pageElement);
+            pageElements.push(pageElement);
+        }
+
+        this.pagesElement.innerHTML = '';
+        this.pagesElement.appendChild(fragment);
+        this.pageElements = pageElements;
+
+        this.pageTotalElement.textContent = totalPages;
+        this.updateZoomLabel();
+        this.updatePageIndicator();
+    }
+
+    /**
+     * Render the thumbnails sidebar for the current document
+     * @private
+     * @param {number} token - Thumbnail token to detect stale renders
+     * @returns {Promise<void>}
+     */
+    async renderThumbnails(token) {
+        if (!this.thumbnailsElement || !this.pdfDocument) return;
+
+        const fragment = document.createDocumentFragment();
+        const thumbnailElements = [];
+
+        for (let pageNum = 1; pageNum <= this.pdfDocument.numPages; pageNum++) {
+            const page = await this.pdfDocument.getPage(pageNum);
+            if (token !== this.thumbnailToken) return;
+
+            const baseViewport = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: this.options.thumbnailWidth / baseViewport.width });
+
+            const thumbnail = document.createElement('button');
+            thumbnail.type = 'button';
+            thumbnail.className = 'pdf-viewer-thumbnail';
+            thumbnail.setAttribute('data-page-number', pageNum);
+            thumbnail.setAttribute('aria-label', `Go to page ${pageNum}`);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+            thumbnail.appendChild(canvas);
+
+            const label = document.createElement('span');
+            label.className = 'pdf-viewer-thumbnail-label';
+            label.textContent = pageNum;
+            thumbnail.appendChild(label);
+
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport: viewport }).promise;
+            if (token !== this.thumbnailToken) return;
+
+            thumbnail.addEventListener('click', () => this.goToPage(pageNum));
+
+            fragment.appendChild(thumbnail);
+            thumbnailElements.push(thumbnail);
+        }
+
+        this.thumbnailsElement.innerHTML = '';
+        this.thumbnailsElement.appendChild(fragment);
+        this.thumbnailElements = thumbnailElements;
+        this.updatePageIndicator();
+    }
+
+    /**
+     * Calculate the scale that makes the first page fill the available width
+     * @private
+     * @returns {Promise<number>} Scale value
+     */
+    async calculateFitWidthScale() {
+        const page = await this.pdfDocument.getPage(1);
+        const viewport = page.getViewport({ scale: 1 });
+        // Leave room for page padding and the vertical scrollbar
+        const availableWidth = Math.max(200, this.pagesElement.clientWidth - 48);
+        return this.clampZoom(availableWidth / viewport.width);
+    }
+
+    /**
+     * Set an explicit zoom scale and re-render
+     * @param {number} scale - Zoom scale (1 = 100%)
+     */
+    setZoom(scale) {
+        this.zoomMode = 'custom';
+        this.applyZoom(this.clampZoom(scale));
+    }
+
+    /**
+     * Zoom in by one step
+     */
+    zoomIn() {
+        this.setZoom(this.scale + this.options.zoomStep);
+    }
+
+    /**
+     * Zoom out by one step
+     */
+    zoomOut() {
+        this.setZoom(this.scale - this.options.zoomStep);
+    }
+
+    /**
+     * Scale pages so they fill the viewer width
+     */
+    fitWidth() {
+        this.zoomMode = 'fit-width';
+        this.applyZoom(this.scale);
+    }
+
+    /**
+     * Re-render pages at a new scale, keeping the reader's place
+     * @private
+     * @param {number} scale - New zoom scale
+     */
+    async applyZoom(scale) {
+        this.scale = scale;
+        this.updateZoomLabel();
+        if (!this.pdfDocument) return;
+
+        const token = ++this.renderToken;
+        const scrollRatio = this.getScrollRatio();
+        await this.renderPages(token);
+        if (token !== this.renderToken) return;
+        this.restoreScrollRatio(scrollRatio);
+    }
+
+    /**
+     * Clamp a zoom scale to the configured limits
+     * @private
+     * @param {number} scale - Requested scale
+     * @returns {number} Clamped scale
+     */
+    clampZoom(scale) {
+        return Math.min(this.options.maxZoom, Math.max(this.options.minZoom, scale));
+    }
+
+    /**
+     * Scroll to a specific page
+     * @param {number} pageNumber - 1-based page number
+     */
+    goToPage(pageNumber) {
+        if (!this.pdfDocument) return;
+
+        const target = Math.min(this.pdfDocument.numPages, Math.max(1, pageNumber));
+        const pageElement = this.pageElements[target - 1];
+        if (pageElement) {
+            this.pagesElement.scrollTop = pageElement.offsetTop - this.pagesElement.offsetTop;
+        }
+        this.currentPage = target;
+        this.updatePageIndicator();
+    }
+
+    /**
+     * Work out which page is in view from the scroll position
+     * @private
+     */
+    updateCurrentPageFromScroll() {
+        if (this.pageElements.length === 0) return;
+
+        const viewMiddle = this.pagesElement.scrollTop + (this.pagesElement.clientHeight / 3);
+        let visiblePage = 1;
+        this.pageElements.forEach((pageElement, index) => {
+            if (pageElement.offsetTop - this.pagesElement.offsetTop <= viewMiddle) {
+                visiblePage = index + 1;
+            }
+        });
+
+        if (visiblePage !== this.currentPage) {
+            this.currentPage = visiblePage;
+            this.updatePageIndicator();
+        }
+    }
+
+    /**
+     * Update the page counter and active thumbnail
+     * @private
+     */
+    updatePageIndicator() {
+        const totalPages = this.pdfDocument ? this.pdfDocument.numPages : 0;
+        this.pageCurrentElement.textContent = totalPages > 0 ? this.currentPage : 0;
+
+        this.thumbnailElements.forEach((thumbnail, index) => {
+            const isActive = index + 1 === this.currentPage;
+            thumbnail.classList.toggle('active', isActive);
+            if (isActive) {
+                thumbnail.setAttribute('aria-current', 'page');
+            } else {
+                thumbnail.removeAttribute('aria-current');
+            }
+        });
+
+        if (this.options.onPageChange) {
+            this.options.onPageChange(this.currentPage, totalPages);
+        }
+    }
+
+    /**
+     * Update the zoom percentage label
+     * @private
+     */
+    updateZoomLabel() {
+        this.zoomLevelElement.textContent = `${Math.round(this.scale * 100)}%`;
+    }
+
+    /**
+     * Get the scroll position as a fraction of the scrollable height
+     * @private
+     * @returns {number} Ratio between 0 and 1
+     */
+    getScrollRatio() {
+        if (!this.pagesElement) return 0;
+        const scrollable = this.pagesElement.scrollHeight - this.pagesElement.clientHeight;
+        return scrollable > 0 ? this.pagesElement.scrollTop / scrollable : 0;
+    }
+
+    /**
+     * Restore a scroll position saved with getScrollRatio()
+     * @private
+     * @param {number} ratio - Ratio between 0 and 1
+     */
+    restoreScrollRatio(ratio) {
+        const scrollable = this.pagesElement.scrollHeight - this.pagesElement.clientHeight;
+        this.pagesElement.scrollTop = Math.round(scrollable * ratio);
+        this.updateCurrentPageFromScroll();
+    }
+
+    /**
+     * Check whether a document is currently displayed
+     * @returns {boolean} True if a document is loaded
+     */
+    hasDocument() {
+        return this.pdfDocument !== null;
+    }
+
+    /**
+     * Get the number of pages in the current document
+     * @returns {number} Page count (0 if nothing is loaded)
+     */
+    getPageCount() {
+        return this.pdfDocument ? this.pdfDocument.numPages : 0;
+    }
+
+    /**
+     * Remove the current document and show a message instead
+     * @param {string} [message] - Message to display (defaults to emptyMessage)
+     */
+    clear(message) {
+        this.loadToken++;
+        this.renderToken++;
+        this.thumbnailToken++;
+        if (this.pdfDocument) {
+            this.pdfDocument.destroy();
+            this.pdfDocument = null;
+        }
+
+        this.pageElements = [];
+        this.thumbnailElements = [];
+        this.currentPage = 1;
+
+        if (this.thumbnailsElement) {
+            this.thumbnailsElement.innerHTML = '';
+        }
+
+        const empty = document.createElement('div');
+        empty.className = 'pdf-viewer-empty';
+        empty.textContent = message || this.options.emptyMessage;
+        this.pagesElement.innerHTML = '';
+        this.pagesElement.appendChild(empty);
+
+        this.pageTotalElement.textContent = 0;
+        this.updatePageIndicator();
+    }
+
+    /**
+     * Destroy the viewer and release the loaded document
+     */
+    destroy() {
+        this.loadToken++;
+        this.renderToken++;
+        this.thumbnailToken++;
+        if (this.pdfDocument) {
+            this.pdfDocument.destroy();
+            this.pdfDocument = null;
+        }
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.pageElements = [];
+        this.thumbnailElements = [];
+    }
+}
+
+/**
+ * PDF.js worker script (version must match the pdf.min.js loaded in index.html)
+ */
+PDFViewer.WORKER_SRC = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFViewer;
+}
@@ -0,0 +1,274 @@
+/**
+ * SignaturePad Component - Drawn or typed signature
+ *
+ * A signature field that supports:
+ * - Drawing with a mouse, pen or finger on a canvas (pointer events)
+ * - Typing the signature instead (the signer's typed name is used)
+ * - Clearing and redrawing
+ * - Saving the drawing as a PNG data URL for storage and PDF output
+ *
+ * Features:
+ * - Fixed drawing size, scaled to the container width with CSS, so the tab can be
+ *   hidden when the pad is created
+ * - Keyboard users can switch to the typed signature
+ * - Consistent styling with color system
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class SignaturePad {
+    /**
+     * Drawing size in canvas pixels (4:1, like a signature line)
+     */
+    static WIDTH = 600;
+    static HEIGHT = 150;
+
+    /**
+     * Create a new signature pad
+     * @param {Object} options - Configuration options
+     * @param {string} options.containerId - ID of the element to render into
+     * @param {string} options.id - Component ID (prefix for element IDs)
+     * @param {string} options.label - Label text
+     * @param {string} options.helpText - Help text under the pad
+     * @param {Function} options.onChange - Called with getValue() after a stroke, clear or mode change
+     */
+    constructor(options = {}) {
+        this.options = {
+            containerId: options.containerId || null,
+            id: options.id || 'signature-pad-' + Math.random().toString(36).substr(2, 9),
+            label: options.label || 'Signature',
+            helpText: options.helpText || null,
+            onChange: options.onChange || null,
+            ...options
+        };
+
+        this.container = null;
+        this.canvas = null;
+        this.context = null;
+        this.mode = 'drawn'; // 'drawn' or 'typed'
+        this.image = ''; // PNG data URL of the drawing ('' when empty)
+        this.isDrawing = false;
+        this.lastPoint = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the signature pad
+     */
+    init() {
+        if (this.options.containerId) {
+            this.container = document.getElementById(this.options.containerId);
+            if (!this.container) {
+                console.error(`SignaturePad: Container with ID "${this.options.containerId}" not found`);
+                return;
+            }
+            this.render();
+        }
+    }
+
+    /**
+     * Render the signature pad
+     */
+    render() {
+        const id = this.options.id;
+
+        this.container.innerHTML = `
+            <div class="form-group signature-pad-component">
+                <div class="signature-pad-header">
+                    <label for="${id}-canvas">${this.options.label}</label>
+                    <div class="signature-pad-modes" role="radiogroup" aria-label="Signature type">
+                        <button type="button" class="signature-pad-mode" data-mode="drawn" role="radio">Draw</button>
+                        <button type="button" class="signature-pad-mode" data-mode="typed" role="radio">Type</button>
+                    </div>
+                </div>
+                <div class="signature-pad-drawn">
+                    <canvas id="${id}-canvas" class="signature-pad-canvas"
+                        width="${SignaturePad.WIDTH}" height="${SignaturePad.HEIGHT}"
+                        aria-label="Signature drawing area"></canvas>
+                    <button type="button" class="signature-pad-clear">Clear</button>
+                </div>
+                <div class="signature-pad-typed" hidden>
+                    Your typed name below is used as your signature.
+                </div>
+                ${this.options.helpText ? `<div class="text-input-help-text">${this.options.helpText}</div>` : ''}
+            </div>
+        `;
+
+        this.canvas = this.container.querySelector('canvas');
+        this.context = this.canvas.getContext('2d');
+
+        this.attachEventListeners();
+        this.updateUI();
+    }
+
+    /**
+     * Attach drawing and button listeners
+     */
+    attachEventListeners() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.canvas.setPointerCapture?.(e.pointerId);
+            this.isDrawing = true;
+            this.lastPoint = this.getPoint(e);
+            this.drawSegment(this.lastPoint, this.lastPoint);
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.isDrawing) return;
+            const point = this.getPoint(e);
+            this.drawSegment(this.lastPoint, point);
+            this.lastPoint = point;
+        });
+
+        const endStroke = () => {
+            if (!this.isDrawing) return;
+            this.isDrawing = false;
+            this.image = this.canvas.toDataURL('image/png');
+            this.notifyChange();
+        };
+        this.canvas.addEventListener('pointerup', endStroke);
+        this.canvas.addEventListener('pointercancel', endStroke);
+
+        this.container.querySelector('.signature-pad-clear').addEventListener('click', () => {
+            this.clear();
+            this.notifyChange();
+        });
+
+        this.container.querySelectorAll('.signature-pad-mode').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.mode === this.mode) return;
+                this.mode = button.dataset.mode;
+                this.updateUI();
+                this.notifyChange();
+            });
+        });
+    }
+
+    /**
+     * Convert a pointer position to canvas pixels (the canvas is scaled with CSS)
+     * @param {PointerEvent} e - Pointer event
+     * @returns {Object} { x, y }
+     */
+    getPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+
+    /**
+     * Draw one stroke segment
+     * @param {Object} from - Start point
+     * @param {Object} to - End point
+     */
+    drawSegment(from, to) {
+        const context = this.context;
+        context.strokeStyle = '#1a1a1a';
+        context.lineWidth = 2.5;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.beginPath();
+        context.moveTo(from.x, from.y);
+        context.lineTo(to.x + 0.01, to.y); // A zero-length line draws nothing; a click should leave a dot
+        context.stroke();
+    }
+
+    /**
+     * Show the drawing area or the typed note, and mark the active mode
+     */
+    updateUI() {
+        this.container.querySelector('.signature-pad-drawn').hidden = this.mode !== 'drawn';
+        this.container.querySelector('.signature-pad-typed').hidden = this.mode !== 'typed';
+
+        this.container.querySelectorAll('.signature-pad-mode').forEach(button => {
+            const active = button.dataset.mode === this.mode;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-checked', active);
+        });
+    }
+
+    /**
+     * Call the onChange callback
+     */
+    notifyChange() {
+        if (this.options.onChange) {
+            this.options.onChange(this.getValue(), this);
+        }
+    }
+
+    /**
+     * Whether the pad holds a drawn signature
+     * @returns {boolean}
+     */
+    hasDrawing() {
+        return this.mode === 'drawn' && this.image !== '';
+    }
+
+    /**
+     * Get the signature
+     * @returns {Object} { type: 'drawn' | 'typed', image } - image is '' in typed mode or when nothing is drawn
+     */
+    getValue() {
+        return {
+            type: this.mode,
+            image: this.mode === 'drawn' ? this.image : ''
+        };
+    }
+
+    /**
+     * Set the signature
+     * @param {Object} value - { type, image } as returned by getValue()
+     */
+    setValue(value = {}) {
+        this.mode = value.type === 'typed' ? 'typed' : 'drawn';
+        this.clear();
+
+        if (value.image) {
+            this.image = value.image;
+            const image = new Image();
+            image.onload = () => {
+                // Another signature may have been set while this one loaded
+                if (this.image === value.image) {
+                    this.context.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+                }
+            };
+            image.src = value.image;
+        }
+
+        if (this.container) this.updateUI();
+    }
+
+    /**
+     * Erase the drawing
+     */
+    clear() {
+        this.image = '';
+        if (this.context) {
+            this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+
+    /**
+     * Destroy the component
+     */
+    destroy() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.canvas = null;
+        this.context = null;
+        this.container = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SignaturePad;
+}
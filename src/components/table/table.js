@@ -9,6 +9,7 @@
  * - Header row (top) and header column (left)
  * - Selectable cells (single or multiple selection per row)
  * - Text input cells
+ * - Spreadsheet-style keyboard navigation, shift-click ranges and group fill
  * - Full dark mode support
  * - Data export/import
  *
@@ -38,6 +39,7 @@ class Table {
             columnTypes: options.columnTypes || null, // Optional: array of cell types per column
             inputType: options.inputType || 'text',
             selectionMode: options.selectionMode || 'single',
+            fillColumn: options.fillColumn || null, // Optional: {colIndex, label} adds "set group/all to <label>" buttons
 
             // Column configuration
             columnWidths: options.columnWidths || null, // Optional: array of widths per column
@@ -65,6 +67,7 @@ class Table {
         this.tableElement = null;
         this.data = this.initializeData();
         this.validationErrors = {}; // Track validation errors per cell
+        this.selectionAnchor = null; // Last clicked cell, start of a shift-click range
 
         this.init();
     }
@@ -171,9 +174,16 @@ class Table {
         const thead = document.createElement('thead');
         const headerRow = document.createElement('tr');
 
-        // Empty cell for top-left corner
+        // Top-left corner cell (holds the fill-all button when fillColumn is set)
         const cornerCell = document.createElement('th');
         cornerCell.className = 'header-row';
+        if (this.options.fillColumn) {
+            cornerCell.appendChild(this.createFillButton(
+                `All ${this.options.fillColumn.label}`,
+                `Set every row to ${this.options.fillColumn.label}`,
+                this.options.headerRows.map((header, rowIndex) => rowIndex)
+            ));
+        }
         headerRow.appendChild(cornerCell);
 
         // Add column headers
@@ -220,6 +230,13 @@ class Table {
                 categoryCell.className = 'category-header';
                 categoryCell.textContent = group.category;
                 categoryCell.setAttribute('colspan', this.options.headerColumns.length + 1);
+                if (this.options.fillColumn) {
+                    categoryCell.appendChild(this.createFillButton(
+                        `Set group to ${this.options.fillColumn.label}`,
+                        `Set every ${group.category} row to ${this.options.fillColumn.label}`,
+                        group.rows
+                    ));
+                }
                 categoryRow.appendChild(categoryCell);
 
                 tbody.appendChild(categoryRow);
@@ -298,6 +315,179 @@ class Table {
         if (this.options.hoverable) {
             this.setupColumnHover();
         }
+
+        this.setupKeyboardNavigation();
+    }
+
+    /**
+     * Create a button that sets a list of rows to the fill column
+     * @param {string} text - Button text
+     * @param {string} title - Tooltip and accessible label
+     * @param {Array<number>} rowIndices - Rows to fill
+     * @returns {HTMLButtonElement} Button element
+     */
+    createFillButton(text, title, rowIndices) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'table-fill-button';
+        button.textContent = text;
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        button.addEventListener('click', () => this.fillRows(rowIndices, this.options.fillColumn.colIndex));
+        return button;
+    }
+
+    /**
+     * Setup spreadsheet-style keyboard navigation
+     * - Arrow keys move between cells (in inputs, left/right only at the ends of the text)
+     * - Number keys 1-9 pick the Nth selectable column of the row
+     * - Tab on a selectable cell jumps to the row's input cell
+     */
+    setupKeyboardNavigation() {
+        if (!this.tableElement) return;
+
+        this.tableElement.addEventListener('keydown', (e) => {
+            if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+            const cell = e.target.closest('td.selectable, td.input-cell');
+            const row = cell?.parentElement;
+            if (!row || !row.hasAttribute('data-row-index')) return;
+
+            const rowIndex = parseInt(row.getAttribute('data-row-index'), 10);
+            const colIndex = Array.from(row.children).indexOf(cell) - 1;
+            const isInput = cell.classList.contains('input-cell');
+
+            if (e.key.startsWith('Arrow')) {
+                if (isInput && !this.shouldLeaveInput(e.target, e.key)) return;
+                const moved = this.moveFocus(rowIndex, colIndex, e.key);
+                if (moved) e.preventDefault();
+                return;
+            }
+
+            if (isInput) return;
+
+            if (/^[1-9]$/.test(e.key) && !e.shiftKey) {
+                const targetCol = this.getSelectableColumns()[parseInt(e.key, 10) - 1];
+                if (targetCol === undefined) return;
+                e.preventDefault();
+
+                if (this.options.selectionMode === 'single') {
+                    this.setSelection(rowIndex, targetCol);
+                    this.selectionAnchor = { rowIndex, colIndex: targetCol };
+                    this.notifyChange();
+                } else {
+                    this.handleCellClick(rowIndex, targetCol, this.getCellElement(rowIndex, targetCol));
+                }
+                this.focusCell(rowIndex, targetCol);
+                return;
+            }
+
+            if (e.key === 'Tab' && !e.shiftKey) {
+                const inputCol = this.options.headerColumns.findIndex((header, index) =>
+                    index > colIndex && this.getCellType(index) !== 'selectable'
+                );
+                if (inputCol >= 0) {
+                    e.preventDefault();
+                    this.focusCell(rowIndex, inputCol);
+                }
+            }
+        });
+    }
+
+    /**
+     * Whether an arrow key should move out of an input instead of moving the caret
+     * @param {HTMLInputElement|HTMLTextAreaElement} input - Focused input
+     * @param {string} key - Arrow key name
+     * @returns {boolean} True to move to another cell
+     */
+    shouldLeaveInput(input, key) {
+        const atStart = input.selectionStart === 0 && input.selectionEnd === 0;
+        const atEnd = input.selectionStart === input.value.length && input.selectionEnd === input.value.length;
+        const multiline = input.tagName === 'TEXTAREA';
+
+        switch (key) {
+            case 'ArrowLeft': return atStart;
+            case 'ArrowRight': return atEnd;
+            case 'ArrowUp': return !multiline || atStart;
+            case 'ArrowDown': return !multiline || atEnd;
+            default: return false;
+        }
+    }
+
+    /**
+     * Move focus from a cell in the direction of an arrow key
+     * Rows follow display order, so group headings are skipped.
+     * @param {number} rowIndex - Current row index
+     * @param {number} colIndex - Current column index
+     * @param {string} key - 'ArrowUp', 'ArrowDown', 'ArrowLeft' or 'ArrowRight'
+     * @returns {boolean} True if focus moved
+     */
+    moveFocus(rowIndex, colIndex, key) {
+        const rowOrder = this.getDisplayRowOrder();
+        const position = rowOrder.indexOf(rowIndex);
+
+        let targetRow = rowIndex;
+        let targetCol = colIndex;
+        if (key === 'ArrowUp') targetRow = rowOrder[position - 1];
+        if (key === 'ArrowDown') targetRow = rowOrder[position + 1];
+        if (key === 'ArrowLeft') targetCol = colIndex - 1;
+        if (key === 'ArrowRight') targetCol = colIndex + 1;
+
+        if (targetRow === undefined || targetCol < 0 || targetCol >= this.options.headerColumns.length) {
+            return false;
+        }
+        return this.focusCell(targetRow, targetCol);
+    }
+
+    /**
+     * Row indices in the order they are displayed
+     * @returns {Array<number>} Row indices
+     */
+    getDisplayRowOrder() {
+        if (this.options.rowGroups && this.options.rowGroups.length > 0) {
+            return this.options.rowGroups.flatMap(group => group.rows);
+        }
+        return this.options.headerRows.map((header, rowIndex) => rowIndex);
+    }
+
+    /**
+     * Indices of the selectable columns
+     * @returns {Array<number>} Column indices
+     */
+    getSelectableColumns() {
+        return this.options.headerColumns
+            .map((header, colIndex) => colIndex)
+            .filter(colIndex => this.getCellType(colIndex) === 'selectable');
+    }
+
+    /**
+     * Get the td element of a cell
+     * @param {number} rowIndex - Index of the row
+     * @param {number} colIndex - Index of the column
+     * @returns {HTMLElement|null} Cell element
+     */
+    getCellElement(rowIndex, colIndex) {
+        const row = this.tableElement?.querySelector(`tbody tr[data-row-index="${rowIndex}"]`);
+        // First child is the row header
+        return row?.children[colIndex + 1] || null;
+    }
+
+    /**
+     * Focus a cell (the input of an input cell)
+     * @param {number} rowIndex - Index of the row
+     * @param {number} colIndex - Index of the column
+     * @returns {boolean} True if the cell was found
+     */
+    focusCell(rowIndex, colIndex) {
+        const cell = this.getCellElement(rowIndex, colIndex);
+        if (!cell) return false;
+
+        const focusTarget = cell.classList.contains('input-cell') ? cell.querySelector('input, textarea') : cell;
+        if (!focusTarget) return false;
+
+        focusTarget.focus({ preventScroll: true });
+        focusTarget.scrollIntoView({ block: 'nearest' });
+        return true;
     }
 
     /**
@@ -354,8 +544,14 @@ class Table {
                 cell.setAttribute('aria-selected', 'false');
             }
 
-            // Add click handler
-            cell.addEventListener('click', () => this.handleCellClick(rowIndex, colIndex, cell));
+            // Add click handler (shift-click selects a range from the last clicked cell)
+            cell.addEventListener('click', (e) => {
+                if (e.shiftKey && this.selectionAnchor) {
+                    this.selectRange(this.selectionAnchor, { rowIndex, colIndex });
+                } else {
+                    this.handleCellClick(rowIndex, colIndex, cell);
+                }
+            });
 
             // Add keyboard support
             cell.addEventListener('keydown', (e) => {
@@ -450,6 +646,7 @@ class Table {
         const isSelected = cell.classList.toggle('selected');
         cell.setAttribute('aria-selected', isSelected ? 'true' : 'false');
         this.data[rowIndex][colIndex] = isSelected;
+        this.selectionAnchor = { rowIndex, colIndex };
 
         // Clear validation error for this row when user makes a selection
         if (isSelected) {
@@ -457,9 +654,84 @@ class Table {
         }
 
         // Trigger onChange callback
+        this.notifyChange();
+    }
+
+    /**
+     * Select a cell without toggling
+     * In single selection mode the rest of the row is deselected.
+     * @param {number} rowIndex - Index of the row
+     * @param {number} colIndex - Index of the column
+     */
+    setSelection(rowIndex, colIndex) {
+        if (this.options.selectionMode === 'single') {
+            this.getSelectableColumns().forEach(col => {
+                this.data[rowIndex][col] = false;
+            });
+        }
+        this.data[rowIndex][colIndex] = true;
+        this.clearRowValidationError(rowIndex);
+        this.syncRowSelection(rowIndex);
+    }
+
+    /**
+     * Update the selected classes of a row's cells from the data
+     * @param {number} rowIndex - Index of the row
+     */
+    syncRowSelection(rowIndex) {
+        this.getSelectableColumns().forEach(colIndex => {
+            const cell = this.getCellElement(rowIndex, colIndex);
+            if (!cell) return;
+            const isSelected = this.data[rowIndex][colIndex] === true;
+            cell.classList.toggle('selected', isSelected);
+            cell.setAttribute('aria-selected', isSelected ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * Select every cell between two cells (shift-click)
+     * Rows follow display order. In single selection mode each row in the range
+     * gets the column of the clicked cell.
+     * @param {Object} from - Anchor cell: { rowIndex, colIndex }
+     * @param {Object} to - Clicked cell: { rowIndex, colIndex }
+     */
+    selectRange(from, to) {
+        const rowOrder = this.getDisplayRowOrder();
+        const start = Math.min(rowOrder.indexOf(from.rowIndex), rowOrder.indexOf(to.rowIndex));
+        const end = Math.max(rowOrder.indexOf(from.rowIndex), rowOrder.indexOf(to.rowIndex));
+
+        const columns = this.options.selectionMode === 'single'
+            ? [to.colIndex]
+            : this.getSelectableColumns().filter(col =>
+                col >= Math.min(from.colIndex, to.colIndex) && col <= Math.max(from.colIndex, to.colIndex)
+            );
+
+        rowOrder.slice(start, end + 1).forEach(rowIndex => {
+            columns.forEach(colIndex => this.setSelection(rowIndex, colIndex));
+        });
+        this.notifyChange();
+    }
+
+    /**
+     * Select one column in several rows (e.g. set a whole group to N/A)
+     * @param {Array<number>} rowIndices - Rows to fill
+     * @param {number} colIndex - Column to select
+     */
+    fillRows(rowIndices, colIndex) {
+        rowIndices.forEach(rowIndex => this.setSelection(rowIndex, colIndex));
+        this.notifyChange();
+    }
+
+    /**
+     * Trigger the onChange callback and a bubbling `formchange` event on the container
+     */
+    notifyChange() {
         if (this.options.onChange) {
             this.options.onChange(this.getData());
         }
+        if (this.container) {
+            this.container.dispatchEvent(new CustomEvent('formchange', { bubbles: true }));
+        }
     }
 
     /**
@@ -474,9 +746,7 @@ class Table {
         }
 
         // Trigger onChange callback
-        if (this.options.onChange) {
-            this.options.onChange(this.getData());
-        }
+        this.notifyChange();
     }
 
     /**
@@ -680,6 +950,29 @@ class Table {
         return JSON.parse(JSON.stringify(this.validationErrors));
     }
 
+    /**
+     * Scroll to a cell, outline it briefly and focus it
+     * @param {number} rowIndex - Index of the row
+     * @param {number} colIndex - Index of the column
+     * @returns {boolean} True if the cell was found
+     */
+    highlightCell(rowIndex, colIndex) {
+        if (!this.tableElement) return false;
+
+        const cell = this.getCellElement(rowIndex, colIndex);
+        if (!cell) return false;
+
+        cell.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        cell.classList.add('cell-highlight');
+        setTimeout(() => cell.classList.remove('cell-highlight'), 2000);
+
+        const focusTarget = cell.classList.contains('input-cell') ? cell.querySelector('input, textarea') : cell;
+        if (focusTarget) {
+            focusTarget.focus({ preventScroll: true });
+        }
+        return true;
+    }
+
     /**
      * Set loading state
      */
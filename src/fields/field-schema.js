@@ -0,0 +1,446 @@
+/**
+ * Field Schema
+ *
+ * Reads src/fields/vars.json and answers every question the app has about a field:
+ * which tab owns it, whether it is required, how it is validated, its default value,
+ * its form label and its PDF label. Storage routing (StorageDataManager), form data
+ * flattening (DocumentGenerator), tab validation and the PDF/Word generators all go
+ * through this class, so adding a field only means adding it to vars.json and to the
+ * tab that renders it.
+ *
+ * Entries written in the old flat format ("fieldName": "{placeholder}") are still
+ * accepted and treated as optional text fields.
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class FieldSchema {
+    /**
+     * Tabs that own form fields, in form order
+     */
+    static TABS = ['intro', 'demographics', 'jobs', 'summary'];
+
+    /**
+     * Default value token resolved to today's date (YYYY-MM-DD)
+     */
+    static TODAY = '$today';
+
+    /**
+     * Email format check shared by the form and the CLI
+     */
+    static EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    /**
+     * @param {Object} definitions - Parsed vars.json (field name -> definition)
+     */
+    constructor(definitions = {}) {
+        this.fields = {};
+
+        Object.entries(definitions).forEach(([name, definition]) => {
+            this.fields[name] = FieldSchema.normalize(name, definition);
+        });
+    }
+
+    /**
+     * Fetch and parse a schema file
+     * @param {string} url - Schema location
+     * @returns {Promise<FieldSchema>} Loaded schema
+     */
+    static async load(url = 'src/fields/vars.json') {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load ${url} (${response.status})`);
+        }
+        return new FieldSchema(await response.json());
+    }
+
+    /**
+     * Fill in defaults for a field definition
+     * @param {string} name - Field name
+     * @param {Object|string} definition - Definition object, or a placeholder string (old format)
+     * @returns {Object} Normalized definition
+     */
+    static normalize(name, definition) {
+        const source = typeof definition === 'string' ? { placeholder: definition } : (definition || {});
+        const label = source.label || FieldSchema.humanize(name);
+
+        const field = {
+            type: 'text',
+            tab: null,
+            required: false,
+            ...source,
+            name,
+            label,
+            pdfLabel: source.pdfLabel || label,
+            placeholder: source.placeholder || `{${name}}`
+        };
+
+        if (source.items) {
+            field.items = {};
+            Object.entries(source.items).forEach(([itemName, itemDefinition]) => {
+                field.items[itemName] = FieldSchema.normalize(itemName, itemDefinition);
+            });
+        }
+
+        return field;
+    }
+
+    /**
+     * Turn a camelCase field name into a readable label ("otherShiftInfo" -> "Other Shift Info")
+     * @param {string} name - Field name
+     * @returns {string} Label
+     */
+    static humanize(name) {
+        return name
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/^./, char => char.toUpperCase());
+    }
+
+    /**
+     * Whether a value counts as empty for a required field
+     * Rich text is checked by its text content, repeater rows by their cell values
+     * and objects (e.g. classification of work) by their property values.
+     * @param {*} value - Field value
+     * @returns {boolean} True if empty
+     */
+    static isBlank(value) {
+        if (value === null || value === undefined) return true;
+        if (typeof value === 'string') return FieldSchema.toPlainText(value).trim().length === 0;
+        if (Array.isArray(value)) return value.every(item => FieldSchema.isBlank(item));
+        if (typeof value === 'object') return Object.values(value).every(item => FieldSchema.isBlank(item));
+        return false;
+    }
+
+    /**
+     * Strip HTML tags and decode the few entities Quill produces
+     * @param {string} value - HTML or plain text
+     * @returns {string} Plain text
+     */
+    static toPlainText(value) {
+        return String(value)
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .replace(/&amp;/g, '&');
+    }
+
+    // ==================== LOOKUPS ====================
+
+    /**
+     * Check if a field is defined
+     * @param {string} name - Field name
+     * @returns {boolean} True if defined
+     */
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.fields, name);
+    }
+
+    /**
+     * Get a field definition
+     * @param {string} name - Field name
+     * @returns {Object|null} Normalized definition or null
+     */
+    get(name) {
+        return this.has(name) ? this.fields[name] : null;
+    }
+
+    /**
+     * Get all field names in schema order
+     * @returns {Array<string>} Field names
+     */
+    getFieldNames() {
+        return Object.keys(this.fields);
+    }
+
+    /**
+     * Get the definitions owned by a tab
+     * @param {string} tab - Tab name (intro, demographics, jobs, summary)
+     * @returns {Array<Object>} Field definitions
+     */
+    getFieldsForTab(tab) {
+        return Object.values(this.fields).filter(field => field.tab === tab);
+    }
+
+    /**
+     * Get the label shown in the form
+     * @param {string} name - Field name
+     * @returns {string} Label
+     */
+    getLabel(name) {
+        return this.has(name) ? this.fields[name].label : FieldSchema.humanize(name);
+    }
+
+    /**
+     * Get the label used in generated documents
+     * @param {string} name - Field name
+     * @returns {string} PDF label
+     */
+    getPdfLabel(name) {
+        return this.has(name) ? this.fields[name].pdfLabel : FieldSchema.humanize(name);
+    }
+
+    /**
+     * Check if a field is required
+     * @param {string} name - Field name
+     * @returns {boolean} True if required
+     */
+    isRequired(name) {
+        return this.has(name) && this.fields[name].required === true;
+    }
+
+    /**
+     * Get a field's default value
+     * @param {string} name - Field name
+     * @returns {*} Default value, or undefined when none is set
+     */
+    getDefault(name) {
+        const value = this.has(name) ? this.fields[name].default : undefined;
+        if (value === FieldSchema.TODAY) {
+            return new Date().toISOString().split('T')[0];
+        }
+        return value;
+    }
+
+    /**
+     * Build the common options for a form component from a field definition
+     * Components still own presentation (placeholder, help text, sizing); pass those as overrides.
+     * @param {string} name - Field name
+     * @param {Object} overrides - Component-specific options
+     * @returns {Object} Options for TextInput, AreaInput, ColorPicker, ImageUpload, etc.
+     */
+    getInputOptions(name, overrides = {}) {
+        const field = this.get(name) || FieldSchema.normalize(name, {});
+        const options = {
+            name,
+            label: field.label,
+            required: field.required,
+            validation: (value) => this.validateValue(field, value, { skipRequired: true })
+        };
+
+        const defaultValue = this.getDefault(name);
+        if (defaultValue !== undefined) options.defaultValue = defaultValue;
+        if (field.type === 'email' || field.type === 'date') options.type = field.type;
+        if (field.minLength !== undefined) options.minLength = field.minLength;
+        if (field.maxLength !== undefined) options.maxLength = field.maxLength;
+
+        return { ...options, ...overrides };
+    }
+
+    /**
+     * Build form component options for one property of an object field (e.g. the attestation's signer name)
+     * @param {string} name - Object field name
+     * @param {string} itemName - Property name in the field's items
+     * @param {Object} overrides - Component-specific options
+     * @returns {Object} Options for TextInput
+     */
+    getItemInputOptions(name, itemName, overrides = {}) {
+        const item = this.get(name)?.items?.[itemName] || FieldSchema.normalize(itemName, {});
+        const options = {
+            name: itemName,
+            label: item.label,
+            required: item.required,
+            validation: (value) => this.validateValue(item, value, { skipRequired: true })
+        };
+
+        if (item.type === 'email' || item.type === 'date') options.type = item.type;
+        if (item.minLength !== undefined) options.minLength = item.minLength;
+        if (item.maxLength !== undefined) options.maxLength = item.maxLength;
+
+        return { ...options, ...overrides };
+    }
+
+    /**
+     * Build Repeater field configs from a repeater definition's items
+     * @param {string} name - Repeater field name
+     * @param {Object} overrides - Per-item component options keyed by item name
+     * @returns {Array<Object>} Repeater `fields` option
+     */
+    getRepeaterFields(name, overrides = {}) {
+        const field = this.get(name);
+        if (!field || !field.items) return [];
+
+        return Object.values(field.items).map(item => {
+            const config = {
+                name: item.name,
+                label: item.label,
+                type: item.type,
+                required: item.required,
+                validation: (value) => this.validateValue(item, value, { skipRequired: true })
+            };
+            if (item.maxLength !== undefined) config.maxLength = item.maxLength;
+            return { ...config, ...(overrides[item.name] || {}) };
+        });
+    }
+
+    // ==================== DATA ROUTING ====================
+
+    /**
+     * Read a field's value out of the tabs manager data
+     * Fields of type "tab" are the owning tab's whole data object (e.g. jobsData).
+     * @param {Object} tabData - Data from TabsManager.getAllData()
+     * @param {Object} field - Field definition
+     * @returns {*} Value, or undefined if the tab doesn't provide it
+     */
+    getTabValue(tabData, field) {
+        const values = tabData[field.tab];
+        if (!values) return undefined;
+        return field.type === 'tab' ? values : values[field.name];
+    }
+
+    /**
+     * Flatten tabs manager data into the flat form data object used for storage and generation
+     * @param {Object} tabData - Data from TabsManager.getAllData()
+     * @returns {Object} Flat form data
+     */
+    flatten(tabData) {
+        // Without a schema, keep every tab value so the app still works
+        if (this.getFieldNames().length === 0) {
+            return { ...tabData.intro, ...tabData.demographics, ...tabData.summary, jobsData: tabData.jobs };
+        }
+
+        const formData = {};
+        Object.values(this.fields).forEach(field => {
+            const value = this.getTabValue(tabData, field);
+            if (value !== undefined) {
+                formData[field.name] = value;
+            } else if (field.tab === 'jobs' && field.type !== 'tab') {
+                formData[field.name] = {};
+            }
+        });
+        return formData;
+    }
+
+    /**
+     * Split flat form data back into per-tab data for TabsManager.setAllData()
+     * @param {Object} formData - Flat form data (e.g. a loaded draft)
+     * @returns {Object} { intro, demographics, jobs, summary }
+     */
+    splitByTab(formData) {
+        // Without a schema, every tab picks its own keys out of the full data
+        if (this.getFieldNames().length === 0) {
+            return { intro: formData, demographics: formData, jobs: formData.jobsData || formData, summary: formData };
+        }
+
+        const tabData = {};
+        FieldSchema.TABS.forEach(tab => { tabData[tab] = {}; });
+
+        const tabFields = [];
+        Object.values(this.fields).forEach(field => {
+            if (!field.tab || !tabData[field.tab]) return;
+            if (field.type === 'tab') {
+                tabFields.push(field);
+            } else if (Object.prototype.hasOwnProperty.call(formData, field.name)) {
+                tabData[field.tab][field.name] = formData[field.name];
+            }
+        });
+
+        // Whole-tab objects win over the individual copies; older saves may use the tab name as the key
+        tabFields.forEach(field => {
+            const nested = formData[field.name] || formData[field.tab];
+            if (nested && typeof nested === 'object') {
+                tabData[field.tab] = { ...tabData[field.tab], ...nested };
+            }
+        });
+
+        return tabData;
+    }
+
+    // ==================== VALIDATION ====================
+
+    /**
+     * Validate a single value against a field definition
+     * @param {Object} field - Normalized field (or repeater item) definition
+     * @param {*} value - Value to check
+     * @param {Object} options - { skipRequired: true } when the component already checks required
+     * @returns {boolean|string} True if valid, otherwise an error message
+     */
+    validateValue(field, value, options = {}) {
+        if (FieldSchema.isBlank(value)) {
+            return field.required && !options.skipRequired ? `${field.label} is required` : true;
+        }
+
+        if (field.type === 'repeater') {
+            const rows = Array.isArray(value) ? value : [];
+            if (field.minItems && rows.length < field.minItems) {
+                return `${field.label} needs at least ${field.minItems} ${field.minItems === 1 ? 'entry' : 'entries'}`;
+            }
+            for (let i = 0; i < rows.length; i++) {
+                for (const item of Object.values(field.items || {})) {
+                    const result = this.validateValue(item, rows[i] ? rows[i][item.name] : undefined);
+                    if (result !== true) return `${field.label} row ${i + 1}: ${result}`;
+                }
+            }
+            return true;
+        }
+
+        // Object fields (e.g. classification of work) validate each property listed in items
+        if (field.items && typeof value === 'object' && !Array.isArray(value)) {
+            for (const item of Object.values(field.items)) {
+                const result = this.validateValue(item, value[item.name]);
+                if (result !== true) return result;
+            }
+            return true;
+        }
+
+        if (typeof value !== 'string') return true;
+
+        const text = field.type === 'richText' ? FieldSchema.toPlainText(value).trim() : value.trim();
+
+        if (field.type === 'email' && !FieldSchema.EMAIL_PATTERN.test(text)) {
+            return `${field.label} must be a valid email address`;
+        }
+        if (field.minLength !== undefined && text.length < field.minLength) {
+            return `${field.label} must be at least ${field.minLength} characters`;
+        }
+        if (field.maxLength !== undefined && text.length > field.maxLength) {
+            return `${field.label} must be ${field.maxLength} characters or less`;
+        }
+        if (field.pattern && !new RegExp(field.pattern).test(text)) {
+            return field.patternMessage || `${field.label} is not in the expected format`;
+        }
+
+        return true;
+    }
+
+    /**
+     * Validate flat form data against every field
+     * @param {Object} formData - Flat form data
+     * @returns {Array<Object>} Errors as { name, tab, label, message }
+     */
+    validate(formData) {
+        const errors = [];
+        Object.values(this.fields).forEach(field => {
+            const result = this.validateValue(field, formData[field.name]);
+            if (result !== true) {
+                errors.push({ name: field.name, tab: field.tab, label: field.label, message: result });
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Validate one tab's data
+     * @param {string} tab - Tab name
+     * @param {Object} tabData - Data from TabsManager.getAllData()
+     * @returns {Array<string>} Error messages
+     */
+    validateTab(tab, tabData) {
+        return this.getFieldsForTab(tab)
+            .filter(field => field.type !== 'tab')
+            .map(field => this.validateValue(field, this.getTabValue(tabData, field)))
+            .filter(result => result !== true);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FieldSchema;
+}
@@ -0,0 +1,325 @@
+/**
+ * Autosave Manager
+ *
+ * Opt-in encrypted autosave for the draft that is open (saved or loaded this session),
+ * so a crashed or closed tab doesn't lose the work done since the last manual save.
+ *
+ * - Turned on and off from the storage menu; the choice is remembered in this browser.
+ * - When a draft is unlocked, a key is derived from its phrase once and kept in memory
+ *   (SecureStorage.createSessionKey). Edits (the tabs' `formchange` events) are then
+ *   re-encrypted with that key once the user pauses, without asking for the phrase again.
+ * - The autosave is stored next to the draft (SecureStorage.saveDraftAutosave) and never
+ *   replaces it. A manual save discards it.
+ * - Loading a draft whose autosave is newer than its last manual save offers to restore it.
+ * - The floating storage button shows when the draft was last saved or autosaved.
+ *
+ * Dependencies:
+ * - secure-storage.js (SecureStorage)
+ * - modal.js (Modal component)
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class AutosaveManager {
+    /**
+     * @param {DocumentGenerator} documentGenerator - Reference to the main document generator instance
+     */
+    constructor(documentGenerator) {
+        this.documentGenerator = documentGenerator;
+        this.secureStorage = documentGenerator.secureStorage;
+        this.enabled = localStorage.getItem(AutosaveManager.PREFERENCE_KEY) === 'true';
+        this.session = null; // { draftId, key, salt } for the unlocked draft while autosave is on
+        this.savedJson = null; // Form data as last saved or autosaved, to skip saves without changes
+        this.lastSaved = null; // { timestamp, isAutosave } shown on the floating storage button
+        this.debounceTimer = null;
+        this.debounceDelay = 3000; // Wait for a pause in editing before encrypting again
+        this.generation = 0; // Bumped to drop autosaves still being encrypted when the session changes
+    }
+
+    /**
+     * Start listening for changes
+     */
+    init() {
+        const tabsContainer = document.getElementById('documentTabs');
+        if (tabsContainer) {
+            tabsContainer.addEventListener('formchange', () => this.scheduleAutosave());
+        }
+
+        // Write pending edits right away when the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    /**
+     * Whether autosave is turned on (it only runs while a draft is unlocked)
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Turn autosave on or off
+     * @returns {Promise<void>} Resolves once the session key is ready
+     */
+    async toggle() {
+        this.enabled = !this.enabled;
+        localStorage.setItem(AutosaveManager.PREFERENCE_KEY, String(this.enabled));
+
+        const storageDataManager = this.documentGenerator.storageDataManager;
+        const activeDraft = storageDataManager?.getActiveDraft();
+
+        if (!this.enabled) {
+            this.cancel();
+            this.session = null;
+            showSuccess('Autosave turned off. Use "Update Draft" to save your changes.');
+        } else if (activeDraft && storageDataManager.sessionPassphrase) {
+            await this.startSession(activeDraft.id, storageDataManager.sessionPassphrase);
+            this.scheduleAutosave(); // Pick up edits made since the last save
+            showSuccess(`Autosave turned on. Changes to "${activeDraft.name}" are saved automatically.`);
+        } else {
+            showSuccess('Autosave turned on. It starts once you save or load a draft.');
+        }
+
+        this.documentGenerator.storageUIManager?.refreshStorageUI();
+    }
+
+    /**
+     * Called after a draft was saved or loaded with its phrase
+     * @param {Object} draft - Draft metadata
+     * @param {string} userPhrase - Phrase the draft is encrypted with
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.recovered] - Whether the form shows the draft's autosave instead of the draft
+     * @returns {Promise<void>} Resolves once the session key is ready
+     */
+    async handleDraftUnlocked(draft, userPhrase, options = {}) {
+        // The form now shows what is stored
+        this.savedJson = JSON.stringify(this.documentGenerator.collectFormData());
+        this.lastSaved = options.recovered
+            ? { timestamp: draft.autosavedAt, isAutosave: true }
+            : { timestamp: draft.modifiedAt, isAutosave: false };
+        this.updateIndicator();
+
+        await this.startSession(draft.id, userPhrase);
+    }
+
+    /**
+     * Derive the session key for a draft (only while autosave is on)
+     * @param {string} draftId - Draft ID
+     * @param {string} userPhrase - Phrase the draft is encrypted with
+     * @returns {Promise<void>}
+     */
+    async startSession(draftId, userPhrase) {
+        this.cancel();
+        this.session = null;
+
+        if (!this.enabled) return;
+
+        const generation = this.generation;
+        const sessionKey = await this.secureStorage.createSessionKey(userPhrase);
+
+        // Another draft may have been unlocked while the key was derived
+        if (generation === this.generation) {
+            this.session = { draftId, ...sessionKey };
+        }
+    }
+
+    /**
+     * Stop autosaving (the open draft was deleted, cleared, locked or replaced by an import)
+     */
+    endSession() {
+        this.cancel();
+        this.session = null;
+        this.savedJson = null;
+        this.lastSaved = null;
+        this.updateIndicator();
+    }
+
+    /**
+     * Autosave once changes stop coming in
+     */
+    scheduleAutosave() {
+        if (!this.session) return;
+
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.autosave(), this.debounceDelay);
+    }
+
+    /**
+     * Autosave now if a save is pending
+     * @returns {Promise<boolean>} True if an autosave was stored
+     */
+    async flush() {
+        if (this.debounceTimer) {
+            return this.autosave();
+        }
+        return false;
+    }
+
+    /**
+     * Whether the form differs from what was last saved or autosaved
+     * @returns {boolean} False when no draft is open
+     */
+    hasUnsavedChanges() {
+        return this.savedJson !== null && JSON.stringify(this.documentGenerator.collectFormData()) !== this.savedJson;
+    }
+
+    /**
+     * Drop a pending autosave, including one that is still being encrypted
+     */
+    cancel() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = null;
+        this.generation++;
+    }
+
+    /**
+     * Encrypt the form with the session key and store it next to the draft
+     * @returns {Promise<boolean>} True if an autosave was stored
+     */
+    async autosave() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = null;
+
+        const session = this.session;
+        if (!session) return false;
+
+        const formData = this.documentGenerator.collectFormData();
+        const json = JSON.stringify(formData);
+        if (json === this.savedJson) return false;
+
+        const generation = this.generation;
+        try {
+            const encryptedData = await this.secureStorage.encryptToBytes(formData, session);
+
+            // A manual save or another draft took over while encrypting
+            if (generation !== this.generation) return false;
+
+            const timestamp = await this.secureStorage.saveDraftAutosave(session.draftId, encryptedData);
+            if (!timestamp) {
+                this.updateIndicator('Autosave failed');
+                return false;
+            }
+
+            this.savedJson = json;
+            this.lastSaved = { timestamp, isAutosave: true };
+            this.updateIndicator();
+            return true;
+        } catch (error) {
+            console.error('Autosave error:', error);
+            if (this.secureStorage.isQuotaError(error)) {
+                this.updateIndicator('Autosave failed: storage full');
+                showError(error.message, { duration: 10 });
+            } else {
+                this.updateIndicator('Autosave failed');
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Offer to restore a draft's autosave when it is newer than the draft's last manual save
+     * @param {Object} draft - Draft metadata
+     * @param {string} userPhrase - Phrase the draft is encrypted with
+     * @returns {Promise<Object|null>} Autosaved form data to show instead of the draft, or null
+     */
+    async offerRecovery(draft, userPhrase) {
+        if (!this.secureStorage.hasNewerAutosave(draft.id)) return null;
+
+        const formData = await this.secureStorage.loadDraftAutosave(draft.id, userPhrase);
+        if (!formData) return null;
+
+        const modal = new Modal({
+            title: 'Recover Unsaved Changes?',
+            content: `
+                <p>"${this.escapeHtml(draft.name)}" was autosaved on ${this.escapeHtml(this.formatDateTime(draft.autosavedAt))},
+                after it was last saved on ${this.escapeHtml(this.formatDateTime(draft.modifiedAt))}.</p>
+                <p>Restore the autosaved version to continue where you left off, or open the last saved version
+                and discard the autosave.</p>
+            `,
+            size: 'medium',
+            buttons: [
+                { text: 'Open Last Saved', action: 'discard', variant: 'secondary' },
+                { text: 'Restore Autosave', action: 'restore', variant: 'primary' }
+            ]
+        });
+
+        const result = await modal.show();
+        if (result === 'restore') return formData;
+
+        // Closing the prompt keeps the autosave for next time
+        if (result === 'discard') {
+            await this.secureStorage.deleteDraftAutosave(draft.id);
+        }
+        return null;
+    }
+
+    /**
+     * Show the last saved time on the floating storage button
+     * @param {string} [message] - Text to show instead (e.g. an error)
+     */
+    updateIndicator(message) {
+        const floatingButton = this.documentGenerator.storageUIManager?.getFloatingButton();
+        if (!floatingButton) return;
+
+        if (message) {
+            floatingButton.setStatus(message, true);
+        } else if (this.lastSaved) {
+            const verb = this.lastSaved.isAutosave ? 'Autosaved' : 'Saved';
+            floatingButton.setStatus(`${verb} ${this.formatTime(this.lastSaved.timestamp)}`);
+        } else {
+            floatingButton.setStatus('');
+        }
+    }
+
+    /**
+     * Format a timestamp as a time of day (today's saves) or date and time
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} Formatted time
+     */
+    formatTime(timestamp) {
+        const date = new Date(timestamp);
+        if (date.toDateString() !== new Date().toDateString()) {
+            return this.formatDateTime(timestamp);
+        }
+        return date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    }
+
+    /**
+     * Format a timestamp for display
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} Formatted date and time
+     */
+    formatDateTime(timestamp) {
+        return new Date(timestamp).toLocaleString([], {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// localStorage key remembering whether autosave is turned on
+AutosaveManager.PREFERENCE_KEY = 'autosaveEnabled';
+
+// Export for use in other modules
+window.AutosaveManager = AutosaveManager;
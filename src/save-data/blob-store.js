@@ -0,0 +1,138 @@
+/**
+ * Blob Store - IndexedDB storage for encrypted draft data
+ *
+ * A small promise wrapper around one IndexedDB object store. Values are stored with
+ * the structured clone algorithm, so encrypted bytes (Uint8Array) are kept as binary
+ * instead of base64 text, and the browser's much larger IndexedDB quota applies
+ * instead of the ~5 MB localStorage limit.
+ *
+ * Used by SecureStorage for each draft's encrypted data, version history and autosave.
+ * The unencrypted draft index stays in localStorage so drafts can be listed synchronously.
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class BlobStore {
+    static DB_NAME = 'generateFilesModel';
+    static DB_VERSION = 1;
+    static STORE_NAME = 'encryptedData';
+
+    constructor() {
+        this.dbPromise = null; // Opened on first use
+    }
+
+    /**
+     * Whether this browser has IndexedDB
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating the object store the first time
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.isSupported()) {
+                    reject(new Error('This browser does not support IndexedDB, so drafts cannot be saved.'));
+                    return;
+                }
+
+                const request = indexedDB.open(BlobStore.DB_NAME, BlobStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(BlobStore.STORE_NAME);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('The draft database is open in an older tab. Close other tabs of this page and try again.'));
+            });
+
+            // Let a failed open be retried later
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in its own transaction.
+     * Resolves once the transaction commits, so a write is on disk before the caller moves on.
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+     * @returns {Promise<*>} The request's result
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(BlobStore.STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(BlobStore.STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            // Quota errors surface here as a QuotaExceededError on the aborted transaction
+            transaction.onabort = () => reject(transaction.error || request.error);
+            transaction.onerror = () => reject(transaction.error || request.error);
+        });
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} Stored value, or null if there is none
+     */
+    async get(key) {
+        const value = await this.run('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {*} value - Uint8Array or a plain object containing them
+     * @returns {Promise<void>}
+     * @throws {DOMException} QuotaExceededError when the browser refuses more data
+     */
+    async put(key, value) {
+        await this.run('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * Delete a value (deleting a missing key is not an error)
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Ask the browser how much storage this site uses and may use.
+     * The quota is shared by everything the site stores (IndexedDB, localStorage, caches).
+     * @returns {Promise<Object|null>} { usage, quota } in bytes, or null if the browser can't tell
+     */
+    static async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return typeof quota === 'number' ? { usage: usage || 0, quota } : null;
+        } catch (error) {
+            console.error('Failed to estimate storage usage:', error);
+            return null;
+        }
+    }
+}
+
+// Export for use in other modules
+window.BlobStore = BlobStore;
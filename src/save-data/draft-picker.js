@@ -0,0 +1,228 @@
+/**
+ * Draft Picker Component
+ *
+ * Modal listing every saved draft with its unencrypted metadata (name, job title,
+ * company, last modified, expiration, encryption settings), how much of the browser's
+ * storage is in use, and per-draft actions:
+ * - Load (asks for the draft's phrase)
+ * - Rename
+ * - Duplicate
+ * - Renew (restarts the draft's expiry period)
+ * - Delete
+ *
+ * Dependencies:
+ * - modal.js (Modal component)
+ * - storage-data-manager.js (performs the actual draft operations)
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class DraftPicker {
+    /**
+     * @param {DocumentGenerator} documentGenerator - Reference to the main document generator instance
+     */
+    constructor(documentGenerator) {
+        this.documentGenerator = documentGenerator;
+        this.modal = null;
+    }
+
+    /**
+     * Show the draft picker
+     * @returns {Promise<void>} Resolves once the picker (and any chosen action) is done
+     */
+    async show() {
+        const dataManager = this.documentGenerator.storageDataManager;
+        if (!dataManager) {
+            showError('Storage system not initialized. Please try again.');
+            return;
+        }
+
+        const drafts = dataManager.getDrafts();
+        if (drafts.length === 0) {
+            showWarning('No saved drafts found.');
+            return;
+        }
+
+        let selected = null;
+        const estimate = await this.documentGenerator.secureStorage.getStorageEstimate();
+
+        this.modal = new Modal({
+            title: 'Saved Drafts',
+            content: this.createContent(drafts, dataManager.activeDraftId, estimate),
+            size: 'large',
+            className: 'draft-picker-modal',
+            buttons: [
+                { text: 'Close', action: 'close', variant: 'secondary' }
+            ],
+            onShow: (modal) => {
+                modal.body.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-draft-action]');
+                    if (!button) return;
+
+                    selected = {
+                        action: button.dataset.draftAction,
+                        draftId: button.dataset.draftId
+                    };
+                    modal.hide();
+                });
+            }
+        });
+
+        await this.modal.show();
+
+        if (selected) {
+            await this.runAction(selected.action, selected.draftId);
+        }
+    }
+
+    /**
+     * Run a draft action chosen in the picker.
+     * Rename, duplicate, renew and delete re-open the picker so several drafts can be managed in a row.
+     * @param {string} action - 'load', 'rename', 'duplicate', 'renew' or 'delete'
+     * @param {string} draftId - Draft ID
+     */
+    async runAction(action, draftId) {
+        const dataManager = this.documentGenerator.storageDataManager;
+
+        switch (action) {
+            case 'load':
+                await dataManager.handleLoadData(draftId);
+                return;
+            case 'rename':
+                await dataManager.handleRenameDraft(draftId);
+                break;
+            case 'duplicate':
+                await dataManager.handleDuplicateDraft(draftId);
+                break;
+            case 'renew':
+                dataManager.handleRenewDraft(draftId);
+                break;
+            case 'delete':
+                await dataManager.handleDeleteDraft(draftId);
+                break;
+        }
+
+        if (dataManager.hasStoredData()) {
+            await this.show();
+        }
+    }
+
+    /**
+     * Create the picker body HTML
+     * @param {Array<Object>} drafts - Draft metadata, most recent first
+     * @param {string|null} activeDraftId - ID of the unlocked draft, if any
+     * @param {Object|null} [estimate] - Storage usage from SecureStorage.getStorageEstimate()
+     * @returns {string} HTML content
+     */
+    createContent(drafts, activeDraftId, estimate = null) {
+        const rows = drafts.map(draft => this.createDraftRow(draft, draft.id === activeDraftId)).join('');
+
+        return `
+            <p>Choose a draft to load or manage. Each draft is encrypted with the phrase it was saved with.</p>
+            ${estimate ? this.createStorageUsage(estimate) : ''}
+            <ul class="draft-list">${rows}</ul>
+        `;
+    }
+
+    /**
+     * Create the storage usage bar
+     * @param {Object} estimate - { usage, quota } in bytes
+     * @returns {string} HTML for the usage bar
+     */
+    createStorageUsage(estimate) {
+        const secureStorage = this.documentGenerator.secureStorage;
+        const percent = estimate.quota > 0 ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 100;
+        const available = Math.max(0, estimate.quota - estimate.usage);
+
+        return `
+            <div class="storage-usage ${percent >= 80 ? 'high' : ''}">
+                <div class="storage-usage-bar" role="progressbar" aria-label="Browser storage used"
+                    aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(percent)}">
+                    <div class="storage-usage-fill" style="width: ${percent.toFixed(1)}%"></div>
+                </div>
+                <div class="storage-usage-text">
+                    Storage: ${secureStorage.formatBytes(estimate.usage)} used &middot;
+                    ${secureStorage.formatBytes(available)} available in this browser
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create a single draft row
+     * @param {Object} draft - Draft metadata
+     * @param {boolean} isActive - Whether this draft is currently unlocked
+     * @returns {string} HTML for the row
+     */
+    createDraftRow(draft, isActive) {
+        const secureStorage = this.documentGenerator.secureStorage;
+        const expiryDays = secureStorage.getDraftExpiryDays(draft);
+        const expiringSoon = secureStorage.isDraftExpiringSoon(draft);
+        const encryption = secureStorage.getDraftEncryption(draft);
+        const details = [draft.jobTitle, draft.companyName].filter(Boolean).map(text => this.escapeHtml(text)).join(' &middot; ');
+        const id = this.escapeHtml(draft.id);
+
+        return `
+            <li class="draft-item ${isActive ? 'active' : ''}">
+                <div class="draft-info">
+                    <div class="draft-name">
+                        ${this.escapeHtml(draft.name)}
+                        ${isActive ? '<span class="draft-badge">Open</span>' : ''}
+                        ${draft.hasRecoveryKey ? '<span class="draft-badge recovery" title="Can also be unlocked with its recovery key">Recovery key</span>' : ''}
+                    </div>
+                    ${details ? `<div class="draft-details">${details}</div>` : ''}
+                    <div class="draft-meta">
+                        Last modified ${this.formatDateTime(draft.modifiedAt)} &middot;
+                        <span class="draft-expiry ${expiringSoon ? 'expiring' : ''}">${secureStorage.formatExpiry(draft)}</span>
+                    </div>
+                    <div class="draft-meta draft-encryption ${secureStorage.isOutdatedEncryption(encryption) ? 'outdated' : ''}">
+                        Encrypted with ${this.escapeHtml(secureStorage.formatEncryptionSettings(encryption))}
+                        ${secureStorage.isOutdatedEncryption(encryption) ? '&middot; older settings, upgraded next time it is loaded' : ''}
+                    </div>
+                </div>
+                <div class="draft-actions">
+                    <button type="button" class="btn btn-primary btn-small" data-draft-action="load" data-draft-id="${id}">Load</button>
+                    <button type="button" class="btn btn-secondary btn-small" data-draft-action="rename" data-draft-id="${id}">Rename</button>
+                    <button type="button" class="btn btn-secondary btn-small" data-draft-action="duplicate" data-draft-id="${id}">Duplicate</button>
+                    ${expiryDays > 0 ? `<button type="button" class="btn btn-secondary btn-small" data-draft-action="renew" data-draft-id="${id}"
+                        title="Renew for another ${this.escapeHtml(secureStorage.getExpiryLabel(expiryDays))}">Renew</button>` : ''}
+                    <button type="button" class="btn btn-error btn-small" data-draft-action="delete" data-draft-id="${id}">Delete</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Format a timestamp for display
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} Formatted date and time
+     */
+    formatDateTime(timestamp) {
+        return new Date(timestamp).toLocaleString([], {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+window.DraftPicker = DraftPicker;
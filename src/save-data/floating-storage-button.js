@@ -2,8 +2,14 @@
  * Floating Storage Button Component
  *
  * A specialized floating button component for storage operations that provides:
- * - Single button mode for initial save operations
- * - Dropdown mode for load/update/clear operations
+ * - Save mode (no drafts yet) with "Save for Later" as the main action
+ * - Dropdown mode for load/update/save-as-new/manage/clear operations on saved drafts
+ * - Encrypted project file (.jda) export/import in both modes
+ * - Saving the current job as a reusable job profile in both modes
+ * - The version history (undo/redo timeline) in both modes
+ * - Comparing two job analyses (drafts, project files or the form) in a PDF report
+ * - Turning autosave on and off, with a "last saved" line under the button
+ * - Choosing how long the open draft stays unlocked without activity (auto-lock)
  * - State-aware UI that adapts based on stored data availability
  *
  * Dependencies:
@@ -45,6 +51,7 @@ class FloatingStorageButton {
                     <span class="storage-text">Remember Info</span>
                 </button>
             </div>
+            <div class="storage-status" hidden></div>
         `;
 
         document.body.appendChild(this.container);
@@ -53,6 +60,18 @@ class FloatingStorageButton {
         this.icon = this.container.querySelector('.storage-icon');
         this.text = this.container.querySelector('.storage-text');
         this.content = this.container.querySelector('.storage-button-content');
+        this.status = this.container.querySelector('.storage-status');
+    }
+
+    /**
+     * Show a short status line under the button (e.g. when the draft was last saved)
+     * @param {string} text - Status text, or '' to hide the line
+     * @param {boolean} [isError] - Show the text as a problem
+     */
+    setStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.hidden = !text;
+        this.status.classList.toggle('error', isError);
     }
 
     updateButtonState() {
@@ -69,45 +88,81 @@ class FloatingStorageButton {
     }
 
     createSingleButtonMode() {
-        // Remove dropdown if it exists
-        if (this.dropdown) {
-            this.dropdown = null;
-        }
+        // No drafts saved yet - saving is the main action, project files are in the menu
+        this.renderDropdown([
+            { text: '💾 Save for Later', action: 'save_new' },
+            this.getAutosaveItem(),
+            this.getAutoLockItem(),
+            { text: '🧩 Save as Job Profile', action: 'save_profile' },
+            { text: '🕘 Version History', action: 'history' },
+            { text: '⚖️ Compare Job Analyses', action: 'compare' },
+            { text: '📤 Export Project File', action: 'export' },
+            { text: '📂 Import Project File', action: 'import' }
+        ]);
+    }
 
-        // Reset to single button
-        this.content.innerHTML = `
-            <button class="storage-btn single-mode" type="button">
-                <span class="storage-icon">💾</span>
-                <span class="storage-text">Save for Later</span>
-            </button>
-        `;
+    createDropdownMode() {
+        // Create different dropdown items based on unlocked state
+        const dropdownItems = this.isUnlocked ? [
+            // When unlocked (user has saved or loaded a draft this session)
+            { text: '💾 Update Draft', action: 'save' },
+            { text: '➕ Save as New Draft', action: 'save_new' },
+            this.getAutosaveItem(),
+            this.getAutoLockItem(),
+            { text: '🗂️ Manage Drafts', action: 'manage' },
+            { text: '🧩 Save as Job Profile', action: 'save_profile' },
+            { text: '🕘 Version History', action: 'history' },
+            { text: '⚖️ Compare Job Analyses', action: 'compare' },
+            { text: '📤 Export Project File', action: 'export' },
+            { text: '📂 Import Project File', action: 'import' },
+            { text: '🗑️ Clear All Drafts', action: 'clear' }
+        ] : [
+            // When locked (user hasn't loaded a draft yet)
+            { text: '📥 Load Saved Draft', action: 'load' },
+            { text: '➕ Save as New Draft', action: 'save_new' },
+            this.getAutosaveItem(),
+            this.getAutoLockItem(),
+            { text: '🗂️ Manage Drafts', action: 'manage' },
+            { text: '🧩 Save as Job Profile', action: 'save_profile' },
+            { text: '🕘 Version History', action: 'history' },
+            { text: '⚖️ Compare Job Analyses', action: 'compare' },
+            { text: '📤 Export Project File', action: 'export' },
+            { text: '📂 Import Project File', action: 'import' },
+            { text: '🗑️ Clear All Drafts', action: 'clear' }
+        ];
 
-        this.button = this.content.querySelector('.storage-btn');
+        this.renderDropdown(dropdownItems);
+    }
 
-        // Add click handler
-        this.button.addEventListener('click', () => {
-            this.documentGenerator.handleSaveData();
-        });
+    /**
+     * Menu item turning autosave on or off
+     * @returns {Object} Dropdown item
+     */
+    getAutosaveItem() {
+        const enabled = this.documentGenerator.autosaveManager?.isEnabled();
+        return { text: enabled ? '⏱️ Turn Off Autosave' : '⏱️ Turn On Autosave', action: 'autosave' };
     }
 
-    createDropdownMode() {
+    /**
+     * Menu item choosing the inactivity timeout
+     * @returns {Object} Dropdown item
+     */
+    getAutoLockItem() {
+        const label = this.documentGenerator.inactivityLock?.getLabel() || 'Off';
+        return { text: `🔒 Auto-Lock: ${label}`, action: 'auto_lock' };
+    }
+
+    /**
+     * Render the split-button dropdown. The first item is the main button's action.
+     * @param {Array<Object>} dropdownItems - Items ({text, action})
+     */
+    renderDropdown(dropdownItems) {
         this.content.innerHTML = '<div class="storage-dropdown"></div>';
         const dropdownContainer = this.content.querySelector('.storage-dropdown');
 
-        // Create different dropdown items based on unlocked state - always just 2 options
-        const dropdownItems = this.isUnlocked ? [
-            // When unlocked (user has successfully loaded data)
-            { text: '💾 Update Data', action: 'save' },
-            { text: '🗑️ Clear Saved Data', action: 'clear' }
-        ] : [
-            // When locked (user hasn't loaded data yet)
-            { text: '📥 Load Saved Data', action: 'load' },
-            { text: '🗑️ Clear Saved Data', action: 'clear' }
-        ];
-
-        // Determine default action based on unlocked state
-        const defaultAction = this.isUnlocked ? '💾 Update Data' : '📥 Load Saved Data';
+        // Determine default action
         const defaultIndex = 0; // Always default to first option
+        const defaultAction = dropdownItems[defaultIndex].text;
 
         this.dropdown = new Dropdown(dropdownContainer, {
             items: dropdownItems,
@@ -115,33 +170,10 @@ class FloatingStorageButton {
             splitButton: true, // Enable split-button mode
             onDefaultAction: () => {
                 // Handle the default action when main button is clicked
-                const defaultItem = dropdownItems[defaultIndex];
-                switch (defaultItem.action) {
-                    case 'load':
-                        this.documentGenerator.handleLoadData();
-                        break;
-                    case 'save':
-                        // This only happens when unlocked - updates the existing save with the same passphrase
-                        this.documentGenerator.handleSaveData(true);
-                        break;
-                    case 'clear':
-                        this.documentGenerator.handleClearData();
-                        break;
-                }
+                this.handleAction(dropdownItems[defaultIndex].action);
             },
             onSelect: (item) => {
-                switch (item.action) {
-                    case 'load':
-                        this.documentGenerator.handleLoadData();
-                        break;
-                    case 'save':
-                        // This only happens when unlocked - updates the existing save with the same passphrase
-                        this.documentGenerator.handleSaveData(true);
-                        break;
-                    case 'clear':
-                        this.documentGenerator.handleClearData();
-                        break;
-                }
+                this.handleAction(item.action);
             }
         });
 
@@ -150,8 +182,6 @@ class FloatingStorageButton {
 
         // Apply unlocked styling if data is unlocked
         const trigger = dropdownContainer.querySelector('.dropdown-trigger');
-        const mainButton = dropdownContainer.querySelector('.dropdown-main-button');
-        const arrowButton = dropdownContainer.querySelector('.dropdown-arrow-button');
 
         if (this.isUnlocked) {
             trigger.classList.add('unlocked');
@@ -159,6 +189,56 @@ class FloatingStorageButton {
             trigger.classList.remove('unlocked');
         }
 
+        // Show which draft is open on hover
+        const activeDraft = this.documentGenerator.storageDataManager?.getActiveDraft();
+        trigger.title = this.isUnlocked && activeDraft ? `Open draft: ${activeDraft.name}` : '';
+    }
+
+    /**
+     * Run a dropdown action
+     * @param {string} action - 'load', 'save', 'save_new', 'autosave', 'auto_lock', 'manage', 'save_profile', 'history', 'compare', 'export', 'import' or 'clear'
+     */
+    handleAction(action) {
+        switch (action) {
+            case 'load':
+                // Loads the only draft directly, or opens the draft picker when there are several
+                this.documentGenerator.handleLoadData();
+                break;
+            case 'save':
+                // This only happens when unlocked - updates the open draft with the same passphrase
+                this.documentGenerator.handleSaveData(true);
+                break;
+            case 'save_new':
+                this.documentGenerator.handleSaveData(false);
+                break;
+            case 'autosave':
+                this.documentGenerator.autosaveManager?.toggle();
+                break;
+            case 'auto_lock':
+                this.documentGenerator.inactivityLock?.configure();
+                break;
+            case 'manage':
+                this.documentGenerator.storageUIManager?.showDraftPicker();
+                break;
+            case 'save_profile':
+                this.documentGenerator.handleSaveProfile();
+                break;
+            case 'history':
+                this.documentGenerator.formHistory?.showTimeline();
+                break;
+            case 'compare':
+                this.documentGenerator.jobComparisonManager?.show();
+                break;
+            case 'export':
+                this.documentGenerator.handleExportData();
+                break;
+            case 'import':
+                this.documentGenerator.handleImportData();
+                break;
+            case 'clear':
+                this.documentGenerator.handleClearData();
+                break;
+        }
     }
 
     refresh() {
@@ -182,7 +262,7 @@ class FloatingStorageButton {
     }
 
     /**
-     * Reset unlocked state (when data is cleared or new data is saved)
+     * Reset unlocked state (when data is cleared, new data is saved or the draft locks)
      */
     resetUnlockedState() {
         this.isUnlocked = false;
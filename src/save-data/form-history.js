@@ -0,0 +1,416 @@
+/**
+ * Form History
+ *
+ * Undo/redo and a version timeline for the whole form. The tabs wire their
+ * components' onChange callbacks to a bubbling `formchange` event
+ * (FormHistory.notifyChange(); tables dispatch it themselves); every burst of
+ * changes becomes a snapshot of the form once the user pauses.
+ *
+ * - Ctrl+Z / Cmd+Z undoes, Ctrl+Y / Ctrl+Shift+Z redoes, on any tab. While a text
+ *   field or the rich text editor has focus, the browser's own text undo is used.
+ * - The timeline lists every snapshot with what changed and can restore any of them.
+ * - Snapshots leave out uploaded images (undo never removes or restores images) and
+ *   UI state such as the open Jobs sub-section (switching sub-sections is not an edit).
+ * - Saving a draft stores the most recent snapshots encrypted next to it
+ *   (SecureStorage.saveDraftHistory), so the timeline survives a reload.
+ *
+ * Dependencies:
+ * - modal.js (Modal component)
+ * - field-schema.js (labels for the changed fields)
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class FormHistory {
+    /**
+     * @param {DocumentGenerator} documentGenerator - Reference to the main document generator instance
+     */
+    constructor(documentGenerator) {
+        this.documentGenerator = documentGenerator;
+        this.snapshots = []; // Oldest first: { id, timestamp, changes, data }
+        this.index = -1; // Snapshot the form currently shows
+        this.debounceTimer = null;
+        this.debounceDelay = 1000; // Wait for a pause in typing before taking a snapshot
+        this.isRestoring = false;
+        this.modal = null;
+    }
+
+    /**
+     * Let listeners (the version history and autosave) know the user changed something
+     * @param {Element|null} element - Element the change happened in; the event bubbles up to the tabs container
+     */
+    static notifyChange(element) {
+        if (element) {
+            element.dispatchEvent(new CustomEvent('formchange', { bubbles: true }));
+        }
+    }
+
+    /**
+     * Start listening for changes and take the first snapshot
+     */
+    init() {
+        const tabsContainer = document.getElementById('documentTabs');
+        if (tabsContainer) {
+            tabsContainer.addEventListener('formchange', () => this.scheduleSnapshot());
+        }
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Let the tabs finish filling in their defaults (e.g. the default breaks) first
+        setTimeout(() => this.reset(), 0);
+    }
+
+    /**
+     * Forget all snapshots and start again from the current form
+     */
+    reset() {
+        clearTimeout(this.debounceTimer);
+        this.snapshots = [];
+        this.index = -1;
+        this.takeSnapshot();
+    }
+
+    /**
+     * Take a snapshot once changes stop coming in
+     */
+    scheduleSnapshot() {
+        if (this.isRestoring) return;
+
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.takeSnapshot(), this.debounceDelay);
+    }
+
+    /**
+     * Take a snapshot now if the form differs from the current snapshot.
+     * Snapshots after the current one (the redo steps) are discarded.
+     * @returns {boolean} True if a snapshot was added
+     */
+    takeSnapshot() {
+        clearTimeout(this.debounceTimer);
+
+        const data = this.captureFormData();
+        const current = this.snapshots[this.index];
+        if (current && JSON.stringify(current.data) === JSON.stringify(data)) {
+            return false;
+        }
+
+        this.snapshots.splice(this.index + 1);
+        this.snapshots.push({
+            id: `${Date.now()}-${this.snapshots.length}`,
+            timestamp: Date.now(),
+            changes: current ? this.describeChanges(current.data, data) : [],
+            data: data
+        });
+
+        // Drop the oldest snapshots beyond the limit
+        if (this.snapshots.length > FormHistory.MAX_SNAPSHOTS) {
+            this.snapshots.splice(0, this.snapshots.length - FormHistory.MAX_SNAPSHOTS);
+        }
+        this.index = this.snapshots.length - 1;
+
+        return true;
+    }
+
+    /**
+     * Collect the form data kept in snapshots: everything except uploaded images and
+     * UI state (e.g. the open Jobs sub-section), so moving around the form isn't an edit
+     * @returns {Object} Flat form data
+     */
+    captureFormData() {
+        const formData = JSON.parse(JSON.stringify(this.documentGenerator.collectFormData()));
+        const schema = this.documentGenerator.fieldSchema;
+        schema.getFieldNames().forEach(name => {
+            const type = schema.get(name).type;
+            if (type === 'images') {
+                delete formData[name];
+            } else if (type === 'tab' && formData[name]) {
+                FormHistory.UI_STATE_FIELDS.forEach(key => delete formData[name][key]);
+            }
+        });
+        return formData;
+    }
+
+    /**
+     * Labels of the fields that differ between two snapshots
+     * @param {Object} before - Earlier form data
+     * @param {Object} after - Later form data
+     * @returns {Array<string>} Field labels
+     */
+    describeChanges(before, after) {
+        const schema = this.documentGenerator.fieldSchema;
+        return schema.getFieldNames()
+            .filter(name => schema.get(name).type !== 'tab') // Whole-tab copies repeat their fields
+            .filter(name => JSON.stringify(before[name]) !== JSON.stringify(after[name]))
+            .map(name => schema.getLabel(name));
+    }
+
+    /**
+     * Whether there is a snapshot to go back to
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.index > 0;
+    }
+
+    /**
+     * Whether there is a snapshot to go forward to
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.index < this.snapshots.length - 1;
+    }
+
+    /**
+     * Go back one snapshot. Unsaved edits since the last snapshot are kept as a snapshot first.
+     * @returns {boolean} True if the form changed
+     */
+    undo() {
+        this.takeSnapshot();
+        if (!this.canUndo()) return false;
+
+        const undone = this.snapshots[this.index];
+        this.restore(this.index - 1);
+        this.announce(`Undid ${this.formatChanges(undone.changes)}`);
+        return true;
+    }
+
+    /**
+     * Go forward one snapshot
+     * @returns {boolean} True if the form changed
+     */
+    redo() {
+        // Edits made after an undo replace the redo steps
+        if (this.takeSnapshot() || !this.canRedo()) return false;
+
+        this.restore(this.index + 1);
+        this.announce(`Redid ${this.formatChanges(this.snapshots[this.index].changes)}`);
+        return true;
+    }
+
+    /**
+     * Put the form back to a snapshot. Later snapshots stay available for redo.
+     * @param {number} index - Snapshot index
+     */
+    restore(index) {
+        const snapshot = this.snapshots[index];
+        if (!snapshot) return;
+
+        clearTimeout(this.debounceTimer);
+        this.isRestoring = true;
+
+        try {
+            const tabsManager = this.documentGenerator.tabsManager;
+            tabsManager.setAllData(this.documentGenerator.fieldSchema.splitByTab(snapshot.data));
+            this.index = index;
+
+            // Components may normalize what they were given; compare later edits with what they show.
+            // A field that didn't take its snapshot value keeps the requested data, so the
+            // snapshot isn't lost from the timeline.
+            const restored = this.captureFormData();
+            const mismatched = this.describeChanges(snapshot.data, restored);
+            if (mismatched.length === 0) {
+                snapshot.data = restored;
+            } else {
+                console.warn(`FormHistory: Restoring did not fully apply to ${mismatched.join(', ')}`);
+            }
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+
+    /**
+     * Handle the undo/redo shortcuts
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const key = e.key.toLowerCase();
+        const isUndo = key === 'z' && !e.shiftKey;
+        const isRedo = key === 'y' || (key === 'z' && e.shiftKey);
+        if (!isUndo && !isRedo) return;
+
+        // Leave text undo to the browser (and to the rich text editor)
+        if (this.isTextEditing(e.target)) return;
+
+        e.preventDefault();
+        if (isUndo) {
+            this.undo();
+        } else {
+            this.redo();
+        }
+    }
+
+    /**
+     * Whether an element handles its own text undo
+     * @param {Element} element - Event target
+     * @returns {boolean}
+     */
+    isTextEditing(element) {
+        if (!element || !element.closest) return false;
+        if (element.closest('[contenteditable="true"], textarea')) return true;
+
+        return element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'color', 'file'].includes(element.type);
+    }
+
+    /**
+     * Show the version timeline
+     * @returns {Promise<void>} Resolves once the timeline (and any restore) is done
+     */
+    async showTimeline() {
+        this.takeSnapshot();
+
+        let selectedIndex = null;
+
+        this.modal = new Modal({
+            title: 'Version History',
+            content: this.createTimelineContent(),
+            size: 'large',
+            className: 'form-history-modal',
+            buttons: [
+                { text: 'Close', action: 'close', variant: 'secondary' }
+            ],
+            onShow: (modal) => {
+                modal.body.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-history-index]');
+                    if (!button) return;
+
+                    selectedIndex = Number(button.dataset.historyIndex);
+                    modal.hide();
+                });
+            }
+        });
+
+        await this.modal.show();
+
+        if (selectedIndex !== null && selectedIndex !== this.index) {
+            const snapshot = this.snapshots[selectedIndex];
+            this.restore(selectedIndex);
+            showSuccess(`Restored the version from ${this.formatTime(snapshot.timestamp)}. Press Ctrl+Z to go back.`);
+        }
+    }
+
+    /**
+     * Create the timeline body HTML (newest first)
+     * @returns {string} HTML content
+     */
+    createTimelineContent() {
+        const rows = this.snapshots.map((snapshot, index) => {
+            const isCurrent = index === this.index;
+            const label = index === 0 ? 'Starting point' : this.formatChanges(snapshot.changes);
+
+            return `
+                <li class="draft-item ${isCurrent ? 'active' : ''}">
+                    <div class="draft-info">
+                        <div class="draft-name">
+                            ${this.escapeHtml(this.formatTime(snapshot.timestamp))}
+                            ${isCurrent ? '<span class="draft-badge">Current</span>' : ''}
+                        </div>
+                        <div class="draft-details">${this.escapeHtml(label)}</div>
+                    </div>
+                    <div class="draft-actions">
+                        ${isCurrent ? '' : `<button type="button" class="btn btn-secondary btn-small" data-history-index="${index}">Restore</button>`}
+                    </div>
+                </li>
+            `;
+        }).reverse().join('');
+
+        return `
+            <p>Snapshots are taken automatically as you work. Restoring one keeps the newer versions, so you can
+            return to them here or with Ctrl+Y. Press Ctrl+Z / Ctrl+Y outside text fields to step back and forward.
+            Uploaded images are not part of the history.</p>
+            <ul class="draft-list">${rows}</ul>
+        `;
+    }
+
+    /**
+     * Summarize a snapshot's changed fields
+     * @param {Array<string>} changes - Field labels
+     * @returns {string} e.g. "Physical Demands, Job Title and 2 more"
+     */
+    formatChanges(changes) {
+        if (!changes || changes.length === 0) return 'changes';
+        if (changes.length <= 2) return changes.join(', ');
+        return `${changes.slice(0, 2).join(', ')} and ${changes.length - 2} more`;
+    }
+
+    /**
+     * Show a short confirmation after undo/redo
+     * @param {string} message - Message to show
+     */
+    announce(message) {
+        showSuccess(message, { duration: 2 });
+    }
+
+    /**
+     * Get the snapshots to save with a draft: the most recent ones up to the current snapshot
+     * @returns {Object} { snapshots, index }
+     */
+    getSavedHistory() {
+        this.takeSnapshot();
+
+        const snapshots = this.snapshots
+            .slice(0, this.index + 1)
+            .slice(-FormHistory.SAVED_SNAPSHOTS);
+        return { snapshots, index: snapshots.length - 1 };
+    }
+
+    /**
+     * Continue from a saved history (after the draft it belongs to was loaded)
+     * @param {Object|null} history - Result of getSavedHistory(), or null to start fresh
+     */
+    setSavedHistory(history) {
+        clearTimeout(this.debounceTimer);
+
+        if (!history || !Array.isArray(history.snapshots) || history.snapshots.length === 0) {
+            this.reset();
+            return;
+        }
+
+        this.snapshots = history.snapshots;
+        this.index = Math.min(history.index, this.snapshots.length - 1);
+
+        // The loaded form becomes the current snapshot if it differs from the saved one
+        this.takeSnapshot();
+    }
+
+    /**
+     * Format a timestamp for display
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} Formatted date and time
+     */
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleString([], {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Snapshots kept in memory, and saved with a draft
+FormHistory.MAX_SNAPSHOTS = 50;
+FormHistory.SAVED_SNAPSHOTS = 20;
+// Whole-tab keys that only record where the user is in the form
+FormHistory.UI_STATE_FIELDS = ['activeSection'];
+
+// Export for use in other modules
+window.FormHistory = FormHistory;
@@ -0,0 +1,285 @@
+/**
+ * Inactivity Lock
+ *
+ * Locks the open draft after a period without mouse, keyboard or touch input, so a
+ * draft left open on a shared computer doesn't stay unlocked indefinitely.
+ *
+ * - The timeout is chosen from the storage menu and remembered in this browser (or turned off).
+ * - A warning alert counts down the last minute; any activity cancels it.
+ * - Locking writes a pending autosave, then forgets the session passphrase and the
+ *   autosave key, and returns the floating storage button to locked mode.
+ * - The user is then asked whether to clear the form, so the job's information
+ *   doesn't stay on screen.
+ *
+ * Idle time is measured from timestamps rather than by counting timer ticks, so a
+ * tab that was in the background (where browsers slow timers down) still locks on time.
+ *
+ * Dependencies:
+ * - alert.js (showWarning, updateAlert, dismissAlert)
+ * - modal.js (Modal component)
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class InactivityLock {
+    /**
+     * @param {DocumentGenerator} documentGenerator - Reference to the main document generator instance
+     */
+    constructor(documentGenerator) {
+        this.documentGenerator = documentGenerator;
+        this.timeoutMinutes = this.loadTimeout();
+        this.warningSeconds = 60; // Countdown shown before locking
+        this.lastActivity = Date.now();
+        this.timer = null; // Runs only while a draft is unlocked
+        this.warningAlertId = null;
+        this.handleActivity = this.handleActivity.bind(this);
+    }
+
+    /**
+     * Start listening for activity
+     */
+    init() {
+        InactivityLock.ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, this.handleActivity, { capture: true, passive: true });
+        });
+
+        // Lock right away if the timeout passed while the tab was hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.check();
+        });
+    }
+
+    /**
+     * Read the saved timeout
+     * @returns {number} Minutes of inactivity before locking (0 = never)
+     */
+    loadTimeout() {
+        const saved = localStorage.getItem(InactivityLock.PREFERENCE_KEY);
+        const minutes = saved === null ? InactivityLock.DEFAULT_MINUTES : parseInt(saved, 10);
+        return InactivityLock.TIMEOUT_OPTIONS.includes(minutes) ? minutes : InactivityLock.DEFAULT_MINUTES;
+    }
+
+    /**
+     * Whether drafts lock automatically
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.timeoutMinutes > 0;
+    }
+
+    /**
+     * Describe the current timeout for the storage menu
+     * @returns {string} e.g. "15 min" or "Off"
+     */
+    getLabel() {
+        return this.isEnabled() ? `${this.timeoutMinutes} min` : 'Off';
+    }
+
+    /**
+     * Start timing inactivity (called when a draft is saved or loaded with its phrase)
+     */
+    start() {
+        this.lastActivity = Date.now();
+        this.hideWarning();
+
+        if (!this.isEnabled() || this.timer) return;
+        this.timer = setInterval(() => this.check(), 1000);
+    }
+
+    /**
+     * Stop timing (the draft was locked, deleted or cleared)
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.hideWarning();
+    }
+
+    /**
+     * Record user activity and cancel a running countdown
+     */
+    handleActivity() {
+        this.lastActivity = Date.now();
+        if (this.warningAlertId) {
+            this.hideWarning();
+        }
+    }
+
+    /**
+     * Lock, warn or do nothing depending on how long the user has been idle
+     */
+    check() {
+        if (!this.timer) return;
+
+        // The session may have ended without stop() (e.g. the open draft was deleted)
+        if (!this.documentGenerator.storageDataManager?.sessionPassphrase) {
+            this.stop();
+            return;
+        }
+
+        const remaining = this.timeoutMinutes * 60 * 1000 - (Date.now() - this.lastActivity);
+        if (remaining <= 0) {
+            this.lock();
+        } else if (remaining <= this.warningSeconds * 1000) {
+            this.showWarning(Math.ceil(remaining / 1000));
+        }
+    }
+
+    /**
+     * Show or update the countdown alert
+     * @param {number} seconds - Seconds until the draft locks
+     */
+    showWarning(seconds) {
+        const draft = this.documentGenerator.storageDataManager?.getActiveDraft();
+        const name = draft ? `"${draft.name}"` : 'Your draft';
+        const message = `${name} will lock in ${seconds} ${seconds === 1 ? 'second' : 'seconds'} because of inactivity. ` +
+            'Move the mouse or press a key to keep working.';
+
+        if (!this.warningAlertId || !updateAlert(this.warningAlertId, message)) {
+            this.warningAlertId = showWarning(message, { autoDisappear: false });
+        }
+    }
+
+    /**
+     * Remove the countdown alert
+     */
+    hideWarning() {
+        if (this.warningAlertId) {
+            dismissAlert(this.warningAlertId);
+            this.warningAlertId = null;
+        }
+    }
+
+    /**
+     * Lock the open draft: forget its passphrase and autosave key, then ask whether to clear the form
+     * @returns {Promise<void>}
+     */
+    async lock() {
+        const storageDataManager = this.documentGenerator.storageDataManager;
+        const autosaveManager = this.documentGenerator.autosaveManager;
+        const draft = storageDataManager.getActiveDraft();
+        this.stop();
+
+        // Store edits that were waiting to be autosaved before the key is discarded
+        if (autosaveManager) {
+            await autosaveManager.flush();
+        }
+        const hasUnsavedChanges = autosaveManager ? autosaveManager.hasUnsavedChanges() : true;
+        autosaveManager?.endSession();
+
+        storageDataManager.sessionPassphrase = null;
+        storageDataManager.activeDraftId = null;
+        this.documentGenerator.storageUIManager?.handleStorageOperation('lock', true);
+
+        await this.promptToClearForm(draft, hasUnsavedChanges);
+    }
+
+    /**
+     * Ask whether to clear the form after locking
+     * @param {Object|null} draft - Draft that was locked
+     * @param {boolean} hasUnsavedChanges - Whether the form has changes that aren't stored
+     * @returns {Promise<void>}
+     */
+    async promptToClearForm(draft, hasUnsavedChanges) {
+        const name = draft ? `"${this.escapeHtml(draft.name)}"` : 'Your draft';
+        const unsavedNotice = hasUnsavedChanges
+            ? `<p><strong>The form has changes that weren't saved.</strong> Clearing the form discards them;
+               keep the form and use "Save as New Draft" to save them.</p>`
+            : '';
+
+        const modal = new Modal({
+            title: 'Draft Locked',
+            content: `
+                <p>${name} was locked after ${this.timeoutMinutes} minutes of inactivity.
+                Load it again with its phrase to keep updating it.</p>
+                ${unsavedNotice}
+                <p>Clear the form so this job's information is no longer shown on screen?</p>
+            `,
+            size: 'medium',
+            buttons: [
+                { text: 'Keep Form', action: 'keep', variant: 'secondary' },
+                { text: 'Clear Form', action: 'clear', variant: 'warning' }
+            ]
+        });
+
+        if (await modal.show() === 'clear') {
+            // Reloading also drops the version history and uploaded images held in memory
+            window.location.reload();
+        }
+    }
+
+    /**
+     * Let the user choose the inactivity timeout
+     * @returns {Promise<void>}
+     */
+    async configure() {
+        const options = InactivityLock.TIMEOUT_OPTIONS.map(minutes => `
+            <option value="${minutes}" ${minutes === this.timeoutMinutes ? 'selected' : ''}>
+                ${minutes === 0 ? 'Never' : `After ${minutes} minutes`}
+            </option>
+        `).join('');
+
+        const modal = new Modal({
+            title: 'Auto-Lock',
+            content: `
+                <p>Lock the open draft when this browser has had no mouse, keyboard or touch input for a while.
+                A countdown is shown during the last minute.</p>
+                <div class="form-group">
+                    <label for="autoLockMinutes">Lock the open draft:</label>
+                    <select id="autoLockMinutes">${options}</select>
+                </div>
+            `,
+            size: 'small',
+            buttons: [
+                { text: 'Cancel', action: 'cancel', variant: 'secondary' },
+                { text: 'Save', action: 'confirm', variant: 'primary' }
+            ]
+        });
+
+        const result = await modal.show();
+        if (result !== 'confirm') return;
+
+        this.timeoutMinutes = parseInt(modal.modal.querySelector('#autoLockMinutes').value, 10);
+        localStorage.setItem(InactivityLock.PREFERENCE_KEY, String(this.timeoutMinutes));
+
+        // Apply the new timeout to a draft that is open now
+        this.stop();
+        if (this.isEnabled()) {
+            if (this.documentGenerator.storageDataManager?.sessionPassphrase) {
+                this.start();
+            }
+            showSuccess(`Open drafts now lock after ${this.timeoutMinutes} minutes of inactivity.`);
+        } else {
+            showSuccess('Auto-lock turned off. Open drafts stay unlocked until you close the tab.');
+        }
+
+        this.documentGenerator.storageUIManager?.refreshStorageUI();
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// localStorage key remembering the chosen timeout
+InactivityLock.PREFERENCE_KEY = 'autoLockMinutes';
+// Timeouts offered in the storage menu (0 = never lock)
+InactivityLock.TIMEOUT_OPTIONS = [0, 5, 10, 15, 30, 60];
+InactivityLock.DEFAULT_MINUTES = 15;
+// Input that counts as activity
+InactivityLock.ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'];
+
+// Export for use in other modules
+window.InactivityLock = InactivityLock;
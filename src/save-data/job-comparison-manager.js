@@ -0,0 +1,251 @@
+/**
+ * Job Comparison Manager
+ *
+ * Handles the "Compare Job Analyses" workflow: the user picks two analyses of the
+ * same position (the current form, saved drafts or .jda project files), they are
+ * decrypted without touching the form, and a "Job Demands Comparison" PDF is
+ * downloaded (ComparisonReportGenerator).
+ *
+ * Dependencies:
+ * - job-comparison.js (JobComparison)
+ * - comparison-report.js (ComparisonReportGenerator)
+ * - storage-data-manager.js (drafts, project files and phrase prompts)
+ * - modal.js (Modal component)
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class JobComparisonManager {
+    /**
+     * @param {DocumentGenerator} documentGenerator - Reference to the main document generator instance
+     */
+    constructor(documentGenerator) {
+        this.documentGenerator = documentGenerator;
+        this.modal = null;
+    }
+
+    /**
+     * Show the comparison picker and download the report
+     * @returns {Promise<boolean>} True if a report was downloaded
+     */
+    async show() {
+        const storageDataManager = this.documentGenerator.storageDataManager;
+        if (!storageDataManager) {
+            showError('Storage system not initialized. Please try again.');
+            return false;
+        }
+
+        const drafts = storageDataManager.getDrafts();
+
+        this.modal = new Modal({
+            title: 'Compare Job Analyses',
+            content: this.createPickerContent(drafts),
+            size: 'medium',
+            className: 'job-comparison-modal',
+            buttons: [
+                { text: 'Cancel', action: 'cancel', variant: 'secondary' },
+                {
+                    text: 'Create Report',
+                    action: 'compare',
+                    variant: 'primary',
+                    handler: (modal) => this.validateSelection(modal)
+                }
+            ],
+            onShow: (modal) => {
+                ['before', 'after'].forEach(side => {
+                    const select = modal.modal.querySelector(`#comparison-${side}`);
+                    const fileInput = modal.modal.querySelector(`#comparison-${side}-file`);
+                    select.addEventListener('change', () => {
+                        fileInput.hidden = select.value !== 'file';
+                    });
+                });
+            }
+        });
+
+        const result = await this.modal.show();
+        if (result !== 'compare') return false;
+
+        const selection = ['before', 'after'].map(side => ({
+            value: this.modal.modal.querySelector(`#comparison-${side}`).value,
+            file: this.modal.modal.querySelector(`#comparison-${side}-file`).files?.[0] || null
+        }));
+
+        return await this.compare(selection[0], selection[1]);
+    }
+
+    /**
+     * Create the picker body HTML
+     * @param {Array<Object>} drafts - Saved draft metadata
+     * @returns {string} HTML content
+     */
+    createPickerContent(drafts) {
+        const options = selected => [
+            `<option value="current" ${selected === 'current' ? 'selected' : ''}>Current form</option>`,
+            ...drafts.map(draft => `
+                <option value="draft:${this.escapeHtml(draft.id)}" ${selected === draft.id ? 'selected' : ''}>
+                    Draft: ${this.escapeHtml(draft.name)}
+                </option>
+            `),
+            '<option value="file">Project file (.jda)…</option>'
+        ].join('');
+
+        // Compare the most recent draft with the form by default
+        const defaultBefore = drafts.length > 0 ? drafts[0].id : 'file';
+
+        const side = (name, label, selected) => `
+            <div class="form-group">
+                <label for="comparison-${name}">${label}</label>
+                <select id="comparison-${name}">${options(selected)}</select>
+                <input type="file" id="comparison-${name}-file" accept="${ProjectFile.EXTENSION}" ${selected === 'file' ? '' : 'hidden'}>
+            </div>
+        `;
+
+        return `
+            <p>Pick two analyses of the same position, for example before and after an ergonomic intervention.
+            The report lists every demand, classification and function side by side and highlights what
+            increased or decreased. The form is not changed.</p>
+            <div class="comparison-sources">
+                ${side('before', 'Before (earlier analysis):', defaultBefore)}
+                ${side('after', 'After (later analysis):', 'current')}
+            </div>
+            <div id="comparisonError" class="error" style="display: none;"></div>
+        `;
+    }
+
+    /**
+     * Keep the picker open until two analyses are chosen
+     * @param {Modal} modal - Picker modal
+     * @returns {boolean} True if the selection is complete
+     */
+    validateSelection(modal) {
+        const error = modal.modal.querySelector('#comparisonError');
+        const values = ['before', 'after'].map(side => modal.modal.querySelector(`#comparison-${side}`).value);
+        const missingFile = ['before', 'after'].some(side =>
+            modal.modal.querySelector(`#comparison-${side}`).value === 'file' &&
+            !modal.modal.querySelector(`#comparison-${side}-file`).files?.length);
+
+        let message = '';
+        if (values[0] === values[1] && values[0] !== 'file') {
+            message = 'Choose two different analyses to compare.';
+        } else if (missingFile) {
+            message = 'Choose the project file to compare.';
+        }
+
+        error.textContent = message;
+        error.style.display = message ? 'block' : 'none';
+        return !message;
+    }
+
+    /**
+     * Load both analyses, compare them and download the report
+     * @param {Object} before - { value, file } picked for the earlier analysis
+     * @param {Object} after - { value, file } picked for the later analysis
+     * @returns {Promise<boolean>} True if a report was downloaded
+     */
+    async compare(before, after) {
+        let beforeSource;
+        let afterSource;
+        try {
+            beforeSource = await this.loadSource(before);
+            if (!beforeSource) return false;
+
+            afterSource = await this.loadSource(after);
+            if (!afterSource) return false;
+        } catch (error) {
+            console.error('Comparison load error:', error);
+            showError(error.message);
+            return false;
+        }
+
+        try {
+            const comparison = JobComparison.compare(beforeSource, afterSource, this.documentGenerator.fieldSchema);
+            const doc = new ComparisonReportGenerator().generate(comparison);
+
+            const jobTitle = afterSource.data.jobTitle || beforeSource.data.jobTitle || 'JDA Report';
+            this.documentGenerator.storageDataManager.downloadFile(
+                doc.output('blob'),
+                `${jobTitle} - Job Demands Comparison - ${new Date().toLocaleDateString()}.pdf`
+            );
+
+            const { increased, decreased } = comparison.counts;
+            showSuccess(`Comparison report created: ${increased} demand${increased === 1 ? '' : 's'} increased, ${decreased} decreased.`);
+            return true;
+        } catch (error) {
+            console.error('Comparison report error:', error);
+            showError('Failed to create the comparison report. Please try again.');
+            return false;
+        }
+    }
+
+    /**
+     * Get the form data of a picked analysis
+     * @param {Object} source - { value, file }: 'current', 'draft:<id>' or 'file'
+     * @returns {Promise<Object|null>} { label, data }, or null if the phrase prompt was cancelled
+     * @throws {Error} If the analysis can't be read or decrypted
+     */
+    async loadSource(source) {
+        const storageDataManager = this.documentGenerator.storageDataManager;
+
+        if (source.value === 'current') {
+            return { label: 'Current form', data: this.documentGenerator.collectFormData() };
+        }
+
+        if (source.value === 'file') {
+            const envelope = await storageDataManager.projectFile.readEnvelope(source.file);
+
+            const userPhrase = await storageDataManager.promptForPhrase('compare', { fileName: source.file.name });
+            if (!userPhrase) return null;
+
+            try {
+                const data = await storageDataManager.projectFile.decryptEnvelope(envelope, userPhrase);
+                return { label: `Project file "${source.file.name}"`, data };
+            } catch (error) {
+                console.error('Comparison decrypt error:', error);
+                throw new Error(`Failed to open "${source.file.name}". Please check your phrase and try again.`);
+            }
+        }
+
+        const draftId = source.value.slice('draft:'.length);
+        const draft = this.documentGenerator.secureStorage.getDraft(draftId);
+        if (!draft) {
+            throw new Error('That draft no longer exists.');
+        }
+
+        // The open draft is already unlocked
+        const userPhrase = draftId === storageDataManager.activeDraftId && storageDataManager.sessionPassphrase
+            ? storageDataManager.sessionPassphrase
+            : await storageDataManager.promptForPhrase('compare', { draftName: draft.name });
+        if (!userPhrase) return null;
+
+        let data;
+        try {
+            data = await this.documentGenerator.secureStorage.loadDraft(draftId, userPhrase);
+        } catch (error) {
+            console.error('Comparison decrypt error:', error);
+        }
+        if (!data) {
+            throw new Error(`Failed to open draft "${draft.name}". Please check your phrase and try again.`);
+        }
+
+        return { label: `Draft "${draft.name}"`, data };
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+window.JobComparisonManager = JobComparisonManager;
@@ -0,0 +1,188 @@
+/**
+ * Job Comparison
+ *
+ * Compares two complete job analyses of the same position, for example before and
+ * after an ergonomic intervention: every demand table row (answer and comment), the
+ * classification of work and the essential/marginal function lists.
+ *
+ * Answers are compared by their position in the table's columns, which run from the
+ * least to the most demanding (Not Applicable → Occasional → Frequent → Constant; a
+ * checked "Required" is more demanding than an unchecked one). Demand levels are
+ * compared by their order in DemandLevelSelector. That makes every change an increase
+ * or a decrease, except answers that were added to or removed from a blank row.
+ *
+ * The result feeds ComparisonReportGenerator (the "Job Demands Comparison" PDF).
+ *
+ * Dependencies:
+ * - demand-catalog.js (DemandCatalog, for demand table rows and columns)
+ * - demand-level-selector.js (DemandLevelSelector, for the order of demand levels)
+ * - job-profile-diff.js (JobProfileDiff, for answer and level names)
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class JobComparison {
+    /**
+     * Compare two job analyses
+     * @param {Object} before - Earlier analysis: { label, data } (data is flat form data)
+     * @param {Object} after - Later analysis: { label, data }
+     * @param {FieldSchema} fieldSchema - Field schema (labels and repeater items)
+     * @returns {Object} { before, after, demandTables, classification, functions, counts }
+     */
+    static compare(before, after, fieldSchema) {
+        const demandTables = DemandCatalog.getKeys().map(key =>
+            JobComparison.compareDemandTable(key, before.data[key] || {}, after.data[key] || {}));
+
+        const classification = JobComparison.compareClassification(
+            before.data.classificationOfWork || {},
+            after.data.classificationOfWork || {},
+            fieldSchema
+        );
+
+        const functions = JobComparison.FUNCTION_FIELDS.flatMap(name =>
+            JobComparison.compareFunctions(fieldSchema.get(name), before.data[name] || [], after.data[name] || []));
+
+        const rows = demandTables.flatMap(table => table.rows).filter(row => !row.category);
+        const counts = {
+            increased: rows.filter(row => row.change === 'increased').length,
+            decreased: rows.filter(row => row.change === 'decreased').length,
+            changed: rows.filter(row => row.change === 'changed' || (row.change === 'unchanged' && row.commentChanged)).length,
+            functionsAdded: functions.filter(entry => entry.change === 'added').length,
+            functionsRemoved: functions.filter(entry => entry.change === 'removed').length
+        };
+
+        return { before, after, demandTables, classification, functions, counts };
+    }
+
+    /**
+     * Compare a demand table row by row
+     * @param {string} key - Demand table key in DemandCatalog
+     * @param {Object} before - Earlier table data ({ rowIndex: { colIndex: value } })
+     * @param {Object} after - Later table data
+     * @returns {Object} { key, title, answered, rows } where rows are { category } group headings
+     *     or { label, before, after, change, beforeComment, afterComment, commentChanged }
+     */
+    static compareDemandTable(key, before, after) {
+        const commentIndex = DemandCatalog.getCommentIndex(key);
+
+        const rows = DemandCatalog.getDisplayRows(key).map(row => {
+            if (row.category) return { category: row.category };
+
+            const beforeComment = JobProfileDiff.toText(before[row.index]?.[commentIndex]);
+            const afterComment = JobProfileDiff.toText(after[row.index]?.[commentIndex]);
+
+            return {
+                label: row.label,
+                before: JobProfileDiff.describeAnswer(key, before[row.index]),
+                after: JobProfileDiff.describeAnswer(key, after[row.index]),
+                change: JobComparison.getChange(
+                    JobComparison.answerRank(key, before[row.index]),
+                    JobComparison.answerRank(key, after[row.index])
+                ),
+                beforeComment,
+                afterComment,
+                commentChanged: beforeComment !== afterComment
+            };
+        });
+
+        return {
+            key,
+            title: DemandCatalog.get(key).title,
+            answered: rows.some(row => !row.category && (row.before || row.after || row.beforeComment || row.afterComment)),
+            rows
+        };
+    }
+
+    /**
+     * How demanding a row's answer is
+     * @param {string} key - Demand table key in DemandCatalog
+     * @param {Object} rowData - Row data ({ colIndex: value })
+     * @returns {number|null} Column position of a single-choice answer (null when unanswered),
+     *     or the number of checked columns in a multiple-choice table
+     */
+    static answerRank(key, rowData) {
+        const section = DemandCatalog.get(key);
+        const checked = section.columns
+            .map((column, colIndex) => colIndex)
+            .filter(colIndex => rowData?.[colIndex] === true);
+
+        if (section.selectionMode === 'multiple') return checked.length;
+        return checked.length > 0 ? checked[0] : null;
+    }
+
+    /**
+     * Direction of a change between two ranks
+     * @param {number|null} before - Earlier rank (null when unanswered)
+     * @param {number|null} after - Later rank
+     * @returns {string} 'increased', 'decreased', 'changed' (answered or cleared) or 'unchanged'
+     */
+    static getChange(before, after) {
+        if (before === after) return 'unchanged';
+        if (before === null || after === null) return 'changed';
+        return after > before ? 'increased' : 'decreased';
+    }
+
+    /**
+     * Compare the physical and cognitive demand levels
+     * @param {Object} before - Earlier classification ({ physicalLevel, cognitiveLevel })
+     * @param {Object} after - Later classification
+     * @param {FieldSchema} fieldSchema - Field schema (item labels)
+     * @returns {Array<Object>} { label, before, after, change } per level
+     */
+    static compareClassification(before, after, fieldSchema) {
+        const items = fieldSchema.get('classificationOfWork')?.items || {};
+        const levels = {
+            physicalLevel: DemandLevelSelector.PHYSICAL_LEVELS,
+            cognitiveLevel: DemandLevelSelector.COGNITIVE_LEVELS
+        };
+
+        return Object.entries(levels).map(([name, scale]) => {
+            const rank = value => {
+                const index = scale.findIndex(level => level.value === value);
+                return index === -1 ? null : index;
+            };
+
+            return {
+                label: items[name]?.label || FieldSchema.humanize(name),
+                before: JobProfileDiff.levelName(before[name]),
+                after: JobProfileDiff.levelName(after[name]),
+                change: JobComparison.getChange(rank(before[name]), rank(after[name]))
+            };
+        });
+    }
+
+    /**
+     * Compare a function list. Functions are matched by their text, so a reworded
+     * function shows as one removed and one added.
+     * @param {Object} field - Repeater field definition
+     * @param {Array<Object>} before - Earlier rows
+     * @param {Array<Object>} after - Later rows
+     * @returns {Array<Object>} { list, text, change } with change 'unchanged', 'added' or 'removed'
+     */
+    static compareFunctions(field, before, after) {
+        const describe = row => Object.keys(field?.items || {})
+            .map(name => JobProfileDiff.toText(row?.[name]))
+            .filter(Boolean)
+            .join(' - ');
+
+        const beforeRows = before.map(describe).filter(Boolean);
+        const afterRows = after.map(describe).filter(Boolean);
+        const list = field?.label || '';
+
+        return [
+            ...afterRows.map(text => ({ list, text, change: beforeRows.includes(text) ? 'unchanged' : 'added' })),
+            ...beforeRows.filter(text => !afterRows.includes(text)).map(text => ({ list, text, change: 'removed' }))
+        ];
+    }
+}
+
+// Repeater fields compared as function lists
+JobComparison.FUNCTION_FIELDS = ['essentialFunctions', 'marginalFunctions'];
+
+// Export for use in other modules
+window.JobComparison = JobComparison;
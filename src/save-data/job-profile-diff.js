@@ -0,0 +1,190 @@
+/**
+ * Job Profile Diff
+ *
+ * Lists what changed between the job profile a report was started from and
+ * the report's current data, in words an analyst can review: a demand table
+ * row whose answer moved from Occasional to Frequent, an essential function that
+ * was added, a reworded job purpose, a different demand level.
+ *
+ * Dependencies:
+ * - field-schema.js (FieldSchema, for labels and field types)
+ * - demand-catalog.js (DemandCatalog, for demand table rows and columns)
+ * - demand-level-selector.js (DemandLevelSelector, for level names)
+ * - job-profiles.js (JobProfiles, for the list of profile fields)
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class JobProfileDiff {
+    /**
+     * Compare profile data with the current data
+     * @param {Object} profileData - Data saved in the profile
+     * @param {Object} currentData - Current data (JobProfiles.extractProfileData())
+     * @param {FieldSchema} fieldSchema - Field schema
+     * @returns {Array<Object>} Changes as { field, section, item, before, after }
+     */
+    static compare(profileData, currentData, fieldSchema) {
+        const changes = [];
+
+        JobProfiles.getProfileFields(fieldSchema).forEach(field => {
+            const before = profileData?.[field.name];
+            const after = currentData?.[field.name];
+            if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+            JobProfileDiff.compareField(field, before, after).forEach(change => {
+                changes.push({ field: field.name, section: field.label, ...change });
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Compare one field
+     * @param {Object} field - Normalized field definition
+     * @param {*} before - Profile value
+     * @param {*} after - Current value
+     * @returns {Array<Object>} Changes as { item, before, after }
+     */
+    static compareField(field, before, after) {
+        if (DemandCatalog.get(field.name)) {
+            return JobProfileDiff.compareDemandTable(field.name, before || {}, after || {});
+        }
+
+        switch (field.type) {
+            case 'repeater':
+                return JobProfileDiff.compareRepeater(field, before || [], after || []);
+            case 'classification':
+            case 'workSchedule':
+                return JobProfileDiff.compareObject(field, before || {}, after || {});
+            default: {
+                const beforeText = JobProfileDiff.toText(before);
+                const afterText = JobProfileDiff.toText(after);
+                return beforeText === afterText ? [] : [{ item: '', before: beforeText, after: afterText }];
+            }
+        }
+    }
+
+    /**
+     * Compare a demand table row by row (answer and comment)
+     * @param {string} key - Demand table key in DemandCatalog
+     * @param {Object} before - Profile table data
+     * @param {Object} after - Current table data
+     * @returns {Array<Object>} Changes
+     */
+    static compareDemandTable(key, before, after) {
+        const changes = [];
+        const commentIndex = DemandCatalog.getCommentIndex(key);
+        let category = null;
+
+        DemandCatalog.getDisplayRows(key).forEach(row => {
+            if (row.category) {
+                category = row.category;
+                return;
+            }
+
+            const item = category ? `${category} › ${row.label}` : row.label;
+            const beforeAnswer = JobProfileDiff.describeAnswer(key, before[row.index]);
+            const afterAnswer = JobProfileDiff.describeAnswer(key, after[row.index]);
+            if (beforeAnswer !== afterAnswer) {
+                changes.push({ item, before: beforeAnswer, after: afterAnswer });
+            }
+
+            const beforeComment = JobProfileDiff.toText(before[row.index]?.[commentIndex]);
+            const afterComment = JobProfileDiff.toText(after[row.index]?.[commentIndex]);
+            if (beforeComment !== afterComment) {
+                changes.push({ item: `${item} (comment)`, before: beforeComment, after: afterComment });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Names of the checked answer columns of a demand table row
+     * @param {string} key - Demand table key in DemandCatalog
+     * @param {Object} rowData - Row data ({ colIndex: value })
+     * @returns {string} e.g. "Frequent", or "" when unanswered
+     */
+    static describeAnswer(key, rowData) {
+        return DemandCatalog.get(key).columns
+            .filter((column, colIndex) => rowData?.[colIndex] === true)
+            .map(column => column.lines[0])
+            .join(', ');
+    }
+
+    /**
+     * Compare repeater rows as a list: rows only in the profile were removed,
+     * rows only in the report were added (reordering is not a change)
+     * @param {Object} field - Repeater field definition
+     * @param {Array<Object>} before - Profile rows
+     * @param {Array<Object>} after - Current rows
+     * @returns {Array<Object>} Changes
+     */
+    static compareRepeater(field, before, after) {
+        const describe = row => Object.keys(field.items || {})
+            .map(name => JobProfileDiff.toText(row?.[name]))
+            .filter(Boolean)
+            .join(' - ');
+
+        const beforeRows = before.map(describe).filter(Boolean);
+        const afterRows = after.map(describe).filter(Boolean);
+
+        return [
+            ...beforeRows.filter(row => !afterRows.includes(row)).map(row => ({ item: 'Removed', before: row, after: '' })),
+            ...afterRows.filter(row => !beforeRows.includes(row)).map(row => ({ item: 'Added', before: '', after: row }))
+        ];
+    }
+
+    /**
+     * Compare an object field property by property
+     * @param {Object} field - Field definition (items give property labels)
+     * @param {Object} before - Profile value
+     * @param {Object} after - Current value
+     * @returns {Array<Object>} Changes
+     */
+    static compareObject(field, before, after) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        const format = field.type === 'classification' ? JobProfileDiff.levelName : JobProfileDiff.toText;
+
+        return keys
+            .map(key => ({
+                item: field.items?.[key]?.label || FieldSchema.humanize(key),
+                before: format(before[key]),
+                after: format(after[key])
+            }))
+            .filter(change => change.before !== change.after);
+    }
+
+    /**
+     * Readable text for a value (HTML stripped)
+     * @param {*} value - Value to describe
+     * @returns {string} Text, or "" for blank values
+     */
+    static toText(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return String(value);
+        if (typeof value !== 'string') return JSON.stringify(value);
+
+        return FieldSchema.toPlainText(value).trim();
+    }
+
+    /**
+     * Name of a physical or cognitive demand level value
+     * @param {string} value - Level value (e.g. 'very_heavy')
+     * @returns {string} Level name (e.g. "Very Heavy"), or "" when none is selected
+     */
+    static levelName(value) {
+        const level = [...DemandLevelSelector.PHYSICAL_LEVELS, ...DemandLevelSelector.COGNITIVE_LEVELS]
+            .find(entry => entry.value === value);
+        return level ? level.level : JobProfileDiff.toText(value);
+    }
+}
+
+// Export for use in other modules
+window.JobProfileDiff = JobProfileDiff;
@@ -0,0 +1,322 @@
+/**
+ * Job Profile Manager
+ *
+ * Handles the job profile workflow for the Document Generator:
+ * - Save the current job (demographics, demands and classification) as a profile
+ * - Pick a profile to start a report from (fills the Overview and Demands tabs)
+ * - Delete profiles
+ * - Show what the report changed compared with the profile it started from
+ *
+ * The report keeps a snapshot of the profile it started from in the `jobProfile`
+ * field (Intro tab), so the comparison still works after the report is saved and
+ * loaded again, even if the profile itself was changed or deleted since.
+ *
+ * Dependencies:
+ * - job-profiles.js (JobProfiles)
+ * - job-profile-diff.js (JobProfileDiff)
+ * - modal.js (Modal component)
+ * - phrase-modal.js (security phrase prompt)
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class JobProfileManager {
+    /**
+     * @param {DocumentGenerator} documentGenerator - Reference to the main document generator instance
+     */
+    constructor(documentGenerator) {
+        this.documentGenerator = documentGenerator;
+        this.jobProfiles = new JobProfiles(documentGenerator.secureStorage);
+        this.modal = null;
+    }
+
+    /**
+     * Get the profile fields of the current form
+     * @returns {Object} Profile data
+     */
+    getCurrentProfileData() {
+        this.documentGenerator.collectFormData();
+        return JobProfiles.extractProfileData(this.documentGenerator.formData, this.documentGenerator.fieldSchema);
+    }
+
+    /**
+     * Handle saving the current job as a profile
+     * @returns {Promise<boolean>} Success status of the save operation
+     */
+    async handleSaveProfile() {
+        const profileData = this.getCurrentProfileData();
+
+        // A profile is only worth reusing once the job itself is complete
+        const errors = this.documentGenerator.fieldSchema.validate(profileData)
+            .filter(error => JobProfiles.TABS.includes(error.tab));
+        if (errors.length > 0) {
+            showError(`Please complete the job before saving it as a profile: ${errors[0].message}`);
+            return false;
+        }
+
+        const userPhrase = await window.phraseModal.show('saveProfile', { draftName: profileData.jobTitle || '' });
+        if (!userPhrase) return false;
+
+        const name = window.phraseModal.getDraftName() || profileData.jobTitle;
+        const existing = this.jobProfiles.findByName(name);
+        if (existing && !confirm(`A job profile named "${existing.name}" already exists. Replace it?`)) {
+            return false;
+        }
+
+        let profile;
+        try {
+            profile = await this.jobProfiles.saveProfile(profileData, userPhrase, {
+                id: existing ? existing.id : null,
+                name: name
+            });
+        } catch (error) {
+            // Storage is full; the message says how much space is used and what to do about it
+            showError(this.documentGenerator.secureStorage.isQuotaError(error)
+                ? error.message
+                : 'Failed to save job profile. Please try again.', { duration: 12 });
+            return false;
+        }
+
+        if (!profile) {
+            showError('Failed to save job profile. Please try again.');
+            return false;
+        }
+
+        showSuccess(`Job profile "${profile.name}" saved! Start a new report from it on the Introduction tab.`, { duration: 8 });
+        return true;
+    }
+
+    /**
+     * Show the job profile picker
+     * @returns {Promise<void>} Resolves once the picker (and any chosen action) is done
+     */
+    async showPicker() {
+        const profiles = this.jobProfiles.listProfiles();
+        if (profiles.length === 0) {
+            showWarning('No job profiles saved yet. Use "Save as Job Profile" in the storage menu once a job is complete.', { duration: 8 });
+            return;
+        }
+
+        let selected = null;
+
+        this.modal = new Modal({
+            title: 'Job Profiles',
+            content: this.createPickerContent(profiles),
+            size: 'large',
+            className: 'job-profile-picker-modal',
+            buttons: [
+                { text: 'Close', action: 'close', variant: 'secondary' }
+            ],
+            onShow: (modal) => {
+                modal.body.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-profile-action]');
+                    if (!button) return;
+
+                    selected = {
+                        action: button.dataset.profileAction,
+                        profileId: button.dataset.profileId
+                    };
+                    modal.hide();
+                });
+            }
+        });
+
+        await this.modal.show();
+
+        if (!selected) return;
+
+        if (selected.action === 'use') {
+            await this.handleApplyProfile(selected.profileId);
+        } else if (selected.action === 'delete' && await this.handleDeleteProfile(selected.profileId)) {
+            // Re-open the picker so several profiles can be cleaned up in a row
+            await this.showPicker();
+        }
+    }
+
+    /**
+     * Create the picker body HTML
+     * @param {Array<Object>} profiles - Profile metadata
+     * @returns {string} HTML content
+     */
+    createPickerContent(profiles) {
+        const rows = profiles.map(profile => {
+            const id = this.escapeHtml(profile.id);
+            const details = profile.jobTitle && profile.jobTitle !== profile.name
+                ? `<div class="draft-details">${this.escapeHtml(profile.jobTitle)}</div>`
+                : '';
+
+            return `
+                <li class="draft-item">
+                    <div class="draft-info">
+                        <div class="draft-name">${this.escapeHtml(profile.name)}</div>
+                        ${details}
+                        <div class="draft-meta">Last updated ${this.formatDateTime(profile.modifiedAt)}</div>
+                    </div>
+                    <div class="draft-actions">
+                        <button type="button" class="btn btn-primary btn-small" data-profile-action="use" data-profile-id="${id}">Use</button>
+                        <button type="button" class="btn btn-error btn-small" data-profile-action="delete" data-profile-id="${id}">Delete</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <p>Start this report from a saved job profile. The Overview and Demands tabs are replaced with the profile's answers; company and cover page information is kept.</p>
+            <ul class="draft-list">${rows}</ul>
+        `;
+    }
+
+    /**
+     * Handle filling the form from a profile
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<boolean>} Success status of the operation
+     */
+    async handleApplyProfile(profileId) {
+        const profile = this.jobProfiles.getProfile(profileId);
+        if (!profile) {
+            showError('That job profile no longer exists.');
+            return false;
+        }
+
+        const confirmed = confirm(`Replace the Overview and Demands tabs with the job profile "${profile.name}"?`);
+        if (!confirmed) return false;
+
+        const userPhrase = await window.phraseModal.show('loadProfile', { draftName: profile.name });
+        if (!userPhrase) return false;
+
+        let profileData;
+        try {
+            profileData = await this.jobProfiles.loadProfile(profileId, userPhrase);
+        } catch (error) {
+            console.error('Job profile load error:', error);
+            showError('Failed to open job profile. Please check your phrase and try again.');
+            return false;
+        }
+
+        if (!profileData) {
+            showError('No saved information found for this job profile.');
+            return false;
+        }
+
+        const tabsManager = this.documentGenerator.tabsManager;
+        const tabData = this.documentGenerator.fieldSchema.splitByTab(profileData);
+        tabsManager.demographicsTab.setData(tabData.demographics);
+        tabsManager.jobsTab.setData(tabData.jobs);
+        tabsManager.introTab.setJobProfile({ id: profile.id, name: profile.name, data: profileData });
+        if (tabsManager.previewTab) tabsManager.previewTab.scheduleUpdate();
+
+        this.documentGenerator.validateForm();
+        showSuccess(`Started from job profile "${profile.name}". Use "Compare with Profile" on the Introduction tab to review your changes.`, { duration: 8 });
+        return true;
+    }
+
+    /**
+     * Handle deleting a profile
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<boolean>} True if the profile was deleted
+     */
+    async handleDeleteProfile(profileId) {
+        const profile = this.jobProfiles.getProfile(profileId);
+        if (!profile) return false;
+
+        const confirmed = confirm(`Are you sure you want to delete the job profile "${profile.name}"? Reports started from it keep their copy. This cannot be undone.`);
+        if (!confirmed) return false;
+
+        await this.jobProfiles.deleteProfile(profileId);
+        showSuccess(`Job profile "${profile.name}" deleted.`);
+        return true;
+    }
+
+    /**
+     * Show what changed between the report and the profile it started from
+     * @returns {Promise<void>} Resolves once the modal is closed
+     */
+    async showDiff() {
+        const jobProfile = this.documentGenerator.tabsManager?.introTab?.jobProfile;
+        if (!jobProfile) {
+            showWarning('This report was not started from a job profile.');
+            return;
+        }
+
+        const changes = JobProfileDiff.compare(jobProfile.data, this.getCurrentProfileData(), this.documentGenerator.fieldSchema);
+
+        const modal = new Modal({
+            title: `Changes from "${jobProfile.name}"`,
+            content: this.createDiffContent(changes),
+            size: 'large',
+            className: 'job-profile-diff-modal',
+            buttons: [
+                { text: 'Close', action: 'close', variant: 'secondary' }
+            ]
+        });
+
+        await modal.show();
+    }
+
+    /**
+     * Create the diff body HTML
+     * @param {Array<Object>} changes - Result of JobProfileDiff.compare()
+     * @returns {string} HTML content
+     */
+    createDiffContent(changes) {
+        if (changes.length === 0) {
+            return '<p>No changes - this report still matches the job profile.</p>';
+        }
+
+        const blank = '<span class="profile-diff-empty">(blank)</span>';
+        const rows = changes.map(change => `
+            <tr>
+                <td>${this.escapeHtml(change.section)}</td>
+                <td>${this.escapeHtml(change.item)}</td>
+                <td class="profile-diff-before">${change.before ? this.escapeHtml(change.before) : blank}</td>
+                <td class="profile-diff-after">${change.after ? this.escapeHtml(change.after) : blank}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <p>${changes.length} ${changes.length === 1 ? 'change' : 'changes'} from the job profile.</p>
+            <div class="profile-diff-scroll">
+                <table class="profile-diff-table">
+                    <thead>
+                        <tr><th>Section</th><th>Item</th><th>Profile</th><th>This Report</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Format a timestamp for display
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} Formatted date and time
+     */
+    formatDateTime(timestamp) {
+        return new Date(timestamp).toLocaleString([], {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+window.JobProfileManager = JobProfileManager;
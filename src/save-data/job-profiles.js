@@ -0,0 +1,217 @@
+/**
+ * Job Profiles Library
+ *
+ * Stores reusable job profiles for recurring positions (e.g. forklift operator,
+ * CNA, warehouse picker) so a new report can start from a completed analysis.
+ *
+ * A profile holds the fields of the demographics and jobs tabs (job title and
+ * purpose, essential/marginal functions, schedule, breaks, every demand table and
+ * the classification of work). Company and cover page information is never part
+ * of a profile, and neither are uploaded images.
+ *
+ * Profiles are kept like drafts: each one is encrypted separately with AES-GCM and
+ * stored in IndexedDB under `jobProfile:<id>` (SecureStorage.setStoredValue), and only
+ * its name, job title and timestamps are kept unencrypted in the `jobProfiles` index
+ * in localStorage. Unlike drafts, profiles do not expire.
+ *
+ * Dependencies:
+ * - secure-storage.js (SecureStorage)
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class JobProfiles {
+    /**
+     * @param {SecureStorage} secureStorage - Storage instance providing encryption and ID generation
+     */
+    constructor(secureStorage) {
+        this.secureStorage = secureStorage;
+        this.indexName = 'jobProfiles'; // Unencrypted metadata for all profiles
+        this.keyPrefix = 'jobProfile:'; // Prefix for each profile's encrypted data
+    }
+
+    /**
+     * Pick the profile fields out of flat form data
+     * @param {Object} formData - Flat form data (DocumentGenerator.collectFormData())
+     * @param {FieldSchema} fieldSchema - Field schema
+     * @returns {Object} Profile data keyed by field name
+     */
+    static extractProfileData(formData, fieldSchema) {
+        const profileData = {};
+        JobProfiles.getProfileFields(fieldSchema).forEach(field => {
+            if (formData[field.name] !== undefined) {
+                profileData[field.name] = JSON.parse(JSON.stringify(formData[field.name]));
+            }
+        });
+        return profileData;
+    }
+
+    /**
+     * Fields a profile carries: every demographics and jobs field except images
+     * and whole-tab objects (their contents are stored field by field)
+     * @param {FieldSchema} fieldSchema - Field schema
+     * @returns {Array<Object>} Normalized field definitions
+     */
+    static getProfileFields(fieldSchema) {
+        return JobProfiles.TABS
+            .flatMap(tab => fieldSchema.getFieldsForTab(tab))
+            .filter(field => field.type !== 'images' && field.type !== 'tab');
+    }
+
+    /**
+     * Get the storage key holding a profile's encrypted data
+     * @param {string} profileId - Profile ID
+     * @returns {string} Storage key
+     */
+    getStorageKey(profileId) {
+        return `${this.keyPrefix}${profileId}`;
+    }
+
+    /**
+     * Read the profile index
+     * @returns {Array<Object>} Profile metadata entries
+     */
+    getIndex() {
+        try {
+            const index = JSON.parse(localStorage.getItem(this.indexName) || '[]');
+            return Array.isArray(index) ? index : [];
+        } catch (error) {
+            console.error('Job profile index is corrupted, ignoring it:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write the profile index
+     * @param {Array<Object>} index - Profile metadata entries
+     */
+    setIndex(index) {
+        localStorage.setItem(this.indexName, JSON.stringify(index));
+    }
+
+    /**
+     * List all profiles, alphabetically by name
+     * @returns {Array<Object>} Profile metadata ({id, name, jobTitle, createdAt, modifiedAt})
+     */
+    listProfiles() {
+        return this.getIndex().sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a single profile's metadata
+     * @param {string} profileId - Profile ID
+     * @returns {Object|null} Profile metadata or null if not found
+     */
+    getProfile(profileId) {
+        return this.getIndex().find(profile => profile.id === profileId) || null;
+    }
+
+    /**
+     * Find a profile by name (case-insensitive)
+     * @param {string} name - Profile name
+     * @returns {Object|null} Profile metadata or null if not found
+     */
+    findByName(name) {
+        const wanted = (name || '').trim().toLowerCase();
+        return this.getIndex().find(profile => profile.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Save profile data. Creates a new profile unless options.id is given.
+     * @param {Object} profileData - Result of extractProfileData()
+     * @param {string} userPhrase - User phrase for encryption
+     * @param {Object} [options] - Save options
+     * @param {string} [options.id] - ID of an existing profile to overwrite
+     * @param {string} [options.name] - Profile name (defaults to the job title)
+     * @returns {Promise<Object|null>} Saved profile metadata, or null on failure
+     * @throws {Error} QuotaExceededError with a user-facing message when storage is full
+     */
+    async saveProfile(profileData, userPhrase, options = {}) {
+        try {
+            const encryptedData = await this.secureStorage.encryptToBytes(
+                profileData, await this.secureStorage.createSessionKey(userPhrase)
+            );
+            const existing = options.id ? this.getProfile(options.id) : null;
+            const now = Date.now();
+
+            const profile = {
+                id: existing ? existing.id : this.secureStorage.generateDraftId(),
+                name: (options.name || (existing && existing.name) || profileData.jobTitle || 'Untitled Profile').trim(),
+                jobTitle: profileData.jobTitle || '',
+                createdAt: existing ? existing.createdAt : now,
+                modifiedAt: now
+            };
+
+            // Store the encrypted data first so the index never points at missing data
+            await this.secureStorage.setStoredValue(this.getStorageKey(profile.id), encryptedData);
+
+            // Read the index again, since it may have changed while storing
+            const index = this.getIndex();
+            const position = index.findIndex(entry => entry.id === profile.id);
+            if (position !== -1) {
+                index[position] = profile;
+            } else {
+                index.push(profile);
+            }
+            this.setIndex(index);
+
+            return profile;
+        } catch (error) {
+            console.error('Failed to save job profile:', error);
+
+            if (this.secureStorage.isQuotaError(error)) {
+                throw await this.secureStorage.createQuotaError('this job profile');
+            }
+
+            return null;
+        }
+    }
+
+    /**
+     * Load and decrypt a profile.
+     * A profile saved with older encryption settings is re-encrypted with the current ones.
+     * @param {string} profileId - Profile ID
+     * @param {string} userPhrase - User phrase for decryption
+     * @returns {Promise<Object|null>} Profile data, or null if the profile doesn't exist
+     * @throws {Error} If the phrase is wrong or the data is corrupted
+     */
+    async loadProfile(profileId, userPhrase) {
+        const storageKey = this.getStorageKey(profileId);
+        const encryptedData = await this.secureStorage.getStoredValue(storageKey);
+        if (!encryptedData) {
+            console.error(`No encrypted data found for job profile "${profileId}"`);
+            return null;
+        }
+
+        const profileData = await this.secureStorage.decryptBytes(encryptedData, userPhrase);
+        await this.secureStorage.upgradeStoredValue(storageKey, encryptedData, profileData, userPhrase);
+
+        return profileData;
+    }
+
+    /**
+     * Delete a profile and its encrypted data
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<boolean>} True if a profile was deleted
+     */
+    async deleteProfile(profileId) {
+        const index = this.getIndex();
+        const remaining = index.filter(profile => profile.id !== profileId);
+
+        this.setIndex(remaining);
+        await this.secureStorage.deleteStoredValue(this.getStorageKey(profileId));
+
+        return remaining.length !== index.length;
+    }
+}
+
+// Tabs whose fields make up a profile (company and cover page information stays out)
+JobProfiles.TABS = ['demographics', 'jobs'];
+
+// Export for use in other modules
+window.JobProfiles = JobProfiles;
@@ -4,6 +4,10 @@
  * A reusable modal component for securely collecting user phrases for encryption/decryption.
  * Now uses the centralized Modal component for consistent styling and behavior.
  *
+ * When a new phrase is created, a strength meter estimates its entropy and suggests
+ * improvements (weak phrases are still allowed). Saving a draft can also create a
+ * recovery key, which is shown once by showRecoveryKey() to be copied or downloaded.
+ *
  * @author Austin Steil
  * @version 1.0.0
  * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
@@ -13,44 +17,222 @@
  */
 
 class PhraseModal {
+    /**
+     * Actions that create a new phrase and show the strength meter
+     */
+    static CREATE_ACTIONS = ['save', 'export', 'saveProfile', 'resetPhrase'];
+
+    /**
+     * Strength levels by estimated entropy in bits (checked from the top)
+     */
+    static STRENGTH_LEVELS = [
+        { minBits: 80, label: 'Very strong', className: 'very-strong' },
+        { minBits: 60, label: 'Strong', className: 'strong' },
+        { minBits: 36, label: 'Fair', className: 'fair' },
+        { minBits: 28, label: 'Weak', className: 'weak' },
+        { minBits: 0, label: 'Very weak', className: 'very-weak' }
+    ];
+
+    /**
+     * Passwords that guessing tools try first, whatever their length
+     */
+    static COMMON_PASSWORDS = [
+        'password', 'passw0rd', 'qwerty', 'qwertyuiop', 'asdf', 'asdfgh', 'zxcvbn', 'letmein',
+        'welcome', 'admin', 'login', 'iloveyou', 'monkey', 'dragon', 'football', 'baseball',
+        'sunshine', 'princess', 'master', 'shadow', 'secret', 'changeme', 'trustno1', 'abc123'
+    ];
+
     constructor() {
         this.modal = null;
         this.minPhraseLength = 4;
         this.currentAction = 'save';
+        this.draftName = '';
+        this.createRecoveryKey = false;
+        this.expiryDays = null;
+    }
+
+    /**
+     * Estimate a phrase's entropy from its character variety and length.
+     * Repeated characters, runs like "abc" or "321" and common passwords count for little.
+     * @param {string} phrase - Phrase to rate
+     * @returns {number} Estimated entropy in bits
+     */
+    static estimateEntropy(phrase) {
+        if (!phrase) return 0;
+
+        let poolSize = 0;
+        if (/[a-z]/.test(phrase)) poolSize += 26;
+        if (/[A-Z]/.test(phrase)) poolSize += 26;
+        if (/[0-9]/.test(phrase)) poolSize += 10;
+        if (/[^a-zA-Z0-9]/.test(phrase)) poolSize += 33;
+
+        // Characters that repeat or continue a run add a quarter of a character
+        let effectiveLength = 0;
+        for (let i = 0; i < phrase.length; i++) {
+            const step = i > 0 ? phrase.charCodeAt(i) - phrase.charCodeAt(i - 1) : null;
+            const predictable = step !== null && Math.abs(step) <= 1;
+            effectiveLength += predictable ? 0.25 : 1;
+        }
+
+        const bits = effectiveLength * Math.log2(poolSize);
+        return PhraseModal.isCommonPassword(phrase) ? Math.min(bits, 10) : bits;
+    }
+
+    /**
+     * Whether a phrase is a common password, ignoring case and leading or trailing digits and symbols
+     * @param {string} phrase - Phrase to check
+     * @returns {boolean}
+     */
+    static isCommonPassword(phrase) {
+        const core = phrase.toLowerCase().replace(/^[^a-z]+|[^a-z]+$/g, '');
+        return PhraseModal.COMMON_PASSWORDS.includes(phrase.toLowerCase()) ||
+            PhraseModal.COMMON_PASSWORDS.includes(core);
+    }
+
+    /**
+     * Rate a phrase and list ways to improve it
+     * @param {string} phrase - Phrase to rate
+     * @returns {Object} { bits, label, className, tips }
+     */
+    static getStrength(phrase) {
+        const bits = PhraseModal.estimateEntropy(phrase);
+        const level = PhraseModal.STRENGTH_LEVELS.find(entry => bits >= entry.minBits);
+        const tips = [];
+
+        if (PhraseModal.isCommonPassword(phrase)) {
+            tips.push('This is a common password that is guessed first.');
+        }
+        if (phrase.length < 12) {
+            tips.push('Use at least 12 characters. A few unrelated words work well.');
+        }
+        if (/^(?:[a-z ]*|[A-Z ]*|[0-9 ]*)$/.test(phrase)) {
+            tips.push('Mix in capital letters, numbers or symbols.');
+        }
+        if (/(.)\1\1/.test(phrase) || /abc|bcd|cde|123|234|345|456|567|678|789|321|432|543|654|765|876|987/i.test(phrase)) {
+            tips.push('Avoid repeated characters and runs like "abc" or "123".');
+        }
+
+        return { bits: Math.round(bits), label: level.label, className: level.className, tips: level.minBits >= 60 ? [] : tips };
     }
 
     /**
      * Create the form content for the modal
-     * @param {string} action - 'save' or 'load'
+     * @param {string} action - 'save', 'load', 'export', 'import', 'saveProfile', 'loadProfile', 'compare' or 'resetPhrase'
+     * @param {Object} [options] - Modal options
+     * @param {string} [options.draftName] - Draft or profile name to prefill (save, saveProfile) or display (load, loadProfile, compare)
+     * @param {string} [options.fileName] - Project file name to display (import, compare)
+     * @param {number} [options.expiryDays] - Expiry period to preselect (save)
      * @returns {string} HTML content for the modal body
      */
-    createFormContent(action) {
-        // Get expiration days for save action
-        const expirationDays = window.SecureStorage ? new window.SecureStorage().getExpirationDays() : 30;
-
-        const description = action === 'save'
-            ? `<strong>Create a security phrase to encrypt your information.</strong><br>
+    createFormContent(action, options = {}) {
+        const descriptions = {
+            save: `<strong>Create a security phrase to encrypt your information.</strong><br>
                This phrase will be used to encrypt your data before storing it in cookies.
-               Remember this phrase - you'll need it to load your information later!<br>
-               <small>Saved data will expire in ${expirationDays} days.</small>`
-            : `<strong>Enter your security phrase to decrypt your saved information.</strong><br>
-               Use the same phrase you used when saving your information.`;
-
-        const helpText = action === 'save'
-            ? 'Choose a memorable phrase that\'s at least 4 characters long.'
-            : 'Enter the exact phrase you used when saving your data.';
+               Remember this phrase - you'll need it to load your information later!`,
+            load: `<strong>Enter your security phrase to decrypt your saved information.</strong><br>
+               ${options.draftName ? `Draft: <em>${this.escapeHtml(options.draftName)}</em><br>` : ''}
+               Use the same phrase you used when saving your information, or the draft's recovery key.`,
+            export: `<strong>Create a security phrase to encrypt the project file.</strong><br>
+               The downloaded .jda file includes all form data and uploaded images.
+               Share the phrase separately with anyone who needs to open the file.`,
+            import: `<strong>Enter the security phrase for this project file.</strong><br>
+               ${options.fileName ? `File: <em>${this.escapeHtml(options.fileName)}</em><br>` : ''}
+               Importing replaces the information currently in the form.`,
+            saveProfile: `<strong>Create a security phrase to encrypt this job profile.</strong><br>
+               The profile keeps the job demographics, demands and classification (no company information or images)
+               so new reports for this position can start from it. Job profiles do not expire.`,
+            loadProfile: `<strong>Enter the security phrase for this job profile.</strong><br>
+               ${options.draftName ? `Profile: <em>${this.escapeHtml(options.draftName)}</em><br>` : ''}
+               Use the same phrase you used when saving the profile.`,
+            compare: `<strong>Enter the security phrase for the analysis to compare.</strong><br>
+               ${options.draftName ? `Draft: <em>${this.escapeHtml(options.draftName)}</em><br>` : ''}
+               ${options.fileName ? `File: <em>${this.escapeHtml(options.fileName)}</em><br>` : ''}
+               It is only read for the comparison report; the information in the form is not changed.`,
+            resetPhrase: `<strong>The recovery key unlocked this draft. Create a new security phrase for it.</strong><br>
+               ${options.draftName ? `Draft: <em>${this.escapeHtml(options.draftName)}</em><br>` : ''}
+               The recovery key keeps working. The draft's version history and autosave were locked with the
+               forgotten phrase and will be removed.`
+        };
+
+        const helpTexts = {
+            save: 'Choose a memorable phrase that\'s at least 4 characters long.',
+            load: 'Enter the exact phrase you used when saving your data. Forgot it? Enter the recovery key instead.',
+            export: 'Choose a phrase that\'s at least 4 characters long.',
+            import: 'Enter the exact phrase used when the file was exported.',
+            saveProfile: 'Choose a phrase that\'s at least 4 characters long.',
+            loadProfile: 'Enter the exact phrase you used when saving the profile.',
+            compare: 'Enter the exact phrase used when the draft was saved or the file was exported.',
+            resetPhrase: 'Choose a new phrase that\'s at least 4 characters long.'
+        };
+
+        const description = descriptions[action] || descriptions.load;
+        const helpText = helpTexts[action] || helpTexts.load;
+
+        // New drafts and profiles get a name so they can be told apart in their pickers
+        const nameField = action === 'save' || action === 'saveProfile'
+            ? `<div class="form-group">
+                <label for="draftName">${action === 'saveProfile' ? 'Profile Name' : 'Draft Name'}:</label>
+                <input type="text" id="draftName" placeholder="e.g. Warehouse Associate" maxlength="100" autocomplete="off" value="${this.escapeHtml(options.draftName || '')}">
+               </div>`
+            : '';
+
+        // New phrases get a strength meter; weak ones are allowed, but the tips say how to improve them
+        const strengthMeter = PhraseModal.CREATE_ACTIONS.includes(action)
+            ? `<div id="phraseStrength" class="phrase-strength" aria-live="polite" hidden>
+                <div class="phrase-strength-bar"><div class="phrase-strength-fill"></div></div>
+                <div class="phrase-strength-label"></div>
+                <ul class="phrase-strength-tips"></ul>
+               </div>`
+            : '';
+
+        const expiryField = action === 'save' ? this.createExpiryField(options.expiryDays) : '';
+
+        const recoveryOption = action === 'save'
+            ? `<div class="form-group phrase-recovery-option">
+                <label for="createRecoveryKey">
+                    <input type="checkbox" id="createRecoveryKey">
+                    Create a recovery key
+                </label>
+                <small>A one-time code that unlocks this draft if you forget the phrase. It is shown only once, so copy or download it.</small>
+               </div>`
+            : '';
 
         return `
             <p>${description}</p>
+            ${nameField}
             <div class="form-group">
                 <label for="securityPhrase">Security Phrase:</label>
                 <input type="password" id="securityPhrase" placeholder="Enter at least ${this.minPhraseLength} characters" autocomplete="off">
                 <small id="phraseHelpText">${helpText}</small>
+                ${strengthMeter}
             </div>
+            ${expiryField}
+            ${recoveryOption}
             <div id="phraseError" class="error" style="display: none;"></div>
         `;
     }
 
+    /**
+     * Create the expiry period picker shown when saving a draft
+     * @param {number} [selectedDays] - Period to preselect (defaults to SecureStorage.DEFAULT_EXPIRY_DAYS)
+     * @returns {string} HTML for the field
+     */
+    createExpiryField(selectedDays) {
+        const expiryOptions = window.SecureStorage ? SecureStorage.EXPIRY_OPTIONS : [{ days: 30, label: '30 days' }];
+        const selected = selectedDays !== undefined ? selectedDays : (window.SecureStorage ? SecureStorage.DEFAULT_EXPIRY_DAYS : 30);
+        const optionsHtml = expiryOptions.map(option => `
+            <option value="${option.days}" ${option.days === selected ? 'selected' : ''}>
+                ${option.days === 0 ? 'Never delete it' : `After ${option.label}`}
+            </option>
+        `).join('');
+
+        return `<div class="form-group">
+                <label for="draftExpiry">Delete this draft automatically:</label>
+                <select id="draftExpiry">${optionsHtml}</select>
+                <small>The period restarts whenever you update or renew the draft.</small>
+               </div>`;
+    }
+
     /**
      * Set up event listeners for the phrase input
      */
@@ -84,16 +266,23 @@ class PhraseModal {
 
     /**
      * Show the modal for a specific action
-     * @param {string} action - 'save' or 'load'
+     * @param {string} action - 'save', 'load', 'export', 'import', 'saveProfile', 'loadProfile', 'compare' or 'resetPhrase'
+     * @param {Object} [options] - Modal options
+     * @param {string} [options.draftName] - Draft or profile name to prefill (save, saveProfile) or display (load, loadProfile, compare)
+     * @param {string} [options.fileName] - Project file name to display (import, compare)
+     * @param {number} [options.expiryDays] - Expiry period to preselect (save)
      * @returns {Promise<string|null>} User phrase or null if cancelled
      */
-    async show(action = 'save') {
+    async show(action = 'save', options = {}) {
         this.currentAction = action;
+        this.draftName = '';
+        this.createRecoveryKey = false;
+        this.expiryDays = null;
 
         // Create modal with reusable Modal component
         this.modal = new Modal({
-            title: `${action === 'save' ? 'Save' : 'Load'} Information Securely`,
-            content: this.createFormContent(action),
+            title: this.getTitle(action),
+            content: this.createFormContent(action, options),
             size: 'medium',
             buttons: [
                 {
@@ -120,12 +309,149 @@ class PhraseModal {
         // Return the phrase if confirmed, null otherwise
         if (result === 'confirm') {
             const phraseInput = this.modal.modal.querySelector('#securityPhrase');
+            const nameInput = this.modal.modal.querySelector('#draftName');
+            const recoveryInput = this.modal.modal.querySelector('#createRecoveryKey');
+            const expiryInput = this.modal.modal.querySelector('#draftExpiry');
+            this.draftName = nameInput ? nameInput.value.trim() : '';
+            this.createRecoveryKey = Boolean(recoveryInput && recoveryInput.checked);
+            this.expiryDays = expiryInput ? parseInt(expiryInput.value, 10) : null;
             return phraseInput ? phraseInput.value.trim() : null;
         }
 
         return null;
     }
 
+    /**
+     * Get the modal title for an action
+     * @param {string} action - 'save', 'load', 'export', 'import', 'saveProfile', 'loadProfile', 'compare' or 'resetPhrase'
+     * @returns {string} Modal title
+     */
+    getTitle(action) {
+        const titles = {
+            save: 'Save Information Securely',
+            load: 'Load Information Securely',
+            export: 'Export Project File',
+            import: 'Import Project File',
+            saveProfile: 'Save Job Profile',
+            loadProfile: 'Use Job Profile',
+            compare: 'Compare Job Analyses',
+            resetPhrase: 'Set a New Security Phrase'
+        };
+        return titles[action] || titles.load;
+    }
+
+    /**
+     * Get the draft or profile name entered the last time the modal was confirmed for 'save' or 'saveProfile'
+     * @returns {string} Name (empty if none was entered)
+     */
+    getDraftName() {
+        return this.draftName;
+    }
+
+    /**
+     * Whether "Create a recovery key" was checked the last time the modal was confirmed for 'save'
+     * @returns {boolean}
+     */
+    wantsRecoveryKey() {
+        return this.createRecoveryKey;
+    }
+
+    /**
+     * Get the expiry period chosen the last time the modal was confirmed for 'save'
+     * @returns {number|null} Days until the draft expires (0 = never), or null if none was chosen
+     */
+    getExpiryDays() {
+        return this.expiryDays;
+    }
+
+    /**
+     * Show a new recovery key once, with copy and download buttons.
+     * Done stays disabled until the user confirms they stored the key.
+     * @param {string} recoveryKey - Recovery key from SecureStorage.generateRecoveryKey()
+     * @param {string} [draftName] - Name of the draft the key unlocks
+     * @returns {Promise<void>} Resolves when the modal is closed
+     */
+    async showRecoveryKey(recoveryKey, draftName = '') {
+        const modal = new Modal({
+            title: 'Your Recovery Key',
+            content: `
+                <p><strong>Store this recovery key somewhere safe.</strong><br>
+                   ${draftName ? `Draft: <em>${this.escapeHtml(draftName)}</em><br>` : ''}
+                   If you forget your security phrase, enter this key instead to unlock the draft and choose a new phrase.
+                   It won't be shown again.</p>
+                <div class="recovery-key-code">${this.escapeHtml(recoveryKey)}</div>
+                <div class="recovery-key-actions">
+                    <button type="button" class="btn btn-secondary btn-small" data-recovery-action="copy">Copy</button>
+                    <button type="button" class="btn btn-secondary btn-small" data-recovery-action="download">Download</button>
+                </div>
+                <div class="form-group">
+                    <label for="recoveryKeyStored">
+                        <input type="checkbox" id="recoveryKeyStored">
+                        I have copied or downloaded my recovery key
+                    </label>
+                </div>
+            `,
+            size: 'medium',
+            closeable: false,
+            keyboard: false,
+            buttons: [
+                { text: 'Done', action: 'confirm', variant: 'primary' }
+            ],
+            onShow: (modal) => {
+                const doneButton = modal.modal.querySelector('[data-action="confirm"]');
+                const storedInput = modal.modal.querySelector('#recoveryKeyStored');
+                doneButton.disabled = true;
+                storedInput.addEventListener('change', () => {
+                    doneButton.disabled = !storedInput.checked;
+                });
+
+                modal.modal.querySelector('[data-recovery-action="copy"]').addEventListener('click', async () => {
+                    try {
+                        await navigator.clipboard.writeText(recoveryKey);
+                        showSuccess('Recovery key copied to the clipboard.');
+                    } catch (error) {
+                        console.error('Failed to copy recovery key:', error);
+                        showError('Could not copy the recovery key. Please download it or write it down.');
+                    }
+                });
+
+                modal.modal.querySelector('[data-recovery-action="download"]').addEventListener('click', () => {
+                    this.downloadRecoveryKey(recoveryKey, draftName);
+                });
+            }
+        });
+
+        await modal.show();
+    }
+
+    /**
+     * Download a recovery key as a text file
+     * @param {string} recoveryKey - Recovery key
+     * @param {string} [draftName] - Name of the draft the key unlocks
+     */
+    downloadRecoveryKey(recoveryKey, draftName = '') {
+        const text = [
+            'Job Demands Analysis - Draft Recovery Key',
+            ...(draftName ? [`Draft: ${draftName}`] : []),
+            `Created: ${new Date().toLocaleString()}`,
+            '',
+            recoveryKey,
+            '',
+            'Enter this key in place of the security phrase to unlock the draft in the browser it was saved in.',
+            'Anyone with this key can open the draft, so keep it private.'
+        ].join('\n');
+
+        const blobUrl = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = blobUrl;
+        link.download = `${(draftName || 'draft').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'draft'}-recovery-key.txt`;
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
+    }
+
     /**
      * Handle confirm button click
      * @param {Modal} modal - The modal instance
@@ -161,6 +487,7 @@ class PhraseModal {
 
         // Update confirm button state
         confirmBtn.disabled = !isValid;
+        this.updateStrengthMeter(phrase);
 
         // Update input styling
         if (phrase.length > 0) {
@@ -173,6 +500,28 @@ class PhraseModal {
         return isValid;
     }
 
+    /**
+     * Show the strength of the phrase being created (only the create actions have a meter)
+     * @param {string} phrase - Phrase entered so far
+     */
+    updateStrengthMeter(phrase) {
+        const meter = this.modal.modal.querySelector('#phraseStrength');
+        if (!meter) return;
+
+        meter.hidden = phrase.length === 0;
+        if (meter.hidden) return;
+
+        const strength = PhraseModal.getStrength(phrase);
+        const levelIndex = PhraseModal.STRENGTH_LEVELS.length - PhraseModal.STRENGTH_LEVELS.findIndex(level => level.className === strength.className);
+
+        meter.className = `phrase-strength ${strength.className}`;
+        meter.querySelector('.phrase-strength-fill').style.width = `${levelIndex / PhraseModal.STRENGTH_LEVELS.length * 100}%`;
+        meter.querySelector('.phrase-strength-label').textContent = `Strength: ${strength.label} (about ${strength.bits} bits)`;
+        meter.querySelector('.phrase-strength-tips').innerHTML = strength.tips
+            .map(tip => `<li>${this.escapeHtml(tip)}</li>`)
+            .join('');
+    }
+
     /**
      * Check if phrase is valid
      * @param {string} phrase - Phrase to validate
@@ -220,6 +569,17 @@ class PhraseModal {
         }
     }
 
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     /**
      * Set minimum phrase length
      * @param {number} length - Minimum length
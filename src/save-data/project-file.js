@@ -0,0 +1,117 @@
+/**
+ * Project File (.jda) Export/Import
+ *
+ * Packages the complete form payload (including the base64 company logo and job images)
+ * into an encrypted, versioned file that can be moved between browsers or shared with
+ * a colleague. Encryption uses the same AES-GCM/PBKDF2 scheme as SecureStorage.encryptData.
+ *
+ * File format (JSON text):
+ * {
+ *   "format": "jda-project",
+ *   "version": 2,
+ *   "exportedAt": "2025-10-18T12:00:00.000Z",
+ *   "encryption": { "version": 2, "kdf": "PBKDF2", "hash": "SHA-256", "iterations": 600000, "cipher": "AES-GCM", "keyLength": 256 },
+ *   "data": "<base64 SecureStorage envelope>"
+ * }
+ *
+ * The "encryption" field is informational; decryption reads the settings from the data itself.
+ * Version 1 files hold bare salt + IV + ciphertext (PBKDF2-SHA-256, 100,000 iterations) and still open.
+ *
+ * Only the envelope is readable without the phrase; no form data is stored unencrypted.
+ *
+ * Dependencies:
+ * - secure-storage.js (SecureStorage)
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class ProjectFile {
+    /**
+     * @param {SecureStorage} secureStorage - Storage instance providing encryptData/decryptData
+     */
+    constructor(secureStorage) {
+        this.secureStorage = secureStorage;
+    }
+
+    /**
+     * Create an encrypted project file from form data
+     * @param {Object} formData - Payload from DocumentGenerator.collectFormData()
+     * @param {string} userPhrase - Phrase used to encrypt the file
+     * @returns {Promise<Blob>} File contents
+     */
+    async createFile(formData, userPhrase) {
+        const data = await this.secureStorage.encryptData(formData, userPhrase);
+        const envelope = {
+            format: ProjectFile.FORMAT,
+            version: ProjectFile.VERSION,
+            exportedAt: new Date().toISOString(),
+            encryption: this.secureStorage.getEncryptionSettings(data),
+            data
+        };
+
+        return new Blob([JSON.stringify(envelope)], { type: ProjectFile.MIME_TYPE });
+    }
+
+    /**
+     * Read and validate a project file's envelope without decrypting it
+     * @param {File|Blob} file - Selected file
+     * @returns {Promise<Object>} Parsed envelope
+     * @throws {Error} If the file isn't a supported project file
+     */
+    async readEnvelope(file) {
+        let envelope;
+        try {
+            envelope = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('This file is not a Job Demands Analysis project file.');
+        }
+
+        if (!envelope || envelope.format !== ProjectFile.FORMAT || typeof envelope.data !== 'string') {
+            throw new Error('This file is not a Job Demands Analysis project file.');
+        }
+
+        if (typeof envelope.version !== 'number' || envelope.version > ProjectFile.VERSION) {
+            throw new Error('This project file was created by a newer version of the app and cannot be opened.');
+        }
+
+        return envelope;
+    }
+
+    /**
+     * Decrypt a project file envelope
+     * @param {Object} envelope - Envelope returned by readEnvelope()
+     * @param {string} userPhrase - Phrase the file was exported with
+     * @returns {Promise<Object>} Form data payload
+     * @throws {Error} If the phrase is wrong or the file is corrupted
+     */
+    async decryptEnvelope(envelope, userPhrase) {
+        return this.secureStorage.decryptData(envelope.data, userPhrase);
+    }
+
+    /**
+     * Build a download file name for the project
+     * @param {Object} formData - Form data payload
+     * @returns {string} File name ending in .jda
+     */
+    getFileName(formData) {
+        const baseName = (formData.jobTitle || formData.title || 'Job Demands Analysis')
+            .replace(/[\\/:*?"<>|]+/g, '')
+            .trim() || 'Job Demands Analysis';
+        const date = new Date().toISOString().slice(0, 10);
+        return `${baseName} - ${date}${ProjectFile.EXTENSION}`;
+    }
+}
+
+// File format constants
+ProjectFile.FORMAT = 'jda-project';
+ProjectFile.VERSION = 2;
+ProjectFile.EXTENSION = '.jda';
+ProjectFile.MIME_TYPE = 'application/octet-stream';
+
+// Export for use in other modules
+window.ProjectFile = ProjectFile;
@@ -4,9 +4,31 @@
  * Provides client-side encryption for storing sensitive form data.
  * Uses Web Crypto API for AES-GCM encryption with a user-derived key.
  *
- * Storage mechanism: localStorage (no size limits like cookies)
+ * Storage mechanism: IndexedDB (BlobStore) for the encrypted data, stored as binary;
+ * localStorage for the small unencrypted draft index
  * Security: AES-GCM 256-bit encryption with PBKDF2 key derivation
  *
+ * Data is kept as a library of named drafts. Each draft is encrypted separately
+ * (with its own salt and expiration), while its name, job title, company name
+ * and timestamps are kept unencrypted in an index so the picker can list them.
+ * Each draft has its own expiry period (EXPIRY_OPTIONS, chosen when it is first saved);
+ * every save or renewal restarts it, and expired drafts are deleted on startup.
+ * Drafts saved by earlier versions as base64 text in localStorage (or cookies)
+ * are moved into IndexedDB on startup.
+ * A draft's version history (FormHistory snapshots) is encrypted with the same
+ * phrase and kept next to it, and so is its latest autosave (AutosaveManager),
+ * which is encrypted with a session key derived from that phrase once per unlock.
+ *
+ * A draft saved with a recovery key is encrypted with its own random data key instead,
+ * and that data key is stored twice: wrapped under the phrase and wrapped under the
+ * recovery key, so either one unlocks the draft (see unlockDraft()).
+ *
+ * Everything encrypted with a phrase is stored in a versioned envelope that records the
+ * key derivation settings and cipher it was made with (see createEnvelope()), so the work
+ * factor can be raised without breaking older data. Data saved before the envelope existed
+ * (bare salt + IV + ciphertext) is still read, and is re-encrypted with the current settings
+ * the next time it is loaded successfully.
+ *
  * @author Austin Steil
  * @version 1.0.0
  * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
@@ -16,22 +38,58 @@
  */
 
 class SecureStorage {
+    // Expiry periods a draft can be given (0 = never expires)
+    static EXPIRY_OPTIONS = [
+        { days: 1, label: '1 day' },
+        { days: 7, label: '1 week' },
+        { days: 14, label: '2 weeks' },
+        { days: 30, label: '30 days' },
+        { days: 90, label: '90 days' },
+        { days: 180, label: '6 months' },
+        { days: 365, label: '1 year' },
+        { days: 0, label: 'Never' }
+    ];
+    static DEFAULT_EXPIRY_DAYS = 30;
+
     constructor() {
-        this.storageName = 'userFormData';
-        this.storageExpireDays = 30; // Data expires after 30 days
+        this.blobStore = new BlobStore(); // IndexedDB store for encrypted data
+        this.draftIndexName = 'savedDrafts'; // Unencrypted metadata for all drafts (localStorage)
+        this.draftKeyPrefix = 'savedDraft:'; // Prefix for each draft's encrypted data
+        this.historyKeyPrefix = 'savedDraftHistory:'; // Prefix for each draft's encrypted version history
+        this.autosaveKeyPrefix = 'savedDraftAutosave:'; // Prefix for each draft's encrypted autosave
+        this.storageExpireDays = SecureStorage.DEFAULT_EXPIRY_DAYS; // Expiry period of drafts saved without one
+        this.expiryWarningDays = 3; // Loading a draft this close to expiring shows a warning
+
+        // Recovery keys: 160 random bits written as 32 Crockford base32 characters
+        this.recoveryKeyBytes = 20;
+        this.recoveryKeyAlphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
 
-        // Legacy cookie names for backward compatibility
+        // Encryption settings written into every new envelope. Raising the iteration count
+        // only affects new saves; older data is upgraded when it is next loaded.
+        this.envelopeMagic = 'JDAE';
+        this.envelopeVersion = 2;
+        this.cryptoSettings = { kdf: 'PBKDF2', hash: 'SHA-256', iterations: 600000, cipher: 'AES-GCM', keyLength: 256 };
+        // Settings of data saved before the envelope existed (envelope version 1)
+        this.legacyCryptoSettings = { kdf: 'PBKDF2', hash: 'SHA-256', iterations: 100000, cipher: 'AES-GCM', keyLength: 256 };
+        this.maxIterations = 10000000; // Refuse envelopes (e.g. in a shared project file) that would hang the page
+
+        // Legacy single-slot storage names, migrated into the draft library
+        this.storageName = 'userFormData';
         this.cookieName = 'userFormData';
         this.cookieExpireDays = 30;
+
+        this.migrateLegacyData();
+        this.ready = this.migrateToIndexedDB(); // Writes wait for this so the migration can't overwrite them
     }
 
     /**
      * Generate a cryptographic key from user input (like a simple password/phrase)
      * @param {string} userPhrase - User-provided phrase for key derivation
      * @param {Uint8Array} salt - Salt for key derivation
+     * @param {Object} [settings] - Key derivation settings (defaults to the current ones)
      * @returns {Promise<CryptoKey>} Derived encryption key
      */
-    async deriveKey(userPhrase, salt) {
+    async deriveKey(userPhrase, salt, settings = this.cryptoSettings) {
         const encoder = new TextEncoder();
         const keyMaterial = await crypto.subtle.importKey(
             'raw',
@@ -45,11 +103,11 @@ class SecureStorage {
             {
                 name: 'PBKDF2',
                 salt: salt,
-                iterations: 100000,
-                hash: 'SHA-256'
+                iterations: settings.iterations,
+                hash: settings.hash
             },
             keyMaterial,
-            { name: 'AES-GCM', length: 256 },
+            { name: settings.cipher, length: settings.keyLength },
             false,
             ['encrypt', 'decrypt']
         );
@@ -62,31 +120,210 @@ class SecureStorage {
      * @returns {Promise<string>} Base64 encoded encrypted data
      */
     async encryptData(data, userPhrase) {
+        return this.encryptWithKey(data, await this.createSessionKey(userPhrase));
+    }
+
+    /**
+     * Derive a key from a user phrase with a fresh random salt and the current settings.
+     * Keeping the result lets repeated saves skip the slow key derivation.
+     * @param {string} userPhrase - User phrase for encryption
+     * @returns {Promise<Object>} { key, salt, settings }
+     */
+    async createSessionKey(userPhrase) {
+        const settings = { ...this.cryptoSettings };
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(userPhrase, salt, settings);
+        return { key, salt, settings };
+    }
+
+    /**
+     * Encrypt data with an already derived key.
+     * The output has the same format as encryptData(), so decryptData() opens it with the phrase.
+     * @param {Object} data - Data to encrypt
+     * @param {Object} sessionKey - Result of createSessionKey()
+     * @returns {Promise<string>} Base64 encoded encrypted data
+     */
+    async encryptWithKey(data, sessionKey) {
+        return this.bytesToBase64(await this.encryptToBytes(data, sessionKey));
+    }
+
+    /**
+     * Encrypt data with an already derived key, without base64 encoding (for IndexedDB)
+     * @param {Object} data - Data to encrypt
+     * @param {Object} sessionKey - Result of createSessionKey()
+     * @returns {Promise<Uint8Array>} Envelope (createEnvelope()); decryptBytes() opens it with the phrase
+     */
+    async encryptToBytes(data, sessionKey) {
         const encoder = new TextEncoder();
         const dataString = JSON.stringify(data);
-        
-        // Generate random salt and IV
-        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const { key, salt, settings } = sessionKey;
+
+        // Every encryption gets a fresh IV
         const iv = crypto.getRandomValues(new Uint8Array(12));
-        
-        // Derive key from user phrase
-        const key = await this.deriveKey(userPhrase, salt);
-        
-        // Encrypt the data
+        const header = this.createEnvelopeHeader(settings, salt, iv);
+
+        // Encrypt the data; the header is authenticated along with it
         const encryptedData = await crypto.subtle.encrypt(
-            { name: 'AES-GCM', iv: iv },
+            { name: settings.cipher, iv: iv, additionalData: header },
             key,
             encoder.encode(dataString)
         );
 
-        // Combine salt, IV, and encrypted data
-        const combined = new Uint8Array(salt.length + iv.length + encryptedData.byteLength);
-        combined.set(salt, 0);
-        combined.set(iv, salt.length);
-        combined.set(new Uint8Array(encryptedData), salt.length + iv.length);
+        return this.createEnvelope(header, salt, iv, new Uint8Array(encryptedData));
+    }
+
+    /**
+     * Build the start of an envelope: "JDAE" (4 bytes) | envelope version (1 byte)
+     * | header length (2 bytes, big-endian) | header (UTF-8 JSON)
+     *
+     * The header holds the settings ({ kdf, hash, iterations, cipher, keyLength }) and the
+     * salt and IV lengths. It isn't secret, but it is passed to AES-GCM as additional data,
+     * so data whose header was edited (e.g. to lower the iteration count) fails to decrypt.
+     * @param {Object} settings - Settings the key was derived and the data encrypted with
+     * @param {Uint8Array} salt - Key derivation salt
+     * @param {Uint8Array} iv - Initialization vector
+     * @returns {Uint8Array} Magic, version, header length and header bytes
+     */
+    createEnvelopeHeader(settings, salt, iv) {
+        const magic = new TextEncoder().encode(this.envelopeMagic);
+        const json = new TextEncoder().encode(JSON.stringify({
+            kdf: settings.kdf,
+            hash: settings.hash,
+            iterations: settings.iterations,
+            cipher: settings.cipher,
+            keyLength: settings.keyLength,
+            saltLength: salt.length,
+            ivLength: iv.length
+        }));
+
+        const header = new Uint8Array(magic.length + 3 + json.length);
+        header.set(magic, 0);
+        header.set([this.envelopeVersion, json.length >> 8, json.length & 0xff], magic.length);
+        header.set(json, magic.length + 3);
+        return header;
+    }
+
+    /**
+     * Combine encrypted data with the settings needed to decrypt it.
+     * Layout: header (createEnvelopeHeader()) | salt | IV | ciphertext
+     * @param {Uint8Array} header - Result of createEnvelopeHeader()
+     * @param {Uint8Array} salt - Key derivation salt
+     * @param {Uint8Array} iv - Initialization vector
+     * @param {Uint8Array} ciphertext - Encrypted data
+     * @returns {Uint8Array} Envelope bytes
+     */
+    createEnvelope(header, salt, iv, ciphertext) {
+        const envelope = new Uint8Array(header.length + salt.length + iv.length + ciphertext.length);
+        let offset = 0;
+        [header, salt, iv, ciphertext].forEach(part => {
+            envelope.set(part, offset);
+            offset += part.length;
+        });
+        return envelope;
+    }
+
+    /**
+     * Split encrypted bytes into their settings, salt, IV and ciphertext.
+     * Bytes without the envelope marker were saved by earlier versions (envelope version 1)
+     * and use the legacy settings with a 16-byte salt and 12-byte IV and no authenticated header.
+     * @param {Uint8Array} bytes - Encrypted bytes
+     * @returns {Object} { version, settings, header, salt, iv, ciphertext }
+     * @throws {Error} If the data was saved with settings this version can't use
+     */
+    parseEnvelope(bytes) {
+        const magic = new TextEncoder().encode(this.envelopeMagic);
+        const hasMagic = bytes.length > magic.length + 3 && magic.every((byte, i) => bytes[i] === byte);
+
+        if (!hasMagic) {
+            return {
+                version: 1,
+                settings: { ...this.legacyCryptoSettings },
+                header: null,
+                salt: bytes.slice(0, 16),
+                iv: bytes.slice(16, 28),
+                ciphertext: bytes.slice(28)
+            };
+        }
+
+        const version = bytes[magic.length];
+        if (version > this.envelopeVersion) {
+            throw new Error('This data was saved by a newer version of the app and cannot be opened here.');
+        }
+
+        const headerStart = magic.length + 3;
+        const headerEnd = headerStart + ((bytes[magic.length + 1] << 8) | bytes[magic.length + 2]);
+        let header;
+        try {
+            header = JSON.parse(new TextDecoder().decode(bytes.slice(headerStart, headerEnd)));
+        } catch (error) {
+            throw new Error('Failed to decrypt data. Invalid phrase or corrupted data.');
+        }
+
+        const { saltLength, ivLength, ...settings } = header;
+        if (!this.isSupportedSettings(settings)) {
+            throw new Error('This data was encrypted with settings this version of the app does not support.');
+        }
 
-        // Convert to base64 for cookie storage
-        return btoa(String.fromCharCode(...combined));
+        return {
+            version,
+            settings,
+            header: bytes.slice(0, headerEnd),
+            salt: bytes.slice(headerEnd, headerEnd + saltLength),
+            iv: bytes.slice(headerEnd + saltLength, headerEnd + saltLength + ivLength),
+            ciphertext: bytes.slice(headerEnd + saltLength + ivLength)
+        };
+    }
+
+    /**
+     * Whether envelope settings can be used with the Web Crypto API, are no weaker than
+     * legacy data, and won't hang the page
+     * @param {Object} settings - Settings from an envelope header
+     * @returns {boolean}
+     */
+    isSupportedSettings(settings) {
+        return settings.kdf === 'PBKDF2' &&
+            ['SHA-256', 'SHA-384', 'SHA-512'].includes(settings.hash) &&
+            Number.isInteger(settings.iterations) &&
+            settings.iterations >= this.legacyCryptoSettings.iterations &&
+            settings.iterations <= this.maxIterations &&
+            settings.cipher === 'AES-GCM' &&
+            [128, 192, 256].includes(settings.keyLength);
+    }
+
+    /**
+     * Get the settings encrypted data was saved with
+     * @param {Uint8Array|string|Object} encrypted - Encrypted bytes, base64 text (encryptData()),
+     *     or a draft with a recovery key (its phrase slot is reported)
+     * @returns {Object} { version, kdf, hash, iterations, cipher, keyLength }
+     */
+    getEncryptionSettings(encrypted) {
+        const wrapped = this.getWrappedDraft(encrypted);
+        if (wrapped) {
+            return this.getEncryptionSettings(wrapped.keys.phrase);
+        }
+
+        const bytes = typeof encrypted === 'string' ? this.base64ToBytes(encrypted) : encrypted;
+        const { version, settings } = this.parseEnvelope(bytes);
+        return { version, ...settings };
+    }
+
+    /**
+     * Whether encrypted data should be re-encrypted with the current settings
+     * @param {Object} settings - Result of getEncryptionSettings()
+     * @returns {boolean} True for data without an envelope or with fewer iterations than new saves use
+     */
+    isOutdatedEncryption(settings) {
+        return settings.version < this.envelopeVersion || settings.iterations < this.cryptoSettings.iterations;
+    }
+
+    /**
+     * Describe encryption settings for display
+     * @param {Object} settings - Result of getEncryptionSettings()
+     * @returns {string} e.g. "AES-256-GCM, PBKDF2-SHA-256 with 600,000 iterations"
+     */
+    formatEncryptionSettings(settings) {
+        const cipher = settings.cipher.replace('-', `-${settings.keyLength}-`);
+        return `${cipher}, ${settings.kdf}-${settings.hash} with ${settings.iterations.toLocaleString('en-US')} iterations`;
     }
 
     /**
@@ -96,25 +333,37 @@ class SecureStorage {
      * @returns {Promise<Object>} Decrypted data object
      */
     async decryptData(encryptedBase64, userPhrase) {
+        let combined;
         try {
-            // Convert from base64
-            const combined = new Uint8Array(
-                atob(encryptedBase64).split('').map(char => char.charCodeAt(0))
-            );
+            combined = this.base64ToBytes(encryptedBase64);
+        } catch (error) {
+            throw new Error('Failed to decrypt data. Invalid phrase or corrupted data.');
+        }
+        return this.decryptBytes(combined, userPhrase);
+    }
 
-            // Extract salt, IV, and encrypted data
-            const salt = combined.slice(0, 16);
-            const iv = combined.slice(16, 28);
-            const encryptedData = combined.slice(28);
+    /**
+     * Decrypt data encrypted with encryptToBytes(), or saved without an envelope by earlier versions
+     * @param {Uint8Array} combined - Envelope, or legacy salt, IV and encrypted data
+     * @param {string} userPhrase - User phrase for decryption
+     * @returns {Promise<Object>} Decrypted data object
+     * @throws {Error} If the phrase is wrong, the data is corrupted or its settings are unsupported
+     */
+    async decryptBytes(combined, userPhrase) {
+        // Unsupported settings get their own message instead of "invalid phrase"
+        const { settings, header, salt, iv, ciphertext } = this.parseEnvelope(combined);
 
-            // Derive key from user phrase
-            const key = await this.deriveKey(userPhrase, salt);
+        try {
+            // Derive key from user phrase with the settings it was saved with
+            const key = await this.deriveKey(userPhrase, salt, settings);
 
             // Decrypt the data
+            const algorithm = { name: settings.cipher, iv: iv };
+            if (header) algorithm.additionalData = header;
             const decryptedBuffer = await crypto.subtle.decrypt(
-                { name: 'AES-GCM', iv: iv },
+                algorithm,
                 key,
-                encryptedData
+                ciphertext
             );
 
             // Convert back to string and parse JSON
@@ -126,6 +375,325 @@ class SecureStorage {
         }
     }
 
+    /**
+     * Convert bytes to base64
+     * Works in chunks so large payloads (e.g. embedded images) don't exceed the call stack
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64 string
+     */
+    bytesToBase64(bytes) {
+        const chunkSize = 0x8000;
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Convert base64 to bytes
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array} Decoded bytes
+     */
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Generate a recovery key that can unlock a draft when its phrase is forgotten
+     * @returns {string} Recovery key in groups of four characters (e.g. "7K2M-...-Q9XD")
+     */
+    generateRecoveryKey() {
+        const bytes = crypto.getRandomValues(new Uint8Array(this.recoveryKeyBytes));
+        let key = '';
+        let buffer = 0;
+        let bits = 0;
+
+        bytes.forEach(byte => {
+            buffer = ((buffer << 8) | byte) & 0xfff;
+            bits += 8;
+            while (bits >= 5) {
+                key += this.recoveryKeyAlphabet[(buffer >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        });
+
+        return key.match(/.{4}/g).join('-');
+    }
+
+    /**
+     * Normalize a typed recovery key: case, dashes and spaces don't matter,
+     * and the letters O, I and L are read as the digits they look like
+     * @param {string} recoveryKey - Recovery key as entered
+     * @returns {string} Normalized key (used as the wrapping secret)
+     */
+    normalizeRecoveryKey(recoveryKey) {
+        return String(recoveryKey || '')
+            .toUpperCase()
+            .replace(/[^0-9A-Z]/g, '')
+            .replace(/O/g, '0')
+            .replace(/[IL]/g, '1');
+    }
+
+    /**
+     * Whether text has the shape of a recovery key
+     * @param {string} text - Text to check
+     * @returns {boolean}
+     */
+    isRecoveryKeyFormat(text) {
+        const normalized = this.normalizeRecoveryKey(text);
+        return normalized.length === Math.ceil(this.recoveryKeyBytes * 8 / 5) &&
+            [...normalized].every(char => this.recoveryKeyAlphabet.includes(char));
+    }
+
+    /**
+     * Import raw data key bytes for AES-GCM
+     * @param {Uint8Array} dataKey - 32 random bytes
+     * @returns {Promise<CryptoKey>}
+     */
+    importDataKey(dataKey) {
+        return crypto.subtle.importKey('raw', dataKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Encrypt data with a draft's data key
+     * @param {Object} data - Data to encrypt
+     * @param {Uint8Array} dataKey - Raw data key
+     * @returns {Promise<Uint8Array>} IV and ciphertext
+     */
+    async encryptWithDataKey(data, dataKey) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encryptedData = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            await this.importDataKey(dataKey),
+            new TextEncoder().encode(JSON.stringify(data))
+        );
+
+        const combined = new Uint8Array(iv.length + encryptedData.byteLength);
+        combined.set(iv, 0);
+        combined.set(new Uint8Array(encryptedData), iv.length);
+        return combined;
+    }
+
+    /**
+     * Decrypt data encrypted with encryptWithDataKey()
+     * @param {Uint8Array} combined - IV and ciphertext
+     * @param {Uint8Array} dataKey - Raw data key
+     * @returns {Promise<Object>} Decrypted data object
+     */
+    async decryptWithDataKey(combined, dataKey) {
+        const decryptedBuffer = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: combined.slice(0, 12) },
+            await this.importDataKey(dataKey),
+            combined.slice(12)
+        );
+        return JSON.parse(new TextDecoder().decode(decryptedBuffer));
+    }
+
+    /**
+     * Encrypt a data key under a phrase or recovery key
+     * @param {Uint8Array} dataKey - Raw data key
+     * @param {string} secret - Phrase or normalized recovery key
+     * @returns {Promise<string>} Wrapped key (same format as encryptData())
+     */
+    wrapDataKey(dataKey, secret) {
+        return this.encryptData(this.bytesToBase64(dataKey), secret);
+    }
+
+    /**
+     * Decrypt a data key wrapped with wrapDataKey()
+     * @param {string} wrappedKey - Wrapped key
+     * @param {string} secret - Phrase or normalized recovery key
+     * @returns {Promise<Uint8Array>} Raw data key
+     * @throws {Error} If the secret is wrong
+     */
+    async unwrapDataKey(wrappedKey, secret) {
+        return this.base64ToBytes(await this.decryptData(wrappedKey, secret));
+    }
+
+    /**
+     * Get a stored draft saved with a recovery key.
+     * Drafts without one are stored as bytes (encryptToBytes()); these are { keys: { phrase, recovery }, data }.
+     * @param {Uint8Array|Object|null} storedData - Value from getStoredValue()
+     * @returns {Object|null} The draft, or null for a phrase-only draft
+     */
+    getWrappedDraft(storedData) {
+        if (!storedData || ArrayBuffer.isView(storedData) || !storedData.keys) {
+            return null;
+        }
+        return storedData;
+    }
+
+    /**
+     * Encrypt form data for storage as a draft.
+     * A recovery key starts a new data key wrapped under both secrets. Without one, a draft
+     * that already has a recovery key keeps it (its data key is unwrapped with the phrase);
+     * other drafts are encrypted with the phrase alone.
+     * @param {Object} formData - Form data to encrypt
+     * @param {string} userPhrase - User phrase
+     * @param {string|null} draftId - ID of the draft being overwritten, if any
+     * @param {string} [recoveryKey] - New recovery key
+     * @returns {Promise<Object>} { encryptedData, hasRecoveryKey }
+     */
+    async encryptDraftData(formData, userPhrase, draftId, recoveryKey) {
+        if (recoveryKey) {
+            const dataKey = crypto.getRandomValues(new Uint8Array(32));
+            const keys = {
+                phrase: await this.wrapDataKey(dataKey, userPhrase),
+                recovery: await this.wrapDataKey(dataKey, this.normalizeRecoveryKey(recoveryKey))
+            };
+            const data = await this.encryptWithDataKey(formData, dataKey);
+            return { encryptedData: { keys, data }, hasRecoveryKey: true };
+        }
+
+        const wrapped = draftId ? this.getWrappedDraft(await this.getStoredValue(this.getDraftStorageKey(draftId))) : null;
+        if (wrapped) {
+            const dataKey = await this.unwrapDataKey(wrapped.keys.phrase, userPhrase);
+            const data = await this.encryptWithDataKey(formData, dataKey);
+            const keys = { ...wrapped.keys };
+            // The recovery slot can only be upgraded when the recovery key is used (see unlockDraft())
+            if (this.isOutdatedEncryption(this.getEncryptionSettings(keys.phrase))) {
+                keys.phrase = await this.wrapDataKey(dataKey, userPhrase);
+            }
+            return { encryptedData: { keys, data }, hasRecoveryKey: true };
+        }
+
+        const encryptedData = await this.encryptToBytes(formData, await this.createSessionKey(userPhrase));
+        return { encryptedData, hasRecoveryKey: false };
+    }
+
+    /**
+     * Read encrypted data. Values not yet moved out of localStorage are read from there.
+     * @param {string} key - Storage key
+     * @returns {Promise<Uint8Array|Object|null>} Stored value, or null if there is none
+     */
+    async getStoredValue(key) {
+        const legacyValue = localStorage.getItem(key);
+        if (legacyValue !== null) {
+            return this.parseLegacyValue(legacyValue);
+        }
+        return this.blobStore.get(key);
+    }
+
+    /**
+     * Write encrypted data to IndexedDB (and drop any older copy left in localStorage)
+     * @param {string} key - Storage key
+     * @param {Uint8Array|Object} value - Encrypted data
+     * @returns {Promise<void>}
+     * @throws {DOMException} QuotaExceededError when the browser refuses more data
+     */
+    async setStoredValue(key, value) {
+        await this.ready;
+        await this.blobStore.put(key, value);
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * Delete encrypted data
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async deleteStoredValue(key) {
+        await this.ready;
+        localStorage.removeItem(key);
+        try {
+            await this.blobStore.delete(key);
+        } catch (error) {
+            console.error(`Failed to delete "${key}":`, error);
+        }
+    }
+
+    /**
+     * Convert a value saved as text in localStorage by earlier versions to the IndexedDB format
+     * @param {string} value - Base64 encrypted data, or JSON for a draft with a recovery key
+     * @returns {Uint8Array|Object} Stored value
+     */
+    parseLegacyValue(value) {
+        if (value.charAt(0) === '{') {
+            const wrapped = JSON.parse(value);
+            return { keys: wrapped.keys, data: this.base64ToBytes(wrapped.data) };
+        }
+        return this.base64ToBytes(value);
+    }
+
+    /**
+     * Re-encrypt a stored value with the current settings if it was saved with older ones.
+     * Failing to upgrade is logged but never fails the load that triggered it.
+     * @param {string} key - Storage key
+     * @param {Uint8Array} encryptedData - Value as it is stored
+     * @param {Object} data - The value's decrypted data
+     * @param {string} userPhrase - Phrase that decrypted it
+     * @returns {Promise<boolean>} True if the value was re-encrypted
+     */
+    async upgradeStoredValue(key, encryptedData, data, userPhrase) {
+        if (!this.isOutdatedEncryption(this.getEncryptionSettings(encryptedData))) {
+            return false;
+        }
+
+        try {
+            await this.setStoredValue(key, await this.encryptToBytes(data, await this.createSessionKey(userPhrase)));
+            return true;
+        } catch (error) {
+            console.error(`Failed to re-encrypt "${key}" with the current settings:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Whether an error means the browser refused to store more data
+     * @param {Error} error - Error to check
+     * @returns {boolean}
+     */
+    isQuotaError(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' || error.code === 22);
+    }
+
+    /**
+     * Create the error shown when storage is full, with the current usage when the browser reports it
+     * @param {string} what - What couldn't be saved (e.g. 'this draft')
+     * @returns {Promise<Error>} Error named 'QuotaExceededError' with a user-facing message
+     */
+    async createQuotaError(what) {
+        const estimate = await this.getStorageEstimate();
+        const usage = estimate
+            ? ` This site is using ${this.formatBytes(estimate.usage)} of the ${this.formatBytes(estimate.quota)} your browser allows.`
+            : '';
+
+        const error = new Error(`There isn't enough storage space to save ${what}.${usage} ` +
+            'Delete drafts you no longer need or remove some images, or use "Export Project File" to keep it as a file instead.');
+        error.name = 'QuotaExceededError';
+        return error;
+    }
+
+    /**
+     * Get how much storage this site uses and may use
+     * @returns {Promise<Object|null>} { usage, quota } in bytes, or null if the browser can't tell
+     */
+    getStorageEstimate() {
+        return BlobStore.estimate();
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Number of bytes
+     * @returns {string} e.g. "4.2 MB"
+     */
+    formatBytes(bytes) {
+        const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return unit === 0 ? `${value} ${units[0]}` : `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+    }
+
     /**
      * Set a cookie with expiration
      * @param {string} name - Cookie name
@@ -163,121 +731,717 @@ class SecureStorage {
     }
 
     /**
-     * Save form data securely to localStorage
-     * Uses the same AES-GCM encryption as before, but stores in localStorage instead of cookies
+     * Generate a unique ID for a new draft
+     * @returns {string} Draft ID
+     */
+    generateDraftId() {
+        if (crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Get the storage key holding a draft's encrypted data
+     * @param {string} draftId - Draft ID
+     * @returns {string} Storage key
+     */
+    getDraftStorageKey(draftId) {
+        return `${this.draftKeyPrefix}${draftId}`;
+    }
+
+    /**
+     * Get the storage key holding a draft's encrypted version history
+     * @param {string} draftId - Draft ID
+     * @returns {string} Storage key
+     */
+    getHistoryStorageKey(draftId) {
+        return `${this.historyKeyPrefix}${draftId}`;
+    }
+
+    /**
+     * Get the storage key holding a draft's encrypted autosave
+     * @param {string} draftId - Draft ID
+     * @returns {string} Storage key
+     */
+    getAutosaveStorageKey(draftId) {
+        return `${this.autosaveKeyPrefix}${draftId}`;
+    }
+
+    /**
+     * Read the draft index (unencrypted metadata for every saved draft)
+     * @returns {Array<Object>} Draft metadata entries
+     */
+    getDraftIndex() {
+        try {
+            const index = JSON.parse(localStorage.getItem(this.draftIndexName) || '[]');
+            return Array.isArray(index) ? index : [];
+        } catch (error) {
+            console.error('Draft index is corrupted, ignoring it:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write the draft index
+     * @param {Array<Object>} index - Draft metadata entries
+     */
+    setDraftIndex(index) {
+        localStorage.setItem(this.draftIndexName, JSON.stringify(index));
+    }
+
+    /**
+     * Build the unencrypted metadata shown in the draft picker.
+     * Only the job title and company name are kept outside the encrypted blob.
+     * @param {Object} formData - Form data being saved
+     * @returns {Object} Metadata fields
+     */
+    buildDraftMetadata(formData) {
+        return {
+            jobTitle: formData.jobTitle || '',
+            companyName: formData.companyName || ''
+        };
+    }
+
+    /**
+     * Calculate the expiration timestamp for a draft saved (or renewed) now
+     * @param {number} [expiryDays] - Expiry period in days (0 = never)
+     * @returns {number|null} Expiration timestamp in milliseconds, or null if the draft never expires
+     */
+    calculateExpiration(expiryDays = this.storageExpireDays) {
+        return expiryDays > 0 ? Date.now() + (expiryDays * 24 * 60 * 60 * 1000) : null;
+    }
+
+    /**
+     * Check an expiry period against EXPIRY_OPTIONS
+     * @param {number} expiryDays - Expiry period in days
+     * @returns {number} The period, or the default if it isn't one of the options
+     */
+    normalizeExpiryDays(expiryDays) {
+        return SecureStorage.EXPIRY_OPTIONS.some(option => option.days === expiryDays) ? expiryDays : this.storageExpireDays;
+    }
+
+    /**
+     * Get a draft's expiry period. Drafts saved before periods could be chosen use the default.
+     * @param {Object} draft - Draft metadata
+     * @returns {number} Expiry period in days (0 = never)
+     */
+    getDraftExpiryDays(draft) {
+        return Number.isInteger(draft.expiryDays) ? draft.expiryDays : this.storageExpireDays;
+    }
+
+    /**
+     * Describe an expiry period
+     * @param {number} expiryDays - Expiry period in days (0 = never)
+     * @returns {string} e.g. "6 months"
+     */
+    getExpiryLabel(expiryDays) {
+        const option = SecureStorage.EXPIRY_OPTIONS.find(entry => entry.days === expiryDays);
+        return option ? option.label : `${expiryDays} days`;
+    }
+
+    /**
+     * Whether a draft's expiration date has passed
+     * @param {Object} draft - Draft metadata
+     * @returns {boolean} False for drafts that never expire
+     */
+    isDraftExpired(draft) {
+        return typeof draft.expiresAt === 'number' && draft.expiresAt <= Date.now();
+    }
+
+    /**
+     * Whether a draft expires within expiryWarningDays
+     * @param {Object} draft - Draft metadata
+     * @returns {boolean} False for drafts that never expire
+     */
+    isDraftExpiringSoon(draft) {
+        const remainingDays = this.getRemainingDays(draft.id);
+        return remainingDays !== null && remainingDays <= this.expiryWarningDays;
+    }
+
+    /**
+     * Describe when a draft expires
+     * @param {Object} draft - Draft metadata
+     * @returns {string} e.g. "Expires in 3 days" or "Never expires"
+     */
+    formatExpiry(draft) {
+        const remainingDays = this.getRemainingDays(draft.id);
+        if (remainingDays === null) {
+            return 'Never expires';
+        }
+        return `Expires in ${remainingDays} ${remainingDays === 1 ? 'day' : 'days'}`;
+    }
+
+    /**
+     * Restart a draft's expiry period without saving it again. Only the index changes.
+     * @param {string} draftId - Draft ID
+     * @returns {Object|null} Updated draft metadata, or null if the draft is gone or never expires
+     */
+    renewDraft(draftId) {
+        const index = this.getDraftIndex();
+        const draft = index.find(entry => entry.id === draftId);
+        const expiryDays = draft ? this.getDraftExpiryDays(draft) : 0;
+        if (!draft || expiryDays === 0) {
+            return null;
+        }
+
+        draft.expiryDays = expiryDays;
+        draft.expiresAt = this.calculateExpiration(expiryDays);
+        this.setDraftIndex(index);
+        return draft;
+    }
+
+    /**
+     * Get the settings a draft is encrypted with, from the draft index.
+     * Drafts saved before the settings were recorded use the legacy ones.
+     * @param {Object} draft - Draft metadata
+     * @returns {Object} { version, kdf, hash, iterations, cipher, keyLength }
+     */
+    getDraftEncryption(draft) {
+        return draft.encryption || { version: 1, ...this.legacyCryptoSettings };
+    }
+
+    /**
+     * Record the settings a draft is now encrypted with in the draft index
+     * @param {string} draftId - Draft ID
+     * @param {Object} settings - Result of getEncryptionSettings()
+     */
+    setDraftEncryption(draftId, settings) {
+        const index = this.getDraftIndex();
+        const draft = index.find(entry => entry.id === draftId);
+        if (draft) {
+            draft.encryption = settings;
+            this.setDraftIndex(index);
+        }
+    }
+
+    /**
+     * List all saved drafts, most recently modified first
+     * @returns {Array<Object>} Draft metadata ({id, name, jobTitle, companyName, createdAt, modifiedAt, expiryDays, expiresAt, autosavedAt, hasRecoveryKey, encryption})
+     */
+    listDrafts() {
+        return this.getDraftIndex().sort((a, b) => b.modifiedAt - a.modifiedAt);
+    }
+
+    /**
+     * Get a single draft's metadata
+     * @param {string} draftId - Draft ID
+     * @returns {Object|null} Draft metadata or null if not found
+     */
+    getDraft(draftId) {
+        return this.getDraftIndex().find(draft => draft.id === draftId) || null;
+    }
+
+    /**
+     * Save form data as a draft. Creates a new draft unless options.id is given.
+     * Every save encrypts with a fresh random salt and IV and restarts the draft's expiry period.
+     * The draft's autosave is discarded, since the saved draft is now the newest version.
      * @param {Object} formData - Form data to save
      * @param {string} userPhrase - User phrase for encryption
-     * @returns {Promise<boolean>} Success status
+     * @param {Object} [options] - Save options
+     * @param {string} [options.id] - ID of an existing draft to overwrite
+     * @param {string} [options.name] - Draft name (defaults to the job title)
+     * @param {string} [options.recoveryKey] - Recovery key that can also unlock the draft (generateRecoveryKey())
+     * @param {number} [options.expiryDays] - Expiry period from EXPIRY_OPTIONS (defaults to the draft's current one)
+     * @returns {Promise<Object|null>} Saved draft metadata, or null on failure
+     * @throws {Error} Named 'QuotaExceededError', with a user-facing message, when storage is full
      */
-    async saveFormData(formData, userPhrase) {
+    async saveDraft(formData, userPhrase, options = {}) {
         try {
-            const encryptedData = await this.encryptData(formData, userPhrase);
+            const existing = options.id ? this.getDraft(options.id) : null;
+            const { encryptedData, hasRecoveryKey } = await this.encryptDraftData(
+                formData, userPhrase, existing ? existing.id : null, options.recoveryKey
+            );
+            const now = Date.now();
+            const expiryDays = options.expiryDays !== undefined
+                ? this.normalizeExpiryDays(options.expiryDays)
+                : (existing ? this.getDraftExpiryDays(existing) : this.storageExpireDays);
+
+            const draft = {
+                id: existing ? existing.id : this.generateDraftId(),
+                name: (options.name || (existing && existing.name) || formData.jobTitle || 'Untitled Draft').trim(),
+                ...this.buildDraftMetadata(formData),
+                createdAt: existing ? existing.createdAt : now,
+                modifiedAt: now,
+                expiryDays,
+                expiresAt: this.calculateExpiration(expiryDays),
+                hasRecoveryKey,
+                encryption: this.getEncryptionSettings(encryptedData)
+            };
+
+            // Store the encrypted data first so the index never points at missing data
+            await this.setStoredValue(this.getDraftStorageKey(draft.id), encryptedData);
+            await this.deleteStoredValue(this.getAutosaveStorageKey(draft.id));
+
+            // Read the index again, since it may have changed while storing
+            const index = this.getDraftIndex();
+            const position = index.findIndex(entry => entry.id === draft.id);
+            if (position !== -1) {
+                index[position] = draft;
+            } else {
+                index.push(draft);
+            }
+            this.setDraftIndex(index);
+
+            return draft;
+        } catch (error) {
+            console.error('Failed to save draft:', error);
+
+            if (this.isQuotaError(error)) {
+                throw await this.createQuotaError('this draft');
+            }
 
-            // Check data size
-            const dataSize = encryptedData.length;
-            const dataSizeKB = (dataSize / 1024).toFixed(2);
-            const dataSizeMB = (dataSize / (1024 * 1024)).toFixed(2);
+            return null;
+        }
+    }
+
+    /**
+     * Load and decrypt a draft with its phrase or, if it has one, its recovery key
+     * @param {string} draftId - Draft ID
+     * @param {string} userPhrase - User phrase or recovery key for decryption
+     * @returns {Promise<Object|null>} Decrypted form data, or null if the draft doesn't exist
+     */
+    async loadDraft(draftId, userPhrase) {
+        const result = await this.unlockDraft(draftId, userPhrase);
+        return result ? result.data : null;
+    }
 
-            // Store in localStorage (much larger limit than cookies)
-            localStorage.setItem(this.storageName, encryptedData);
+    /**
+     * Decrypt a draft and report which secret opened it.
+     * The phrase is tried first; the recovery key only when the text looks like one.
+     * Data saved with older encryption settings is re-encrypted with the current ones
+     * (for a draft with a recovery key, the key slot that was used is re-wrapped).
+     * @param {string} draftId - Draft ID
+     * @param {string} secret - User phrase or recovery key
+     * @returns {Promise<Object|null>} { data, usedRecoveryKey, upgraded }, or null if the draft doesn't exist
+     * @throws {Error} If neither the phrase nor the recovery key matches
+     */
+    async unlockDraft(draftId, secret) {
+        const storageKey = this.getDraftStorageKey(draftId);
+        const encryptedData = await this.getStoredValue(storageKey);
+        if (!encryptedData) {
+            console.error(`No encrypted data found for draft "${draftId}"`);
+            return null;
+        }
 
-            // Store metadata
-            localStorage.setItem('hasStoredData', 'true');
+        let result;
+        try {
+            const wrapped = this.getWrappedDraft(encryptedData);
+            if (!wrapped) {
+                const data = await this.decryptBytes(encryptedData, secret);
+                const upgraded = await this.upgradeStoredValue(storageKey, encryptedData, data, secret);
+                result = { data, usedRecoveryKey: false, upgraded };
+            } else {
+                let dataKey;
+                let usedRecoveryKey = false;
+                try {
+                    dataKey = await this.unwrapDataKey(wrapped.keys.phrase, secret);
+                } catch (error) {
+                    if (!wrapped.keys.recovery || !this.isRecoveryKeyFormat(secret)) {
+                        throw error;
+                    }
+                    dataKey = await this.unwrapDataKey(wrapped.keys.recovery, this.normalizeRecoveryKey(secret));
+                    usedRecoveryKey = true;
+                }
+
+                const data = await this.decryptWithDataKey(wrapped.data, dataKey);
+                const upgraded = await this.upgradeKeySlot(storageKey, wrapped, usedRecoveryKey ? 'recovery' : 'phrase', dataKey, secret);
+                result = { data, usedRecoveryKey, upgraded };
+            }
+        } catch (error) {
+            console.error('Failed to load draft:', error);
+            console.error('This could be due to: wrong passphrase or corrupted data');
+            throw error;
+        }
 
-            // Store the expiration timestamp for dynamic calculation
-            const expirationDate = new Date();
-            expirationDate.setTime(expirationDate.getTime() + (this.storageExpireDays * 24 * 60 * 60 * 1000));
-            localStorage.setItem('dataExpiration', expirationDate.getTime().toString());
+        if (result.upgraded) {
+            this.setDraftEncryption(draftId, this.getEncryptionSettings(await this.getStoredValue(storageKey)));
+        }
+        return result;
+    }
 
-            // Clean up any old cookie data
-            this.deleteCookie(this.cookieName);
-            this.deleteCookie('hasStoredData');
-            this.deleteCookie('dataExpiration');
+    /**
+     * Re-wrap one key slot of a draft with a recovery key if it uses older encryption settings
+     * @param {string} storageKey - Storage key of the draft
+     * @param {Object} wrapped - The stored draft ({ keys, data })
+     * @param {string} slot - 'phrase' or 'recovery'
+     * @param {Uint8Array} dataKey - The draft's unwrapped data key
+     * @param {string} secret - Phrase or recovery key that opened the slot
+     * @returns {Promise<boolean>} True if the slot was re-wrapped
+     */
+    async upgradeKeySlot(storageKey, wrapped, slot, dataKey, secret) {
+        if (!this.isOutdatedEncryption(this.getEncryptionSettings(wrapped.keys[slot]))) {
+            return false;
+        }
 
+        try {
+            const wrappingSecret = slot === 'recovery' ? this.normalizeRecoveryKey(secret) : secret;
+            const keys = { ...wrapped.keys, [slot]: await this.wrapDataKey(dataKey, wrappingSecret) };
+            await this.setStoredValue(storageKey, { keys, data: wrapped.data });
             return true;
         } catch (error) {
-            console.error('Failed to save form data:', error);
+            console.error(`Failed to re-encrypt "${storageKey}" with the current settings:`, error);
+            return false;
+        }
+    }
 
-            // Check if it's a quota exceeded error
-            if (error.name === 'QuotaExceededError') {
-                console.error('localStorage quota exceeded! Data is too large.');
-            }
+    /**
+     * Replace a draft's phrase using its recovery key. The recovery key keeps working.
+     * The version history and autosave were encrypted with the forgotten phrase, so they are discarded.
+     * @param {string} draftId - Draft ID
+     * @param {string} recoveryKey - The draft's recovery key
+     * @param {string} newPhrase - New user phrase
+     * @returns {Promise<boolean>} True if the phrase was replaced
+     * @throws {Error} If the draft has no recovery key or the key is wrong
+     */
+    async resetDraftPhrase(draftId, recoveryKey, newPhrase) {
+        const storageKey = this.getDraftStorageKey(draftId);
+        const wrapped = this.getWrappedDraft(await this.getStoredValue(storageKey));
+        if (!wrapped || !wrapped.keys.recovery) {
+            throw new Error('This draft has no recovery key.');
+        }
+
+        const dataKey = await this.unwrapDataKey(wrapped.keys.recovery, this.normalizeRecoveryKey(recoveryKey));
+        wrapped.keys.phrase = await this.wrapDataKey(dataKey, newPhrase);
+        await this.setStoredValue(storageKey, wrapped);
+        this.setDraftEncryption(draftId, this.getEncryptionSettings(wrapped));
 
+        await this.deleteStoredValue(this.getHistoryStorageKey(draftId));
+        await this.deleteDraftAutosave(draftId);
+        return true;
+    }
+
+    /**
+     * Save a draft's version history, encrypted with the draft's phrase
+     * @param {string} draftId - Draft ID
+     * @param {Object} history - History to store (FormHistory.getSavedHistory())
+     * @param {string} userPhrase - User phrase for encryption
+     * @returns {Promise<boolean>} True if the history was stored
+     */
+    async saveDraftHistory(draftId, history, userPhrase) {
+        try {
+            const encryptedData = await this.encryptToBytes(history, await this.createSessionKey(userPhrase));
+            await this.setStoredValue(this.getHistoryStorageKey(draftId), encryptedData);
+            return true;
+        } catch (error) {
+            // The draft itself is already saved; only the timeline is lost
+            console.error('Failed to save draft history:', error);
+            await this.deleteStoredValue(this.getHistoryStorageKey(draftId));
             return false;
         }
     }
 
     /**
-     * Load form data securely from localStorage (with fallback to cookies for backward compatibility)
+     * Load and decrypt a draft's version history (re-encrypting it if it uses older settings)
+     * @param {string} draftId - Draft ID
      * @param {string} userPhrase - User phrase for decryption
-     * @returns {Promise<Object|null>} Decrypted form data or null
+     * @returns {Promise<Object|null>} History, or null if none is stored or it can't be read
+     */
+    async loadDraftHistory(draftId, userPhrase) {
+        try {
+            const storageKey = this.getHistoryStorageKey(draftId);
+            const encryptedData = await this.getStoredValue(storageKey);
+            if (!encryptedData) {
+                return null;
+            }
+
+            const history = await this.decryptBytes(encryptedData, userPhrase);
+            await this.upgradeStoredValue(storageKey, encryptedData, history, userPhrase);
+            return history;
+        } catch (error) {
+            console.error('Failed to load draft history:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a draft's autosave and record when it was made in the draft index.
+     * The draft itself (and its expiration) is left untouched until the next manual save.
+     * @param {string} draftId - Draft ID
+     * @param {Uint8Array} encryptedData - Form data encrypted with encryptToBytes()
+     * @returns {Promise<number|null>} Autosave timestamp, or null if the draft is gone or the data couldn't be stored
+     * @throws {Error} Named 'QuotaExceededError', with a user-facing message, when storage is full
+     */
+    async saveDraftAutosave(draftId, encryptedData) {
+        if (!this.getDraft(draftId)) {
+            return null;
+        }
+
+        try {
+            await this.setStoredValue(this.getAutosaveStorageKey(draftId), encryptedData);
+        } catch (error) {
+            console.error('Failed to autosave draft:', error);
+            if (this.isQuotaError(error)) {
+                throw await this.createQuotaError('your latest changes');
+            }
+            return null;
+        }
+
+        // Read the index after storing; the draft may have been deleted meanwhile
+        const index = this.getDraftIndex();
+        const draft = index.find(entry => entry.id === draftId);
+        if (!draft) {
+            await this.deleteStoredValue(this.getAutosaveStorageKey(draftId));
+            return null;
+        }
+
+        draft.autosavedAt = Date.now();
+        this.setDraftIndex(index);
+        return draft.autosavedAt;
+    }
+
+    /**
+     * Load and decrypt a draft's autosave (re-encrypting it if it uses older settings)
+     * @param {string} draftId - Draft ID
+     * @param {string} userPhrase - Phrase the draft was saved with
+     * @returns {Promise<Object|null>} Form data, or null if none is stored or it can't be read
+     */
+    async loadDraftAutosave(draftId, userPhrase) {
+        try {
+            const storageKey = this.getAutosaveStorageKey(draftId);
+            const encryptedData = await this.getStoredValue(storageKey);
+            if (!encryptedData) {
+                return null;
+            }
+
+            const formData = await this.decryptBytes(encryptedData, userPhrase);
+            await this.upgradeStoredValue(storageKey, encryptedData, formData, userPhrase);
+            return formData;
+        } catch (error) {
+            console.error('Failed to load draft autosave:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Whether a draft has an autosave made after its last manual save.
+     * Saving or discarding clears autosavedAt, so the index alone answers this.
+     * @param {string} draftId - Draft ID
+     * @returns {boolean}
+     */
+    hasNewerAutosave(draftId) {
+        const draft = this.getDraft(draftId);
+        return Boolean(draft && draft.autosavedAt > draft.modifiedAt);
+    }
+
+    /**
+     * Discard a draft's autosave
+     * @param {string} draftId - Draft ID
+     * @returns {Promise<void>}
+     */
+    async deleteDraftAutosave(draftId) {
+        const index = this.getDraftIndex();
+        const draft = index.find(entry => entry.id === draftId);
+        if (draft && draft.autosavedAt) {
+            delete draft.autosavedAt;
+            this.setDraftIndex(index);
+        }
+
+        await this.deleteStoredValue(this.getAutosaveStorageKey(draftId));
+    }
+
+    /**
+     * Rename a draft. Only the unencrypted metadata changes.
+     * @param {string} draftId - Draft ID
+     * @param {string} name - New draft name
+     * @returns {boolean} True if the draft was renamed
+     */
+    renameDraft(draftId, name) {
+        const index = this.getDraftIndex();
+        const draft = index.find(entry => entry.id === draftId);
+        if (!draft || !name || !name.trim()) {
+            return false;
+        }
+
+        draft.name = name.trim();
+        this.setDraftIndex(index);
+        return true;
+    }
+
+    /**
+     * Duplicate a draft. The data is decrypted and re-encrypted so the copy gets its own salt.
+     * The copy is protected by the phrase only; a recovery key is never shared between drafts.
+     * It gets the source's expiry period, starting now.
+     * @param {string} draftId - Draft ID to copy
+     * @param {string} userPhrase - Phrase the source draft was saved with (also used for the copy)
+     * @param {string} [name] - Name for the copy
+     * @returns {Promise<Object|null>} New draft metadata, or null if the source doesn't exist
      */
-    async loadFormData(userPhrase) {
+    async duplicateDraft(draftId, userPhrase, name) {
+        const source = this.getDraft(draftId);
+        if (!source) {
+            return null;
+        }
+
+        const formData = await this.loadDraft(draftId, userPhrase);
+        if (!formData) {
+            return null;
+        }
+
+        const copy = await this.saveDraft(formData, userPhrase, {
+            name: name || `${source.name} (Copy)`,
+            expiryDays: this.getDraftExpiryDays(source)
+        });
+
+        // The history is encrypted with the same phrase, so it can be copied as-is
+        const history = copy ? await this.getStoredValue(this.getHistoryStorageKey(draftId)) : null;
+        if (history) {
+            try {
+                await this.setStoredValue(this.getHistoryStorageKey(copy.id), history);
+            } catch (error) {
+                console.error('Failed to copy draft history:', error);
+            }
+        }
+
+        return copy;
+    }
+
+    /**
+     * Delete a draft, its encrypted data, its version history and its autosave.
+     * The index entry goes first, so the draft disappears from the picker right away.
+     * @param {string} draftId - Draft ID
+     * @returns {Promise<boolean>} True if a draft was deleted
+     */
+    async deleteDraft(draftId) {
+        const index = this.getDraftIndex();
+        const remaining = index.filter(draft => draft.id !== draftId);
+        this.setDraftIndex(remaining);
+
+        await this.deleteDraftData(draftId);
+        return remaining.length !== index.length;
+    }
+
+    /**
+     * Delete a draft's encrypted data, version history and autosave
+     * @param {string} draftId - Draft ID
+     * @returns {Promise<void>}
+     */
+    async deleteDraftData(draftId) {
+        await this.deleteStoredValue(this.getDraftStorageKey(draftId));
+        await this.deleteStoredValue(this.getHistoryStorageKey(draftId));
+        await this.deleteStoredValue(this.getAutosaveStorageKey(draftId));
+    }
+
+    /**
+     * Delete every draft whose expiration date has passed (with its history and autosave)
+     * @returns {Promise<number>} Number of drafts removed
+     */
+    async purgeExpiredDrafts() {
+        const expired = this.getDraftIndex().filter(draft => this.isDraftExpired(draft));
+        for (const draft of expired) {
+            await this.deleteDraft(draft.id);
+        }
+        return expired.length;
+    }
+
+    /**
+     * Move data saved by the old single-slot storage (localStorage or legacy cookie)
+     * into the draft library. The encrypted blob is moved as-is, so no phrase is needed;
+     * migrateToIndexedDB() then moves it out of localStorage.
+     */
+    migrateLegacyData() {
         try {
-            // Try localStorage first
             let encryptedData = localStorage.getItem(this.storageName);
-            let source = 'localStorage';
+            let expiration = localStorage.getItem('dataExpiration');
 
             // Fallback to cookies for backward compatibility
             if (!encryptedData) {
                 encryptedData = this.getCookie(this.cookieName);
-                source = 'cookie (legacy)';
+                expiration = this.getCookie('dataExpiration');
             }
 
             if (!encryptedData) {
-                console.error('No encrypted data found in localStorage or cookies');
-                return null;
+                return;
             }
 
-            const dataSize = encryptedData.length;
-            const dataSizeKB = (dataSize / 1024).toFixed(2);
-
-            const formData = await this.decryptData(encryptedData, userPhrase);
+            const index = this.getDraftIndex();
+            const now = Date.now();
+            const draft = {
+                id: this.generateDraftId(),
+                name: 'Saved Draft',
+                jobTitle: '',
+                companyName: '',
+                createdAt: now,
+                modifiedAt: now,
+                expiresAt: expiration ? parseInt(expiration, 10) : this.calculateExpiration()
+            };
 
-            // If we loaded from cookie, migrate to localStorage
-            if (source === 'cookie (legacy)') {
-                await this.saveFormData(formData, userPhrase);
-            }
+            localStorage.setItem(this.getDraftStorageKey(draft.id), encryptedData);
+            index.push(draft);
+            this.setDraftIndex(index);
 
-            return formData;
+            this.clearLegacyData();
         } catch (error) {
-            console.error('Failed to load form data:', error);
-            console.error('This could be due to: wrong passphrase, corrupted data, or truncated cookie data');
-            throw error;
+            console.error('Failed to migrate previously saved data:', error);
         }
     }
 
     /**
-     * Check if stored data exists (checks both localStorage and cookies)
-     * @returns {boolean} True if stored data exists
+     * Move drafts, histories and autosaves that earlier versions kept as base64 text in
+     * localStorage into IndexedDB as bytes. Each value is removed from localStorage only
+     * after it is stored, and getStoredValue() reads whatever hasn't been moved yet.
+     * @returns {Promise<number>} Number of values moved
      */
-    hasStoredData() {
-        // Check localStorage first
-        if (localStorage.getItem('hasStoredData') === 'true') {
-            return true;
-        }
+    async migrateToIndexedDB() {
+        const keys = [];
+        this.getDraftIndex().forEach(draft => {
+            keys.push(this.getDraftStorageKey(draft.id), this.getHistoryStorageKey(draft.id), this.getAutosaveStorageKey(draft.id));
+        });
 
-        // Fallback to cookie for backward compatibility
-        return this.getCookie('hasStoredData') === 'true';
+        let moved = 0;
+        for (const key of keys) {
+            const value = localStorage.getItem(key);
+            if (value === null) continue;
+
+            try {
+                await this.blobStore.put(key, this.parseLegacyValue(value));
+                localStorage.removeItem(key);
+                moved++;
+            } catch (error) {
+                console.error(`Failed to move "${key}" to IndexedDB; it stays in localStorage for now:`, error);
+            }
+        }
+        return moved;
     }
 
     /**
-     * Clear all stored data (both localStorage and cookies)
+     * Remove the old single-slot storage keys and cookies
      */
-    clearStoredData() {
-        // Clear localStorage
+    clearLegacyData() {
         localStorage.removeItem(this.storageName);
         localStorage.removeItem('hasStoredData');
         localStorage.removeItem('dataExpiration');
 
-        // Clear legacy cookies
         this.deleteCookie(this.cookieName);
         this.deleteCookie('hasStoredData');
         this.deleteCookie('dataExpiration');
     }
 
     /**
-     * Get the number of days until storage expiration
+     * Check if any saved drafts exist
+     * @returns {boolean} True if stored data exists
+     */
+    hasStoredData() {
+        return this.getDraftIndex().length > 0;
+    }
+
+    /**
+     * Clear all stored drafts (and any legacy single-slot data)
+     * @returns {Promise<void>}
+     */
+    async clearStoredData() {
+        const drafts = this.getDraftIndex();
+        localStorage.removeItem(this.draftIndexName);
+        this.clearLegacyData();
+
+        for (const draft of drafts) {
+            await this.deleteDraftData(draft.id);
+        }
+    }
+
+    /**
+     * Get the default expiry period of new drafts
      * @returns {number} Number of days until expiration
      */
     getExpirationDays() {
@@ -285,32 +1449,21 @@ class SecureStorage {
     }
 
     /**
-     * Get the actual remaining days until stored data expires
-     * @returns {number|null} Number of days remaining, or null if no data stored
+     * Get the actual remaining days until a draft expires.
+     * Without a draft ID, returns the remaining days of the draft that expires soonest.
+     * @param {string} [draftId] - Draft ID
+     * @returns {number|null} Number of days remaining, or null if no matching draft (or none that expires)
      */
-    getRemainingDays() {
-        if (!this.hasStoredData()) {
+    getRemainingDays(draftId) {
+        const drafts = (draftId ? [this.getDraft(draftId)].filter(Boolean) : this.getDraftIndex())
+            .filter(draft => typeof draft.expiresAt === 'number');
+        if (drafts.length === 0) {
             return null;
         }
 
-        // Get the expiration timestamp from localStorage first
-        let expirationTimestamp = localStorage.getItem('dataExpiration');
-
-        // Fallback to cookie for backward compatibility
-        if (!expirationTimestamp) {
-            expirationTimestamp = this.getCookie('dataExpiration');
-        }
-
-        if (expirationTimestamp) {
-            const expirationDate = new Date(parseInt(expirationTimestamp));
-            const now = new Date();
-            const timeDiff = expirationDate.getTime() - now.getTime();
-            const daysDiff = Math.ceil(timeDiff / (1000 * 3600 * 24));
-            return Math.max(0, daysDiff);
-        } else {
-            // Fallback: assume it was set recently with default expiration
-            return this.storageExpireDays;
-        }
+        const soonest = Math.min(...drafts.map(draft => draft.expiresAt));
+        const daysDiff = Math.ceil((soonest - Date.now()) / (1000 * 3600 * 24));
+        return Math.max(0, daysDiff);
     }
 }
 
@@ -5,9 +5,9 @@
  * This includes saving, loading, and clearing form data, as well as
  * managing user authentication and form population.
  *
- * IMPORTANT: This manager uses src/fields/vars.json as the single source of truth.
- * It automatically adapts to changes in src/fields/vars.json without code modifications.
- * When you add/remove fields in src/fields/vars.json, the storage system automatically
+ * IMPORTANT: This manager uses the field schema in src/fields/vars.json as the single
+ * source of truth. Loaded data is routed to tabs by each field's "tab" property, so
+ * when you add/remove fields in src/fields/vars.json, the storage system automatically
  * handles them - no updates needed to this file!
  *
  * @author Austin Steil
@@ -27,52 +27,83 @@ class StorageDataManager {
         this.documentGenerator = documentGenerator;
         this.secureStorage = documentGenerator.secureStorage;
         this.sessionPassphrase = null; // Temporarily store passphrase in memory for updates
+        this.activeDraftId = null; // Draft that was last saved or loaded this session
+        this.projectFile = new ProjectFile(this.secureStorage); // Encrypted .jda export/import
     }
 
     /**
      * Handle saving form data securely
-     * @param {boolean} isUpdate - Whether this is an update to existing unlocked data
+     * @param {boolean} isUpdate - Whether this is an update to the currently unlocked draft
      * @returns {Promise<boolean>} Success status of the save operation
      */
     async handleSaveData(isUpdate = false) {
         // Collect current form data
         this.documentGenerator.collectFormData();
+        const formData = this.documentGenerator.formData;
 
-        if (Object.keys(this.documentGenerator.formData).length === 0) {
+        if (Object.keys(formData).length === 0) {
             showError('Please fill in some information before saving');
             return false;
         }
 
         let userPhrase;
+        let draftName;
+        let recoveryKey = null;
+        let expiryDays; // Updates keep the draft's expiry period
+        const updatingDraft = isUpdate && this.sessionPassphrase && this.activeDraftId;
 
-        if (isUpdate && this.sessionPassphrase) {
+        if (updatingDraft) {
             // Use the stored passphrase for updates
             userPhrase = this.sessionPassphrase;
         } else {
-            // Prompt for new passphrase
-            userPhrase = await this.promptForPhrase('save');
+            // Prompt for a new passphrase and draft name
+            userPhrase = await this.promptForPhrase('save', { draftName: formData.jobTitle || '' });
             if (!userPhrase) return false;
-
-            // Store the passphrase for potential updates during this session
-            this.sessionPassphrase = userPhrase;
+            draftName = window.phraseModal ? window.phraseModal.getDraftName() : '';
+            if (window.phraseModal && window.phraseModal.wantsRecoveryKey()) {
+                recoveryKey = this.secureStorage.generateRecoveryKey();
+            }
+            if (window.phraseModal && window.phraseModal.getExpiryDays() !== null) {
+                expiryDays = window.phraseModal.getExpiryDays();
+            }
         }
 
+        // This save includes any edits still waiting to be autosaved
+        this.documentGenerator.autosaveManager?.cancel();
+
         try {
-            const success = await this.secureStorage.saveFormData(this.documentGenerator.formData, userPhrase);
-            if (success) {
-                const expirationDays = this.secureStorage.getExpirationDays();
-                const message = isUpdate
-                    ? `Data updated successfully! Your changes have been saved. Saved data will expire in ${expirationDays} days.`
-                    : `Information saved securely! Use the same phrase to load it later. Saved data will expire in ${expirationDays} days.`;
+            const draft = await this.secureStorage.saveDraft(formData, userPhrase, {
+                id: updatingDraft ? this.activeDraftId : null,
+                name: draftName,
+                recoveryKey: recoveryKey,
+                expiryDays: expiryDays
+            });
 
-                showSuccess(message, { duration: 8 });
+            if (draft) {
+                // Remember the passphrase and draft for potential updates during this session
+                this.sessionPassphrase = userPhrase;
+                this.activeDraftId = draft.id;
+
+                await this.saveHistory(draft.id, userPhrase);
+                await this.documentGenerator.autosaveManager?.handleDraftUnlocked(draft, userPhrase);
+
+                // The recovery key is never stored in the clear, so this is the only chance to keep it
+                if (recoveryKey) {
+                    await window.phraseModal.showRecoveryKey(recoveryKey, draft.name);
+                }
+
+                const expiryNotice = draft.expiresAt === null
+                    ? 'It will not expire.'
+                    : `Saved data will expire in ${this.secureStorage.getExpiryLabel(draft.expiryDays)}.`;
+                const message = updatingDraft
+                    ? `Draft "${draft.name}" updated successfully! ${expiryNotice}`
+                    : `Draft "${draft.name}" saved securely! Use the same phrase to load it later. ${expiryNotice}`;
 
-                // Alert user that images are not stored
-                showWarning('Note: Uploaded images are not stored for later. You will need to re-upload them when you load your saved data.', { duration: 7 });
+                showSuccess(message, { duration: 8 });
 
                 // Handle UI state based on operation type
                 if (this.documentGenerator.storageUIManager) {
-                    if (isUpdate) {
+                    if (updatingDraft) {
                         // For updates, keep the unlocked state
                         this.documentGenerator.storageUIManager.handleStorageOperation('update', true);
                     } else {
@@ -87,28 +118,74 @@ class StorageDataManager {
             }
         } catch (error) {
             console.error('Save error:', error);
-            showError('Failed to save information. Please try again.');
+            if (this.secureStorage.isQuotaError(error)) {
+                // The message says how much space is used and what to do about it
+                showError(error.message, { duration: 12 });
+            } else {
+                showError('Failed to save information. Please try again.');
+            }
             return false;
         }
     }
 
     /**
-     * Handle loading saved form data
+     * Handle loading a saved draft
+     * Without a draft ID, loads the only draft or opens the draft picker when there are several.
+     * @param {string} [draftId] - ID of the draft to load
      * @returns {Promise<boolean>} Success status of the load operation
      */
-    async handleLoadData() {
-        const userPhrase = await this.promptForPhrase('load');
+    async handleLoadData(draftId) {
+        if (!draftId) {
+            const drafts = this.secureStorage.listDrafts();
+            if (drafts.length === 0) {
+                showWarning('No saved drafts found.');
+                return false;
+            }
+            if (drafts.length > 1 && this.documentGenerator.storageUIManager) {
+                this.documentGenerator.storageUIManager.showDraftPicker();
+                return false;
+            }
+            draftId = drafts[0].id;
+        }
+
+        const draft = this.secureStorage.getDraft(draftId);
+        if (!draft) {
+            showError('That draft no longer exists.');
+            return false;
+        }
+
+        let userPhrase = await this.promptForPhrase('load', { draftName: draft.name });
         if (!userPhrase) return false;
 
         try {
-            const formData = await this.secureStorage.loadFormData(userPhrase);
+            const unlocked = await this.secureStorage.unlockDraft(draftId, userPhrase);
+            const formData = unlocked ? unlocked.data : null;
+
+            // Opened with the recovery key: the forgotten phrase is replaced before continuing
+            if (formData && unlocked.usedRecoveryKey) {
+                userPhrase = await this.resetPhraseWithRecoveryKey(draft, userPhrase);
+                if (!userPhrase) return false;
+            }
 
             if (formData) {
-                this.populateForm(formData);
-                showSuccess('Information loaded successfully!');
+                // An autosave newer than the last manual save can be restored instead
+                const recovered = await this.documentGenerator.autosaveManager?.offerRecovery(draft, userPhrase);
+
+                this.populateForm(recovered || formData);
+                await this.loadHistory(draftId, userPhrase);
+                if (recovered) {
+                    showSuccess(`Autosaved changes to "${draft.name}" restored. Use "Update Draft" to keep them.`, { duration: 8 });
+                } else if (unlocked.upgraded) {
+                    showSuccess(`Draft "${draft.name}" loaded successfully! It was re-encrypted with the current, stronger settings.`, { duration: 8 });
+                } else {
+                    showSuccess(`Draft "${draft.name}" loaded successfully!`);
+                }
+                this.warnIfExpiringSoon(draftId);
 
-                // Store the passphrase for potential updates during this session
+                // Store the passphrase and draft for potential updates during this session
                 this.sessionPassphrase = userPhrase;
+                this.activeDraftId = draftId;
+                await this.documentGenerator.autosaveManager?.handleDraftUnlocked(draft, userPhrase, { recovered: Boolean(recovered) });
 
                 // Notify storage UI manager about successful load operation
                 if (this.documentGenerator.storageUIManager) {
@@ -116,51 +193,369 @@ class StorageDataManager {
                 }
                 return true;
             } else {
-                console.warn('loadFormData returned null - either no cookie or decryption failed');
-                showWarning('No saved information found or incorrect passphrase.');
+                console.warn('loadDraft returned null - draft data is missing');
+                showWarning('No saved information found for this draft.');
                 return false;
             }
         } catch (error) {
             console.error('Load error (exception thrown):', error);
             console.error('Error message:', error.message);
-            console.error('Error stack:', error.stack);
             showError('Failed to load information. Please check your phrase and try again.');
             return false;
         }
     }
 
     /**
-     * Handle clearing saved data
+     * Ask for a new phrase for a draft that was unlocked with its recovery key, and store it
+     * @param {Object} draft - Draft metadata
+     * @param {string} recoveryKey - Recovery key that unlocked the draft
+     * @returns {Promise<string|null>} New phrase, or null if the user cancelled
+     */
+    async resetPhraseWithRecoveryKey(draft, recoveryKey) {
+        const newPhrase = await this.promptForPhrase('resetPhrase', { draftName: draft.name });
+        if (!newPhrase) {
+            showWarning(`Draft "${draft.name}" was not loaded. Enter the recovery key again when you're ready to set a new phrase.`);
+            return null;
+        }
+
+        await this.secureStorage.resetDraftPhrase(draft.id, recoveryKey, newPhrase);
+        showSuccess(`New security phrase set for "${draft.name}". Your recovery key still works.`, { duration: 8 });
+        return newPhrase;
+    }
+
+    /**
+     * Handle renaming a saved draft
+     * @param {string} draftId - Draft ID
+     * @returns {Promise<boolean>} Success status of the rename operation
+     */
+    async handleRenameDraft(draftId) {
+        const draft = this.secureStorage.getDraft(draftId);
+        if (!draft) return false;
+
+        const name = await this.promptForDraftName('Rename Draft', draft.name);
+        if (!name || name === draft.name) return false;
+
+        if (this.secureStorage.renameDraft(draftId, name)) {
+            showSuccess(`Draft renamed to "${name}".`);
+            if (this.documentGenerator.storageUIManager) {
+                this.documentGenerator.storageUIManager.handleStorageOperation('rename', true);
+            }
+            return true;
+        }
+
+        showError('Failed to rename draft. Please try again.');
+        return false;
+    }
+
+    /**
+     * Handle duplicating a saved draft
+     * The copy is re-encrypted with the same phrase, so the phrase is needed unless the draft is already unlocked.
+     * @param {string} draftId - Draft ID
+     * @returns {Promise<boolean>} Success status of the duplicate operation
+     */
+    async handleDuplicateDraft(draftId) {
+        const draft = this.secureStorage.getDraft(draftId);
+        if (!draft) return false;
+
+        const userPhrase = draftId === this.activeDraftId && this.sessionPassphrase
+            ? this.sessionPassphrase
+            : await this.promptForPhrase('load', { draftName: draft.name });
+        if (!userPhrase) return false;
+
+        try {
+            const copy = await this.secureStorage.duplicateDraft(draftId, userPhrase);
+            if (copy) {
+                showSuccess(`Draft duplicated as "${copy.name}".`);
+                if (this.documentGenerator.storageUIManager) {
+                    this.documentGenerator.storageUIManager.handleStorageOperation('duplicate', true);
+                }
+                return true;
+            }
+            showError('Failed to duplicate draft. Please try again.');
+            return false;
+        } catch (error) {
+            console.error('Duplicate error:', error);
+            showError(this.secureStorage.isQuotaError(error)
+                ? error.message
+                : 'Failed to duplicate draft. Please check your phrase and try again.');
+            return false;
+        }
+    }
+
+    /**
+     * Handle renewing a saved draft for another expiry period (no phrase needed; only its expiration changes)
+     * @param {string} draftId - Draft ID
+     * @returns {boolean} Success status of the renew operation
+     */
+    handleRenewDraft(draftId) {
+        const draft = this.secureStorage.renewDraft(draftId);
+        if (!draft) {
+            showError('This draft does not expire or no longer exists.');
+            return false;
+        }
+
+        showSuccess(`Draft "${draft.name}" renewed for another ${this.secureStorage.getExpiryLabel(draft.expiryDays)}. ` +
+            `It now expires on ${new Date(draft.expiresAt).toLocaleDateString()}.`);
+        if (this.documentGenerator.storageUIManager) {
+            this.documentGenerator.storageUIManager.handleStorageOperation('renew', true);
+        }
+        return true;
+    }
+
+    /**
+     * Show a warning when a loaded draft is about to expire
+     * @param {string} draftId - Draft ID
+     */
+    warnIfExpiringSoon(draftId) {
+        const draft = this.secureStorage.getDraft(draftId);
+        if (!draft || !this.secureStorage.isDraftExpiringSoon(draft)) return;
+
+        const remainingDays = this.secureStorage.getRemainingDays(draftId);
+        showWarning(`Draft "${draft.name}" will be deleted in ${remainingDays} ${remainingDays === 1 ? 'day' : 'days'}. ` +
+            `Update it, or use "Renew" in Manage Drafts, to keep it for another ${this.secureStorage.getExpiryLabel(this.secureStorage.getDraftExpiryDays(draft))}.`,
+            { duration: 10 });
+    }
+
+    /**
+     * Handle deleting a single saved draft
+     * @param {string} draftId - Draft ID
+     * @returns {Promise<boolean>} Success status of the delete operation
+     */
+    async handleDeleteDraft(draftId) {
+        const draft = this.secureStorage.getDraft(draftId);
+        if (!draft) return false;
+
+        const confirmed = confirm(`Are you sure you want to delete the draft "${draft.name}"? This cannot be undone.`);
+        if (!confirmed) return false;
+
+        await this.secureStorage.deleteDraft(draftId);
+
+        // Deleting the open draft locks the session again
+        if (draftId === this.activeDraftId) {
+            this.activeDraftId = null;
+            this.sessionPassphrase = null;
+            this.documentGenerator.autosaveManager?.endSession();
+        }
+
+        if (this.documentGenerator.storageUIManager) {
+            this.documentGenerator.storageUIManager.handleStorageOperation('delete', true);
+        }
+
+        showSuccess(`Draft "${draft.name}" deleted.`);
+        return true;
+    }
+
+    /**
+     * Handle clearing all saved drafts
      * @returns {Promise<boolean>} Success status of the clear operation
      */
     async handleClearData() {
-        const confirmed = confirm('Are you sure you want to clear all saved information? This cannot be undone.');
+        const confirmed = confirm('Are you sure you want to delete all saved drafts? This cannot be undone.');
         if (confirmed) {
-            this.secureStorage.clearStoredData();
+            await this.secureStorage.clearStoredData();
 
             // Clear the session passphrase
             this.sessionPassphrase = null;
+            this.activeDraftId = null;
+            this.documentGenerator.autosaveManager?.endSession();
 
             // Notify storage UI manager about successful clear operation
             if (this.documentGenerator.storageUIManager) {
                 this.documentGenerator.storageUIManager.handleStorageOperation('clear', true);
             }
 
-            showSuccess('Saved information cleared successfully.');
+            showSuccess('All saved drafts cleared successfully.');
             return true;
         }
         return false;
     }
 
+    /**
+     * Handle exporting the current form (including images) as an encrypted .jda project file
+     * @returns {Promise<boolean>} Success status of the export operation
+     */
+    async handleExportData() {
+        // Collect current form data
+        this.documentGenerator.collectFormData();
+        const formData = this.documentGenerator.formData;
+
+        if (Object.keys(formData).length === 0) {
+            showError('Please fill in some information before exporting');
+            return false;
+        }
+
+        const userPhrase = await this.promptForPhrase('export');
+        if (!userPhrase) return false;
+
+        try {
+            const file = await this.projectFile.createFile(formData, userPhrase);
+            this.downloadFile(file, this.projectFile.getFileName(formData));
+
+            showSuccess('Project file exported! Share the phrase separately with anyone who needs to open it.', { duration: 8 });
+            return true;
+        } catch (error) {
+            console.error('Export error:', error);
+            showError('Failed to export project file. Please try again.');
+            return false;
+        }
+    }
+
+    /**
+     * Handle importing an encrypted .jda project file into the form
+     * Imported data is not saved as a draft until the user saves it.
+     * @returns {Promise<boolean>} Success status of the import operation
+     */
+    async handleImportData() {
+        const file = await this.selectProjectFile();
+        if (!file) return false;
+
+        let envelope;
+        try {
+            envelope = await this.projectFile.readEnvelope(file);
+        } catch (error) {
+            console.error('Import error:', error);
+            showError(error.message);
+            return false;
+        }
+
+        const userPhrase = await this.promptForPhrase('import', { fileName: file.name });
+        if (!userPhrase) return false;
+
+        try {
+            const formData = await this.projectFile.decryptEnvelope(envelope, userPhrase);
+            this.populateForm(formData);
+
+            // The form no longer matches the open draft, so don't let "Update Draft" overwrite it
+            this.sessionPassphrase = null;
+            this.activeDraftId = null;
+            this.documentGenerator.autosaveManager?.endSession();
+
+            if (this.documentGenerator.storageUIManager) {
+                this.documentGenerator.storageUIManager.handleStorageOperation('import', true);
+            }
+
+            showSuccess(`Project file "${file.name}" imported successfully! Use "Save for Later" to keep it in this browser.`, { duration: 8 });
+            return true;
+        } catch (error) {
+            console.error('Import error:', error);
+            showError('Failed to import project file. Please check your phrase and try again.');
+            return false;
+        }
+    }
+
+    /**
+     * Let the user pick a .jda file
+     * @returns {Promise<File|null>} Selected file or null if cancelled
+     */
+    selectProjectFile() {
+        return this.selectFile(ProjectFile.EXTENSION);
+    }
+
+    /**
+     * Let the user pick a file
+     * @param {string} accept - File types for the picker (e.g. '.pdf')
+     * @returns {Promise<File|null>} Selected file or null if cancelled
+     */
+    selectFile(accept) {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+            input.style.display = 'none';
+
+            input.addEventListener('change', () => {
+                resolve(input.files && input.files[0] ? input.files[0] : null);
+                input.remove();
+            });
+            // Browsers that support it report a cancelled picker
+            input.addEventListener('cancel', () => {
+                resolve(null);
+                input.remove();
+            });
+
+            document.body.appendChild(input);
+            input.click();
+        });
+    }
+
+    /**
+     * Trigger a browser download for a file
+     * @param {Blob} blob - File contents
+     * @param {string} fileName - Download file name
+     */
+    downloadFile(blob, fileName) {
+        const blobUrl = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = blobUrl;
+        link.download = fileName;
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Clean up the blob URL after a short delay
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
+    }
+
+    /**
+     * Prompt user for a draft name
+     * @param {string} title - Modal title
+     * @param {string} currentName - Name to prefill
+     * @returns {Promise<string|null>} Trimmed name or null if cancelled
+     */
+    async promptForDraftName(title, currentName = '') {
+        const modal = new Modal({
+            title: title,
+            content: `
+                <div class="form-group">
+                    <label for="draftNameInput">Draft Name:</label>
+                    <input type="text" id="draftNameInput" maxlength="100" autocomplete="off">
+                </div>
+            `,
+            size: 'small',
+            buttons: [
+                { text: 'Cancel', action: 'cancel', variant: 'secondary' },
+                {
+                    text: 'Save',
+                    action: 'confirm',
+                    variant: 'primary',
+                    handler: (modal) => {
+                        // Keep the modal open until a name is entered
+                        return modal.modal.querySelector('#draftNameInput').value.trim().length > 0;
+                    }
+                }
+            ],
+            onShow: (modal) => {
+                const input = modal.modal.querySelector('#draftNameInput');
+                input.value = currentName;
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        modal.modal.querySelector('[data-action="confirm"]').click();
+                    }
+                });
+                setTimeout(() => input.select(), 100);
+            }
+        });
+
+        const result = await modal.show();
+        if (result !== 'confirm') return null;
+
+        return modal.modal.querySelector('#draftNameInput').value.trim();
+    }
+
     /**
      * Prompt user for encryption phrase using the dedicated modal component
-     * @param {string} action - 'save' or 'load'
+     * @param {string} action - Phrase modal action ('save', 'load', 'resetPhrase', ...)
+     * @param {Object} [options] - Options passed to the phrase modal
+     * @param {string} [options.draftName] - Draft name to prefill (save) or display (load)
      * @returns {Promise<string|null>} User phrase or null if cancelled
      */
-    async promptForPhrase(action) {
+    async promptForPhrase(action, options = {}) {
         // Use the global phrase modal instance
         if (window.phraseModal) {
-            return await window.phraseModal.show(action);
+            return await window.phraseModal.show(action, options);
         } else {
             // Fallback to basic prompt if modal isn't available
             const expirationDays = this.secureStorage.getExpirationDays();
@@ -193,57 +588,16 @@ class StorageDataManager {
     populateForm(formData) {
         // Check if we have a tabs manager (new tab-based system)
         if (this.documentGenerator.tabsManager) {
-            // Use the tabs manager to populate data
-            // The formData structure should match what the tabs expect
-            const tabData = {
-                intro: {},
-                demographics: {},
-                jobs: {},
-                summary: {}
-            };
-
-            // Handle jobs data structure - it can be stored as a nested object or flat
-            if (formData.jobsData && typeof formData.jobsData === 'object') {
-                // New format: jobs data is stored as a nested object
-                tabData.jobs = formData.jobsData;
-            } else if (formData.jobs && typeof formData.jobs === 'object') {
-                // Alternative format: jobs is already structured
-                tabData.jobs = formData.jobs;
-            } else {
-                // Build jobs data from individual demand fields
-                tabData.jobs = {
-                    physicalDemands: formData.physicalDemands || {},
-                    mobilityDemands: formData.mobilityDemands || {},
-                    cognitiveSensoryDemands: formData.cognitiveSensoryDemands || {},
-                    environmentalDemands: formData.environmentalDemands || {},
-                    liftingPushingPulling: formData.liftingPushingPulling || {},
-                    classificationOfWork: formData.classificationOfWork || {}
-                };
-            }
-
-            // Distribute the flat formData into tab-specific data
-            const varsConfig = this.documentGenerator.varsConfig;
-            Object.keys(varsConfig).forEach(fieldName => {
-                if (formData.hasOwnProperty(fieldName)) {
-                    // Map fields to appropriate tabs based on field names
-                    if (['title', 'companyName', 'companyStreet', 'companyCity', 'companyState', 'companyZip', 'companyLogo', 'brandColor', 'secondaryBrandColor', 'author', 'email', 'date', 'selectedTemplate', 'template'].includes(fieldName)) {
-                        tabData.intro[fieldName] = formData[fieldName];
-                    } else if (['jobTitle', 'jobPurpose', 'essentialFunctions', 'marginalFunctions', 'workSchedule', 'breaks', 'otherShiftInfo'].includes(fieldName)) {
-                        tabData.demographics[fieldName] = formData[fieldName];
-                    } else if (['documentContent', 'summaryText'].includes(fieldName)) {
-                        tabData.summary[fieldName] = formData[fieldName];
-                    }
-                    // Jobs-related fields are handled separately above
-                }
-            });
+            // Route each saved field to the tab that owns it (see src/fields/vars.json)
+            const tabData = this.documentGenerator.fieldSchema.splitByTab(formData);
 
             // Set data in all tabs
             this.documentGenerator.tabsManager.setAllData(tabData);
         } else {
             // Fallback to old DOM-based approach for backward compatibility
-            const varsConfig = this.documentGenerator.varsConfig;
+            const fieldSchema = this.documentGenerator.fieldSchema;
 
-            Object.keys(varsConfig).forEach(fieldName => {
+            fieldSchema.getFieldNames().forEach(fieldName => {
                 // Check if we have saved data for this field
                 if (formData.hasOwnProperty(fieldName)) {
                     const element = document.getElementById(fieldName);
@@ -260,6 +614,30 @@ class StorageDataManager {
         this.documentGenerator.validateForm();
     }
 
+    /**
+     * Store the version history next to a saved draft
+     * @param {string} draftId - Draft ID
+     * @param {string} userPhrase - Phrase the draft was saved with
+     */
+    async saveHistory(draftId, userPhrase) {
+        const formHistory = this.documentGenerator.formHistory;
+        if (!formHistory) return;
+
+        await this.secureStorage.saveDraftHistory(draftId, formHistory.getSavedHistory(), userPhrase);
+    }
+
+    /**
+     * Continue the version history saved with a draft that was just loaded
+     * @param {string} draftId - Draft ID
+     * @param {string} userPhrase - Phrase the draft was saved with
+     */
+    async loadHistory(draftId, userPhrase) {
+        const formHistory = this.documentGenerator.formHistory;
+        if (!formHistory) return;
+
+        formHistory.setSavedHistory(await this.secureStorage.loadDraftHistory(draftId, userPhrase));
+    }
+
     /**
      * Check if there is stored data available
      * @returns {boolean} True if stored data exists
@@ -268,12 +646,29 @@ class StorageDataManager {
         return this.secureStorage.hasStoredData();
     }
 
+    /**
+     * Get all saved drafts, most recently modified first
+     * @returns {Array<Object>} Draft metadata
+     */
+    getDrafts() {
+        return this.secureStorage.listDrafts();
+    }
+
+    /**
+     * Get the draft that is currently unlocked, if any
+     * @returns {Object|null} Draft metadata or null
+     */
+    getActiveDraft() {
+        return this.activeDraftId ? this.secureStorage.getDraft(this.activeDraftId) : null;
+    }
+
     /**
      * Get the number of days until stored data expires
+     * @param {string} [draftId] - Draft ID (defaults to the draft that expires soonest)
      * @returns {number|null} Days remaining or null if no data
      */
-    getRemainingDays() {
-        return this.secureStorage.getRemainingDays();
+    getRemainingDays(draftId) {
+        return this.secureStorage.getRemainingDays(draftId);
     }
 
     /**
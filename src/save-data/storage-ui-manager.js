@@ -21,6 +21,7 @@ class StorageUIManager {
     constructor(documentGenerator) {
         this.documentGenerator = documentGenerator;
         this.floatingButton = null;
+        this.draftPicker = null;
         this.secureStorage = documentGenerator.secureStorage;
     }
 
@@ -48,6 +49,21 @@ class StorageUIManager {
         }
     }
 
+    /**
+     * Show the saved drafts picker (load, rename, duplicate, delete)
+     */
+    showDraftPicker() {
+        if (typeof DraftPicker === 'undefined') {
+            console.error('DraftPicker component not loaded. Make sure to include draft-picker.js');
+            return;
+        }
+
+        if (!this.draftPicker) {
+            this.draftPicker = new DraftPicker(this.documentGenerator);
+        }
+        this.draftPicker.show();
+    }
+
     /**
      * Refresh floating button state (called after storage operations)
      */
@@ -63,31 +79,28 @@ class StorageUIManager {
     async checkForSavedDataOnLoad() {
         // Wait a moment for all components to initialize
         setTimeout(async () => {
+            // Expired drafts are removed automatically and never offered for loading
+            const purged = await this.secureStorage.purgeExpiredDrafts();
+            if (purged > 0) {
+                showWarning(`${purged} expired ${purged === 1 ? 'draft was' : 'drafts were'} deleted.`, { duration: 8 });
+                this.refreshStorageUI();
+            }
+
             const hasStoredData = this.documentGenerator.storageDataManager ?
                 this.documentGenerator.storageDataManager.hasStoredData() :
                 this.secureStorage.hasStoredData();
 
-            if (hasStoredData) {
-                // Check if data has expired before showing the modal
-                const remainingDays = this.documentGenerator.storageDataManager ?
-                    this.documentGenerator.storageDataManager.getRemainingDays() :
-                    this.secureStorage.getRemainingDays();
-
-                // If data is expired (0 or negative days), automatically clear it
-                if (remainingDays !== null && remainingDays <= 0) {
-                    this.secureStorage.clearStoredData();
-                    if (this.floatingButton) {
-                        this.floatingButton.resetUnlockedState();
-                    }
-                    return; // Don't show the modal, data is cleared
+            if (!hasStoredData) {
+                if (this.floatingButton) {
+                    this.floatingButton.resetUnlockedState();
                 }
+                return;
+            }
 
-                // Data is still valid, show the modal
-                const shouldLoad = await this.showSavedDataAlert();
-                if (shouldLoad) {
-                    // Automatically trigger load data flow
-                    this.documentGenerator.handleLoadData();
-                }
+            const shouldLoad = await this.showSavedDataAlert();
+            if (shouldLoad) {
+                // Loads the only draft directly, or opens the draft picker when there are several
+                this.documentGenerator.handleLoadData();
             }
         }, 500); // Small delay to ensure UI is ready
     }
@@ -97,14 +110,32 @@ class StorageUIManager {
      * @returns {Promise<boolean>} True if user wants to load data
      */
     async showSavedDataAlert() {
-        // Get expiration days
-        const expirationDays = this.documentGenerator.storageDataManager ?
-            (this.documentGenerator.storageDataManager.getRemainingDays() || this.documentGenerator.storageDataManager.getExpirationDays()) :
-            (this.secureStorage.getRemainingDays() || this.secureStorage.getExpirationDays());
+        // Get draft count and the soonest expiration (drafts can be set to never expire)
+        const drafts = this.secureStorage.listDrafts();
+        const draftCount = drafts.length;
+        const remainingDays = this.secureStorage.getRemainingDays();
+        const dayText = `${remainingDays} ${remainingDays === 1 ? 'day' : 'days'}`;
+        let expiryText;
+        if (remainingDays === null) {
+            expiryText = draftCount === 1 ? 'It does not expire.' : 'None of them expire.';
+        } else {
+            expiryText = draftCount === 1 ? `It will expire in ${dayText}.` : `The next one will expire in ${dayText}.`;
+        }
+        const summary = draftCount === 1
+            ? `You have 1 saved draft. ${expiryText}`
+            : `You have ${draftCount} saved drafts. ${expiryText}`;
+
+        // Autosaves newer than their draft are offered for recovery when the draft is loaded
+        const recoverable = drafts.filter(draft => this.secureStorage.hasNewerAutosave(draft.id));
+        const recoveryNotice = recoverable.length > 0
+            ? `<p><strong>Unsaved changes found:</strong> ${recoverable.map(draft => `"${this.escapeHtml(draft.name)}"`).join(', ')}
+               ${recoverable.length === 1 ? 'has' : 'have'} autosaved changes you can recover when you load ${recoverable.length === 1 ? 'it' : 'them'}.</p>`
+            : '';
 
         // Create content with benefits
         const content = `
-            <p>Saved data will expire in ${expirationDays} days.</p>
+            <p>${summary}</p>
+            ${recoveryNotice}
             <div class="alert-benefits" style="background: var(--gradient-info-subtle); padding: var(--spacing-lg); border-radius: var(--radius-md); margin: var(--spacing-lg) 0; border-left: 4px solid var(--color-info-border);">
                 <div class="benefit-item" style="display: flex; align-items: center; gap: var(--spacing-md); margin-bottom: var(--spacing-md);">
                     <span class="benefit-icon" style="font-size: 1.2rem; width: 20px; text-align: center;">⚡</span>
@@ -133,7 +164,7 @@ class StorageUIManager {
                     variant: 'secondary'
                 },
                 {
-                    text: 'Clear Data',
+                    text: 'Clear All Drafts',
                     action: 'clear',
                     variant: 'warning',
                     handler: async (modal) => {
@@ -143,7 +174,7 @@ class StorageUIManager {
                     }
                 },
                 {
-                    text: 'Load Data',
+                    text: draftCount === 1 ? 'Load Draft' : 'Choose Draft',
                     action: 'load',
                     variant: 'primary'
                 }
@@ -159,12 +190,22 @@ class StorageUIManager {
     /**
      * Handle floating button state updates after storage operations
      * This method is called by the DocumentGenerator after save/load/clear operations
-     * @param {string} operation - The operation that was performed ('save', 'load', 'clear')
+     * @param {string} operation - The operation that was performed ('save', 'save_and_unlock', 'update', 'load', 'import', 'rename', 'duplicate', 'renew', 'delete', 'clear', 'lock')
      * @param {boolean} success - Whether the operation was successful
      */
     handleStorageOperation(operation, success) {
         if (!success) return;
 
+        // Time inactivity only while a draft is unlocked
+        const inactivityLock = this.documentGenerator.inactivityLock;
+        if (inactivityLock) {
+            if (this.documentGenerator.storageDataManager?.sessionPassphrase) {
+                inactivityLock.start();
+            } else {
+                inactivityLock.stop();
+            }
+        }
+
         switch (operation) {
             case 'save':
                 // Reset unlocked state since this is new encryption with potentially new passphrase
@@ -195,6 +236,29 @@ class StorageUIManager {
                 }
                 break;
 
+            case 'import':
+                // Imported data isn't tied to a saved draft, so lock again
+                if (this.floatingButton) {
+                    this.floatingButton.resetUnlockedState();
+                }
+                break;
+
+            case 'rename':
+            case 'duplicate':
+            case 'renew':
+                // Draft list changed but the unlocked draft is unaffected
+                this.refreshStorageUI();
+                break;
+
+            case 'delete':
+                // Deleting the unlocked draft locks the session again
+                if (this.floatingButton && !this.documentGenerator.storageDataManager?.activeDraftId) {
+                    this.floatingButton.resetUnlockedState();
+                } else {
+                    this.refreshStorageUI();
+                }
+                break;
+
             case 'clear':
                 // Reset unlocked state when data is cleared
                 if (this.floatingButton) {
@@ -203,9 +267,27 @@ class StorageUIManager {
                     this.refreshStorageUI();
                 }
                 break;
+
+            case 'lock':
+                // The draft locked after inactivity; its phrase is needed again
+                if (this.floatingButton) {
+                    this.floatingButton.resetUnlockedState();
+                }
+                break;
         }
     }
 
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     /**
      * Get reference to the floating button instance
      * @returns {FloatingStorageButton|null} The floating button instance
@@ -97,51 +97,51 @@ class DemographicsTab {
      * Initialize all text input components
      */
     initializeTextInputs() {
+        // Label, required flag and validation come from the field schema
+        const schema = window.fieldSchema || new FieldSchema();
+
         // Job Title input
-        this.jobTitleInput = new TextInput({
+        this.jobTitleInput = new TextInput(schema.getInputOptions('jobTitle', {
             containerId: 'job-title-container',
             id: 'demo-job-title',
-            name: 'jobTitle',
-            label: 'Job Title',
             placeholder: 'Enter job title',
-            required: true
-        });
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
 
         // Job Purpose input
-        this.jobPurposeInput = new TextInput({
+        this.jobPurposeInput = new TextInput(schema.getInputOptions('jobPurpose', {
             containerId: 'job-purpose-container',
             id: 'demo-job-purpose',
-            name: 'jobPurpose',
-            label: 'Job Purpose',
             placeholder: 'Enter job purpose',
-            required: true
-        });
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
 
         // Other Shift Information input
-        this.otherShiftInfoInput = new TextInput({
+        this.otherShiftInfoInput = new TextInput(schema.getInputOptions('otherShiftInfo', {
             containerId: 'other-shift-info-container',
             id: 'demo-other-shift-info',
-            name: 'otherShiftInfo',
-            label: 'Other Shift Information',
             placeholder: 'Any additional shift information...',
-            required: false,
-            helpText: 'Seasonal changes, weekend volume demands, holiday schedules, etc.'
-        });
+            helpText: 'Seasonal changes, weekend volume demands, holiday schedules, etc.',
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
     }
 
     /**
      * Initialize work week calculator component
      */
     initializeWorkWeekCalculator() {
+        const schema = window.fieldSchema || new FieldSchema();
+
         this.workWeekCalculator = new WorkWeekCalculator({
             containerId: 'work-week-calculator-container',
             id: 'demo-work-week',
             name: 'workSchedule',
-            label: 'Work Schedule',
+            label: schema.getLabel('workSchedule'),
             defaultWeeklyHours: 40,
             defaultShiftLength: 8,
             defaultShiftsPerWeek: 5,
-            required: false
+            required: schema.isRequired('workSchedule'),
+            onChange: () => FormHistory.notifyChange(this.container)
         });
     }
 
@@ -149,46 +149,31 @@ class DemographicsTab {
      * Initialize repeater components
      */
     initializeRepeaters() {
+        // Row fields, labels and rules come from the field schema; only presentation is set here
+        const schema = window.fieldSchema || new FieldSchema();
+        const descriptionOptions = {
+            placeholder: 'Task description',
+            autoGrow: true,
+            rows: 1,
+            showCharCounter: true,
+            minHeight: '52px',
+            maxHeight: '150px'
+        };
+
         // Essential Functions Repeater
         this.essentialFunctionsRepeater = new Repeater({
             containerId: 'essential-functions-repeater-container',
             id: 'essential-functions-repeater',
             name: 'essentialFunctions',
-            label: 'Essential Functions',
-            fields: [
-                {
-                    name: 'essentialFunction',
-                    label: 'Essential Functions',
-                    type: 'text',
-                    placeholder: 'Primary Tasks',
-                    required: true
-                },
-                {
-                    name: 'essentialFunctionDescription',
-                    label: 'Short Description',
-                    type: 'area',
-                    placeholder: 'Task description',
-                    required: true,
-                    autoGrow: true,
-                    rows: 1,
-                    maxLength: 150,
-                    showCharCounter: true,
-                    minHeight: '52px',
-                    maxHeight: '150px',
-                    validation: (value) => {
-                        if (value.length < 10) {
-                            return 'Description must be at least 10 characters';
-                        }
-                        if (value.length > 150) {
-                            return 'Description must be 150 characters or less';
-                        }
-                        return true;
-                    }
-                }
-            ],
-            required: true,
+            label: schema.getLabel('essentialFunctions'),
+            fields: schema.getRepeaterFields('essentialFunctions', {
+                essentialFunction: { placeholder: 'Primary Tasks' },
+                essentialFunctionDescription: descriptionOptions
+            }),
+            required: schema.isRequired('essentialFunctions'),
             defaultRows: 1,
-            showFieldLabels: false
+            showFieldLabels: false,
+            onChange: () => FormHistory.notifyChange(this.container)
         });
 
         // Marginal Functions Repeater
@@ -196,41 +181,15 @@ class DemographicsTab {
             containerId: 'marginal-functions-repeater-container',
             id: 'marginal-functions-repeater',
             name: 'marginalFunctions',
-            label: 'Marginal Functions',
-            fields: [
-                {
-                    name: 'marginalFunction',
-                    label: 'Marginal Functions',
-                    type: 'text',
-                    placeholder: 'Secondary Tasks',
-                    required: true
-                },
-                {
-                    name: 'marginalFunctionDescription',
-                    label: 'Short Description',
-                    type: 'area',
-                    placeholder: 'Task description',
-                    required: true,
-                    autoGrow: true,
-                    rows: 1,
-                    maxLength: 150,
-                    showCharCounter: true,
-                    minHeight: '52px',
-                    maxHeight: '150px',
-                    validation: (value) => {
-                        if (value.length < 10) {
-                            return 'Description must be at least 10 characters';
-                        }
-                        if (value.length > 150) {
-                            return 'Description must be 150 characters or less';
-                        }
-                        return true;
-                    }
-                }
-            ],
-            required: true,
+            label: schema.getLabel('marginalFunctions'),
+            fields: schema.getRepeaterFields('marginalFunctions', {
+                marginalFunction: { placeholder: 'Secondary Tasks' },
+                marginalFunctionDescription: descriptionOptions
+            }),
+            required: schema.isRequired('marginalFunctions'),
             defaultRows: 1,
-            showFieldLabels: false
+            showFieldLabels: false,
+            onChange: () => FormHistory.notifyChange(this.container)
         });
 
         // Breaks Repeater
@@ -238,19 +197,14 @@ class DemographicsTab {
             containerId: 'breaks-container',
             id: 'breaks-repeater',
             name: 'breaks',
-            label: 'Breaks',
-            fields: [
-                {
-                    name: 'breakDescription',
-                    label: 'Description',
-                    type: 'text',
-                    placeholder: 'Break information',
-                    required: true
-                }
-            ],
-            required: true,
+            label: schema.getLabel('breaks'),
+            fields: schema.getRepeaterFields('breaks', {
+                breakDescription: { placeholder: 'Break information' }
+            }),
+            required: schema.isRequired('breaks'),
             defaultRows: 1,
-            showFieldLabels: false
+            showFieldLabels: false,
+            onChange: () => FormHistory.notifyChange(this.container)
         });
 
         // Set default break values after initialization
@@ -262,31 +216,29 @@ class DemographicsTab {
      * Initialize image upload component
      */
     initializeImageUpload() {
-        this.imageUpload = new ImageUpload({
+        const schema = window.fieldSchema || new FieldSchema();
+
+        this.imageUpload = new ImageUpload(schema.getInputOptions('jobImages', {
             containerId: 'image-upload-container',
             id: 'demo-job-images',
-            name: 'jobImages',
-            label: 'Job Images',
-            required: false,
             maxFiles: 10,
             maxFileSize: 5 * 1024 * 1024, // 5MB
             acceptedFormats: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-            helpText: 'Upload images related to the job (optional)'
-        });
+            helpText: 'Upload images related to the job (optional). Photos appear in a Job Photos appendix of the PDF.',
+            captions: true,
+            compressImages: true // Downscale to 1600px JPEGs so a 10-photo report stays small
+        }));
     }
 
     /**
-     * Set default break values
+     * Set default break values from the field schema
      */
     setDefaultBreaks() {
-        if (this.breaksRepeater) {
-            this.breaksRepeater.setData({
-                breaks: [
-                    { breakDescription: 'One 15-minute break at about 10am' },
-                    { breakDescription: 'One 30-minute break at about 12pm' },
-                    { breakDescription: 'One 15-minute break at about 2pm' }
-                ]
-            });
+        const schema = window.fieldSchema || new FieldSchema();
+        const defaultBreaks = schema.getDefault('breaks');
+
+        if (this.breaksRepeater && Array.isArray(defaultBreaks)) {
+            this.breaksRepeater.setData({ breaks: defaultBreaks });
         }
     }
 
@@ -30,6 +30,9 @@ class IntroTab {
         this.brandColorPicker = null;
         this.secondaryColorPicker = null;
         this.logoUpload = null;
+        this.jobProfile = null; // { id, name, data } of the job profile this report started from
+        this.profileButton = null;
+        this.compareProfileButton = null;
         this.render();
         this.init();
     }
@@ -49,6 +52,17 @@ class IntroTab {
                     <input type="hidden" id="selectedTemplate" name="selectedTemplate" value="">
                 </div>
 
+                <div class="intro-job-profile">
+                    <div class="intro-job-profile-text">
+                        <strong>Job Profile</strong>
+                        <span id="intro-job-profile-status">Start from a saved job profile to prefill the Overview and Demands tabs.</span>
+                    </div>
+                    <div class="intro-job-profile-actions">
+                        <div id="intro-profile-button-container"></div>
+                        <div id="intro-compare-profile-button-container"></div>
+                    </div>
+                </div>
+
                 <p>This section will collect information for the document cover page.</p>
 
                 <!-- Two-column layout for form fields -->
@@ -86,6 +100,7 @@ class IntroTab {
         this.initializeColorPickers();
         this.initializeTemplateSelection();
         this.initializeLogoUpload();
+        this.initializeJobProfileButtons();
     }
 
     /**
@@ -98,58 +113,47 @@ class IntroTab {
             return;
         }
 
+        // Label, required flag, default and validation come from the field schema
+        const schema = window.fieldSchema || new FieldSchema();
+
         // Title input
-        this.titleInput = new TextInput({
+        this.titleInput = new TextInput(schema.getInputOptions('title', {
             containerId: 'title-input-container',
             id: 'intro-title',
-            name: 'title',
-            label: 'Document Title',
             placeholder: 'Enter document title',
-            defaultValue: 'Job Demands Analysis',
-            required: true
-        });
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
 
         // Company Name input
-        this.companyNameInput = new TextInput({
+        this.companyNameInput = new TextInput(schema.getInputOptions('companyName', {
             containerId: 'company-name-input-container',
             id: 'intro-company-name',
-            name: 'companyName',
-            label: 'Company Name',
             placeholder: 'Enter company name',
-            required: true
-        });
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
 
         // Author input (Your Name)
-        this.authorInput = new TextInput({
+        this.authorInput = new TextInput(schema.getInputOptions('author', {
             containerId: 'author-input-container',
             id: 'intro-author',
-            name: 'author',
-            label: 'Your Name (Author)',
             placeholder: 'First Last',
-            required: true
-        });
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
 
         // Email input
-        this.emailInput = new TextInput({
+        this.emailInput = new TextInput(schema.getInputOptions('email', {
             containerId: 'email-input-container',
             id: 'intro-email',
-            name: 'email',
-            label: 'Your Email Address',
             placeholder: 'example@example.com',
-            type: 'email',
-            required: true
-        });
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
 
         // Date input - Today's Date
-        this.dateInput = new TextInput({
+        this.dateInput = new TextInput(schema.getInputOptions('date', {
             containerId: 'date-input-container',
             id: 'intro-date',
-            name: 'date',
-            label: 'Today\'s Date',
-            type: 'date',
-            defaultValue: new Date().toISOString().split('T')[0],
-            required: true
-        });
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
     }
 
     /**
@@ -162,11 +166,14 @@ class IntroTab {
             return;
         }
 
+        const schema = window.fieldSchema || new FieldSchema();
+
         this.companyAddress = new Address({
             containerId: 'company-address-container',
             compact: false,
-            required: true,
-            showLabel: false
+            required: ['companyStreet', 'companyCity', 'companyState', 'companyZip'].some(name => schema.isRequired(name)),
+            showLabel: false,
+            onChange: () => FormHistory.notifyChange(this.container)
         });
     }
 
@@ -180,29 +187,25 @@ class IntroTab {
             return;
         }
 
+        const schema = window.fieldSchema || new FieldSchema();
+
         // Primary brand color picker
-        this.brandColorPicker = new ColorPicker({
+        this.brandColorPicker = new ColorPicker(schema.getInputOptions('brandColor', {
             containerId: 'brand-color-picker-container',
             id: 'intro-brand-color',
-            name: 'brandColor',
-            label: 'Primary Brand Color',
-            defaultValue: '#003366',
-            required: false,
             helpText: 'Select your primary brand color',
-            style: 'margin-top: calc(var(--spacing-md) * -1);'
-        });
+            style: 'margin-top: calc(var(--spacing-md) * -1);',
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
 
         // Secondary brand color picker
-        this.secondaryColorPicker = new ColorPicker({
+        this.secondaryColorPicker = new ColorPicker(schema.getInputOptions('secondaryBrandColor', {
             containerId: 'secondary-color-picker-container',
             id: 'intro-secondary-color',
-            name: 'secondaryBrandColor',
-            label: 'Secondary Brand Color',
-            defaultValue: '#047857',
-            required: false,
             helpText: 'Select your secondary brand color',
-            style: 'margin-top: calc(var(--spacing-md) * -1);'
-        });
+            style: 'margin-top: calc(var(--spacing-md) * -1);',
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
     }
 
     /**
@@ -215,18 +218,64 @@ class IntroTab {
             return;
         }
 
-        this.logoUpload = new ImageUpload({
+        const schema = window.fieldSchema || new FieldSchema();
+
+        this.logoUpload = new ImageUpload(schema.getInputOptions('companyLogo', {
             containerId: 'logo-upload-container',
             id: 'intro-company-logo',
-            name: 'companyLogo',
-            label: 'Company Logo',
-            required: false,
             maxFiles: 1,
             maxFileSize: 5 * 1024 * 1024, // 5MB
             acceptedFormats: ['image/jpeg', 'image/png', 'image/svg+xml']
+        }));
+    }
+
+    /**
+     * Initialize the job profile buttons
+     */
+    initializeJobProfileButtons() {
+        // Wait for Button component to be available
+        if (typeof Button === 'undefined') {
+            setTimeout(() => this.initializeJobProfileButtons(), 100);
+            return;
+        }
+
+        this.profileButton = new Button({
+            containerId: 'intro-profile-button-container',
+            id: 'intro-profile-button',
+            text: 'Start from Job Profile',
+            variant: 'secondary',
+            size: 'small',
+            onClick: () => window.documentGenerator?.jobProfileManager?.showPicker()
+        });
+
+        this.compareProfileButton = new Button({
+            containerId: 'intro-compare-profile-button-container',
+            id: 'intro-compare-profile-button',
+            text: 'Compare with Profile',
+            variant: 'secondary',
+            size: 'small',
+            disabled: !this.jobProfile,
+            onClick: () => window.documentGenerator?.jobProfileManager?.showDiff()
         });
     }
 
+    /**
+     * Set the job profile this report was started from
+     * @param {Object|null} jobProfile - { id, name, data } snapshot, or null for none
+     */
+    setJobProfile(jobProfile) {
+        this.jobProfile = jobProfile && jobProfile.data ? jobProfile : null;
+
+        const status = this.container.querySelector('#intro-job-profile-status');
+        if (status) {
+            status.textContent = this.jobProfile
+                ? `Started from job profile "${this.jobProfile.name}".`
+                : 'Start from a saved job profile to prefill the Overview and Demands tabs.';
+        }
+
+        if (this.compareProfileButton) this.compareProfileButton.setDisabled(!this.jobProfile);
+    }
+
     /**
      * Initialize the template selection cards
      */
@@ -244,8 +293,7 @@ class IntroTab {
                 image: 'src/templates/images/template_1.png',
                 pdf: 'src/templates/pdf/template_1.pdf',
                 value: 'template_1',
-                generator: 'Template1Generator',
-                preview: 'Template1Preview'
+                generator: 'Template1Generator'
             },
             {
                 title: 'Modern Template',
@@ -253,8 +301,7 @@ class IntroTab {
                 image: 'src/templates/images/template_2.png',
                 pdf: 'src/templates/pdf/template_2.pdf',
                 value: 'template_2',
-                generator: 'Template2Generator',
-                preview: 'Template2Preview'
+                generator: 'Template2Generator'
             },
             {
                 title: 'Minimal Template',
@@ -262,8 +309,7 @@ class IntroTab {
                 image: 'src/templates/images/template_3.png',
                 pdf: 'src/templates/pdf/template_3.pdf',
                 value: 'template_3',
-                generator: 'Template3Generator',
-                preview: 'Template3Preview'
+                generator: 'Template3Generator'
             },
             {
                 title: 'Corporate Template',
@@ -271,8 +317,7 @@ class IntroTab {
                 image: 'src/templates/images/template_4.png',
                 pdf: 'src/templates/pdf/template_4.pdf',
                 value: 'template_4',
-                generator: 'Template4Generator',
-                preview: 'Template4Preview'
+                generator: 'Template4Generator'
             },
             {
                 title: 'Creative Template',
@@ -280,8 +325,7 @@ class IntroTab {
                 image: 'src/templates/images/template_5.png',
                 pdf: 'src/templates/pdf/template_5.pdf',
                 value: 'template_5',
-                generator: 'Template5Generator',
-                preview: 'Template5Preview'
+                generator: 'Template5Generator'
             },
             {
                 title: 'Academic Template',
@@ -289,16 +333,17 @@ class IntroTab {
                 image: 'src/templates/images/template_6.png',
                 pdf: 'src/templates/pdf/template_6.pdf',
                 value: 'template_6',
-                generator: 'Template6Generator',
-                preview: 'Template6Preview'
+                generator: 'Template6Generator'
             }
         ];
 
+        const schema = window.fieldSchema || new FieldSchema();
+
         this.templateCards = new Cards({
             containerId: 'template-selection-container',
             cards: templateCards,
             multiSelect: false,
-            required: true,
+            required: schema.isRequired('selectedTemplate'),
             gridLayout: '3x2',
             onChange: (selection) => {
                 if (selection.length > 0) {
@@ -316,17 +361,18 @@ class IntroTab {
                         hiddenInput.value = '';
                     }
                 }
+                FormHistory.notifyChange(this.container);
             }
         });
     }
 
     /**
-     * Get the selected template's generator and preview class names
-     * @returns {Object} Object with generator and preview class names
+     * Get the selected template's generator class name
+     * @returns {Object} Object with the generator class name
      */
     getSelectedTemplateClasses() {
         if (!this.selectedTemplate || !this.templateCards) {
-            return { generator: null, preview: null };
+            return { generator: null };
         }
 
         // Find the selected template card
@@ -334,12 +380,11 @@ class IntroTab {
 
         if (selectedCard) {
             return {
-                generator: selectedCard.generator,
-                preview: selectedCard.preview
+                generator: selectedCard.generator
             };
         }
 
-        return { generator: null, preview: null };
+        return { generator: null };
     }
 
     /**
@@ -376,6 +421,8 @@ class IntroTab {
         // Get data from Logo Upload component
         if (this.logoUpload) Object.assign(data, this.logoUpload.getData());
 
+        data.jobProfile = this.jobProfile;
+
         return data;
     }
 
@@ -420,6 +467,8 @@ class IntroTab {
 
         // Set data in Logo Upload component
         if (this.logoUpload) this.logoUpload.setData(data);
+
+        this.setJobProfile(data.jobProfile || null);
     }
 
     /**
@@ -440,8 +489,9 @@ class IntroTab {
         if (this.companyAddress && !this.companyAddress.validate()) isValid = false;
 
         // Validate template selection
+        const schema = window.fieldSchema || new FieldSchema();
         const hasTemplate = this.selectedTemplate !== null && this.selectedTemplate !== '';
-        if (!hasTemplate && this.templateCards) {
+        if (!hasTemplate && this.templateCards && schema.isRequired('selectedTemplate')) {
             this.templateCards.showValidationError('Please select a template to continue');
             isValid = false;
         }
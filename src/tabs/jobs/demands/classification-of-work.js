@@ -2,7 +2,10 @@
  * Classification of Work Section
  *
  * Handles classification of work data collection for job analysis.
- * Includes overall physical demand level selection using the DemandLevelSelector component.
+ * Includes overall physical and cognitive demand level selection using two
+ * DemandLevelSelector components; both levels are required.
+ * The level computed by DemandLevelRules from the lifting and physical demands tables is
+ * highlighted as a suggestion, and a warning is shown when the chosen level conflicts with it.
  *
  * @author Austin Steil
  * @version 1.0.0
@@ -15,6 +18,8 @@
 class ClassificationOfWork {
     constructor() {
         this.demandLevelSelector = null;
+        this.cognitiveLevelSelector = null;
+        this.suggestion = null;
         this.containerId = 'classification-of-work-container';
     }
 
@@ -26,6 +31,7 @@ class ClassificationOfWork {
         return `
             <div id="${this.containerId}" class="classification-of-work-section">
                 <div id="demand-level-selector-container"></div>
+                <div id="cognitive-level-selector-container"></div>
             </div>
         `;
     }
@@ -43,9 +49,58 @@ class ClassificationOfWork {
         this.demandLevelSelector = new DemandLevelSelector({
             containerId: 'demand-level-selector-container',
             required: true,
-            onChange: (selectedLevel) => {
+            onChange: () => {
+                this.updateConflictWarning();
+                FormHistory.notifyChange(document.getElementById(this.containerId));
             }
         });
+
+        this.cognitiveLevelSelector = new DemandLevelSelector({
+            containerId: 'cognitive-level-selector-container',
+            required: true,
+            title: 'Cognitive Demand Level',
+            description: 'Select the cognitive (mental) demand level that best describes this job. Use the task complexity, decision making, supervision and attention descriptions to guide your selection.',
+            levels: DemandLevelSelector.COGNITIVE_LEVELS,
+            columns: DemandLevelSelector.COGNITIVE_COLUMNS,
+            onChange: () => FormHistory.notifyChange(document.getElementById(this.containerId))
+        });
+
+        // Apply a suggestion computed before the selector was available
+        this.applySuggestion();
+    }
+
+    /**
+     * Recompute the suggested physical demand level from the entered table data
+     * @param {Object} liftingData - Lifting/Pushing/Pulling table data
+     * @param {Object} physicalData - Physical Demands table data
+     */
+    updateSuggestion(liftingData, physicalData) {
+        this.suggestion = DemandLevelRules.suggest(liftingData, physicalData);
+        this.applySuggestion();
+    }
+
+    /**
+     * Show the current suggestion and conflict warning in the selector
+     */
+    applySuggestion() {
+        if (!this.demandLevelSelector) return;
+
+        if (this.suggestion) {
+            this.demandLevelSelector.setSuggestion(this.suggestion.level, this.suggestion.reasons);
+        } else {
+            this.demandLevelSelector.clearSuggestion();
+        }
+        this.updateConflictWarning();
+    }
+
+    /**
+     * Warn when the chosen level conflicts with the entered data
+     */
+    updateConflictWarning() {
+        if (!this.demandLevelSelector) return;
+
+        const selected = this.demandLevelSelector.getSelectedLevel();
+        this.demandLevelSelector.setWarning(DemandLevelRules.findConflict(selected, this.suggestion));
     }
 
     /**
@@ -54,7 +109,8 @@ class ClassificationOfWork {
      */
     getData() {
         return {
-            physicalLevel: this.demandLevelSelector ? this.demandLevelSelector.getSelectedLevel() : null
+            physicalLevel: this.demandLevelSelector ? this.demandLevelSelector.getSelectedLevel() : null,
+            cognitiveLevel: this.cognitiveLevelSelector ? this.cognitiveLevelSelector.getSelectedLevel() : null
         };
     }
 
@@ -65,8 +121,18 @@ class ClassificationOfWork {
     setData(data) {
         if (!data || !this.demandLevelSelector) return;
 
+        // A missing level clears the selector, so undo and loading never keep the previous choice
         if (data.physicalLevel) {
             this.demandLevelSelector.setSelectedLevel(data.physicalLevel);
+        } else {
+            this.demandLevelSelector.clear();
+        }
+        if (this.cognitiveLevelSelector) {
+            if (data.cognitiveLevel) {
+                this.cognitiveLevelSelector.setSelectedLevel(data.cognitiveLevel);
+            } else {
+                this.cognitiveLevelSelector.clear();
+            }
         }
     }
 
@@ -75,8 +141,12 @@ class ClassificationOfWork {
      * @returns {boolean} True if validation passes
      */
     validate() {
-        if (!this.demandLevelSelector) return false;
-        return this.demandLevelSelector.validate();
+        if (!this.demandLevelSelector || !this.cognitiveLevelSelector) return false;
+
+        // Validate both so each selector shows its own error
+        const physicalValid = this.demandLevelSelector.validate();
+        const cognitiveValid = this.cognitiveLevelSelector.validate();
+        return physicalValid && cognitiveValid;
     }
 }
 
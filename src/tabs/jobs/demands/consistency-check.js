@@ -0,0 +1,156 @@
+/**
+ * Consistency Check Section
+ *
+ * Lists the warnings found by ConsistencyRules across the Jobs tab sections.
+ * Each warning has a "Go to" link that jumps to the offending section and cell,
+ * and an "Acknowledge" checkbox for warnings the analyst has reviewed and accepts.
+ * Acknowledged warning keys are saved with the draft (see JobsTab.getData()).
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class ConsistencyCheck {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {Function} options.onNavigate - Called with a warning's target when "Go to" is clicked
+     * @param {Function} options.onChange - Called when a warning is acknowledged or un-acknowledged
+     */
+    constructor(options = {}) {
+        this.onNavigate = options.onNavigate || null;
+        this.onChange = options.onChange || null;
+        this.warnings = [];
+        this.acknowledged = new Set();
+        this.containerId = 'consistency-check-container';
+    }
+
+    /**
+     * Render the consistency check section
+     * @returns {string} HTML content for the consistency check
+     */
+    render() {
+        return `
+            <div id="${this.containerId}" class="consistency-check-section">
+                <h3 class="consistency-check-title">Consistency Check</h3>
+                <p class="consistency-check-description">
+                    Warnings where one section contradicts another. Fix the data, or acknowledge a warning
+                    you have reviewed and accept; acknowledgements are saved with the draft.
+                </p>
+                <div class="consistency-check-summary" aria-live="polite"></div>
+                <ul class="consistency-check-list"></ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Initialize the consistency check section
+     */
+    init() {
+        this.renderWarnings();
+    }
+
+    /**
+     * Replace the listed warnings
+     * Acknowledgements for warnings that no longer occur are dropped.
+     * @param {Array<Object>} warnings - Result of ConsistencyRules.check()
+     */
+    update(warnings) {
+        this.warnings = warnings || [];
+        const keys = new Set(this.warnings.map(warning => warning.key));
+        this.acknowledged.forEach(key => {
+            if (!keys.has(key)) this.acknowledged.delete(key);
+        });
+        this.renderWarnings();
+    }
+
+    /**
+     * Warnings that have not been acknowledged
+     * @returns {Array<Object>} Unacknowledged warnings
+     */
+    getUnacknowledged() {
+        return this.warnings.filter(warning => !this.acknowledged.has(warning.key));
+    }
+
+    /**
+     * Draw the warnings list and summary line
+     */
+    renderWarnings() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        const list = container.querySelector('.consistency-check-list');
+        const summary = container.querySelector('.consistency-check-summary');
+        list.innerHTML = '';
+
+        const open = this.getUnacknowledged().length;
+        if (this.warnings.length === 0) {
+            summary.textContent = 'No inconsistencies found.';
+        } else {
+            summary.textContent = `${this.warnings.length} warning${this.warnings.length === 1 ? '' : 's'}, ${open} not acknowledged.`;
+        }
+        summary.classList.toggle('has-warnings', open > 0);
+
+        this.warnings.forEach(warning => {
+            const acknowledged = this.acknowledged.has(warning.key);
+            const item = document.createElement('li');
+            item.className = `consistency-check-item${acknowledged ? ' acknowledged' : ''}`;
+
+            const message = document.createElement('span');
+            message.className = 'consistency-check-message';
+            message.textContent = warning.message;
+
+            const goTo = document.createElement('button');
+            goTo.type = 'button';
+            goTo.className = 'consistency-check-link';
+            goTo.textContent = 'Go to';
+            goTo.addEventListener('click', () => {
+                if (this.onNavigate) this.onNavigate(warning.target);
+            });
+
+            const label = document.createElement('label');
+            label.className = 'consistency-check-acknowledge';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = acknowledged;
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.acknowledged.add(warning.key);
+                } else {
+                    this.acknowledged.delete(warning.key);
+                }
+                this.renderWarnings();
+                if (this.onChange) this.onChange(this.getData());
+            });
+            label.append(checkbox, ' Acknowledge');
+
+            item.append(message, goTo, label);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Get the acknowledged warning keys
+     * @returns {Array<string>} Warning keys
+     */
+    getData() {
+        return Array.from(this.acknowledged);
+    }
+
+    /**
+     * Restore acknowledged warning keys
+     * @param {Array<string>} data - Warning keys from a saved draft
+     */
+    setData(data) {
+        this.acknowledged = new Set(Array.isArray(data) ? data : []);
+        this.renderWarnings();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsistencyCheck;
+}
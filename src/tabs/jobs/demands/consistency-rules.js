@@ -0,0 +1,175 @@
+/**
+ * Consistency Rules
+ *
+ * Cross-checks the Jobs tab sections against each other and against the
+ * Classification of Work, e.g. "Lifting: Not Applicable" in Physical Demands
+ * while Lifting/Pushing/Pulling marks 26-50 lbs as Frequent.
+ *
+ * Each rule returns warnings with a target (the form data field, row and column
+ * of the offending cell) so the Consistency Check section can jump to it.
+ * A warning's key combines the rule id and its message, so an acknowledgement
+ * only covers the exact situation the analyst reviewed.
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class ConsistencyRules {
+    /**
+     * Frequency answer columns, in increasing order (column index → label)
+     */
+    static FREQUENCIES = { 0: 'Not Applicable', 1: 'Occasional', 2: 'Frequent', 3: 'Constant' };
+
+    /**
+     * Rules run in order; each returns an array of { message, target } objects
+     */
+    static RULES = [
+        {
+            id: 'lifting-frequency',
+            check: (data) => {
+                const answer = ConsistencyRules.findLiftingAnswer(data.liftingPushingPulling);
+                if (!answer) return [];
+
+                const physicalRows = ['Lifting', 'Pushing', 'Pulling'];
+                const highest = Math.max(...physicalRows.map(label =>
+                    ConsistencyRules.getFrequency(data.physicalDemands, 'physicalDemands', label) ?? -1
+                ));
+                if (highest < 0 || highest >= answer.col) return [];
+
+                const weight = DemandCatalog.get('liftingPushingPulling').rows[answer.row];
+                const marked = highest === 0 ? 'Not Applicable' : `no higher than ${ConsistencyRules.FREQUENCIES[highest]}`;
+                return [{
+                    message: `Lifting/Pushing/Pulling marks ${weight} as ${ConsistencyRules.FREQUENCIES[answer.col]}, but Physical Demands marks Lifting, Pushing and Pulling ${marked}.`,
+                    target: { field: 'physicalDemands', row: ConsistencyRules.rowIndex('physicalDemands', 'Lifting'), col: highest }
+                }];
+            }
+        },
+        {
+            id: 'lifting-weights-missing',
+            check: (data) => {
+                const frequency = ConsistencyRules.getFrequency(data.physicalDemands, 'physicalDemands', 'Lifting');
+                if (!frequency || ConsistencyRules.findLiftingAnswer(data.liftingPushingPulling)) return [];
+
+                return [{
+                    message: `Physical Demands marks Lifting as ${ConsistencyRules.FREQUENCIES[frequency]}, but no weight is marked above Not Applicable in Lifting/Pushing/Pulling.`,
+                    target: { field: 'liftingPushingPulling', row: 0, col: 1 }
+                }];
+            }
+        },
+        {
+            id: 'driving-far-vision',
+            check: (data) => ConsistencyRules.requireSense(data, 'Driving', 'Far Vision')
+        },
+        {
+            id: 'talking-communication',
+            check: (data) => ConsistencyRules.requireSense(data, 'Talking and hearing', 'Verbal or Electronic Communication')
+        },
+        {
+            id: 'physical-level',
+            check: (data) => {
+                const level = data.classificationOfWork?.physicalLevel;
+                if (!level) return [];
+
+                const target = { field: 'classificationOfWork' };
+                const suggestion = DemandLevelRules.suggest(data.liftingPushingPulling, data.physicalDemands);
+                if (suggestion) {
+                    const conflict = DemandLevelRules.findConflict(level, suggestion);
+                    return conflict ? [{ message: `Classification of Work: ${conflict}`, target }] : [];
+                }
+
+                // Without lifting data the only evidence is standing and walking
+                if (level !== 'sedentary') return [];
+                return DemandLevelRules.WALK_STAND_ROWS
+                    .map(label => ({ label, frequency: ConsistencyRules.getFrequency(data.physicalDemands, 'physicalDemands', label) }))
+                    .filter(({ frequency }) => frequency >= 2)
+                    .map(({ label, frequency }) => ({
+                        message: `Classification of Work is Sedentary, but Physical Demands marks ${label} as ${ConsistencyRules.FREQUENCIES[frequency]}.`,
+                        target
+                    }));
+            }
+        }
+    ];
+
+    /**
+     * Run every rule
+     * @param {Object} data - Jobs tab data (JobsTab.getData())
+     * @returns {Array<Object>} Warnings: { key, ruleId, message, target: { field, row, col } }
+     */
+    static check(data) {
+        const warnings = [];
+        ConsistencyRules.RULES.forEach(rule => {
+            rule.check(data || {}).forEach(warning => {
+                warnings.push({ key: `${rule.id}:${warning.message}`, ruleId: rule.id, ...warning });
+            });
+        });
+        return warnings;
+    }
+
+    /**
+     * Row index of a label in a demand table
+     * @param {string} field - Demand table key in DemandCatalog
+     * @param {string} label - Row label
+     * @returns {number} Row index, or -1
+     */
+    static rowIndex(field, label) {
+        return DemandCatalog.get(field).rows.indexOf(label);
+    }
+
+    /**
+     * Frequency column checked for a row of a single-select demand table
+     * @param {Object} tableData - Table data ({ rowIndex: { colIndex: value } })
+     * @param {string} field - Demand table key in DemandCatalog
+     * @param {string} label - Row label
+     * @returns {number|null} Column index 0-3, or null when the row is unanswered
+     */
+    static getFrequency(tableData, field, label) {
+        const row = tableData?.[ConsistencyRules.rowIndex(field, label)];
+        if (!row) return null;
+        const col = [0, 1, 2, 3].find(c => row[c] === true);
+        return col === undefined ? null : col;
+    }
+
+    /**
+     * Most frequent answer above Not Applicable in the lifting table (heaviest weight on ties)
+     * @param {Object} tableData - Lifting/Pushing/Pulling table data
+     * @returns {Object|null} { row, col } or null
+     */
+    static findLiftingAnswer(tableData) {
+        const rows = DemandCatalog.get('liftingPushingPulling').rows;
+        for (const col of [3, 2, 1]) {
+            for (let row = rows.length - 1; row >= 0; row--) {
+                if (tableData?.[row]?.[col] === true) return { row, col };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Warn when a physical activity is performed but the sense it depends on is not required
+     * @param {Object} data - Jobs tab data
+     * @param {string} activity - Physical Demands row label
+     * @param {string} sense - Cognitive/Sensory Demands row label
+     * @returns {Array<Object>} Zero or one warning
+     */
+    static requireSense(data, activity, sense) {
+        const frequency = ConsistencyRules.getFrequency(data.physicalDemands, 'physicalDemands', activity);
+        if (!frequency) return [];
+
+        const row = ConsistencyRules.rowIndex('cognitiveSensoryDemands', sense);
+        if (data.cognitiveSensoryDemands?.[row]?.[0] === true) return [];
+
+        return [{
+            message: `Physical Demands marks ${activity} as ${ConsistencyRules.FREQUENCIES[frequency]}, but ${sense} is not marked Required in Cognitive/Sensory Demands.`,
+            target: { field: 'cognitiveSensoryDemands', row, col: 0 }
+        }];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsistencyRules;
+}
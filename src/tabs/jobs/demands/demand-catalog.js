@@ -0,0 +1,299 @@
+/**
+ * Demand Catalog
+ *
+ * Single definition of every demand table: its title, answer columns, comment
+ * column, rows and row groups (body regions, senses...). The Jobs tab sections
+ * build their Table instances from it and the PDF and Word generators print
+ * from it, so a row label or group only has to be changed here.
+ *
+ * Row and column indices are the keys of the saved table data
+ * ({ rowIndex: { colIndex: value } }), so rows must only ever be appended.
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class DemandCatalog {
+    /**
+     * Frequency columns shared by the physical, mobility and environmental tables
+     */
+    static FREQUENCY_COLUMNS = [
+        { lines: ['Not Applicable', '0%'], pdfLabel: 'N/A <1%' },
+        { lines: ['Occasional', '1-33%'], pdfLabel: 'Occasional 1-33%' },
+        { lines: ['Frequent', '34-66%'], pdfLabel: 'Frequent 34-66%' },
+        { lines: ['Constant', '67-100%'], pdfLabel: 'Constant 67-100%' }
+    ];
+
+    static COMMENT_COLUMN = { lines: ['Objective Measurements', '& General Comments'], pdfLabel: 'Comments' };
+
+    /**
+     * Demand tables keyed by form data field, in report order
+     */
+    static SECTIONS = {
+        physicalDemands: {
+            title: 'Physical Demands',
+            columns: DemandCatalog.FREQUENCY_COLUMNS,
+            commentColumn: DemandCatalog.COMMENT_COLUMN,
+            selectionMode: 'single',
+            rowHeaderWidth: '200px',
+            rows: [
+                'Awkward position',
+                'Bending over',
+                'Carrying',
+                'Driving',
+                'Fine motor tasks',
+                'Gripping or grasping',
+                'Handling',
+                'Kneeling',
+                'Lifting',
+                'Lifting overhead',
+                'Pulling',
+                'Pushing',
+                'Reaching',
+                'Sitting',
+                'Squatting or crouching',
+                'Standing',
+                'Talking and hearing',
+                'Twisting or turning',
+                'Walking'
+            ],
+            groups: null
+        },
+        mobilityDemands: {
+            title: 'Mobility Demands',
+            columns: DemandCatalog.FREQUENCY_COLUMNS,
+            commentColumn: DemandCatalog.COMMENT_COLUMN,
+            selectionMode: 'single',
+            rowHeaderWidth: '200px',
+            rows: [
+                // Neck (0-2)
+                'Flexion/Extension',
+                'Rotation',
+                'Lateral Flexion/Extension',
+                // Shoulder (3-6)
+                'Flexion/Extension',
+                'Abduction/Adduction',
+                'Internal/External Rotation',
+                'Elevation/Depression',
+                // Elbow and Forearm (7-8)
+                'Flexion/Extension',
+                'Supination/Pronation',
+                // Wrist and Fingers (9-11)
+                'Flexion/Extension',
+                'Ulnar/Radial Deviation',
+                'Gripping (Power or Pinch)',
+                // Thorax and Upper Back (12-14)
+                'Flexion/Extension',
+                'Rotation',
+                'Lateral Flexion/Extension',
+                // Lower Back and Abdomen (15-17)
+                'Flexion/Extension',
+                'Rotation',
+                'Lateral Flexion/Extension',
+                // Hip and Upper Thigh (18-20)
+                'Flexion/Extension',
+                'Abduction/Adduction',
+                'Internal/External Rotation',
+                // Knees and Lower Legs (21)
+                'Flexion/Extension',
+                // Ankle, Foot, and Toes (22)
+                'Dorsiflexion/Plantarflexion'
+            ],
+            groups: [
+                { category: 'Neck', rows: [0, 1, 2] },
+                { category: 'Shoulder', rows: [3, 4, 5, 6] },
+                { category: 'Elbow and Forearm', rows: [7, 8] },
+                { category: 'Wrist and Fingers', rows: [9, 10, 11] },
+                { category: 'Thorax and Upper Back', rows: [12, 13, 14] },
+                { category: 'Lower Back and Abdomen', rows: [15, 16, 17] },
+                { category: 'Hip and Upper Thigh', rows: [18, 19, 20] },
+                { category: 'Knees and Lower Legs', rows: [21] },
+                { category: 'Ankle, Foot, and Toes', rows: [22] }
+            ]
+        },
+        cognitiveSensoryDemands: {
+            title: 'Cognitive/Sensory Demands',
+            columns: [
+                { lines: ['Required'], pdfLabel: 'Required', width: '100px' }
+            ],
+            commentColumn: DemandCatalog.COMMENT_COLUMN,
+            selectionMode: 'multiple',
+            rowHeaderWidth: '250px',
+            optional: true, // No validation - every row may be left blank
+            rows: [
+                // Vision (0-5)
+                'Near Vision', // Detailed work like reading screens or inspecting small parts
+                'Far Vision', // Driving or monitoring distant objects
+                'Peripheral Vision', // Awareness of surroundings in dynamic environments
+                'Depth Perception', // Judging distances when operating equipment
+                'Color Vision', // Distinguishing colors in wiring, signals, or materials
+                'Perceive Safety/Emergency Indicators', // Lights, signs, hazards or flashes
+                // Hearing (6-8)
+                'Distinguish Sounds or Tones', // Tones or voices in noisy settings
+                'Verbal or Electronic Communication', // Direct conversation or radios/phones
+                'Perceive Safety/Emergency Indicators', // Sirens, beeps, or alerts
+                // Senses (9-13)
+                'Tactile Sense (Touch)',
+                'Olfactory Sense (Smell)',
+                'Gustatory Sense (Taste)',
+                'Vestibular Sense (Balance)',
+                'Kinesthetic Sense (Proprioception)',
+                // Cognitive (14-19)
+                'Memory (Short or Long Term)',
+                'Multitasking',
+                'Decision Making and Reasoning',
+                'Simple Math',
+                'Time Management',
+                'Literacy (Reading/Writing)',
+                // Psychosocial (20-22)
+                'Work Independently',
+                'Work with a Team',
+                'Supervision of Others'
+            ],
+            groups: [
+                { category: 'Vision', rows: [0, 1, 2, 3, 4, 5] },
+                { category: 'Hearing', rows: [6, 7, 8] },
+                { category: 'Senses', rows: [9, 10, 11, 12, 13] },
+                { category: 'Cognitive', rows: [14, 15, 16, 17, 18, 19] },
+                { category: 'Psychosocial', rows: [20, 21, 22] }
+            ]
+        },
+        environmentalDemands: {
+            title: 'Environmental Demands',
+            columns: DemandCatalog.FREQUENCY_COLUMNS,
+            commentColumn: DemandCatalog.COMMENT_COLUMN,
+            selectionMode: 'single',
+            rowHeaderWidth: '200px',
+            rows: [
+                'Wet, humid, or slippery surfaces',
+                'Proximity to moving mechanical parts or machinery',
+                'Working at heights',
+                'Fumes, odors, dust, or airborne particles',
+                'Hazardous chemicals (toxic or caustic)',
+                'Extreme temperatures (hot or cold, weather-related or non-weather)',
+                'High noise levels requiring hearing protection',
+                'Hand-arm vibration (e.g., from power tools)',
+                'Whole-body vibration (e.g., from vehicles or platforms)',
+                'Electrical hazards',
+                'Radiation exposure (ionizing or non-ionizing)',
+                'Poor lighting or illumination',
+                'Confined spaces',
+                'Biological hazards (e.g., pathogens or allergens)'
+            ],
+            groups: null
+        },
+        liftingPushingPulling: {
+            title: 'Lifting/Pushing/Pulling',
+            columns: [
+                { lines: ['N/A', 'or None'], pdfLabel: 'N/A, <1%' },
+                { lines: ['Occasional', '1-33%', '<12 reps/hour'], pdfLabel: 'Occasional 1-33%, <12 reps/hour' },
+                { lines: ['Frequent', '34-66%', '12-60 reps/hour'], pdfLabel: 'Frequent 34-66%, 12-60 reps/hour' },
+                { lines: ['Constant', '67-100%', '>60 reps/hour'], pdfLabel: 'Constant 67-100%, >60 reps/hour' }
+            ],
+            commentColumn: DemandCatalog.COMMENT_COLUMN,
+            selectionMode: 'single',
+            rowHeaderWidth: 'auto',
+            rows: [
+                'Less than 5 lbs',
+                '5-25 lbs',
+                '26-50 lbs',
+                '51-100 lbs',
+                'Over 100 lbs'
+            ],
+            groups: null
+        }
+    };
+
+    /**
+     * Demand table keys in report order
+     * @returns {Array<string>} Form data field names
+     */
+    static getKeys() {
+        return Object.keys(DemandCatalog.SECTIONS);
+    }
+
+    /**
+     * Get a demand table definition
+     * @param {string} key - Form data field (e.g. 'mobilityDemands')
+     * @returns {Object|null} Section definition
+     */
+    static get(key) {
+        return DemandCatalog.SECTIONS[key] || null;
+    }
+
+    /**
+     * Index of the comment column in the saved data (after the answer columns)
+     * @param {string} key - Form data field
+     * @returns {number} Column index
+     */
+    static getCommentIndex(key) {
+        return DemandCatalog.get(key).columns.length;
+    }
+
+    /**
+     * Column headings for generated documents, comment column last
+     * @param {string} key - Form data field
+     * @returns {Array<string>} Column labels
+     */
+    static getPdfColumns(key) {
+        const section = DemandCatalog.get(key);
+        return [...section.columns, section.commentColumn].map(column => column.pdfLabel);
+    }
+
+    /**
+     * Rows in display order with their group headings, for renderers that
+     * print the table row by row
+     * @param {string} key - Form data field
+     * @returns {Array<Object>} { category } for group headings, { index, label } for data rows
+     */
+    static getDisplayRows(key) {
+        const section = DemandCatalog.get(key);
+        if (!section.groups) {
+            return section.rows.map((label, index) => ({ index, label }));
+        }
+
+        const displayRows = [];
+        section.groups.forEach(group => {
+            displayRows.push({ category: group.category });
+            group.rows.forEach(index => displayRows.push({ index, label: section.rows[index] }));
+        });
+        return displayRows;
+    }
+
+    /**
+     * Build options for the Table component
+     * @param {string} key - Form data field
+     * @param {Object} overrides - Extra Table options (containerId, onChange...)
+     * @returns {Object} Table options
+     */
+    static getTableOptions(key, overrides = {}) {
+        const section = DemandCatalog.get(key);
+        const columns = [...section.columns, section.commentColumn];
+
+        return {
+            headerColumns: columns.map(column => ({ lines: column.lines })),
+            headerRows: section.rows,
+            rowGroups: section.groups,
+            cellType: 'selectable',
+            selectionMode: section.selectionMode,
+            // Single-choice tables start with Not Applicable, which can be set for a whole group at once
+            fillColumn: section.selectionMode === 'single' ? { colIndex: 0, label: 'N/A' } : null,
+            rowHeaderWidth: section.rowHeaderWidth,
+            columnWidths: columns.map(column => column.width || 'auto'),
+            columnTypes: [...section.columns.map(() => 'selectable'), 'input'],
+            striped: true,
+            hoverable: true,
+            showValidationErrors: !section.optional,
+            ...overrides
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DemandCatalog;
+}
@@ -0,0 +1,178 @@
+/**
+ * Demand Level Rules
+ *
+ * Computes the U.S. Department of Labor strength level (Sedentary to Very Heavy)
+ * from the Lifting/Pushing/Pulling table and the standing/walking rows of the
+ * Physical Demands table, and checks a chosen level against that data.
+ *
+ * The lifting table records weight ranges, so every checked cell gives a range
+ * of levels: the lower end of the weight range sets the least level the job can
+ * be (the suggestion), the upper end sets the most it can be. A chosen level
+ * outside that range conflicts with the entered data.
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class DemandLevelRules {
+    /**
+     * Strength levels in increasing order (values match DemandLevelSelector)
+     */
+    static LEVELS = [
+        { value: 'sedentary', name: 'Sedentary' },
+        { value: 'light', name: 'Light' },
+        { value: 'medium', name: 'Medium' },
+        { value: 'heavy', name: 'Heavy' },
+        { value: 'very_heavy', name: 'Very Heavy' }
+    ];
+
+    /**
+     * Heaviest force (lbs) each level allows at each frequency, in LEVELS order.
+     * 0 stands for "negligible".
+     */
+    static FORCE_LIMITS = {
+        occasional: [10, 20, 50, 100, Infinity],
+        frequent: [0, 10, 25, 50, Infinity],
+        constant: [0, 0, 10, 20, Infinity]
+    };
+
+    /**
+     * Weight range (lbs) of each Lifting/Pushing/Pulling row, by row index
+     */
+    static WEIGHT_RANGES = [
+        { min: 0, max: 5 },
+        { min: 5, max: 25 },
+        { min: 26, max: 50 },
+        { min: 51, max: 100 },
+        { min: 101, max: Infinity }
+    ];
+
+    /**
+     * Frequency of each answer column shared by the lifting and physical tables
+     */
+    static FREQUENCY_COLUMNS = { 1: 'occasional', 2: 'frequent', 3: 'constant' };
+
+    /**
+     * Physical Demands rows that make a job at least Light when frequent or constant
+     */
+    static WALK_STAND_ROWS = ['Standing', 'Walking'];
+
+    /**
+     * Level index for a force at a frequency
+     * @param {number} weight - Force in lbs
+     * @param {string} frequency - 'occasional', 'frequent' or 'constant'
+     * @returns {number} Index in LEVELS
+     */
+    static levelIndexFor(weight, frequency) {
+        return DemandLevelRules.FORCE_LIMITS[frequency].findIndex(limit => weight <= limit);
+    }
+
+    /**
+     * Index of a level value in LEVELS
+     * @param {string} value - Level value (e.g. 'medium')
+     * @returns {number} Index, or -1 if unknown
+     */
+    static indexOf(value) {
+        return DemandLevelRules.LEVELS.findIndex(level => level.value === value);
+    }
+
+    /**
+     * Compute the suggested strength level
+     * @param {Object} liftingData - Lifting/Pushing/Pulling table data ({ rowIndex: { colIndex: value } })
+     * @param {Object} physicalData - Physical Demands table data
+     * @returns {Object|null} { level, name, maximum, maximumName, reasons } or null when the lifting table is empty
+     */
+    static suggest(liftingData, physicalData) {
+        const lifting = liftingData || {};
+        const answered = DemandLevelRules.WEIGHT_RANGES.some((range, row) =>
+            [0, 1, 2, 3].some(col => lifting[row]?.[col] === true)
+        );
+        if (!answered) return null;
+
+        // Each finding is one checked cell: the level range it supports and why
+        const findings = [];
+        const rowLabels = DemandCatalog.get('liftingPushingPulling').rows;
+
+        DemandLevelRules.WEIGHT_RANGES.forEach((range, row) => {
+            Object.entries(DemandLevelRules.FREQUENCY_COLUMNS).forEach(([col, frequency]) => {
+                if (lifting[row]?.[col] !== true) return;
+
+                findings.push({
+                    min: DemandLevelRules.levelIndexFor(range.min, frequency),
+                    max: DemandLevelRules.levelIndexFor(range.max, frequency),
+                    text: `${DemandLevelRules.capitalize(frequency)} lifting, pushing or pulling of ${rowLabels[row].toLowerCase()}`
+                });
+            });
+        });
+
+        const physical = physicalData || {};
+        const physicalRows = DemandCatalog.get('physicalDemands').rows;
+        DemandLevelRules.WALK_STAND_ROWS.forEach(label => {
+            const row = physicalRows.indexOf(label);
+            const col = [2, 3].find(c => physical[row]?.[c] === true);
+            if (col === undefined) return;
+
+            const light = DemandLevelRules.indexOf('light');
+            findings.push({
+                min: light,
+                max: light,
+                text: `${DemandLevelRules.capitalize(DemandLevelRules.FREQUENCY_COLUMNS[col])} ${label.toLowerCase()}`
+            });
+        });
+
+        const minimum = Math.max(0, ...findings.map(finding => finding.min));
+        const maximum = Math.max(0, ...findings.map(finding => finding.max));
+        const deciding = findings.filter(finding => finding.min === minimum);
+
+        const reasons = deciding.length > 0
+            ? deciding.map(finding => `${finding.text} requires at least ${DemandLevelRules.LEVELS[minimum].name}.`)
+            : ['No lifting, pushing or pulling is entered above "Not Applicable".'];
+
+        return {
+            level: DemandLevelRules.LEVELS[minimum].value,
+            name: DemandLevelRules.LEVELS[minimum].name,
+            maximum: DemandLevelRules.LEVELS[maximum].value,
+            maximumName: DemandLevelRules.LEVELS[maximum].name,
+            reasons
+        };
+    }
+
+    /**
+     * Check a chosen level against a suggestion
+     * @param {string|null} selectedLevel - Chosen level value
+     * @param {Object|null} suggestion - Result of suggest()
+     * @returns {string|null} Conflict message, or null when the level fits the data
+     */
+    static findConflict(selectedLevel, suggestion) {
+        if (!selectedLevel || !suggestion) return null;
+
+        const selected = DemandLevelRules.indexOf(selectedLevel);
+        if (selected < 0) return null;
+        const selectedName = DemandLevelRules.LEVELS[selected].name;
+
+        if (selected < DemandLevelRules.indexOf(suggestion.level)) {
+            return `${selectedName} is below the entered data, which requires at least ${suggestion.name}. ${suggestion.reasons.join(' ')}`;
+        }
+        if (selected > DemandLevelRules.indexOf(suggestion.maximum)) {
+            return `${selectedName} is above the entered data, which supports at most ${suggestion.maximumName}. Check the Lifting/Pushing/Pulling table.`;
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} text - Text to capitalize
+     * @returns {string} Text with its first letter upper-cased
+     */
+    static capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DemandLevelRules;
+}
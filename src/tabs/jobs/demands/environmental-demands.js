@@ -44,46 +44,9 @@ class EnvironmentalDemands {
             return;
         }
 
-        // Define all environmental hazard rows
-        const headerRows = [
-            'Wet, humid, or slippery surfaces',
-            'Proximity to moving mechanical parts or machinery',
-            'Working at heights',
-            'Fumes, odors, dust, or airborne particles',
-            'Hazardous chemicals (toxic or caustic)',
-            'Extreme temperatures (hot or cold, weather-related or non-weather)',
-            'High noise levels requiring hearing protection',
-            'Hand-arm vibration (e.g., from power tools)',
-            'Whole-body vibration (e.g., from vehicles or platforms)',
-            'Electrical hazards',
-            'Radiation exposure (ionizing or non-ionizing)',
-            'Poor lighting or illumination',
-            'Confined spaces',
-            'Biological hazards (e.g., pathogens or allergens)'
-        ];
-
-        this.table = new Table({
-            containerId: this.containerId,
-            headerColumns: [
-                { lines: ['Not Applicable', '0%'] },
-                { lines: ['Occasional', '1-33%'] },
-                { lines: ['Frequent', '34-66%'] },
-                { lines: ['Constant', '67-100%'] },
-                { lines: ['Objective Measurements', '& General Comments'] }
-            ],
-            headerRows: headerRows,
-            cellType: 'selectable',
-            selectionMode: 'single',
-            rowHeaderWidth: '200px',
-            columnWidths: ['auto', 'auto', 'auto', 'auto', 'auto'],
-            columnTypes: ['selectable', 'selectable', 'selectable', 'selectable', 'input'],
-            striped: true,
-            hoverable: true,
-            showValidationErrors: true,
-            onChange: (data) => {
-                // Handle data changes if needed
-            }
-        });
+        this.table = new Table(DemandCatalog.getTableOptions('environmentalDemands', {
+            containerId: this.containerId
+        }));
     }
 
     /**
@@ -42,37 +42,9 @@ class LiftingPushingPulling {
             return;
         }
 
-        // Define all weight rows
-        const headerRows = [
-            'Less than 5 lbs',
-            '5-25 lbs',
-            '26-50 lbs',
-            '51-100 lbs',
-            'Over 100 lbs'
-        ];
-
-        this.table = new Table({
-            containerId: this.containerId,
-            headerColumns: [
-                { lines: ['N/A', 'or None'] },
-                { lines: ['Occasional', '1-33%', '<12 reps/hour'] },
-                { lines: ['Frequent', '34-66%', '12-60 reps/hour'] },
-                { lines: ['Constant', '67-100%', '>60 reps/hour'] },
-                { lines: ['Objective Measurements', '& General Comments'] }
-            ],
-            headerRows: headerRows,
-            cellType: 'selectable',
-            selectionMode: 'single',
-            rowHeaderWidth: 'auto',
-            columnWidths: ['auto', 'auto', 'auto', 'auto', 'auto'],
-            columnTypes: ['selectable', 'selectable', 'selectable', 'selectable', 'input'],
-            striped: true,
-            hoverable: true,
-            showValidationErrors: true,
-            onChange: (data) => {
-                // Handle data changes if needed
-            }
-        });
+        this.table = new Table(DemandCatalog.getTableOptions('liftingPushingPulling', {
+            containerId: this.containerId
+        }));
     }
 
     /**
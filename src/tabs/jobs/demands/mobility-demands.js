@@ -42,96 +42,9 @@ class MobilityDemands {
             return;
         }
 
-        // Define row groups with category names and movements
-        const rowGroups = [
-            {
-                category: 'Neck',
-                rows: [0, 1, 2]
-            },
-            {
-                category: 'Shoulder',
-                rows: [3, 4, 5, 6]
-            },
-            {
-                category: 'Elbow and Forearm',
-                rows: [7, 8]
-            },
-            {
-                category: 'Wrist and Fingers',
-                rows: [9, 10, 11]
-            },
-            {
-                category: 'Thorax and Upper Back',
-                rows: [12, 13, 14]
-            },
-            {
-                category: 'Lower Back and Abdomen',
-                rows: [15, 16, 17]
-            },
-            {
-                category: 'Hip and Upper Thigh',
-                rows: [18, 19, 20]
-            },
-            {
-                category: 'Knees and Lower Legs',
-                rows: [21]
-            },
-            {
-                category: 'Ankle, Foot, and Toes',
-                rows: [22]
-            }
-        ];
-
-        // Define all rows in order (indices correspond to rowGroups)
-        const headerRows = [
-            'Flexion/Extension',
-            'Rotation',
-            'Lateral Flexion/Extension',
-            'Flexion/Extension',
-            'Abduction/Adduction',
-            'Internal/External Rotation',
-            'Elevation/Depression',
-            'Flexion/Extension',
-            'Supination/Pronation',
-            'Flexion/Extension',
-            'Ulnar/Radial Deviation',
-            'Gripping (Power or Pinch)',
-            'Flexion/Extension',
-            'Rotation',
-            'Lateral Flexion/Extension',
-            'Flexion/Extension',
-            'Rotation',
-            'Lateral Flexion/Extension',
-            'Flexion/Extension',
-            'Abduction/Adduction',
-            'Internal/External Rotation',
-            'Flexion/Extension',
-            'Dorsiflexion/Plantarflexion'
-        ];
-
-        this.table = new Table({
-            containerId: this.containerId,
-            headerColumns: [
-                { lines: ['Not Applicable', '0%'] },
-                { lines: ['Occasional', '1-33%'] },
-                { lines: ['Frequent', '34-66%'] },
-                { lines: ['Constant', '67-100%'] }, 
-                { lines: ['Objective Measurements', '& General Comments'] }
-            ],
-            headerRows: headerRows,
-            rowGroups: rowGroups,
-            cellType: 'selectable',
-            selectionMode: 'single',
-            rowHeaderWidth: '200px',
-            columnTypes: ['selectable', 'selectable', 'selectable', 'selectable', 'input'],
-            columnWidths: ['auto', 'auto', 'auto', 'auto', 'auto'],
-            striped: true,
-            hoverable: true,
-            showValidationErrors: true,
-            onChange: (data) => {
-                // Handle data changes if needed
-            }
-        });
+        this.table = new Table(DemandCatalog.getTableOptions('mobilityDemands', {
+            containerId: this.containerId
+        }));
     }
 
     /**
@@ -2,7 +2,8 @@
  * Physical Demands Section
  *
  * Handles physical demands data collection for job analysis.
- * Uses the reusable Table component for frequency selection.
+ * Uses the reusable Table component for frequency selection; rows and columns
+ * are defined in DemandCatalog (demand-catalog.js).
  *
  * @author Austin Steil
  * @version 1.0.0
@@ -42,45 +43,9 @@ class PhysicalDemands {
             return;
         }
 
-        this.table = new Table({
-            containerId: this.containerId,
-            headerColumns: [
-                { lines: ['Not Applicable', '0%'] },
-                { lines: ['Occasional', '1-33%'] },
-                { lines: ['Frequent', '34-66%'] },
-                { lines: ['Constant', '67-100%'] }, 
-                { lines: ['Objective Measurements', '& General Comments'] }
-            ],         
-            headerRows: [
-                'Awkward position',
-                'Bending over',
-                'Carrying',
-                'Driving',
-                'Fine motor tasks',
-                'Gripping or grasping',
-                'Handling',
-                'Kneeling',
-                'Lifting',
-                'Lifting overhead',
-                'Pulling',
-                'Pushing',
-                'Reaching',
-                'Sitting',
-                'Squatting or crouching',
-                'Standing',
-                'Talking and hearing',
-                'Twisting or turning',
-                'Walking'
-            ],
-            cellType: 'selectable',
-            selectionMode: 'single',
-            rowHeaderWidth: '200px',
-            columnWidths: ['auto', 'auto', 'auto', 'auto', 'auto'],
-            columnTypes: ['selectable', 'selectable', 'selectable', 'selectable', 'input'],
-            striped: true,
-            hoverable: true,
-            showValidationErrors: true
-        });
+        this.table = new Table(DemandCatalog.getTableOptions('physicalDemands', {
+            containerId: this.containerId
+        }));
     }
 
     /**
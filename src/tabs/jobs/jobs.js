@@ -9,6 +9,7 @@
  * - Environmental Demands
  * - Lifting/Pushing/Pulling
  * - Classification of Work
+ * - Consistency Check (cross-section warnings from ConsistencyRules)
  *
  * @author Austin Steil
  * @version 1.0.0
@@ -19,6 +20,18 @@
  */
 
 class JobsTab {
+    /**
+     * SubNav section id of each form data field
+     */
+    static SECTION_IDS = {
+        physicalDemands: 'physical-demands',
+        mobilityDemands: 'mobility-demands',
+        cognitiveSensoryDemands: 'cognitive-sensory',
+        environmentalDemands: 'environmental',
+        liftingPushingPulling: 'lifting-pushing-pulling',
+        classificationOfWork: 'classification'
+    };
+
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         if (!this.container) {
@@ -34,6 +47,10 @@ class JobsTab {
         this.environmentalDemands = new EnvironmentalDemands();
         this.liftingPushingPulling = new LiftingPushingPulling();
         this.classificationOfWork = new ClassificationOfWork();
+        this.consistencyCheck = new ConsistencyCheck({
+            onNavigate: (target) => this.goToWarning(target),
+            onChange: () => FormHistory.notifyChange(this.container)
+        });
 
         this.render();
         this.init();
@@ -102,6 +119,13 @@ class JobsTab {
                     hideTitle: true,
                     noPadding: true,
                     content: () => this.classificationOfWork.render()
+                },
+                {
+                    id: 'consistency',
+                    title: 'Consistency Check',
+                    hideTitle: true,
+                    noPadding: true,
+                    content: () => this.consistencyCheck.render()
                 }
             ],
             defaultSection: 'physical-demands'
@@ -116,16 +140,70 @@ class JobsTab {
             this.environmentalDemands.init();
             this.liftingPushingPulling.init();
             this.classificationOfWork.init();
+            this.consistencyCheck.init();
+            this.updateDemandLevelSuggestion();
         }, 100);
 
         // Listen for section changes
         const subNavContainer = document.getElementById('jobs-subnav-container');
         if (subNavContainer) {
             subNavContainer.addEventListener('sectionchange', (e) => {
+                // Refresh the suggested level with the latest table data when it comes into view
+                if (e.detail.sectionId === 'classification') {
+                    this.updateDemandLevelSuggestion();
+                }
+                if (e.detail.sectionId === 'consistency') {
+                    this.updateConsistencyCheck();
+                }
             });
         }
     }
 
+    /**
+     * Recompute the suggested physical demand level from the lifting and physical demands tables
+     */
+    updateDemandLevelSuggestion() {
+        this.classificationOfWork.updateSuggestion(
+            this.liftingPushingPulling.getData(),
+            this.physicalDemands.getData()
+        );
+    }
+
+    /**
+     * Run the consistency rules against the current data
+     * @returns {Array<Object>} Warnings from ConsistencyRules.check()
+     */
+    getConsistencyWarnings() {
+        return ConsistencyRules.check(this.getData());
+    }
+
+    /**
+     * Refresh the Consistency Check list with the latest data
+     * @returns {Array<Object>} Warnings that have not been acknowledged
+     */
+    updateConsistencyCheck() {
+        this.consistencyCheck.update(this.getConsistencyWarnings());
+        return this.consistencyCheck.getUnacknowledged();
+    }
+
+    /**
+     * Jump to the section and cell a consistency warning points at
+     * @param {Object} target - Warning target: { field, row, col }
+     */
+    goToWarning(target) {
+        const sectionId = JobsTab.SECTION_IDS[target?.field];
+        if (!sectionId || !this.subNav) return;
+
+        this.subNav.setActiveSection(sectionId);
+
+        const section = this[target.field];
+        if (section.table && target.row !== undefined) {
+            section.table.highlightCell(target.row, target.col);
+        } else {
+            document.getElementById(section.containerId)?.scrollIntoView({ block: 'start', behavior: 'smooth' });
+        }
+    }
+
     /**
      * Ensure all demand sections are initialized
      * Call this before getting or setting data
@@ -153,7 +231,8 @@ class JobsTab {
             cognitiveSensoryDemands: this.cognitiveSensoryDemands.getData(),
             environmentalDemands: this.environmentalDemands.getData(),
             liftingPushingPulling: this.liftingPushingPulling.getData(),
-            classificationOfWork: this.classificationOfWork.getData()
+            classificationOfWork: this.classificationOfWork.getData(),
+            consistencyAcknowledgements: this.consistencyCheck.getData()
         };
 
         return data;
@@ -191,6 +270,10 @@ class JobsTab {
         if (data.classificationOfWork) {
             this.classificationOfWork.setData(data.classificationOfWork);
         }
+        this.consistencyCheck.setData(data.consistencyAcknowledgements);
+
+        this.updateDemandLevelSuggestion();
+        this.updateConsistencyCheck();
     }
 
     /**
@@ -1,7 +1,13 @@
 /**
- * Preview Tab - (Hidden from Users)
+ * Review Tab
  *
- * Minimal preview tab implementation. This tab is hidden from users.
+ * Live preview of the generated PDF using the currently selected template.
+ * Renders the exact document the Generate button would download, using the
+ * PDFViewer component (page thumbnails, zoom, page navigation).
+ *
+ * The preview re-renders (debounced) whenever form data changes on any other
+ * tab while the Review tab is open, and once each time the tab is opened if
+ * anything changed while it was hidden.
  *
  * @author Austin Steil
  * @version 1.0.0
@@ -18,15 +24,195 @@ class PreviewTab {
             console.error(`Preview tab container with ID "${containerId}" not found`);
             return;
         }
+        this.containerId = containerId;
         this.tabsManager = tabsManager;
+
+        // Component references
+        this.viewer = null;
+        this.refreshButton = null;
+        this.statusElement = null;
+
+        // Update state
+        this.debounceDelay = 800; // ms to wait after the last edit before re-rendering
+        this.debounceTimer = null;
+        this.isDirty = true; // Nothing has been rendered yet
+        this.isUpdating = false;
+        this.pendingUpdate = false;
+
         this.render();
+        this.init();
     }
 
+    /**
+     * Render the review tab content
+     */
     render() {
         this.container.innerHTML = `
             <div class="preview-content">
-                <p>Preview tab is currently disabled.</p>
+                <div class="preview-header">
+                    <div>
+                        <h2>Review</h2>
+                        <p>This is a live preview of your document using the selected template. It updates automatically as you make changes.</p>
+                    </div>
+                    <div class="preview-actions">
+                        <span class="preview-status" role="status" aria-live="polite"></span>
+                        <div id="preview-refresh-button-container"></div>
+                    </div>
+                </div>
+
+                <!-- PDF viewer container -->
+                <div id="preview-viewer-container"></div>
             </div>
         `;
+
+        this.statusElement = this.container.querySelector('.preview-status');
+    }
+
+    init() {
+        // Wait for the viewer component to be available
+        if (typeof PDFViewer === 'undefined' || typeof Button === 'undefined') {
+            setTimeout(() => this.init(), 100);
+            return;
+        }
+
+        this.viewer = new PDFViewer({
+            containerId: 'preview-viewer-container',
+            showThumbnails: true,
+            initialZoom: 'fit-width',
+            emptyMessage: 'Open this tab after filling out the form to see a preview.'
+        });
+
+        this.refreshButton = new Button({
+            containerId: 'preview-refresh-button-container',
+            id: 'previewRefreshBtn',
+            text: 'Refresh',
+            variant: 'secondary',
+            size: 'small',
+            onClick: () => {
+                this.isDirty = true;
+                this.updatePreview();
+            }
+        });
+
+        this.watchForChanges();
+    }
+
+    /**
+     * Listen for edits on the other tabs and mark the preview as stale.
+     * Uses delegated listeners so components rendered later are covered too.
+     */
+    watchForChanges() {
+        const tabsContent = this.container.closest('.tabs-content') || document;
+        const handler = (e) => {
+            // Ignore interactions with the preview itself (zoom, thumbnails, refresh)
+            if (this.container.contains(e.target)) return;
+            this.scheduleUpdate();
+        };
+
+        tabsContent.addEventListener('input', handler);
+        tabsContent.addEventListener('change', handler);
+        // Table cells, cards and demand level rows are toggled by click, not input
+        tabsContent.addEventListener('click', handler);
+    }
+
+    /**
+     * Mark the preview as stale and re-render after a short pause.
+     * Only renders immediately if the Review tab is currently visible;
+     * otherwise the render happens the next time the tab is opened.
+     */
+    scheduleUpdate() {
+        this.isDirty = true;
+
+        clearTimeout(this.debounceTimer);
+        if (!this.isActive()) return;
+
+        this.setStatus('Changes pending...');
+        this.debounceTimer = setTimeout(() => this.updatePreview(), this.debounceDelay);
+    }
+
+    /**
+     * Whether the Review tab panel is currently visible
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.container.classList.contains('active');
+    }
+
+    /**
+     * Generate the document with the selected template and show it in the viewer
+     */
+    async updatePreview() {
+        if (!this.viewer) return;
+
+        clearTimeout(this.debounceTimer);
+
+        // Nothing changed since the last successful render
+        if (!this.isDirty && this.viewer.hasDocument()) {
+            this.setStatus(this.lastUpdatedText());
+            return;
+        }
+
+        // Only one render at a time; queue another if edits came in meanwhile
+        if (this.isUpdating) {
+            this.pendingUpdate = true;
+            return;
+        }
+
+        const documentGenerator = window.documentGenerator;
+        if (!documentGenerator || !documentGenerator.tabsManager) {
+            return;
+        }
+
+        this.isUpdating = true;
+        this.isDirty = false;
+        this.setStatus('Updating preview...');
+
+        try {
+            const formData = documentGenerator.collectFormData();
+
+            if (!formData.selectedTemplate && !formData.template) {
+                this.viewer.clear('Select a template on the Intro tab to see a preview.');
+                this.setStatus('');
+                return;
+            }
+
+            const generator = documentGenerator.createTemplateGenerator(formData);
+            const doc = generator.generate(await ReportHash.withHash(formData));
+
+            await this.viewer.load(doc.output('arraybuffer'));
+            this.lastUpdated = new Date();
+            this.setStatus(this.lastUpdatedText());
+        } catch (error) {
+            console.error('Preview generation failed:', error);
+            this.isDirty = true;
+            this.viewer.clear(`Unable to generate preview: ${error.message}`);
+            this.setStatus('Preview failed');
+        } finally {
+            this.isUpdating = false;
+
+            if (this.pendingUpdate) {
+                this.pendingUpdate = false;
+                this.scheduleUpdate();
+            }
+        }
+    }
+
+    /**
+     * Update the status text shown next to the Refresh button
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        if (this.statusElement) {
+            this.statusElement.textContent = text;
+        }
+    }
+
+    /**
+     * Build the "Updated at" status text for the last successful render
+     * @returns {string}
+     */
+    lastUpdatedText() {
+        if (!this.lastUpdated) return '';
+        return `Updated ${this.lastUpdated.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', second: '2-digit' })}`;
     }
 }
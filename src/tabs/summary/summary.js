@@ -4,6 +4,9 @@
  * Handles summary and additional information collection.
  * Dynamically generates and manages the summary tab content.
  * Uses AreaInput component with rich text editor for summary field.
+ * The attestation section collects the signature (drawn or typed), the signer's
+ * name, credentials and date for the signature block at the end of the report,
+ * and whether to print a verification hash in the footer (see ReportHash).
  *
  * @author Austin Steil
  * @version 1.0.0
@@ -23,7 +26,17 @@ class SummaryTab {
 
         // Component references
         this.summaryInput = null;
+        this.signaturePad = null;
+        this.signerNameInput = null;
+        this.credentialsInput = null;
+        this.signatureDateInput = null;
+        this.hashToggle = null;
         this.generateButton = null;
+        this.generateWordButton = null;
+        this.verifyButton = null;
+
+        // Set while setData() fills the form, so loading doesn't count as an edit
+        this.isSettingData = false;
 
         this.render();
         this.init();
@@ -41,9 +54,26 @@ class SummaryTab {
                 <!-- Summary rich text area -->
                 <div id="summary-text-container"></div>
 
+                <!-- Attestation and signature -->
+                <div class="attestation-section">
+                    <h3>Attestation</h3>
+                    <p class="attestation-statement" id="attestation-statement"></p>
+                    <div id="signature-pad-container"></div>
+                    <div class="attestation-signer-row">
+                        <div id="signer-name-container"></div>
+                        <div id="signer-credentials-container"></div>
+                    </div>
+                    <div id="signature-date-container"></div>
+                    <div class="attestation-hash" id="report-hash-toggle-container"></div>
+                    <p class="attestation-hash-help">
+                        Prints a SHA-256 fingerprint of the form data in the report footer.
+                        Use "Verify a Report PDF" with the same data loaded to confirm a report hasn't been changed.
+                    </p>
+                </div>
+
                 <!-- Generate button container -->
                 <div class="form-actions" id="generate-button-container">
-                    <!-- Generate button will be created here by the Button component -->
+                    <!-- Generate buttons will be created here by the Button component -->
                 </div>
             </div>
         `;
@@ -51,33 +81,20 @@ class SummaryTab {
 
     init() {
 
+        // Label, required flag and length rules come from the field schema
+        const schema = window.fieldSchema || new FieldSchema();
+
         // Initialize rich text editor for summary
-        this.summaryInput = new AreaInput({
+        this.summaryInput = new AreaInput(schema.getInputOptions('summaryText', {
             containerId: 'summary-text-container',
             id: 'summaryText',
-            name: 'summaryText',
-            label: 'Summary',
             placeholder: 'Enter a summary or additional notes...',
             useRichText: true,
             resize: 'vertical',
             minHeight: '250px',
             maxHeight: '600px',
-            required: true,
-            minLength: 10,
-            maxLength: 5000,
             showCharCounter: true,
-            validation: (value) => {
-                if (!value || value.trim().length === 0) {
-                    return 'Summary is required';
-                }
-                if (value.length < 10) {
-                    return 'Summary must be at least 10 characters';
-                }
-                if (value.length > 5000) {
-                    return 'Summary cannot exceed 5,000 characters';
-                }
-                return true;
-            },
+            onChange: () => FormHistory.notifyChange(this.container),
             quillConfig: {
                 theme: 'snow',
                 modules: {
@@ -91,12 +108,90 @@ class SummaryTab {
                 },
                 placeholder: 'Enter a summary or additional notes...'
             }
-        });
+        }));
+
+        this.initializeAttestation(schema);
 
         // Create the generate button
         this.createGenerateButton();
     }
 
+    /**
+     * Create the attestation statement, signature pad, signer fields and hash toggle
+     * @param {FieldSchema} schema - Field schema (labels and the attestation statement)
+     */
+    initializeAttestation(schema) {
+        this.container.querySelector('#attestation-statement').textContent = schema.get('attestation')?.statement || '';
+
+        this.signaturePad = new SignaturePad({
+            containerId: 'signature-pad-container',
+            id: 'signature',
+            label: 'Signature',
+            helpText: 'Sign with your mouse, pen or finger, or choose Type to use your typed name.',
+            onChange: () => {
+                this.fillSignatureDate();
+                FormHistory.notifyChange(this.container);
+            }
+        });
+
+        // A drawn signature needs a printed name next to it
+        const nameOptions = schema.getItemInputOptions('attestation', 'signerName', {
+            containerId: 'signer-name-container',
+            id: 'signerName',
+            placeholder: 'First Last',
+            onChange: () => {
+                this.fillSignatureDate();
+                FormHistory.notifyChange(this.container);
+            }
+        });
+        const validateName = nameOptions.validation;
+        nameOptions.validation = (value) => {
+            if (!value.trim() && this.signaturePad.hasDrawing()) {
+                return 'Enter the name of the person who signed';
+            }
+            return validateName(value);
+        };
+        this.signerNameInput = new TextInput(nameOptions);
+
+        this.credentialsInput = new TextInput(schema.getItemInputOptions('attestation', 'credentials', {
+            containerId: 'signer-credentials-container',
+            id: 'signerCredentials',
+            placeholder: 'e.g. PT, DPT, CEAS',
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
+
+        this.signatureDateInput = new TextInput(schema.getItemInputOptions('attestation', 'signatureDate', {
+            containerId: 'signature-date-container',
+            id: 'signatureDate',
+            onChange: () => FormHistory.notifyChange(this.container)
+        }));
+
+        this.hashToggle = new Toggle({
+            label: 'Include a verification hash (SHA-256) in the footer',
+            initialState: false,
+            onChange: () => {
+                if (!this.isSettingData) FormHistory.notifyChange(this.container);
+            }
+        });
+        this.container.querySelector('#report-hash-toggle-container').appendChild(this.hashToggle.getElement());
+    }
+
+    /**
+     * Date the signature today when the signer signs without entering a date
+     */
+    fillSignatureDate() {
+        const signed = this.signaturePad.hasDrawing() ||
+            (this.signaturePad.getValue().type === 'typed' && this.signerNameInput.getValue().trim());
+
+        if (signed && !this.signatureDateInput.getValue()) {
+            // Local date; toISOString() would give tomorrow's date in the evening west of UTC
+            const today = new Date();
+            const month = String(today.getMonth() + 1).padStart(2, '0');
+            const day = String(today.getDate()).padStart(2, '0');
+            this.signatureDateInput.setValue(`${today.getFullYear()}-${month}-${day}`);
+        }
+    }
+
     /**
      * Create the generate document button using the reusable Button component
      */
@@ -117,6 +212,28 @@ class SummaryTab {
             onClick: (_, __) => {
             }
         });
+
+        // Editable Word version of the same report
+        this.generateWordButton = new Button({
+            containerId: 'generate-button-container',
+            id: 'generateWordBtn',
+            text: 'Generate Word Document',
+            variant: 'secondary',
+            size: 'medium',
+            onClick: (_, __) => {
+            }
+        });
+
+        // Check a downloaded report against the loaded data
+        this.verifyButton = new Button({
+            containerId: 'generate-button-container',
+            id: 'verifyReportBtn',
+            text: 'Verify a Report PDF',
+            variant: 'secondary',
+            size: 'medium',
+            onClick: (_, __) => {
+            }
+        });
     }
 
     /**
@@ -131,13 +248,56 @@ class SummaryTab {
         }
     }
 
+    /**
+     * Set the click handler for the Word document button
+     * This method can be called by main.js to set the actual handler
+     */
+    setGenerateWordButtonHandler(handler) {
+        if (this.generateWordButton && typeof handler === 'function') {
+            this.generateWordButton.options.onClick = (_, __) => {
+                handler(_, __);
+            };
+        }
+    }
+
+    /**
+     * Set the click handler for the verify button
+     * This method can be called by main.js to set the actual handler
+     */
+    setVerifyButtonHandler(handler) {
+        if (this.verifyButton && typeof handler === 'function') {
+            this.verifyButton.options.onClick = (_, __) => {
+                handler(_, __);
+            };
+        }
+    }
+
     /**
      * Get data from the summary tab
      * @returns {Object} Summary tab data
      */
     getData() {
         return {
-            summaryText: this.summaryInput ? this.summaryInput.getValue() : ''
+            summaryText: this.summaryInput ? this.summaryInput.getValue() : '',
+            attestation: this.getAttestation()
+        };
+    }
+
+    /**
+     * Get the attestation data
+     * @returns {Object} { signatureType, signatureImage, signerName, credentials, signatureDate, includeHash }
+     */
+    getAttestation() {
+        if (!this.signaturePad) return {};
+
+        const signature = this.signaturePad.getValue();
+        return {
+            signatureType: signature.type,
+            signatureImage: signature.image,
+            signerName: this.signerNameInput.getValue().trim(),
+            credentials: this.credentialsInput.getValue().trim(),
+            signatureDate: this.signatureDateInput.getValue(),
+            includeHash: this.hashToggle.getState()
         };
     }
 
@@ -149,19 +309,44 @@ class SummaryTab {
         if (data.summaryText && this.summaryInput) {
             this.summaryInput.setValue(data.summaryText);
         }
+
+        // Always replace the attestation, so a loaded report never keeps the previous signature
+        this.setAttestation(data.attestation || {});
+    }
+
+    /**
+     * Set the attestation data
+     * @param {Object} attestation - Data returned by getAttestation()
+     */
+    setAttestation(attestation) {
+        if (!this.signaturePad) return;
+
+        this.isSettingData = true;
+        this.signaturePad.setValue({ type: attestation.signatureType, image: attestation.signatureImage });
+        this.signerNameInput.setValue(attestation.signerName);
+        this.credentialsInput.setValue(attestation.credentials);
+        this.signatureDateInput.setValue(attestation.signatureDate);
+        this.hashToggle.setState(attestation.includeHash === true);
+        this.isSettingData = false;
     }
 
     /**
      * Validate summary tab data
-     * @returns {boolean} True if valid (summary is required with 10-5000 chars)
+     * @returns {boolean} True if valid (rules from the summaryText and attestation schema fields)
      */
     validate() {
         if (!this.summaryInput) {
             return false;
         }
 
-        // Use the component's validateInput method which displays error messages
-        return this.summaryInput.validateInput();
+        // Use the components' validateInput methods which display error messages
+        const summaryValid = this.summaryInput.validateInput();
+        const attestationValid = [this.signerNameInput, this.credentialsInput, this.signatureDateInput]
+            .filter(Boolean)
+            .map(input => input.validateInput())
+            .every(Boolean);
+
+        return summaryValid && attestationValid;
     }
 
     /**
@@ -172,6 +357,10 @@ class SummaryTab {
             this.summaryInput.destroy();
             this.summaryInput = null;
         }
+        if (this.signaturePad) {
+            this.signaturePad.destroy();
+            this.signaturePad = null;
+        }
     }
 }
 
@@ -102,6 +102,9 @@ class TabsManager {
         if (data.demographics) this.demographicsTab.setData(data.demographics);
         if (data.jobs) this.jobsTab.setData(data.jobs);
         if (data.summary) this.summaryTab.setData(data.summary);
+
+        // Loaded data doesn't fire input events, so refresh the preview explicitly
+        if (this.previewTab) this.previewTab.scheduleUpdate();
     }
     
     /**
@@ -110,22 +113,22 @@ class TabsManager {
      */
     validateAll() {
         const errors = [];
+        const schema = window.fieldSchema || new FieldSchema();
+        const data = this.getAllData();
+        const tabs = [
+            { name: 'intro', label: 'Introduction', tab: this.introTab },
+            { name: 'demographics', label: 'Overview', tab: this.demographicsTab },
+            { name: 'jobs', label: 'Demands', tab: this.jobsTab },
+            { name: 'summary', label: 'Summary', tab: this.summaryTab }
+        ];
 
-        if (!this.introTab.validate()) {
-            errors.push('Intro tab: Title and Author are required');
-        }
-
-        if (!this.demographicsTab.validate()) {
-            errors.push('Demographics tab: Name is required');
-        }
-
-        if (!this.jobsTab.validate()) {
-            errors.push('Jobs tab: At least one job entry is required');
-        }
-
-        if (!this.summaryTab.validate()) {
-            errors.push('Summary tab: Summary is required (10-5,000 characters)');
-        }
+        // Each tab shows its own inline errors; the messages here come from the field schema
+        tabs.forEach(({ name, label, tab }) => {
+            if (!tab.validate()) {
+                const messages = schema.validateTab(name, data);
+                errors.push(`${label} tab: ${messages.length > 0 ? messages.join('; ') : 'Some fields are missing or invalid'}`);
+            }
+        });
 
         return {
             isValid: errors.length === 0,
@@ -0,0 +1,748 @@
+/**
+ * DOCX Generator - Editable Word document export
+ *
+ * Builds a .docx (Office Open XML, zipped in the browser with JSZip) containing the
+ * same sections as Template1Generator: cover page, job overview, job functions, work
+ * schedule, the five demand tables, classification of work and the rich-text summary.
+ * Brand color and logo come from the Intro tab, and content pages get a header
+ * (company name, job title) and footer (date, page number) like the PDF.
+ *
+ * Dependencies:
+ * - JSZip (loaded from CDN)
+ * - layout-renderer.js (LayoutRenderer demand table definitions and value formatting)
+ * - header-footer-utils.js (address and date formatting)
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class DocxGenerator {
+    /**
+     * Page setup in twips (1/1440"), matching Template 1's 8.5" x 12" page with 0.5" margins
+     */
+    static PAGE = {
+        width: 12240,
+        height: 17280,
+        margin: 720
+    };
+
+    static MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+    // Prefix of the document relationship types
+    static RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/';
+
+    constructor() {
+        // Reuse the PDF renderer's value formatting so both outputs read the same
+        this.formatter = new LayoutRenderer();
+    }
+
+    /**
+     * Generate the Word document
+     * @param {Object} data - Form data containing all fields
+     * @returns {Promise<Blob>} .docx file contents
+     */
+    async generate(data) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip library not loaded');
+        }
+
+        this.data = data;
+        this.formatter.data = data;
+        this.brandColor = this.toHex(data.brandColor || '#003366');
+        this.relationships = [];
+        this.lists = [];
+        this.registerParts();
+        this.logo = await this.loadLogo();
+        this.signature = await this.loadSignature();
+
+        const body = [
+            ...this.buildCoverPage(),
+            ...this.buildJobOverview(),
+            ...this.buildJobFunctions(),
+            ...this.buildWorkSchedule(),
+            ...this.buildJobDemands(),
+            ...this.buildSummary(),
+            ...this.buildAttestation(),
+            this.buildSectionProperties()
+        ].join('');
+
+        const zip = new JSZip();
+        zip.file('[Content_Types].xml', this.buildContentTypes());
+        zip.file('_rels/.rels', this.buildPackageRelationships());
+        zip.file('docProps/core.xml', this.buildCoreProperties());
+        zip.file('word/document.xml', this.wrapDocument(body));
+        zip.file('word/styles.xml', this.buildStyles());
+        zip.file('word/numbering.xml', this.buildNumbering());
+        zip.file('word/header1.xml', this.buildHeader());
+        zip.file('word/footer1.xml', this.buildFooter());
+        [this.logo, this.signature].filter(Boolean).forEach(image => {
+            zip.file(`word/media/${image.fileName}`, image.bytes);
+        });
+        zip.file('word/_rels/document.xml.rels', this.buildDocumentRelationships());
+
+        return zip.generateAsync({
+            type: 'blob',
+            mimeType: DocxGenerator.MIME_TYPE,
+            compression: 'DEFLATE'
+        });
+    }
+
+    // ==================== DOCUMENT SECTIONS ====================
+
+    /**
+     * Cover page: logo, title, position, company, address and document information
+     */
+    buildCoverPage() {
+        const d = this.data;
+        const parts = [];
+
+        if (this.logo) {
+            parts.push(`<w:p><w:pPr><w:spacing w:after="480"/></w:pPr>${this.buildImageRun(this.logo, 1)}</w:p>`);
+        }
+
+        parts.push(this.paragraph([this.run('Job Analysis Report', { bold: true, size: 48, color: this.brandColor })], { spacingAfter: 360 }));
+        parts.push(this.paragraph([this.run(`Position: ${d.jobTitle || 'Not specified'}`, { size: 32 })], { spacingAfter: 240 }));
+        parts.push(this.paragraph([this.run(`${this.formatter.fieldLabel('companyName')}: ${d.companyName || 'Not specified'}`, { size: 22 })]));
+
+        const address = HeaderFooterUtils.formatAddress(d);
+        if (address) {
+            parts.push(this.paragraph([this.run(address, { size: 22 })]));
+        }
+
+        parts.push(this.paragraph([this.run('Document Information', { bold: true })], { spacingBefore: 480 }));
+        parts.push(this.paragraph([this.run(`${this.formatter.fieldLabel('author')}: ${d.author || 'Not specified'}`, { size: 18 })], { spacingAfter: 0 }));
+        parts.push(this.paragraph([this.run(`${this.formatter.fieldLabel('email')}: ${d.email || 'Not specified'}`, { size: 18 })], { spacingAfter: 0 }));
+        parts.push(this.paragraph([this.run(`${this.formatter.fieldLabel('date')}: ${HeaderFooterUtils.formatDateToLongFormat(d.date)}`, { size: 18 })], { spacingAfter: 0 }));
+
+        parts.push('<w:p><w:r><w:br w:type="page"/></w:r></w:p>');
+        return parts;
+    }
+
+    buildJobOverview() {
+        return [
+            this.heading('Job Overview'),
+            this.field(this.formatter.fieldLabel('jobTitle'), this.data.jobTitle),
+            this.field(this.formatter.fieldLabel('jobPurpose'), this.data.jobPurpose)
+        ];
+    }
+
+    buildJobFunctions() {
+        return [
+            this.heading('Job Functions'),
+            this.field(this.formatter.fieldLabel('essentialFunctions'), this.data.essentialFunctions),
+            this.field(this.formatter.fieldLabel('marginalFunctions'), this.data.marginalFunctions)
+        ];
+    }
+
+    buildWorkSchedule() {
+        return [
+            this.heading('Work Schedule'),
+            this.field(this.formatter.fieldLabel('workSchedule'), this.data.workSchedule),
+            this.field(this.formatter.fieldLabel('breaks'), this.data.breaks),
+            this.field(this.formatter.fieldLabel('otherShiftInfo'), this.data.otherShiftInfo)
+        ];
+    }
+
+    buildJobDemands() {
+        const parts = [this.heading('Job Demands')];
+
+        DemandCatalog.getKeys().forEach(demandType => {
+            const tableData = this.data[demandType];
+            if (!tableData || Object.keys(tableData).length === 0) return;
+            parts.push(...this.buildDemandTable(demandType, tableData));
+        });
+
+        return parts;
+    }
+
+    buildSummary() {
+        return [
+            this.heading('Summary'),
+            this.field(this.formatter.fieldLabel('classificationOfWork'), this.formatter.formatClassification()),
+            this.paragraph([this.run(`${this.formatter.fieldLabel('summaryText')}:`, { bold: true })], { spacingAfter: 60 }),
+            ...this.convertRichText(this.data.summaryText)
+        ];
+    }
+
+    /**
+     * Attestation block from the Summary tab, laid out like the PDF: the statement, the
+     * drawn signature (or the typed name in italics) over a signature line, then the
+     * signer's name, credentials and date. Blank details get a line to fill in by hand.
+     */
+    buildAttestation() {
+        const attestation = this.data.attestation || {};
+        const field = this.formatter.getFieldSchema().get('attestation');
+        const itemLabel = name => field?.items?.[name]?.label || FieldSchema.humanize(name);
+        const blank = '_'.repeat(30);
+
+        const parts = [this.paragraph([this.run(this.formatter.fieldLabel('attestation'))], { style: 'Heading1', keepNext: true })];
+        if (field?.statement) {
+            parts.push(this.paragraph([this.run(field.statement)], { keepNext: true }));
+        }
+
+        let signature = this.run(blank);
+        if (attestation.signatureType === 'typed') {
+            if (attestation.signerName) signature = this.run(attestation.signerName, { italic: true, size: 36 });
+        } else if (this.signature) {
+            signature = this.buildImageRun(this.signature, 2);
+        }
+        parts.push(this.paragraph([signature], { spacingBefore: 240, spacingAfter: 0, keepNext: true }));
+        parts.push(this.paragraph([this.run('Signature', { size: 16, color: '666666' })], { keepNext: true }));
+
+        const details = [
+            [itemLabel('signerName'), attestation.signerName],
+            [itemLabel('credentials'), attestation.credentials],
+            [itemLabel('signatureDate'), attestation.signatureDate ? HeaderFooterUtils.formatDateToLongFormat(attestation.signatureDate) : '']
+        ];
+        details.forEach(([label, value], i) => {
+            parts.push(this.paragraph([
+                this.run(`${label}: `, { bold: true }),
+                this.run(value || blank)
+            ], { keepNext: i < details.length - 1 }));
+        });
+
+        return parts;
+    }
+
+    // ==================== DEMAND TABLES ====================
+
+    /**
+     * Build a demand table with a brand-colored header row, alternating row shading
+     * and a merged heading row for each row group
+     * @param {string} demandType - Key in DemandCatalog.SECTIONS
+     * @param {Object} data - Table data indexed by row and column
+     * @returns {Array<string>} Title paragraph and table XML
+     */
+    buildDemandTable(demandType, data) {
+        const rows = this.formatter.buildDemandTableRows(data, demandType);
+        const columns = ['Activity', ...DemandCatalog.getPdfColumns(demandType)];
+        const widths = this.getColumnWidths(columns.length);
+
+        const grid = widths.map(width => `<w:gridCol w:w="${width}"/>`).join('');
+        const headerRow = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${columns.map((text, i) =>
+            this.tableCell(text, widths[i], { fill: this.brandColor, bold: true, color: 'FFFFFF', align: 'center' })
+        ).join('')}</w:tr>`;
+
+        const bodyRows = rows.map((row, rowIndex) => {
+            if (!Array.isArray(row)) {
+                const span = widths.reduce((sum, width) => sum + width, 0);
+                const cell = this.tableCell(row.category, span, { fill: 'E1E1E1', bold: true, gridSpan: columns.length });
+                return `<w:tr><w:trPr><w:cantSplit/></w:trPr>${cell}</w:tr>`;
+            }
+
+            const fill = rowIndex % 2 === 1 ? 'F5F5F5' : null;
+            const cells = row.map((text, i) => this.tableCell(text, widths[i], {
+                fill,
+                align: i === 0 || i === row.length - 1 ? 'left' : 'center'
+            })).join('');
+            return `<w:tr><w:trPr><w:cantSplit/></w:trPr>${cells}</w:tr>`;
+        }).join('');
+
+        const table = `<w:tbl>
+            <w:tblPr>
+                <w:tblW w:w="${this.contentWidth()}" w:type="dxa"/>
+                <w:tblLayout w:type="fixed"/>
+                <w:tblBorders>
+                    <w:top w:val="single" w:sz="4" w:color="C8C8C8"/>
+                    <w:left w:val="single" w:sz="4" w:color="C8C8C8"/>
+                    <w:bottom w:val="single" w:sz="4" w:color="C8C8C8"/>
+                    <w:right w:val="single" w:sz="4" w:color="C8C8C8"/>
+                    <w:insideH w:val="single" w:sz="4" w:color="C8C8C8"/>
+                    <w:insideV w:val="single" w:sz="4" w:color="C8C8C8"/>
+                </w:tblBorders>
+                <w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar>
+            </w:tblPr>
+            <w:tblGrid>${grid}</w:tblGrid>
+            ${headerRow}${bodyRows}
+        </w:tbl>`;
+
+        return [
+            this.paragraph([this.run(DemandCatalog.get(demandType).title, { bold: true, size: 22 })], { spacingBefore: 240, keepNext: true }),
+            table,
+            this.paragraph([], { spacingAfter: 120 })
+        ];
+    }
+
+    /**
+     * Column widths matching the PDF tables: Activity 25%, frequency columns 12% each, comments the rest
+     * @param {number} columnCount - Total columns including Activity
+     * @returns {Array<number>} Widths in twips
+     */
+    getColumnWidths(columnCount) {
+        const total = this.contentWidth();
+        const activity = Math.round(total * 0.25);
+        const frequency = Math.round(total * 0.12);
+        const comments = total - activity - frequency * (columnCount - 2);
+        return [activity, ...Array(columnCount - 2).fill(frequency), comments];
+    }
+
+    tableCell(text, width, options = {}) {
+        const shading = options.fill ? `<w:shd w:val="clear" w:color="auto" w:fill="${options.fill}"/>` : '';
+        const run = this.run(text, { bold: options.bold, color: options.color, size: 16 });
+        const span = options.gridSpan ? `<w:gridSpan w:val="${options.gridSpan}"/>` : '';
+        return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${span}${shading}</w:tcPr>` +
+            `<w:p><w:pPr><w:spacing w:before="40" w:after="40"/><w:jc w:val="${options.align || 'left'}"/></w:pPr>${run}</w:p></w:tc>`;
+    }
+
+    // ==================== RICH TEXT ====================
+
+    /**
+     * Convert Quill HTML (headings, paragraphs, bold/italic/underline, lists, links) to paragraphs
+     * @param {string} html - Rich text HTML from the summary editor
+     * @returns {Array<string>} Paragraph XML
+     */
+    convertRichText(html) {
+        if (!html || !html.trim()) {
+            return [this.paragraph([this.run('Not specified')])];
+        }
+
+        const container = new DOMParser().parseFromString(html, 'text/html').body;
+        const paragraphs = [];
+
+        Array.from(container.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (node.textContent.trim()) {
+                    paragraphs.push(this.paragraph([this.run(node.textContent)]));
+                }
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+
+            if (tag === 'ul' || tag === 'ol') {
+                const numId = this.createList(tag === 'ol');
+                Array.from(node.children).forEach(li => {
+                    const indentMatch = (li.className || '').match(/ql-indent-(\d+)/);
+                    const level = indentMatch ? Math.min(parseInt(indentMatch[1], 10), 8) : 0;
+                    paragraphs.push(this.paragraph(this.convertInline(li), { numId, level, spacingAfter: 40 }));
+                });
+            } else if (/^h[1-3]$/.test(tag)) {
+                paragraphs.push(this.paragraph(this.convertInline(node), { style: `Heading${Number(tag[1]) + 1}` }));
+            } else {
+                paragraphs.push(this.paragraph(this.convertInline(node)));
+            }
+        });
+
+        return paragraphs;
+    }
+
+    /**
+     * Convert inline HTML to runs, carrying bold/italic/underline/link formatting down the tree
+     * @param {Node} node - Element whose children are converted
+     * @param {Object} format - Inherited run formatting
+     * @returns {Array<string>} Run XML
+     */
+    convertInline(node, format = {}) {
+        const runs = [];
+
+        node.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                if (child.textContent) runs.push(this.run(child.textContent, format));
+                return;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+            const tag = child.tagName.toLowerCase();
+            if (tag === 'br') {
+                runs.push('<w:r><w:br/></w:r>');
+                return;
+            }
+
+            const childFormat = { ...format };
+            if (tag === 'strong' || tag === 'b') childFormat.bold = true;
+            if (tag === 'em' || tag === 'i') childFormat.italic = true;
+            if (tag === 'u') childFormat.underline = true;
+            if (tag === 's' || tag === 'strike') childFormat.strike = true;
+
+            if (tag === 'a' && child.getAttribute('href')) {
+                const rId = this.addRelationship(
+                    `${DocxGenerator.RELATIONSHIP_TYPE}hyperlink`,
+                    child.getAttribute('href'),
+                    true
+                );
+                const linkRuns = this.convertInline(child, { ...childFormat, style: 'Hyperlink' }).join('');
+                runs.push(`<w:hyperlink r:id="${rId}" w:history="1">${linkRuns}</w:hyperlink>`);
+                return;
+            }
+
+            runs.push(...this.convertInline(child, childFormat));
+        });
+
+        return runs;
+    }
+
+    /**
+     * Register a list so each ordered list restarts its numbering
+     * @param {boolean} ordered - Numbered (true) or bulleted (false)
+     * @returns {number} numId for list paragraphs
+     */
+    createList(ordered) {
+        this.lists.push({ ordered });
+        return this.lists.length;
+    }
+
+    // ==================== XML BUILDERS ====================
+
+    heading(title) {
+        return this.paragraph([this.run(title)], { style: 'Heading1' });
+    }
+
+    field(label, value) {
+        return this.paragraph([
+            this.run(`${label}: `, { bold: true }),
+            this.run(this.formatter.formatFieldValue(value))
+        ]);
+    }
+
+    /**
+     * Build a paragraph
+     * @param {Array<string>} runs - Run XML
+     * @param {Object} options - { style, numId, level, spacingBefore, spacingAfter, keepNext }
+     */
+    paragraph(runs, options = {}) {
+        const props = [];
+        if (options.style) props.push(`<w:pStyle w:val="${options.style}"/>`);
+        if (options.keepNext) props.push('<w:keepNext/>');
+        if (options.numId) props.push(`<w:numPr><w:ilvl w:val="${options.level || 0}"/><w:numId w:val="${options.numId}"/></w:numPr>`);
+        if (options.spacingBefore !== undefined || options.spacingAfter !== undefined) {
+            const before = options.spacingBefore !== undefined ? ` w:before="${options.spacingBefore}"` : '';
+            const after = options.spacingAfter !== undefined ? ` w:after="${options.spacingAfter}"` : '';
+            props.push(`<w:spacing${before}${after}/>`);
+        }
+
+        const pPr = props.length > 0 ? `<w:pPr>${props.join('')}</w:pPr>` : '';
+        return `<w:p>${pPr}${runs.join('')}</w:p>`;
+    }
+
+    /**
+     * Build a text run; line breaks in the text become <w:br/>
+     * @param {string} text - Run text
+     * @param {Object} format - { bold, italic, underline, strike, color, size (half-points), style }
+     */
+    run(text, format = {}) {
+        const props = [];
+        if (format.style) props.push(`<w:rStyle w:val="${format.style}"/>`);
+        if (format.bold) props.push('<w:b/>');
+        if (format.italic) props.push('<w:i/>');
+        if (format.underline) props.push('<w:u w:val="single"/>');
+        if (format.strike) props.push('<w:strike/>');
+        if (format.color) props.push(`<w:color w:val="${format.color}"/>`);
+        if (format.size) props.push(`<w:sz w:val="${format.size}"/>`);
+
+        const rPr = props.length > 0 ? `<w:rPr>${props.join('')}</w:rPr>` : '';
+        const content = String(text).split('\n')
+            .map(line => `<w:t xml:space="preserve">${this.escapeXml(line)}</w:t>`)
+            .join('<w:br/>');
+        return `<w:r>${rPr}${content}</w:r>`;
+    }
+
+    /**
+     * Build an inline picture run
+     * @param {Object} image - Image from loadImage()
+     * @param {number} id - Drawing id, unique within the document
+     */
+    buildImageRun(image, id) {
+        const { widthEmu, heightEmu } = image;
+        return `<w:r><w:drawing>
+            <wp:inline distT="0" distB="0" distL="0" distR="0">
+                <wp:extent cx="${widthEmu}" cy="${heightEmu}"/>
+                <wp:docPr id="${id}" name="${image.description}"/>
+                <a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">
+                        <pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">
+                            <pic:nvPicPr><pic:cNvPr id="${id}" name="${image.fileName}"/><pic:cNvPicPr/></pic:nvPicPr>
+                            <pic:blipFill><a:blip r:embed="${image.rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>
+                            <pic:spPr>
+                                <a:xfrm><a:off x="0" y="0"/><a:ext cx="${widthEmu}" cy="${heightEmu}"/></a:xfrm>
+                                <a:prstGeom prst="rect"><a:avLst/></a:prstGeom>
+                            </pic:spPr>
+                        </pic:pic>
+                    </a:graphicData>
+                </a:graphic>
+            </wp:inline>
+        </w:drawing></w:r>`;
+    }
+
+    /**
+     * Section properties: page size, margins, header/footer on every page but the cover
+     */
+    buildSectionProperties() {
+        const page = DocxGenerator.PAGE;
+        return `<w:sectPr>
+            <w:headerReference w:type="default" r:id="${this.headerId}"/>
+            <w:footerReference w:type="default" r:id="${this.footerId}"/>
+            <w:pgSz w:w="${page.width}" w:h="${page.height}"/>
+            <w:pgMar w:top="${page.margin + 720}" w:right="${page.margin}" w:bottom="${page.margin + 360}" w:left="${page.margin}" w:header="${page.margin / 2}" w:footer="${page.margin / 2}" w:gutter="0"/>
+            <w:titlePg/>
+        </w:sectPr>`;
+    }
+
+    wrapDocument(body) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"><w:body>${body}</w:body></w:document>`;
+    }
+
+    buildHeader() {
+        const tab = this.contentWidth();
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+    <w:p>
+        <w:pPr>
+            <w:tabs><w:tab w:val="right" w:pos="${tab}"/></w:tabs>
+            <w:pBdr><w:bottom w:val="single" w:sz="6" w:color="${this.brandColor}"/></w:pBdr>
+        </w:pPr>
+        ${this.run(this.data.companyName || 'Company Name', { bold: true, color: this.brandColor, size: 18 })}
+        <w:r><w:tab/></w:r>
+        ${this.run(this.data.jobTitle || 'Job Title', { bold: true, size: 16 })}
+    </w:p>
+</w:hdr>`;
+    }
+
+    buildFooter() {
+        const tab = this.contentWidth();
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:ftr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+    <w:p>
+        <w:pPr><w:tabs><w:tab w:val="right" w:pos="${tab}"/></w:tabs></w:pPr>
+        ${this.run(HeaderFooterUtils.formatDateToLongFormat(this.data.date), { size: 16 })}
+        <w:r><w:tab/></w:r>
+        ${this.run('Page ', { size: 16 })}
+        <w:r><w:rPr><w:sz w:val="16"/></w:rPr><w:fldChar w:fldCharType="begin"/></w:r>
+        <w:r><w:rPr><w:sz w:val="16"/></w:rPr><w:instrText xml:space="preserve"> PAGE </w:instrText></w:r>
+        <w:r><w:rPr><w:sz w:val="16"/></w:rPr><w:fldChar w:fldCharType="separate"/></w:r>
+        <w:r><w:rPr><w:sz w:val="16"/></w:rPr><w:t>2</w:t></w:r>
+        <w:r><w:rPr><w:sz w:val="16"/></w:rPr><w:fldChar w:fldCharType="end"/></w:r>
+    </w:p>
+</w:ftr>`;
+    }
+
+    buildStyles() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+    <w:docDefaults>
+        <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:rPrDefault>
+        <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+    </w:docDefaults>
+    <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+    <w:style w:type="paragraph" w:styleId="Heading1">
+        <w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+        <w:pPr>
+            <w:keepNext/><w:spacing w:before="360" w:after="160"/>
+            <w:pBdr><w:bottom w:val="single" w:sz="8" w:space="2" w:color="${this.brandColor}"/></w:pBdr>
+            <w:outlineLvl w:val="0"/>
+        </w:pPr>
+        <w:rPr><w:b/><w:sz w:val="24"/></w:rPr>
+    </w:style>
+    <w:style w:type="paragraph" w:styleId="Heading2">
+        <w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+        <w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr>
+        <w:rPr><w:b/><w:color w:val="${this.brandColor}"/><w:sz w:val="24"/></w:rPr>
+    </w:style>
+    <w:style w:type="paragraph" w:styleId="Heading3">
+        <w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+        <w:pPr><w:keepNext/><w:spacing w:before="200" w:after="60"/><w:outlineLvl w:val="2"/></w:pPr>
+        <w:rPr><w:b/><w:sz w:val="22"/></w:rPr>
+    </w:style>
+    <w:style w:type="paragraph" w:styleId="Heading4">
+        <w:name w:val="heading 4"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+        <w:pPr><w:keepNext/><w:spacing w:before="160" w:after="40"/><w:outlineLvl w:val="3"/></w:pPr>
+        <w:rPr><w:b/><w:i/></w:rPr>
+    </w:style>
+    <w:style w:type="character" w:styleId="Hyperlink">
+        <w:name w:val="Hyperlink"/>
+        <w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr>
+    </w:style>
+</w:styles>`;
+    }
+
+    /**
+     * Numbering definitions: one abstract bullet list and one abstract numbered list,
+     * with a separate instance per list in the summary so numbering restarts
+     */
+    buildNumbering() {
+        const levels = (ordered) => Array.from({ length: 9 }, (_, level) => {
+            const indent = 360 * (level + 1);
+            const format = ordered
+                ? `<w:numFmt w:val="${['decimal', 'lowerLetter', 'lowerRoman'][level % 3]}"/><w:lvlText w:val="%${level + 1}."/>`
+                : `<w:numFmt w:val="bullet"/><w:lvlText w:val="${['•', '◦', '▪'][level % 3]}"/>`;
+            return `<w:lvl w:ilvl="${level}"><w:start w:val="1"/>${format}<w:lvlJc w:val="left"/>` +
+                `<w:pPr><w:ind w:left="${indent}" w:hanging="360"/></w:pPr></w:lvl>`;
+        }).join('');
+
+        const instances = this.lists.map((list, index) => {
+            const numId = index + 1;
+            const restart = list.ordered
+                ? '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride>'
+                : '';
+            return `<w:num w:numId="${numId}"><w:abstractNumId w:val="${list.ordered ? 1 : 0}"/>${restart}</w:num>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+    <w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(false)}</w:abstractNum>
+    <w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(true)}</w:abstractNum>
+    ${instances}
+</w:numbering>`;
+    }
+
+    buildContentTypes() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+    <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+    <Default Extension="xml" ContentType="application/xml"/>
+    <Default Extension="png" ContentType="image/png"/>
+    <Default Extension="jpeg" ContentType="image/jpeg"/>
+    <Default Extension="gif" ContentType="image/gif"/>
+    <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+    <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+    <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+    <Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>
+    <Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>
+    <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+    }
+
+    buildPackageRelationships() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+    <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+    <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+    }
+
+    buildCoreProperties() {
+        const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+    <dc:title>${this.escapeXml(`${this.data.jobTitle || 'JDA Report'} - Job Demands Analysis`)}</dc:title>
+    <dc:creator>${this.escapeXml(this.data.author || '')}</dc:creator>
+    <dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
+    <dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
+</cp:coreProperties>`;
+    }
+
+    /**
+     * Document relationships. Must be built last: hyperlinks register while the body is converted.
+     */
+    buildDocumentRelationships() {
+        const relationships = this.relationships.map(rel =>
+            `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${this.escapeXml(rel.target)}"${rel.external ? ' TargetMode="External"' : ''}/>`
+        ).join('\n    ');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+    ${relationships}
+</Relationships>`;
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * Add a document relationship
+     * @returns {string} Relationship ID
+     */
+    addRelationship(type, target, external = false) {
+        const id = `rId${this.relationships.length + 1}`;
+        this.relationships.push({ id, type, target, external });
+        return id;
+    }
+
+    /**
+     * Register the fixed document parts (styles, numbering, header and footer);
+     * buildSectionProperties() refers to the header and footer IDs set here
+     */
+    registerParts() {
+        const rel = DocxGenerator.RELATIONSHIP_TYPE;
+        this.addRelationship(`${rel}styles`, 'styles.xml');
+        this.addRelationship(`${rel}numbering`, 'numbering.xml');
+        this.headerId = this.addRelationship(`${rel}header`, 'header1.xml');
+        this.footerId = this.addRelationship(`${rel}footer`, 'footer1.xml');
+    }
+
+    /**
+     * Decode the logo (if any), fitted within 2" x 1"
+     * @returns {Promise<Object|null>} Image from loadImage() or null
+     */
+    async loadLogo() {
+        const logo = this.data.companyLogo && this.data.companyLogo[0];
+        return this.loadImage(logo && logo.preview, 'logo', 'Company Logo', 2, 1);
+    }
+
+    /**
+     * Decode the drawn signature (if any), fitted within 3" x 0.75"
+     * @returns {Promise<Object|null>} Image from loadImage() or null
+     */
+    async loadSignature() {
+        const attestation = this.data.attestation || {};
+        if (attestation.signatureType === 'typed') return null;
+        return this.loadImage(attestation.signatureImage, 'signature', 'Signature', 3, 0.75);
+    }
+
+    /**
+     * Decode an image data URL and register it as a document part
+     * @param {string} dataUrl - PNG, JPEG or GIF data URL
+     * @param {string} name - File name without extension
+     * @param {string} description - Drawing name shown in Word
+     * @param {number} maxWidth - Maximum width in inches
+     * @param {number} maxHeight - Maximum height in inches
+     * @returns {Promise<Object|null>} { bytes, fileName, description, rId, widthEmu, heightEmu } or null
+     */
+    async loadImage(dataUrl, name, description, maxWidth, maxHeight) {
+        const match = dataUrl && dataUrl.match(/^data:image\/(png|jpe?g|gif);base64,(.+)$/);
+        if (!match) return null;
+
+        try {
+            const extension = match[1] === 'jpg' ? 'jpeg' : match[1];
+            const fileName = `${name}.${extension}`;
+            const bytes = Uint8Array.from(atob(match[2]), char => char.charCodeAt(0));
+            const { width, height } = await this.getImageSize(dataUrl);
+
+            // Keep the aspect ratio (914400 EMU per inch)
+            const scale = Math.min((maxWidth * 914400) / width, (maxHeight * 914400) / height);
+            return {
+                bytes,
+                fileName,
+                description,
+                rId: this.addRelationship(`${DocxGenerator.RELATIONSHIP_TYPE}image`, `media/${fileName}`),
+                widthEmu: Math.round(width * scale),
+                heightEmu: Math.round(height * scale)
+            };
+        } catch (error) {
+            console.warn(`Failed to add ${name} to Word document:`, error);
+            return null;
+        }
+    }
+
+    getImageSize(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+            image.onerror = () => reject(new Error('Image could not be read'));
+            image.src = src;
+        });
+    }
+
+    contentWidth() {
+        return DocxGenerator.PAGE.width - DocxGenerator.PAGE.margin * 2;
+    }
+
+    toHex(color) {
+        return PDFUtils.hexToRgb(color).map(value => value.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Expose the class to the window object for dynamic loading
+window.DocxGenerator = DocxGenerator;
@@ -0,0 +1,333 @@
+/**
+ * Comparison Report Generator - "Job Demands Comparison" PDF
+ *
+ * Shows two job analyses of the same position side by side (for example before and
+ * after an ergonomic intervention), from a JobComparison.compare() result:
+ * - First page: the two analyses, a summary of the changes and a color legend
+ * - Classification of Work: physical and cognitive levels before and after
+ * - Job Functions: every essential/marginal function, marked added or removed
+ * - Job Demands: every demand table row before and after; increased frequencies are
+ *   shaded red, decreased ones green, other changes (answered, cleared, comments) yellow
+ *
+ * Uses the Classic (Template 1) layout and its autoTable styling, with headers and
+ * footers taken from the later analysis.
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class ComparisonReportGenerator extends Template1Generator {
+    /**
+     * Row shading and Change column text per kind of change
+     */
+    static CHANGE_STYLES = {
+        increased: { label: 'Increased', fill: [253, 226, 226], text: [185, 28, 28] },
+        decreased: { label: 'Decreased', fill: [220, 243, 228], text: [21, 128, 61] },
+        changed: { label: 'Changed', fill: [255, 243, 205], text: [146, 100, 0] },
+        comment: { label: 'Comment changed', fill: [255, 243, 205], text: [146, 100, 0] },
+        added: { label: 'Added', fill: [219, 234, 254], text: [29, 78, 216] },
+        removed: { label: 'Removed', fill: [235, 235, 235], text: [100, 100, 100] }
+    };
+
+    /**
+     * Generate the comparison PDF
+     * @param {Object} comparison - Result of JobComparison.compare()
+     * @returns {jsPDF} Generated PDF document
+     */
+    generate(comparison) {
+        this.comparison = comparison;
+        this.createDocument(comparison.after.data);
+
+        this.addComparisonCover();
+        this.addClassificationComparison();
+        this.addFunctionComparison();
+        this.addDemandComparison();
+
+        this.finishDocument();
+        return this.doc;
+    }
+
+    // ==================== FIRST PAGE ====================
+
+    /**
+     * Title, the two analyses, a summary of the changes and the legend
+     */
+    addComparisonCover() {
+        const x = this.margin;
+        const { before, after } = this.comparison;
+
+        this.setTextColor('accent');
+        this.setFont('bold', this.layout.fonts.title);
+        this.doc.text('Job Demands Comparison', x, this.currentY);
+        this.setTextColor('text');
+        this.currentY += 10;
+
+        this.setFont('bold', this.layout.fonts.subheading);
+        this.addWrappedLines(this.doc.splitTextToSize(after.data.jobTitle || before.data.jobTitle || 'Job Title', this.contentWidth()), x);
+        if (after.data.companyName) {
+            this.setFont('normal', this.layout.fonts.body);
+            this.doc.text(after.data.companyName, x, this.currentY);
+            this.currentY += this.lineHeight;
+        }
+        this.currentY += 8;
+
+        this.addSourceDetails('Before', before);
+        this.addSourceDetails('After', after);
+
+        this.currentY += 4;
+        this.setFont('bold', this.layout.fonts.heading);
+        this.doc.text('Summary of Changes', x, this.currentY);
+        this.currentY += 8;
+
+        this.setFont('normal', this.layout.fonts.body);
+        this.getSummaryLines().forEach(line => {
+            this.addWrappedLines(this.doc.splitTextToSize(`- ${line}`, this.contentWidth()), x);
+        });
+
+        this.currentY += 6;
+        this.addLegend();
+
+        this.addPageBreak();
+    }
+
+    /**
+     * Name, job title and analysis date of one of the compared analyses
+     * @param {string} heading - 'Before' or 'After'
+     * @param {Object} source - { label, data }
+     */
+    addSourceDetails(heading, source) {
+        const labelWidth = this.layout.fields.labelWidth;
+
+        this.setFont('bold', this.layout.fonts.label);
+        this.doc.text(`${heading}:`, this.margin, this.currentY);
+        this.setFont('normal', this.layout.fonts.body);
+        this.addWrappedLines(this.doc.splitTextToSize(source.label, this.contentWidth() - labelWidth), this.margin + labelWidth);
+
+        this.setFont('normal', this.layout.fonts.small);
+        this.setTextColor('muted');
+        this.doc.text(`${this.fieldLabel('jobTitle')}: ${source.data.jobTitle || 'Not specified'}`, this.margin + labelWidth, this.currentY);
+        this.currentY += this.lineHeight;
+        this.doc.text(`${this.fieldLabel('date')}: ${HeaderFooterUtils.formatDateToLongFormat(source.data.date)}`, this.margin + labelWidth, this.currentY);
+        this.setTextColor('text');
+        this.currentY += this.lineHeight + 3;
+    }
+
+    /**
+     * One line per kind of change for the first page
+     * @returns {Array<string>} Summary lines
+     */
+    getSummaryLines() {
+        const { counts, classification } = this.comparison;
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const lines = [];
+
+        if (counts.increased) lines.push(`${plural(counts.increased, 'demand')} increased in frequency`);
+        if (counts.decreased) lines.push(`${plural(counts.decreased, 'demand')} decreased in frequency`);
+        if (counts.changed) lines.push(`${plural(counts.changed, 'other demand change')} (answers added or cleared, comments)`);
+
+        classification
+            .filter(level => level.change !== 'unchanged')
+            .forEach(level => {
+                lines.push(`${level.label}: ${level.before || 'Not specified'} to ${level.after || 'Not specified'}`);
+            });
+
+        if (counts.functionsAdded || counts.functionsRemoved) {
+            lines.push(`${plural(counts.functionsAdded, 'function')} added, ${counts.functionsRemoved} removed`);
+        }
+
+        return lines.length > 0 ? lines : ['No differences were found between the two analyses.'];
+    }
+
+    /**
+     * Color swatches explaining the row shading
+     */
+    addLegend() {
+        const size = 4;
+        let x = this.margin;
+
+        this.setFont('normal', this.layout.fonts.small);
+        ['increased', 'decreased', 'changed', 'added', 'removed'].forEach(change => {
+            const style = ComparisonReportGenerator.CHANGE_STYLES[change];
+            this.doc.setFillColor(...style.fill);
+            this.doc.rect(x, this.currentY - size + 1, size, size, 'F');
+            this.doc.text(style.label, x + size + 2, this.currentY);
+            x += size + 2 + this.doc.getTextWidth(style.label) + 8;
+        });
+        this.currentY += this.lineHeight + 2;
+    }
+
+    // ==================== SECTIONS ====================
+
+    /**
+     * Physical and cognitive demand levels before and after
+     */
+    addClassificationComparison() {
+        this.addSectionHeader(this.fieldLabel('classificationOfWork'));
+
+        const width = this.contentWidth();
+        this.addChangeTable(
+            [
+                { header: 'Level', width: width * 0.34 },
+                { header: 'Before', width: width * 0.22 },
+                { header: 'After', width: width * 0.22 },
+                { header: 'Change', width: width * 0.22 }
+            ],
+            this.comparison.classification.map(level => ({
+                change: level.change,
+                cells: [level.label, level.before, level.after, this.changeLabel(level.change)]
+            })),
+            3
+        );
+    }
+
+    /**
+     * Essential and marginal functions, marked added or removed
+     */
+    addFunctionComparison() {
+        this.addSectionHeader('Job Functions');
+
+        const functions = this.comparison.functions;
+        if (functions.length === 0) {
+            this.addNote('No functions are listed in either analysis.');
+            return;
+        }
+
+        const width = this.contentWidth();
+        this.addChangeTable(
+            [
+                { header: 'List', width: width * 0.22 },
+                { header: 'Function', width: width * 0.58 },
+                { header: 'Change', width: width * 0.20 }
+            ],
+            functions.map(entry => ({
+                change: entry.change,
+                cells: [entry.list, entry.text, this.changeLabel(entry.change)]
+            })),
+            2
+        );
+    }
+
+    /**
+     * Every demand table, row by row
+     */
+    addDemandComparison() {
+        this.addSectionHeader('Job Demands');
+
+        this.comparison.demandTables.forEach(table => {
+            this.checkPageBreak(30);
+            this.recordTocEntry(table.title, 1);
+
+            this.setFont('bold', this.layout.fonts.subheading);
+            this.doc.text(table.title, this.margin, this.currentY);
+            this.currentY += 6;
+
+            if (!table.answered) {
+                this.addNote('Not completed in either analysis.');
+                return;
+            }
+
+            const width = this.contentWidth();
+            this.addChangeTable(
+                [
+                    { header: 'Activity', width: width * 0.26 },
+                    { header: 'Before', width: width * 0.14 },
+                    { header: 'After', width: width * 0.14 },
+                    { header: 'Change', width: width * 0.14 },
+                    { header: 'Comments', width: width * 0.32 }
+                ],
+                table.rows.map(row => {
+                    if (row.category) return row;
+
+                    const change = row.change === 'unchanged' && row.commentChanged ? 'comment' : row.change;
+                    const comments = row.commentChanged
+                        ? `Before: ${row.beforeComment || '(blank)'}\nAfter: ${row.afterComment || '(blank)'}`
+                        : row.afterComment;
+
+                    return {
+                        change,
+                        cells: [row.label, row.before, row.after, this.changeLabel(change), comments]
+                    };
+                }),
+                3
+            );
+        });
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * Add a table whose rows are shaded by their change
+     * @param {Array<Object>} columns - { header, width }
+     * @param {Array<Object>} rows - { cells, change } rows, or { category } group headings
+     * @param {number} changeColumn - Index of the Change column (its text is colored)
+     */
+    addChangeTable(columns, rows, changeColumn) {
+        const table = this.layout.table;
+
+        const body = rows.map(row => {
+            if (!row.category) return row.cells;
+            return [{
+                content: row.category,
+                colSpan: columns.length,
+                styles: {
+                    fontStyle: 'bold',
+                    fillColor: table.groupFill === null ? false : this.resolveColor(table.groupFill)
+                }
+            }];
+        });
+
+        const columnStyles = {};
+        columns.forEach((column, index) => {
+            columnStyles[index] = { halign: 'left', cellWidth: column.width };
+        });
+
+        this.doc.autoTable({
+            ...this.getAutoTableOptions(),
+            columns: columns.map(column => ({ header: column.header })),
+            body: body,
+            columnStyles: columnStyles,
+            didParseCell: (hook) => {
+                if (hook.section !== 'body') return;
+
+                const style = ComparisonReportGenerator.CHANGE_STYLES[rows[hook.row.index]?.change];
+                if (!style) return;
+
+                hook.cell.styles.fillColor = style.fill;
+                if (hook.column.index === changeColumn) {
+                    hook.cell.styles.textColor = style.text;
+                    hook.cell.styles.fontStyle = 'bold';
+                }
+            }
+        });
+
+        this.currentY = this.doc.lastAutoTable.finalY + 10;
+    }
+
+    /**
+     * Text for the Change column
+     * @param {string} change - Change kind
+     * @returns {string} Label, or '' when unchanged
+     */
+    changeLabel(change) {
+        return ComparisonReportGenerator.CHANGE_STYLES[change]?.label || '';
+    }
+
+    /**
+     * Add a short muted note in place of an empty table
+     * @param {string} text - Note text
+     */
+    addNote(text) {
+        this.setFont('italic', this.layout.fonts.body);
+        this.setTextColor('muted');
+        this.doc.text(text, this.margin, this.currentY);
+        this.setTextColor('text');
+        this.currentY += this.lineHeight + 6;
+    }
+}
+
+// Expose the class to the window object for dynamic loading
+window.ComparisonReportGenerator = ComparisonReportGenerator;
@@ -3,7 +3,8 @@
  *
  * Provides reusable functions for adding headers and footers to PDF pages.
  * Headers include logo, company name, address, and job title.
- * Footers include date (left) and page number (right).
+ * Footers include date (left) and page number (right), and the report's
+ * verification hash (center) when the form data carries one (see ReportHash).
  * Cover page (page 1) has no header/footer.
  *
  * @author Austin Steil
@@ -27,6 +28,8 @@ class HeaderFooterUtils {
      * @param {number} config.margin - Margin size in mm
      * @param {number} config.headerHeight - Height reserved for header in mm (default: 20)
      * @param {number} config.footerHeight - Height reserved for footer in mm (default: 15)
+     * @param {string} config.fontFamily - Font family for header/footer text (default: document's current font)
+     * @param {Array<number>} config.ruleColor - RGB color of a rule drawn under the header (default: no rule)
      */
     static addHeadersAndFooters(doc, data, config = {}) {
         const pageWidth = config.pageWidth || 210;
@@ -34,6 +37,10 @@ class HeaderFooterUtils {
         const margin = config.margin || 15;
         const headerHeight = config.headerHeight || 20;
         const footerHeight = config.footerHeight || 15;
+        const style = {
+            fontFamily: config.fontFamily,
+            ruleColor: config.ruleColor || null
+        };
 
         const totalPages = doc.getNumberOfPages();
 
@@ -43,8 +50,8 @@ class HeaderFooterUtils {
 
             // Skip header/footer on cover page (page 1)
             if (pageNum > 1) {
-                this.addHeader(doc, data, pageWidth, margin, headerHeight);
-                this.addFooter(doc, data, pageNum, pageWidth, pageHeight, margin, footerHeight);
+                this.addHeader(doc, data, pageWidth, margin, headerHeight, style);
+                this.addFooter(doc, data, pageNum, pageWidth, pageHeight, margin, footerHeight, style);
             }
         }
     }
@@ -59,8 +66,9 @@ class HeaderFooterUtils {
      * @param {number} pageWidth - Page width in mm
      * @param {number} margin - Margin size in mm
      * @param {number} headerHeight - Height reserved for header in mm
+     * @param {Object} style - Optional { fontFamily, ruleColor } from the template layout
      */
-    static addHeader(doc, data, pageWidth, margin, headerHeight) {
+    static addHeader(doc, data, pageWidth, margin, headerHeight, style = {}) {
         const headerY = margin / 2;
         const logoWidth = 15; // Logo width in mm
         const logoHeight = 15; // Logo height in mm
@@ -89,13 +97,13 @@ class HeaderFooterUtils {
         const brandColorRgb = PDFUtils.hexToRgb(data.brandColor || '#003366');
         doc.setTextColor(...brandColorRgb);
         doc.setFontSize(9);
-        doc.setFont(undefined, 'bold');
+        doc.setFont(style.fontFamily, 'bold');
         doc.text(data.companyName || 'Company Name', centerX, headerY + 3, { align: 'center' });
         doc.setTextColor(0, 0, 0); // Reset to black
 
         // Add address below company name
         doc.setFontSize(7);
-        doc.setFont(undefined, 'normal');
+        doc.setFont(style.fontFamily, 'normal');
         const address = this.formatAddress(data);
         if (address) {
             doc.text(address, centerX, headerY + 8, { align: 'center' });
@@ -103,17 +111,26 @@ class HeaderFooterUtils {
 
         // Add job title on right
         doc.setFontSize(8);
-        doc.setFont(undefined, 'bold');
+        doc.setFont(style.fontFamily, 'bold');
         const jobTitleX = pageWidth - margin;
         const jobTitle = data.jobTitle || 'Job Title';
         // Wrap job title if too long
         const wrappedJobTitle = doc.splitTextToSize(jobTitle, 30);
         doc.text(wrappedJobTitle, jobTitleX, headerY + 3, { align: 'right' });
+
+        // Optional accent rule separating the header from page content
+        if (style.ruleColor) {
+            doc.setDrawColor(...style.ruleColor);
+            doc.setLineWidth(0.4);
+            doc.line(margin, margin + headerHeight - 4, pageWidth - margin, margin + headerHeight - 4);
+            doc.setLineWidth(0.2); // Reset to default
+        }
     }
 
     /**
      * Add footer to a page
-     * Footer includes: date (left), page number (right)
+     * Footer includes: date (left), page number (right) and, when data.reportHash is set,
+     * the SHA-256 verification hash (center) that ReportHash.verify() reads back
      * Page numbering starts at 2 for the first content page (cover is page 1 but not numbered)
      *
      * @param {jsPDF} doc - The jsPDF document instance
@@ -123,19 +140,30 @@ class HeaderFooterUtils {
      * @param {number} pageHeight - Page height in mm
      * @param {number} margin - Margin size in mm
      * @param {number} footerHeight - Height reserved for footer in mm
+     * @param {Object} style - Optional { fontFamily } from the template layout
      */
-    static addFooter(doc, data, pageNum, pageWidth, pageHeight, margin, footerHeight) {
+    static addFooter(doc, data, pageNum, pageWidth, pageHeight, margin, footerHeight, style = {}) {
         const footerY = pageHeight - (margin / 2);
 
         // Add date on left
         doc.setFontSize(8);
-        doc.setFont(undefined, 'normal');
+        doc.setFont(style.fontFamily, 'normal');
         const dateText = this.formatDateToLongFormat(data.date);
         doc.text(dateText, margin, footerY - 2);
 
         // Add page number on right (page 2 for first content page, etc.)
         const displayPageNum = pageNum; // Page 2 shows as "2", page 3 shows as "3", etc.
         doc.text(`Page ${displayPageNum}`, pageWidth - margin, footerY - 2, { align: 'right' });
+
+        // Add verification hash in center, small and monospaced so it stays between date and page number
+        if (data.reportHash) {
+            doc.setFontSize(6);
+            doc.setFont('courier', 'normal');
+            doc.setTextColor(110, 110, 110);
+            doc.text(`${ReportHash.FOOTER_LABEL} ${data.reportHash}`, pageWidth / 2, footerY - 2, { align: 'center' });
+            doc.setTextColor(0, 0, 0); // Reset to black
+            doc.setFont(style.fontFamily, 'normal');
+        }
     }
 
     /**
@@ -0,0 +1,1322 @@
+/**
+ * Layout Renderer - Shared PDF renderer driven by declarative layout specs
+ *
+ * Every template generator extends this class and only supplies a layout spec
+ * (page size, margins, fonts, color usage, section order, cover/heading/field
+ * styles and table styling). All drawing code lives here, built on PDFUtils,
+ * HeaderFooterUtils and RichTextRenderer, so templates differ visually without
+ * duplicating logic.
+ *
+ * Layout spec options (all optional - missing values fall back to DEFAULT_LAYOUT):
+ * - page:     { width, height } in mm, { headerHeight, footerHeight } reserved space
+ * - margin:   Page margin in mm
+ * - fonts:    { family ('helvetica' | 'times' | 'courier'), title, heading, subheading, label, body, small, table, lineHeight }
+ * - colors:   { accent, secondaryAccent, text, muted, rule } - each an [r, g, b] array,
+ *             a grayscale number, 'brand' (Intro tab brand color) or 'secondary' (secondary brand color)
+ * - sections: Ordered list of section ids: 'cover', 'toc', 'jobOverview', 'jobFunctions', 'workSchedule', 'jobDemands', 'summary', 'jobPhotos', 'signature'
+ * - cover:    { style: 'classic' | 'banner' | 'minimal' | 'sidebar' | 'blocks' | 'centered' }
+ * - headings: { style: 'underline' | 'bar' | 'plain' | 'band' | 'pill' | 'numbered', uppercase }
+ * - fields:   { layout: 'inline' | 'stacked', labelWidth }
+ * - table:    { theme ('grid' | 'striped' | 'plain'), fontSize, cellPadding, headFill, headText, alternateRowFill, lineColor, lineWidth, mark }
+ * - photos:   { title, columns, newPage, figureLabels } - Job Photos appendix grid
+ * - toc:      { title } - table of contents page (placed where 'toc' appears in sections)
+ * - headerFooter: { rule } - draw an accent rule under the page header
+ *
+ * Field labels come from the field schema (src/fields/vars.json "pdfLabel") via window.fieldSchema.
+ *
+ * Usage:
+ * ```javascript
+ * class Template2Generator extends LayoutRenderer {
+ *     static LAYOUT = { cover: { style: 'banner' }, headings: { style: 'bar' } };
+ *     constructor() {
+ *         super(Template2Generator.LAYOUT);
+ *     }
+ * }
+ * const doc = new Template2Generator().generate(formData);
+ * ```
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class LayoutRenderer {
+    /**
+     * Default layout - the Classic template look
+     */
+    static DEFAULT_LAYOUT = {
+        page: {
+            width: 215.9, // 8.5" in mm
+            height: 304.8, // 12" in mm
+            headerHeight: 20, // Space reserved for header in mm
+            footerHeight: 15 // Space reserved for footer in mm
+        },
+        margin: 12.7, // 0.5" margins
+        fonts: {
+            family: 'helvetica',
+            title: 24,
+            heading: 12,
+            subheading: 11,
+            label: 10,
+            body: 10,
+            small: 9,
+            table: 8,
+            lineHeight: 5
+        },
+        colors: {
+            accent: 'brand',
+            secondaryAccent: 'secondary',
+            text: [0, 0, 0],
+            muted: [100, 100, 100],
+            rule: [200, 200, 200]
+        },
+        sections: ['cover', 'toc', 'jobOverview', 'jobFunctions', 'workSchedule', 'jobDemands', 'summary', 'jobPhotos', 'signature'],
+        cover: { style: 'classic' },
+        headings: { style: 'underline', uppercase: false },
+        fields: { layout: 'inline', labelWidth: 40 },
+        table: {
+            theme: 'grid',
+            fontSize: 8,
+            cellPadding: 2.5,
+            headFill: [41, 128, 185],
+            headText: 255,
+            alternateRowFill: [245, 245, 245],
+            lineColor: [200, 200, 200],
+            lineWidth: 0.1,
+            groupFill: [225, 225, 225], // Group heading rows in grouped demand tables
+            mark: 'X'
+        },
+        photos: {
+            title: 'Appendix: Job Photos',
+            columns: 2,
+            newPage: true,
+            figureLabels: false // Prefix captions with "Figure N."
+        },
+        toc: { title: 'Contents' },
+        headerFooter: { rule: false }
+    };
+
+    /**
+     * @param {Object} layout - Layout spec (merged over DEFAULT_LAYOUT)
+     */
+    constructor(layout = {}) {
+        this.layout = LayoutRenderer.mergeLayout(LayoutRenderer.DEFAULT_LAYOUT, layout);
+
+        this.pageWidth = this.layout.page.width;
+        this.pageHeight = this.layout.page.height;
+        this.margin = this.layout.margin;
+        this.headerHeight = this.layout.page.headerHeight;
+        this.footerHeight = this.layout.page.footerHeight;
+        this.lineHeight = this.layout.fonts.lineHeight;
+        this.currentY = this.margin;
+    }
+
+    /**
+     * Merge a layout spec over a base layout (one level deep per option group)
+     * @param {Object} base - Base layout
+     * @param {Object} overrides - Layout spec overrides
+     * @returns {Object} Merged layout
+     */
+    static mergeLayout(base, overrides) {
+        const merged = {};
+        Object.keys(base).forEach(key => {
+            const baseValue = base[key];
+            const overrideValue = overrides[key];
+
+            if (overrideValue === undefined) {
+                merged[key] = baseValue;
+            } else if (baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue)) {
+                merged[key] = { ...baseValue, ...overrideValue };
+            } else {
+                merged[key] = overrideValue;
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Generate the complete PDF document
+     * @param {Object} data - Form data containing all fields
+     * @returns {jsPDF} Generated PDF document
+     */
+    generate(data) {
+        this.createDocument(data);
+
+        // Generate document sections in spec order
+        const sectionRenderers = {
+            cover: () => this.addCoverPage(),
+            toc: () => this.reserveTableOfContents(),
+            jobOverview: () => this.addJobOverview(),
+            jobFunctions: () => this.addJobFunctions(),
+            workSchedule: () => this.addWorkSchedule(),
+            jobDemands: () => this.addJobDemands(),
+            summary: () => this.addSummary(),
+            jobPhotos: () => this.addJobPhotos(),
+            signature: () => this.addSignatureBlock()
+        };
+
+        this.layout.sections.forEach(sectionId => {
+            const render = sectionRenderers[sectionId];
+            if (render) {
+                render();
+            } else {
+                console.warn(`Unknown layout section "${sectionId}"`);
+            }
+        });
+
+        this.finishDocument();
+
+        return this.doc;
+    }
+
+    /**
+     * Start a new jsPDF document in the spec's page size, with colors resolved against the data's brand colors
+     * @param {Object} data - Form data (company, brand colors and dates for the cover, header and footer)
+     */
+    createDocument(data) {
+        const jsPDF = window.jspdf.jsPDF;
+        this.doc = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format: [this.pageWidth, this.pageHeight]
+        });
+        this.data = data;
+        this.currentY = this.margin;
+        this.sectionNumber = 0;
+        this.tocEntries = []; // { label, level, page, y } recorded by section headers and demand tables
+        this.tocPage = null;
+
+        // Resolve spec colors against this document's brand colors
+        this.colors = {};
+        Object.entries(this.layout.colors).forEach(([name, value]) => {
+            this.colors[name] = this.resolveColor(value);
+        });
+
+        this.setTextColor('text');
+    }
+
+    /**
+     * Fill in the contents page and bookmarks, then add headers and footers
+     */
+    finishDocument() {
+        // Page numbers are only known now that all content is drawn
+        this.drawTableOfContents();
+        this.addOutline();
+
+        // Add headers and footers to all pages except cover page
+        HeaderFooterUtils.addHeadersAndFooters(this.doc, this.data, {
+            pageWidth: this.pageWidth,
+            pageHeight: this.pageHeight,
+            margin: this.margin,
+            headerHeight: this.headerHeight,
+            footerHeight: this.footerHeight,
+            fontFamily: this.layout.fonts.family,
+            ruleColor: this.layout.headerFooter.rule ? this.colors.accent : null
+        });
+    }
+
+    // ==================== TABLE OF CONTENTS ====================
+
+    /**
+     * Reserve a page for the table of contents; it's filled in by drawTableOfContents()
+     * once every section's page number is known
+     */
+    reserveTableOfContents() {
+        this.tocPage = this.getCurrentPage();
+        this.addPageBreak();
+    }
+
+    /**
+     * Record a heading for the table of contents and the PDF outline
+     * @param {string} label - Text shown in the contents and bookmarks
+     * @param {number} level - 0 for sections, 1 for demand tables
+     */
+    recordTocEntry(label, level) {
+        this.tocEntries.push({ label, level, page: this.getCurrentPage(), y: this.currentY });
+    }
+
+    /**
+     * Draw the contents on the reserved page: dotted leaders, page numbers and internal links
+     */
+    drawTableOfContents() {
+        if (!this.tocPage || this.tocEntries.length === 0) return;
+
+        this.doc.setPage(this.tocPage);
+        this.currentY = this.margin + this.headerHeight + 3;
+        this.addSectionHeader(this.layout.toc.title, { record: false });
+        this.currentY += 2;
+
+        const right = this.pageWidth - this.margin;
+        const bottom = this.pageHeight - this.margin - this.footerHeight;
+        const rowHeight = this.lineHeight + 2;
+
+        for (const entry of this.tocEntries) {
+            if (this.currentY > bottom) {
+                console.warn('Table of contents is longer than one page; remaining entries are only in the PDF bookmarks');
+                break;
+            }
+
+            const isSection = entry.level === 0;
+            const x = this.margin + entry.level * 8;
+            const pageLabel = String(entry.page);
+
+            this.setFont(isSection ? 'bold' : 'normal', isSection ? this.layout.fonts.body + 1 : this.layout.fonts.body);
+            this.setTextColor('text');
+            this.doc.text(entry.label, x, this.currentY);
+            this.doc.text(pageLabel, right, this.currentY, { align: 'right' });
+
+            // Dotted leader between the label and the page number
+            const leaderStart = x + this.doc.getTextWidth(entry.label) + 2;
+            const leaderEnd = right - this.doc.getTextWidth(pageLabel) - 2;
+            const dotWidth = this.doc.getTextWidth('.') * 2;
+            if (leaderEnd > leaderStart + dotWidth) {
+                this.setTextColor('muted');
+                this.setFont('normal');
+                this.doc.text('.'.repeat(Math.floor((leaderEnd - leaderStart) / dotWidth)).split('').join(' '), leaderStart, this.currentY);
+                this.setTextColor('text');
+            }
+
+            this.doc.link(x, this.currentY - rowHeight + 2, right - x, rowHeight, { pageNumber: entry.page });
+            this.currentY += isSection ? rowHeight + 1 : rowHeight;
+        }
+
+        this.doc.setPage(this.doc.getNumberOfPages());
+    }
+
+    /**
+     * Add a bookmark tree (sections with their demand tables nested) for viewer sidebars
+     */
+    addOutline() {
+        if (!this.doc.outline || this.tocEntries.length === 0) return;
+
+        let parent = null;
+        this.tocEntries.forEach(entry => {
+            if (entry.level === 0) {
+                parent = this.doc.outline.add(null, entry.label, { pageNumber: entry.page });
+            } else {
+                this.doc.outline.add(parent, entry.label, { pageNumber: entry.page });
+            }
+        });
+    }
+
+    getCurrentPage() {
+        return this.doc.internal.getCurrentPageInfo().pageNumber;
+    }
+
+    // ==================== COVER PAGE ====================
+
+    /**
+     * Add cover page in the spec's cover style
+     */
+    addCoverPage() {
+        const coverStyles = {
+            classic: () => this.drawClassicCover(),
+            banner: () => this.drawBannerCover(),
+            minimal: () => this.drawMinimalCover(),
+            sidebar: () => this.drawSidebarCover(),
+            blocks: () => this.drawBlocksCover(),
+            centered: () => this.drawCenteredCover()
+        };
+
+        (coverStyles[this.layout.cover.style] || coverStyles.classic)();
+
+        this.setTextColor('text');
+        this.addPageBreak();
+    }
+
+    /**
+     * Classic cover: brand-colored title with details listed below
+     */
+    drawClassicCover() {
+        const x = this.margin;
+
+        this.setTextColor('accent');
+        this.setFont('bold', this.layout.fonts.title);
+        this.doc.text('Job Analysis Report', x, this.currentY);
+        this.setTextColor('text');
+        this.currentY += 15;
+
+        this.drawCoverDetails(x);
+    }
+
+    /**
+     * Banner cover: full-width accent band holding the title and logo
+     */
+    drawBannerCover() {
+        const bannerHeight = 70;
+        this.fillRect(0, 0, this.pageWidth, bannerHeight, 'accent');
+        this.drawLogo(this.pageWidth - this.margin - 30, 20, 30, 30);
+
+        this.doc.setTextColor(255, 255, 255);
+        this.setFont('bold', this.layout.fonts.title);
+        this.doc.text('Job Analysis Report', this.margin, 35);
+        this.setFont('normal', this.layout.fonts.heading + 2);
+        this.doc.text(this.data.jobTitle || 'Not specified', this.margin, 48);
+
+        this.setTextColor('text');
+        this.currentY = bannerHeight + 20;
+        this.drawCoverDetails(this.margin, { includePosition: false });
+    }
+
+    /**
+     * Minimal cover: muted label, large job title, thin rule, details at the bottom
+     */
+    drawMinimalCover() {
+        const x = this.margin;
+        this.currentY = this.margin + 50;
+
+        this.setTextColor('muted');
+        this.setFont('normal', this.layout.fonts.small);
+        this.doc.text('JOB ANALYSIS REPORT', x, this.currentY, { charSpace: 1 });
+        this.currentY += 14;
+
+        this.setTextColor('text');
+        this.setFont('normal', this.layout.fonts.title);
+        const titleLines = this.doc.splitTextToSize(this.data.jobTitle || 'Not specified', this.contentWidth());
+        this.doc.text(titleLines, x, this.currentY);
+        this.currentY += titleLines.length * 10;
+
+        this.drawRule(x, this.currentY, x + 40, 'accent', 0.6);
+        this.currentY += 10;
+
+        this.setTextColor('muted');
+        this.setFont('normal', this.layout.fonts.body);
+        this.doc.text(this.data.companyName || 'Not specified', x, this.currentY);
+        const address = HeaderFooterUtils.formatAddress(this.data);
+        if (address) {
+            this.doc.text(address, x, this.currentY + 6);
+        }
+
+        // Document information pinned near the bottom of the page
+        this.currentY = this.pageHeight - this.margin - 25;
+        this.drawDocumentInformation(x);
+    }
+
+    /**
+     * Sidebar cover: accent stripe down the left edge with a secondary accent edge
+     */
+    drawSidebarCover() {
+        const stripeWidth = 14;
+        this.fillRect(0, 0, stripeWidth, this.pageHeight, 'accent');
+        this.fillRect(stripeWidth, 0, 3, this.pageHeight, 'secondaryAccent');
+        this.drawLogo(this.pageWidth - this.margin - 30, this.margin, 30, 30);
+
+        const x = stripeWidth + this.margin;
+        this.currentY = this.margin + 45;
+
+        this.setTextColor('accent');
+        this.setFont('bold', this.layout.fonts.title);
+        this.doc.text('Job Analysis Report', x, this.currentY);
+        this.currentY += 4;
+        this.drawRule(x, this.currentY, this.pageWidth - this.margin, 'rule', 0.3);
+        this.currentY += 12;
+
+        this.setTextColor('text');
+        this.drawCoverDetails(x);
+    }
+
+    /**
+     * Blocks cover: large accent block with a secondary accent strip beneath it
+     */
+    drawBlocksCover() {
+        const blockHeight = this.pageHeight * 0.42;
+        this.fillRect(0, 0, this.pageWidth, blockHeight, 'accent');
+        this.fillRect(0, blockHeight, this.pageWidth, 6, 'secondaryAccent');
+        this.drawLogo(this.margin, this.margin, 35, 35);
+
+        this.doc.setTextColor(255, 255, 255);
+        this.setFont('normal', this.layout.fonts.small + 2);
+        this.doc.text('JOB ANALYSIS REPORT', this.margin, blockHeight - 32, { charSpace: 1.5 });
+        this.setFont('bold', this.layout.fonts.title + 4);
+        const titleLines = this.doc.splitTextToSize(this.data.jobTitle || 'Not specified', this.contentWidth());
+        this.doc.text(titleLines.slice(0, 2), this.margin, blockHeight - 18);
+
+        this.setTextColor('text');
+        this.currentY = blockHeight + 25;
+        this.drawCoverDetails(this.margin, { includePosition: false });
+    }
+
+    /**
+     * Centered cover: everything centered on the page with a short accent rule
+     */
+    drawCenteredCover() {
+        const centerX = this.pageWidth / 2;
+        this.currentY = this.margin + 20;
+
+        if (this.drawLogo(centerX - 17.5, this.currentY, 35, 35)) {
+            this.currentY += 50;
+        } else {
+            this.currentY += 30;
+        }
+
+        this.setTextColor('accent');
+        this.setFont('bold', this.layout.fonts.title);
+        this.doc.text('Job Analysis Report', centerX, this.currentY, { align: 'center' });
+        this.currentY += 6;
+        this.drawRule(centerX - 30, this.currentY, centerX + 30, 'accent', 0.6);
+        this.currentY += 14;
+
+        this.setTextColor('text');
+        this.setFont('normal', this.layout.fonts.heading + 4);
+        this.doc.text(this.data.jobTitle || 'Not specified', centerX, this.currentY, { align: 'center' });
+        this.currentY += 12;
+
+        this.setFont('normal', this.layout.fonts.body + 1);
+        this.doc.text(this.data.companyName || 'Not specified', centerX, this.currentY, { align: 'center' });
+        const address = HeaderFooterUtils.formatAddress(this.data);
+        if (address) {
+            this.currentY += 6;
+            this.setTextColor('muted');
+            this.doc.text(address, centerX, this.currentY, { align: 'center' });
+        }
+
+        this.setTextColor('text');
+        this.setFont('normal', this.layout.fonts.small);
+        let infoY = this.pageHeight - this.margin - 30;
+        this.getDocumentInformation().forEach(line => {
+            this.doc.text(line, centerX, infoY, { align: 'center' });
+            infoY += 5;
+        });
+    }
+
+    /**
+     * Draw position, company, address and document information starting at currentY
+     * @param {number} x - Left position
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.includePosition=true] - Whether to print the position line
+     */
+    drawCoverDetails(x, options = {}) {
+        if (options.includePosition !== false) {
+            this.setFont('normal', this.layout.fonts.heading + 4);
+            this.doc.text(`Position: ${this.data.jobTitle || 'Not specified'}`, x, this.currentY);
+            this.currentY += 12;
+        }
+
+        this.setFont('normal', this.layout.fonts.subheading);
+        this.doc.text(`${this.fieldLabel('companyName')}: ${this.data.companyName || 'Not specified'}`, x, this.currentY);
+        this.currentY += 8;
+
+        const address = HeaderFooterUtils.formatAddress(this.data);
+        if (address) {
+            this.doc.text(address, x, this.currentY);
+            this.currentY += 8;
+        }
+
+        this.currentY += 10;
+        this.drawDocumentInformation(x);
+    }
+
+    /**
+     * Draw the "Document Information" block (author, email, date)
+     * @param {number} x - Left position
+     */
+    drawDocumentInformation(x) {
+        this.setFont('bold', this.layout.fonts.body);
+        this.doc.text('Document Information', x, this.currentY);
+        this.currentY += 6;
+
+        this.setFont('normal', this.layout.fonts.small);
+        this.getDocumentInformation().forEach(line => {
+            this.doc.text(line, x, this.currentY);
+            this.currentY += 5;
+        });
+    }
+
+    /**
+     * Get document information lines for the cover
+     * @returns {Array<string>} Author, email and date lines
+     */
+    getDocumentInformation() {
+        return [
+            `${this.fieldLabel('author')}: ${this.data.author || 'Not specified'}`,
+            `${this.fieldLabel('email')}: ${this.data.email || 'Not specified'}`,
+            `${this.fieldLabel('date')}: ${HeaderFooterUtils.formatDateToLongFormat(this.data.date)}`
+        ];
+    }
+
+    // ==================== CONTENT SECTIONS ====================
+
+    /**
+     * Add job overview section
+     */
+    addJobOverview() {
+        this.addSectionHeader('Job Overview');
+
+        this.addField(this.fieldLabel('jobTitle'), this.data.jobTitle);
+        this.addField(this.fieldLabel('jobPurpose'), this.data.jobPurpose);
+
+        this.checkPageBreak(20);
+    }
+
+    /**
+     * Add job functions section
+     */
+    addJobFunctions() {
+        this.addSectionHeader('Job Functions');
+
+        this.addField(this.fieldLabel('essentialFunctions'), this.data.essentialFunctions);
+        this.addField(this.fieldLabel('marginalFunctions'), this.data.marginalFunctions);
+
+        this.checkPageBreak(20);
+    }
+
+    /**
+     * Add work schedule section
+     */
+    addWorkSchedule() {
+        this.addSectionHeader('Work Schedule');
+
+        this.addField(this.fieldLabel('workSchedule'), this.data.workSchedule);
+        this.addField(this.fieldLabel('breaks'), this.data.breaks);
+        this.addField(this.fieldLabel('otherShiftInfo'), this.data.otherShiftInfo);
+
+        this.checkPageBreak(20);
+    }
+
+    /**
+     * Add job demands section
+     */
+    addJobDemands() {
+        this.addSectionHeader('Job Demands');
+
+        DemandCatalog.getKeys().forEach(demandType => {
+            this.addDemandTable(demandType, this.data[demandType]);
+        });
+
+        this.checkPageBreak(20);
+    }
+
+    /**
+     * Add summary section
+     */
+    addSummary() {
+        this.addSectionHeader('Summary');
+
+        this.addField(this.fieldLabel('classificationOfWork'), this.formatClassification());
+        this.addRichTextField(this.fieldLabel('summaryText'), this.data.summaryText);
+    }
+
+    /**
+     * Format classification of work
+     */
+    formatClassification() {
+        if (!this.data.classificationOfWork) return 'Not specified';
+        const c = this.data.classificationOfWork;
+        return `Physical Level: ${PDFUtils.formatLevel(c.physicalLevel)}, Cognitive Level: ${PDFUtils.formatLevel(c.cognitiveLevel)}`;
+    }
+
+    // ==================== JOB PHOTOS ====================
+
+    /**
+     * Add the job photos appendix: a grid of images that keeps aspect ratios,
+     * with optional captions entered in the ImageUpload preview
+     */
+    addJobPhotos() {
+        // Skip images jsPDF can't read so they don't leave gaps in the grid
+        const photos = (this.data.jobImages || [])
+            .filter(image => image && image.preview && this.fitImage(image, 1, 1).image);
+        if (photos.length === 0) return;
+
+        const spec = this.layout.photos;
+        if (spec.newPage) {
+            this.addPageBreak();
+        }
+        this.addSectionHeader(spec.title);
+
+        const columns = photos.length === 1 ? 1 : Math.max(1, spec.columns);
+        const gap = 6;
+        const cellWidth = (this.contentWidth() - gap * (columns - 1)) / columns;
+        const maxImageHeight = Math.min(cellWidth * 0.75, 110);
+        const captionLineHeight = this.layout.fonts.small * 0.3528 * 1.3;
+
+        for (let start = 0; start < photos.length; start += columns) {
+            const row = photos.slice(start, start + columns).map((image, i) => ({
+                ...this.fitImage(image, cellWidth, maxImageHeight),
+                caption: this.getPhotoCaption(image, start + i, cellWidth)
+            }));
+
+            const imageHeight = Math.max(...row.map(cell => cell.height));
+            const captionHeight = Math.max(...row.map(cell => cell.caption.length)) * captionLineHeight;
+            this.checkPageBreak(imageHeight + captionHeight + 4);
+
+            row.forEach((cell, i) => {
+                const cellX = this.margin + i * (cellWidth + gap);
+                this.drawPhoto(cell, cellX + (cellWidth - cell.width) / 2, this.currentY + (imageHeight - cell.height) / 2);
+
+                if (cell.caption.length > 0) {
+                    this.setTextColor('muted');
+                    this.setFont('italic', this.layout.fonts.small);
+                    this.doc.text(cell.caption, cellX + cellWidth / 2, this.currentY + imageHeight + 4, {
+                        align: 'center',
+                        lineHeightFactor: 1.3
+                    });
+                    this.setTextColor('text');
+                }
+            });
+
+            this.currentY += imageHeight + captionHeight + gap + 4;
+        }
+    }
+
+    /**
+     * Scale an image to fit a box without distorting it
+     * @returns {Object} { image, format, width, height } (zero size if the image can't be read)
+     */
+    fitImage(image, maxWidth, maxHeight) {
+        try {
+            const props = this.doc.getImageProperties(image.preview);
+            const scale = Math.min(maxWidth / props.width, maxHeight / props.height);
+            return {
+                image,
+                format: props.fileType || 'JPEG',
+                width: props.width * scale,
+                height: props.height * scale
+            };
+        } catch (e) {
+            console.warn(`Failed to read job image "${image.name || 'image'}":`, e);
+            return { image: null, width: 0, height: 0 };
+        }
+    }
+
+    drawPhoto(cell, x, y) {
+        if (!cell.image) return;
+        try {
+            this.doc.addImage(cell.image.preview, cell.format, x, y, cell.width, cell.height, undefined, 'FAST');
+            this.doc.setDrawColor(...this.colors.rule);
+            this.doc.setLineWidth(0.2);
+            this.doc.rect(x, y, cell.width, cell.height, 'S');
+        } catch (e) {
+            console.warn('Failed to add job image to PDF:', e);
+        }
+    }
+
+    /**
+     * Wrapped caption lines for a photo ("Figure N." prefix when the spec asks for it)
+     * @returns {Array<string>} Caption lines (empty when there's nothing to show)
+     */
+    getPhotoCaption(image, index, width) {
+        const caption = (image.caption || '').trim();
+        const text = this.layout.photos.figureLabels
+            ? `Figure ${index + 1}.${caption ? ` ${caption}` : ''}`
+            : caption;
+        if (!text) return [];
+
+        this.setFont('italic', this.layout.fonts.small);
+        return this.doc.splitTextToSize(text, width);
+    }
+
+    // ==================== SIGNATURE ====================
+
+    /**
+     * Add the attestation block from the Summary tab: the attestation statement, the drawn
+     * signature (or the typed name in italics) over a signature line, then the signer's
+     * name, credentials and date. Anything left blank gets a line to fill in by hand.
+     */
+    addSignatureBlock() {
+        const attestation = this.data.attestation || {};
+        const field = this.getFieldSchema().get('attestation');
+        const itemLabel = name => field?.items?.[name]?.label || FieldSchema.humanize(name);
+
+        const fonts = this.layout.fonts;
+        const signatureWidth = Math.min(80, this.contentWidth() / 2);
+        const signatureHeight = 20;
+
+        this.setFont('normal', fonts.body);
+        const statementLines = field?.statement ? this.doc.splitTextToSize(field.statement, this.contentWidth()) : [];
+
+        // Keep the whole block on one page
+        this.checkPageBreak(18 + statementLines.length * this.lineHeight + signatureHeight + this.lineHeight * 5 + 12);
+        this.addSectionHeader(this.fieldLabel('attestation'));
+
+        if (statementLines.length > 0) {
+            this.setFont('normal', fonts.body);
+            this.addWrappedLines(statementLines, this.margin);
+            this.currentY += 4;
+        }
+
+        // Signature sits on the line, bottom-aligned
+        const lineY = this.currentY + signatureHeight;
+        if (attestation.signatureType === 'typed') {
+            if (attestation.signerName) {
+                // Shrink long names to fit the line
+                let size = fonts.title * 0.75;
+                this.setFont('italic', size);
+                while (size > fonts.body && this.doc.getTextWidth(attestation.signerName) > signatureWidth - 2) {
+                    size--;
+                    this.setFont('italic', size);
+                }
+                this.doc.text(attestation.signerName, this.margin + 2, lineY - 2);
+            }
+        } else if (attestation.signatureImage) {
+            const signature = this.fitImage({ preview: attestation.signatureImage, name: 'signature' }, signatureWidth, signatureHeight - 1);
+            if (signature.image) {
+                try {
+                    this.doc.addImage(attestation.signatureImage, signature.format, this.margin, lineY - 1 - signature.height, signature.width, signature.height);
+                } catch (e) {
+                    console.warn('Failed to add signature to PDF:', e);
+                }
+            }
+        }
+        this.drawRule(this.margin, lineY, this.margin + signatureWidth, 'text', 0.3);
+
+        this.setFont('normal', fonts.small);
+        this.setTextColor('muted');
+        this.doc.text('Signature', this.margin, lineY + 4);
+        this.setTextColor('text');
+        this.currentY = lineY + 4 + this.lineHeight + 3;
+
+        const details = [
+            [itemLabel('signerName'), attestation.signerName],
+            [itemLabel('credentials'), attestation.credentials],
+            [itemLabel('signatureDate'), attestation.signatureDate ? HeaderFooterUtils.formatDateToLongFormat(attestation.signatureDate) : '']
+        ];
+
+        const valueX = this.margin + this.layout.fields.labelWidth;
+        details.forEach(([label, value]) => {
+            this.checkPageBreak(this.lineHeight + 3);
+            this.setFont('bold', fonts.label);
+            this.doc.text(`${label}:`, this.margin, this.currentY);
+
+            if (value) {
+                this.setFont('normal', fonts.body);
+                this.addWrappedLines(this.doc.splitTextToSize(value, this.contentWidth() - this.layout.fields.labelWidth), valueX);
+            } else {
+                this.drawRule(valueX, this.currentY + 1, valueX + signatureWidth, 'rule', 0.3);
+                this.currentY += this.lineHeight;
+            }
+            this.currentY += 3;
+        });
+    }
+
+    // ==================== SECTION HEADERS ====================
+
+    /**
+     * Add a section header in the spec's heading style
+     * @param {string} title - Section title
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.record=true] - Number the heading and list it in the contents/bookmarks
+     */
+    addSectionHeader(title, options = {}) {
+        this.checkPageBreak(18);
+
+        const record = options.record !== false;
+        if (record) {
+            this.sectionNumber++;
+            const prefix = this.layout.headings.style === 'numbered' ? `${this.sectionNumber}. ` : '';
+            this.recordTocEntry(`${prefix}${title}`, 0);
+        }
+
+        const headings = this.layout.headings;
+        const text = headings.uppercase ? title.toUpperCase() : title;
+        const x = this.margin;
+        const right = this.pageWidth - this.margin;
+        const size = this.layout.fonts.heading;
+
+        switch (headings.style) {
+            case 'bar':
+                this.fillRect(x, this.currentY - 5, 2.5, 7, 'accent');
+                this.setFont('bold', size);
+                this.doc.text(text, x + 5, this.currentY);
+                this.currentY += 9;
+                break;
+
+            case 'plain':
+                this.setTextColor('muted');
+                this.setFont('bold', size - 1);
+                this.doc.text(text, x, this.currentY, { charSpace: 0.5 });
+                this.drawRule(x, this.currentY + 2.5, right, 'rule', 0.2);
+                this.setTextColor('text');
+                this.currentY += 10;
+                break;
+
+            case 'band':
+                this.fillRect(x, this.currentY - 5.5, right - x, 8, 'accent');
+                this.doc.setTextColor(255, 255, 255);
+                this.setFont('bold', size);
+                this.doc.text(text, x + 3, this.currentY);
+                this.setTextColor('text');
+                this.currentY += 10;
+                break;
+
+            case 'pill': {
+                this.setFont('bold', size);
+                const pillWidth = this.doc.getTextWidth(text) + 10;
+                this.doc.setFillColor(...this.colors.secondaryAccent);
+                this.doc.roundedRect(x, this.currentY - 5.5, pillWidth, 8, 4, 4, 'F');
+                this.doc.setTextColor(255, 255, 255);
+                this.doc.text(text, x + 5, this.currentY);
+                this.setTextColor('text');
+                this.currentY += 11;
+                break;
+            }
+
+            case 'numbered': {
+                const number = record ? `${this.sectionNumber}.` : '';
+                this.setTextColor('accent');
+                this.setFont('bold', size);
+                this.doc.text(number, x, this.currentY);
+                this.setTextColor('text');
+                this.doc.text(text, number ? x + 8 : x, this.currentY);
+                this.drawRule(x, this.currentY + 2.5, right, 'rule', 0.2);
+                this.currentY += 10;
+                break;
+            }
+
+            case 'underline':
+            default:
+                this.setFont('bold', size);
+                this.doc.text(text, x, this.currentY);
+                this.currentY += 8;
+                this.drawRule(x, this.currentY - 2, right, 'accent', 0.5);
+                this.currentY += 3;
+                break;
+        }
+    }
+
+    // ==================== FIELDS ====================
+
+    /**
+     * Get the document label for a form field from the field schema
+     * @param {string} name - Field name in src/fields/vars.json
+     * @returns {string} PDF label
+     */
+    fieldLabel(name) {
+        return this.getFieldSchema().getPdfLabel(name);
+    }
+
+    /**
+     * Get the app's field schema (an empty schema falls back to humanized field names)
+     * @returns {FieldSchema} Field schema
+     */
+    getFieldSchema() {
+        return (typeof window !== 'undefined' && window.fieldSchema) || new FieldSchema();
+    }
+
+    /**
+     * Add a field with label and value in the spec's field layout
+     * @param {string} label - Field label
+     * @param {*} value - Field value (string, array or object)
+     */
+    addField(label, value) {
+        const fieldValue = this.formatFieldValue(value);
+        const { layout, labelWidth } = this.layout.fields;
+
+        if (layout === 'stacked') {
+            this.checkPageBreak(this.lineHeight * 2);
+            this.setTextColor('accent');
+            this.setFont('bold', this.layout.fonts.label);
+            this.doc.text(label, this.margin, this.currentY);
+            this.setTextColor('text');
+            this.currentY += this.lineHeight + 1;
+
+            this.setFont('normal', this.layout.fonts.body);
+            const lines = this.doc.splitTextToSize(fieldValue, this.contentWidth());
+            this.addWrappedLines(lines, this.margin);
+            this.currentY += 4;
+            return;
+        }
+
+        // Inline: label in a fixed-width column, value wrapped beside it
+        this.checkPageBreak(this.lineHeight);
+        this.setFont('bold', this.layout.fonts.label);
+        this.doc.text(`${label}:`, this.margin, this.currentY);
+
+        this.setFont('normal', this.layout.fonts.body);
+        const lines = this.doc.splitTextToSize(fieldValue, this.contentWidth() - labelWidth);
+        this.addWrappedLines(lines, this.margin + labelWidth);
+        this.currentY += 3;
+    }
+
+    /**
+     * Add a field whose value is rich text HTML from a Quill editor.
+     * The label sits on its own line so headings and lists get the full content width.
+     * @param {string} label - Field label
+     * @param {string} html - Rich text HTML (plain text is also accepted)
+     */
+    addRichTextField(label, html) {
+        this.checkPageBreak(this.lineHeight * 2);
+        const stacked = this.layout.fields.layout === 'stacked';
+
+        this.setTextColor(stacked ? 'accent' : 'text');
+        this.setFont('bold', this.layout.fonts.label);
+        this.doc.text(stacked ? label : `${label}:`, this.margin, this.currentY);
+        this.setTextColor('text');
+        this.currentY += this.lineHeight + 1;
+
+        if (!html || !RichTextRenderer.parse(html).some(block => block.runs.length > 0)) {
+            this.setFont('normal', this.layout.fonts.body);
+            this.doc.text('Not specified', this.margin, this.currentY);
+            this.currentY += this.lineHeight + 3;
+            return;
+        }
+
+        const fonts = this.layout.fonts;
+        const renderer = new RichTextRenderer(this.doc, {
+            x: this.margin,
+            width: this.contentWidth(),
+            fontFamily: fonts.family,
+            fontSize: fonts.body,
+            lineHeight: this.lineHeight,
+            headingSizes: { 1: fonts.heading + 2, 2: fonts.heading, 3: fonts.subheading },
+            textColor: this.colors.text,
+            headingColor: this.colors.accent,
+            checkPageBreak: (y, height) => {
+                this.currentY = y;
+                this.checkPageBreak(height);
+                return this.currentY;
+            }
+        });
+
+        this.currentY = renderer.render(html, this.currentY) + 2;
+    }
+
+    /**
+     * Draw pre-wrapped lines, continuing on a new page when the page fills up
+     * @param {Array<string>} lines - Lines from splitTextToSize
+     * @param {number} x - Left position
+     */
+    addWrappedLines(lines, x) {
+        lines.forEach((line, index) => {
+            if (index > 0) {
+                this.checkPageBreak(this.lineHeight);
+            }
+            this.doc.text(line, x, this.currentY);
+            this.currentY += this.lineHeight;
+        });
+    }
+
+    /**
+     * Format field value based on its type
+     */
+    formatFieldValue(value) {
+        if (!value) return 'Not specified';
+
+        // Handle arrays
+        if (Array.isArray(value)) {
+            return this.formatArray(value);
+        }
+
+        // Handle objects
+        if (typeof value === 'object') {
+            return this.formatObject(value);
+        }
+
+        // Handle strings
+        return String(value);
+    }
+
+    /**
+     * Format array values
+     */
+    formatArray(arr) {
+        if (arr.length === 0) return 'Not specified';
+
+        return arr.map((item) => {
+            if (typeof item === 'object') {
+                // For objects in arrays, extract meaningful values
+                const values = Object.values(item).filter(v => v && v.trim && v.trim().length > 0);
+                return values.join(' - ');
+            }
+            return String(item);
+        }).join('; ');
+    }
+
+    /**
+     * Format object values
+     */
+    formatObject(obj) {
+        const entries = Object.entries(obj);
+        if (entries.length === 0) return 'Not specified';
+
+        // Special handling for work schedule
+        if (obj.weeklyHours !== undefined) {
+            return `${obj.weeklyHours} hours/week, ${obj.shiftLength} hour shifts, ${obj.shiftsPerWeek} shifts/week`;
+        }
+
+        // General object formatting
+        return entries
+            .map(([key, value]) => {
+                const formattedKey = key.replace(/([A-Z])/g, ' $1').trim();
+                return `${formattedKey}: ${value}`;
+            })
+            .join('; ');
+    }
+
+    // ==================== DEMAND TABLES ====================
+
+    /**
+     * Add a demand table using autoTable, styled by the spec's table options.
+     * Grouped tables (mobility, cognitive/sensory) get a full-width heading row per group.
+     * @param {string} demandType - Key in DemandCatalog.SECTIONS (e.g. 'physicalDemands')
+     * @param {Object} data - Table data indexed by row and column
+     */
+    addDemandTable(demandType, data) {
+        if (!data || Object.keys(data).length === 0) return;
+
+        const section = DemandCatalog.get(demandType);
+        if (!section) return;
+
+        const table = this.layout.table;
+        const headers = DemandCatalog.getPdfColumns(demandType);
+
+        this.checkPageBreak(30);
+        this.recordTocEntry(section.title, 1);
+
+        // Add title
+        this.setFont('bold', this.layout.fonts.subheading);
+        this.doc.text(section.title, this.margin, this.currentY);
+        this.currentY += 6;
+
+        // Calculate column widths - give more space to activity and comments columns
+        const pageContentWidth = this.contentWidth();
+        const numFrequencyColumns = headers.length - 1; // All data columns except comments
+        const frequencyColWidth = pageContentWidth * 0.12; // Each frequency column gets 12% of width
+        const activityColWidth = pageContentWidth * 0.25; // Activity column gets 25%
+        const commentsColWidth = pageContentWidth - activityColWidth - (frequencyColWidth * numFrequencyColumns); // Comments gets remainder
+
+        // Include "Activity" as first column header, then all the data column headers
+        const columns = [
+            { header: 'Activity', width: activityColWidth },
+            ...headers.map((col, index) => ({
+                header: col,
+                width: index === headers.length - 1 ? commentsColWidth : frequencyColWidth
+            }))
+        ];
+
+        // Build table rows from data; group headings span the whole table
+        const rows = this.buildDemandTableRows(data, demandType).map(row => {
+            if (Array.isArray(row)) return row;
+            return [{
+                content: row.category,
+                colSpan: columns.length,
+                styles: {
+                    halign: 'left',
+                    fontStyle: 'bold',
+                    fillColor: table.groupFill === null ? false : this.resolveColor(table.groupFill)
+                }
+            }];
+        });
+
+        const columnStyles = {
+            0: { halign: 'left', valign: 'top', cellWidth: activityColWidth }, // Activity column left-aligned
+            [columns.length - 1]: { halign: 'left', valign: 'top', cellWidth: commentsColWidth } // Comments column left-aligned
+        };
+        for (let i = 1; i < columns.length - 1; i++) {
+            columnStyles[i] = { cellWidth: frequencyColWidth };
+        }
+
+        this.doc.autoTable({
+            ...this.getAutoTableOptions(),
+            columns: columns,
+            body: rows,
+            columnStyles: columnStyles
+        });
+
+        // Update currentY after table
+        this.currentY = this.doc.lastAutoTable.finalY + 15;
+    }
+
+    /**
+     * autoTable options shared by every table: position, margins and the spec's table styling.
+     * Callers add columns, body and columnStyles.
+     * @returns {Object} autoTable options
+     */
+    getAutoTableOptions() {
+        const table = this.layout.table;
+
+        return {
+            startY: this.currentY,
+            margin: {
+                top: this.margin,
+                right: this.margin,
+                bottom: this.margin + this.footerHeight,
+                left: this.margin
+            },
+            theme: table.theme,
+            styles: {
+                font: this.layout.fonts.family,
+                fontSize: table.fontSize,
+                cellPadding: table.cellPadding,
+                overflow: 'linebreak',
+                halign: 'center',
+                valign: 'top',
+                textColor: this.colors.text,
+                lineColor: this.resolveColor(table.lineColor),
+                lineWidth: table.lineWidth
+            },
+            headStyles: {
+                fillColor: table.headFill === null ? false : this.resolveColor(table.headFill),
+                textColor: this.resolveColor(table.headText),
+                fontStyle: 'bold',
+                halign: 'center',
+                valign: 'middle'
+            },
+            bodyStyles: {
+                halign: 'center',
+                valign: 'top'
+            },
+            alternateRowStyles: table.alternateRowFill ? {
+                fillColor: this.resolveColor(table.alternateRowFill)
+            } : {},
+            didDrawPage: (data) => {
+                // When autoTable creates a new page, adjust the top margin to account for header
+                const currentPageNum = this.doc.getNumberOfPages();
+                if (currentPageNum > 1) {
+                    data.settings.margin.top = this.margin + this.headerHeight + 3;
+                }
+                this.currentY = data.cursor.y + 3;
+            }
+        };
+    }
+
+    /**
+     * Build table rows from indexed data
+     * Data structure: { rowIndex: { colIndex: value } }
+     * Note: First column in row array is the activity name (not from data)
+     *       Remaining columns map directly to data columns (0-indexed)
+     *       Group headings are returned as { category } in place of a row array
+     * @param {Object} data - Table data indexed by row and column
+     * @param {string} demandType - Key in DemandCatalog.SECTIONS
+     * @returns {Array<Array<string>|Object>} Rows in display order
+     */
+    buildDemandTableRows(data, demandType) {
+        const columnCount = DemandCatalog.getPdfColumns(demandType).length;
+
+        return DemandCatalog.getDisplayRows(demandType).map(displayRow => {
+            if (displayRow.category) {
+                return { category: displayRow.category };
+            }
+
+            const row = [displayRow.label]; // First column is the activity name
+
+            for (let colIndex = 0; colIndex < columnCount; colIndex++) {
+                const cellValue = data[displayRow.index]?.[colIndex];
+
+                // For checkbox columns, show the spec's mark if true (plain text is the most compatible with PDF fonts)
+                if (typeof cellValue === 'boolean') {
+                    row.push(cellValue ? this.layout.table.mark : '');
+                } else if (typeof cellValue === 'string') {
+                    row.push(cellValue);
+                } else {
+                    row.push('');
+                }
+            }
+
+            return row;
+        });
+    }
+
+    // ==================== DRAWING HELPERS ====================
+
+    /**
+     * Resolve a spec color to an RGB array
+     * @param {Array|number|string} value - [r, g, b], grayscale number, 'brand', 'secondary' or hex string
+     * @returns {Array} RGB array
+     */
+    resolveColor(value) {
+        if (Array.isArray(value)) return value;
+        if (typeof value === 'number') return [value, value, value];
+        if (value === 'brand') return PDFUtils.hexToRgb(this.data?.brandColor || '#003366');
+        if (value === 'secondary') return PDFUtils.hexToRgb(this.data?.secondaryBrandColor || '#666666');
+        if (typeof value === 'string') return PDFUtils.hexToRgb(value);
+        return [0, 0, 0];
+    }
+
+    /**
+     * Set font style and size using the spec's font family
+     * @param {string} style - 'normal', 'bold', 'italic' or 'bolditalic'
+     * @param {number} size - Font size in points
+     */
+    setFont(style, size) {
+        this.doc.setFont(this.layout.fonts.family, style);
+        if (size) this.doc.setFontSize(size);
+    }
+
+    /**
+     * Set text color from a resolved spec color name
+     * @param {string} name - Color name in the spec's colors group
+     */
+    setTextColor(name) {
+        this.doc.setTextColor(...this.colors[name]);
+    }
+
+    /**
+     * Draw a filled rectangle in a spec color
+     */
+    fillRect(x, y, width, height, colorName) {
+        this.doc.setFillColor(...this.colors[colorName]);
+        this.doc.rect(x, y, width, height, 'F');
+    }
+
+    /**
+     * Draw a horizontal rule in a spec color
+     */
+    drawRule(x1, y, x2, colorName, lineWidth) {
+        this.doc.setDrawColor(...this.colors[colorName]);
+        this.doc.setLineWidth(lineWidth);
+        this.doc.line(x1, y, x2, y);
+        this.doc.setLineWidth(0.2); // Reset to default
+    }
+
+    /**
+     * Draw the company logo scaled to fit a box, keeping its aspect ratio
+     * @returns {boolean} True if a logo was drawn
+     */
+    drawLogo(x, y, maxWidth, maxHeight) {
+        const logo = this.data.companyLogo && this.data.companyLogo[0];
+        if (!logo || !logo.preview) return false;
+
+        try {
+            const props = this.doc.getImageProperties(logo.preview);
+            const scale = Math.min(maxWidth / props.width, maxHeight / props.height);
+            const width = props.width * scale;
+            const height = props.height * scale;
+            this.doc.addImage(logo.preview, props.fileType || 'PNG', x + (maxWidth - width) / 2, y + (maxHeight - height) / 2, width, height);
+            return true;
+        } catch (e) {
+            console.warn('Failed to add logo to cover page:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Width available for content between the margins
+     * @returns {number} Width in mm
+     */
+    contentWidth() {
+        return this.pageWidth - (this.margin * 2);
+    }
+
+    // ==================== PAGINATION ====================
+
+    /**
+     * Check if page break is needed
+     */
+    checkPageBreak(spaceNeeded) {
+        // Reserve space for footer at bottom of page
+        const bottomReserve = this.margin + this.footerHeight;
+        if (this.currentY + spaceNeeded > this.pageHeight - bottomReserve) {
+            this.addPageBreak();
+        }
+    }
+
+    /**
+     * Add a page break
+     */
+    addPageBreak() {
+        this.doc.addPage();
+        // On pages after the cover page, start content below the header area
+        const currentPageNum = this.doc.getNumberOfPages();
+        if (currentPageNum > 1) {
+            this.currentY = this.margin + this.headerHeight + 3;
+        } else {
+            this.currentY = this.margin;
+        }
+    }
+}
+
+// Expose the class to the window object for dynamic loading
+window.LayoutRenderer = LayoutRenderer;
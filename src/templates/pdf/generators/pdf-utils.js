@@ -85,11 +85,21 @@ class PDFUtils {
     static formatClassification(classification) {
         if (!classification) return 'Not specified';
         const parts = [];
-        if (classification.physicalLevel) parts.push(`Physical: ${classification.physicalLevel}`);
-        if (classification.cognitiveLevel) parts.push(`Cognitive: ${classification.cognitiveLevel}`);
+        if (classification.physicalLevel) parts.push(`Physical: ${PDFUtils.formatLevel(classification.physicalLevel)}`);
+        if (classification.cognitiveLevel) parts.push(`Cognitive: ${PDFUtils.formatLevel(classification.cognitiveLevel)}`);
         return parts.length > 0 ? parts.join(', ') : 'Not specified';
     }
 
+    /**
+     * Format a demand level value for display
+     * @param {string} level - Level value (e.g. 'very_heavy')
+     * @returns {string} Display name (e.g. 'Very Heavy')
+     */
+    static formatLevel(level) {
+        if (!level) return 'N/A';
+        return level.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+
     /**
      * Truncate text to a maximum length
      * @param {string} text - Text to truncate
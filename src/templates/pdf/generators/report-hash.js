@@ -0,0 +1,137 @@
+/**
+ * Report Hash - SHA-256 fingerprint of the form data behind a PDF report
+ *
+ * When "Include a verification hash" is on (Summary tab attestation), the hash of the
+ * form data is printed in every page footer (HeaderFooterUtils.addFooter). Later,
+ * verify() reads the hash back out of a report PDF and compares it with the hash of
+ * the loaded form data, which shows whether the report was generated from exactly
+ * that data.
+ *
+ * The hash covers a canonical JSON copy of the report's data fields: object keys sorted,
+ * and the generation-only keys (the hash itself and the chosen template) left out, so the
+ * same data always gives the same hash whatever template it's rendered with. Whole-tab
+ * copies (schema fields of type "tab", e.g. jobsData) and UI state such as the open Jobs
+ * sub-section are left out too, so moving around the form doesn't change the hash.
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class ReportHash {
+    /**
+     * Text printed before the hash in the footer; verify() looks for it
+     */
+    static FOOTER_LABEL = 'SHA-256:';
+
+    /**
+     * Keys that are added at generation time and aren't part of the form data
+     */
+    static EXCLUDED_FIELDS = ['reportHash', 'template', 'selectedTemplate'];
+
+    /**
+     * Keys that only record where the user is in the form, left out at any depth
+     */
+    static UI_STATE_FIELDS = ['activeSection'];
+
+    /**
+     * Copy a value with object keys in sorted order, so equal data serializes identically
+     * @param {*} value - Any JSON value
+     * @returns {*} Canonical copy
+     */
+    static canonicalize(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => ReportHash.canonicalize(item));
+        }
+        if (value && typeof value === 'object') {
+            const sorted = {};
+            Object.keys(value).sort().filter(key => !ReportHash.UI_STATE_FIELDS.includes(key)).forEach(key => {
+                sorted[key] = ReportHash.canonicalize(value[key]);
+            });
+            return sorted;
+        }
+        return value;
+    }
+
+    /**
+     * Whether a form data key is one of the report's data fields
+     * @param {string} key - Flat form data key
+     * @param {FieldSchema} [fieldSchema] - Field schema (whole-tab fields are skipped)
+     * @returns {boolean}
+     */
+    static isReportField(key, fieldSchema) {
+        if (ReportHash.EXCLUDED_FIELDS.includes(key) || ReportHash.UI_STATE_FIELDS.includes(key)) {
+            return false;
+        }
+        return fieldSchema?.get(key)?.type !== 'tab';
+    }
+
+    /**
+     * Serialize the part of the form data the hash covers
+     * @param {Object} formData - Flat form data
+     * @param {FieldSchema} [fieldSchema] - Field schema (defaults to the app's schema)
+     * @returns {string} Canonical JSON
+     */
+    static getPayload(formData, fieldSchema = window.fieldSchema) {
+        const data = {};
+        Object.keys(formData)
+            .filter(key => ReportHash.isReportField(key, fieldSchema))
+            .forEach(key => { data[key] = formData[key]; });
+        return JSON.stringify(ReportHash.canonicalize(data));
+    }
+
+    /**
+     * Hash form data
+     * @param {Object} formData - Flat form data
+     * @returns {Promise<string>} Lowercase hex SHA-256
+     */
+    static async compute(formData) {
+        const bytes = new TextEncoder().encode(ReportHash.getPayload(formData));
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Get the data to generate a report from, with reportHash set when the attestation asks for it
+     * @param {Object} formData - Flat form data
+     * @returns {Promise<Object>} Form data for the generator (the original object is not changed)
+     */
+    static async withHash(formData) {
+        if (formData.attestation?.includeHash !== true) {
+            return formData;
+        }
+        return { ...formData, reportHash: await ReportHash.compute(formData) };
+    }
+
+    /**
+     * Find the verification hash in a PDF's text
+     * @param {string} text - PDF file contents (jsPDF writes footer text uncompressed)
+     * @returns {string|null} Hex hash, or null if the report has none
+     */
+    static readFromPdf(text) {
+        const match = text.match(new RegExp(`${ReportHash.FOOTER_LABEL} ([0-9a-f]{64})`));
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Check a report PDF against form data
+     * @param {File|Blob} file - Report PDF
+     * @param {Object} formData - Flat form data to compare with
+     * @returns {Promise<Object>} { pdfHash, dataHash, matches } - pdfHash is null when the report has no hash
+     */
+    static async verify(file, formData) {
+        const text = new TextDecoder('latin1').decode(await file.arrayBuffer());
+        const pdfHash = ReportHash.readFromPdf(text);
+        const dataHash = await ReportHash.compute(formData);
+
+        return { pdfHash, dataHash, matches: pdfHash === dataHash };
+    }
+}
+
+// Expose the class to the window object for dynamic loading
+window.ReportHash = ReportHash;
@@ -0,0 +1,496 @@
+/**
+ * Rich Text Renderer - Draws Quill HTML into a jsPDF document
+ *
+ * Converts the HTML produced by the AreaInput rich text editor (Quill) into
+ * formatted PDF text: headings, bold/italic/underline/strikethrough, nested
+ * ordered and bulleted lists, alignment and clickable links. Text is word-wrapped
+ * to the given width and continues on a new page through the caller's page
+ * break callback, so any template generator can use it.
+ *
+ * The HTML is parsed with a small tokenizer instead of DOMParser so the renderer
+ * only depends on jsPDF.
+ *
+ * Usage:
+ * ```javascript
+ * const renderer = new RichTextRenderer(doc, {
+ *     x: margin,
+ *     width: contentWidth,
+ *     fontFamily: 'helvetica',
+ *     fontSize: 10,
+ *     lineHeight: 5,
+ *     checkPageBreak: (y, height) => y + height > limit ? startNewPage() : y
+ * });
+ * currentY = renderer.render(summaryHtml, currentY);
+ * ```
+ *
+ * @author Austin Steil
+ * @version 1.0.0
+ * @license MIT <https://raw.githubusercontent.com/AustinSteil/generate-files-model/refs/heads/main/LICENSE>
+ * @copyright 2025 Austin Steil
+ * @created October 18, 2025
+ * @updated October 18, 2025
+ */
+
+class RichTextRenderer {
+    /**
+     * Default rendering options
+     */
+    static DEFAULTS = {
+        x: 15,
+        width: 180,
+        fontFamily: 'helvetica',
+        fontSize: 10,
+        lineHeight: 5,
+        headingSizes: { 1: 16, 2: 14, 3: 12, 4: 11, 5: 10, 6: 10 },
+        listIndent: 6,
+        paragraphSpacing: 2,
+        textColor: [0, 0, 0],
+        linkColor: [5, 99, 193],
+        headingColor: null,
+        checkPageBreak: (y) => y
+    };
+
+    /**
+     * Inline tags and the formatting they apply
+     */
+    static INLINE_FORMATS = {
+        strong: { bold: true },
+        b: { bold: true },
+        em: { italic: true },
+        i: { italic: true },
+        u: { underline: true },
+        s: { strike: true },
+        strike: { strike: true },
+        del: { strike: true }
+    };
+
+    static BLOCK_TAGS = ['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'pre'];
+
+    /**
+     * @param {jsPDF} doc - Document to draw into
+     * @param {Object} options - Rendering options (see DEFAULTS)
+     * @param {Function} options.checkPageBreak - (y, heightNeeded) => y to draw at, after adding a page if needed
+     */
+    constructor(doc, options = {}) {
+        this.doc = doc;
+        this.options = {
+            ...RichTextRenderer.DEFAULTS,
+            ...options,
+            headingSizes: { ...RichTextRenderer.DEFAULTS.headingSizes, ...(options.headingSizes || {}) }
+        };
+    }
+
+    /**
+     * Render rich text HTML (or plain text) starting at y
+     * @param {string} html - Quill HTML or plain text
+     * @param {number} y - Baseline of the first line
+     * @returns {number} Y position after the rendered text
+     */
+    render(html, y) {
+        const blocks = RichTextRenderer.parse(html);
+        let currentY = y;
+
+        blocks.forEach((block, index) => {
+            const isHeading = block.type === 'heading';
+
+            if (isHeading && index > 0) {
+                currentY += this.options.paragraphSpacing * 1.5;
+            }
+
+            currentY = this.renderBlock(block, currentY);
+
+            const next = blocks[index + 1];
+            const continuesList = block.type === 'listItem' && next && next.type === 'listItem';
+            if (!continuesList) {
+                currentY += this.options.paragraphSpacing;
+            }
+        });
+
+        // Reset state shared with the caller
+        this.doc.setFont(this.options.fontFamily, 'normal');
+        this.doc.setFontSize(this.options.fontSize);
+        this.doc.setTextColor(...this.options.textColor);
+
+        return currentY;
+    }
+
+    // ==================== PARSING ====================
+
+    /**
+     * Parse HTML into blocks of formatted runs
+     * @param {string} html - Quill HTML or plain text
+     * @returns {Array<Object>} Blocks: { type, level, listType, indent, marker, align, runs: [{ text, bold, italic, underline, strike, link }] }
+     */
+    static parse(html) {
+        const source = String(html || '').replace(/\uFEFF/g, '');
+
+        // Plain text (e.g. data saved before rich text was enabled): one paragraph per line
+        if (!/<[a-z][\s\S]*>/i.test(source)) {
+            return source.split(/\r?\n/)
+                .filter(line => line.trim().length > 0)
+                .map(line => ({ type: 'paragraph', align: 'left', runs: [{ text: line }] }));
+        }
+
+        const blocks = [];
+        const formatStack = [{}];
+        const lists = [];
+        let block = null;
+
+        const openBlock = (tag, attrs) => {
+            const classes = RichTextRenderer.getAttribute(attrs, 'class') || '';
+            const alignMatch = classes.match(/ql-align-(center|right|justify)/);
+            const indentMatch = classes.match(/ql-indent-(\d+)/);
+            const classIndent = indentMatch ? parseInt(indentMatch[1], 10) : 0;
+
+            block = {
+                type: 'paragraph',
+                align: alignMatch ? alignMatch[1] : 'left',
+                indent: classIndent,
+                runs: []
+            };
+
+            if (/^h[1-6]$/.test(tag)) {
+                block.type = 'heading';
+                block.level = Number(tag[1]);
+            } else if (tag === 'li' && lists.length > 0) {
+                const list = lists[lists.length - 1];
+                const indent = lists.length - 1 + classIndent;
+
+                // Count items per indent level; a shallower item restarts deeper counters
+                list.counters[indent] = (list.counters[indent] || 0) + 1;
+                list.counters.length = indent + 1;
+
+                block.type = 'listItem';
+                block.listType = list.type;
+                block.indent = indent;
+                block.marker = list.type === 'ol'
+                    ? `${RichTextRenderer.formatOrdinal(list.counters[indent], indent)}.`
+                    : null;
+            }
+
+            blocks.push(block);
+        };
+
+        const tokenPattern = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>|([^<]+)/g;
+        let match;
+
+        while ((match = tokenPattern.exec(source)) !== null) {
+            const [, closing, rawTag, attrs, text] = match;
+
+            if (text !== undefined) {
+                const decoded = RichTextRenderer.decodeEntities(text.replace(/\s+/g, ' '));
+                if (!decoded.trim() && (!block || block.runs.length === 0)) continue;
+                if (!block) openBlock('p', '');
+                block.runs.push({ ...formatStack[formatStack.length - 1], text: decoded });
+                continue;
+            }
+
+            if (!rawTag) continue; // Comment
+
+            const tag = rawTag.toLowerCase();
+            const current = formatStack[formatStack.length - 1];
+
+            if (tag === 'ol' || tag === 'ul') {
+                if (closing) {
+                    lists.pop();
+                } else {
+                    lists.push({ type: tag, counters: [] });
+                }
+                block = null;
+            } else if (RichTextRenderer.BLOCK_TAGS.includes(tag)) {
+                if (closing) {
+                    block = null;
+                } else {
+                    openBlock(tag, attrs);
+                }
+            } else if (tag === 'br') {
+                if (!block) openBlock('p', '');
+                block.runs.push({ ...current, text: '\n' });
+            } else if (tag === 'a' || tag === 'span' || tag === 'code' || RichTextRenderer.INLINE_FORMATS[tag]) {
+                if (closing) {
+                    if (formatStack.length > 1) formatStack.pop();
+                } else {
+                    const href = tag === 'a' ? RichTextRenderer.getAttribute(attrs, 'href') : null;
+                    formatStack.push({
+                        ...current,
+                        ...(RichTextRenderer.INLINE_FORMATS[tag] || {}),
+                        ...(href ? { link: RichTextRenderer.decodeEntities(href) } : {})
+                    });
+                }
+            }
+        }
+
+        // Quill represents blank lines as <p><br></p>; keep them as empty paragraphs
+        return blocks.map(b => ({
+            ...b,
+            runs: b.runs.length === 1 && b.runs[0].text === '\n' ? [] : b.runs
+        }));
+    }
+
+    /**
+     * Read an attribute value from a raw attribute string
+     * @param {string} attrs - Raw attributes, e.g. ' href="https://..." target="_blank"'
+     * @param {string} name - Attribute name
+     * @returns {string|null} Attribute value
+     */
+    static getAttribute(attrs, name) {
+        const match = (attrs || '').match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+        if (!match) return null;
+        return match[2] ?? match[3] ?? match[4];
+    }
+
+    /**
+     * Decode the HTML entities Quill emits
+     * @param {string} text - Text with entities
+     * @returns {string} Decoded text
+     */
+    static decodeEntities(text) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                // Out-of-range code points (e.g. &#99999999;) stay as text instead of throwing
+                return value >= 0 && value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+            }
+            return named[code.toLowerCase()] ?? entity;
+        });
+    }
+
+    /**
+     * Format a list number the way Quill displays it: 1. / a. / i. by nesting level
+     * @param {number} number - Item number (1-based)
+     * @param {number} level - Nesting level (0-based)
+     * @returns {string} Formatted ordinal
+     */
+    static formatOrdinal(number, level) {
+        switch (level % 3) {
+            case 1: {
+                let label = '';
+                let n = number;
+                while (n > 0) {
+                    n--;
+                    label = String.fromCharCode(97 + (n % 26)) + label;
+                    n = Math.floor(n / 26);
+                }
+                return label;
+            }
+            case 2: {
+                const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+                    [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+                let n = number;
+                return numerals.reduce((label, [value, numeral]) => {
+                    while (n >= value) {
+                        label += numeral;
+                        n -= value;
+                    }
+                    return label;
+                }, '');
+            }
+            default:
+                return String(number);
+        }
+    }
+
+    // ==================== LAYOUT & DRAWING ====================
+
+    /**
+     * Render one block
+     * @param {Object} block - Parsed block
+     * @param {number} y - Baseline for the first line
+     * @returns {number} Y position after the block
+     */
+    renderBlock(block, y) {
+        const opts = this.options;
+        const fontSize = block.type === 'heading' ? opts.headingSizes[block.level] : opts.fontSize;
+        const lineHeight = Math.max(opts.lineHeight * (fontSize / opts.fontSize), fontSize * 0.3528 * 1.3);
+        const baseBold = block.type === 'heading';
+
+        const indent = (block.indent || 0) * opts.listIndent + (block.type === 'listItem' ? opts.listIndent : 0);
+        const x = opts.x + indent;
+        const width = opts.width - indent;
+
+        this.doc.setFontSize(fontSize);
+        const lines = this.layoutLines(block.runs, width, baseBold);
+        if (lines.length === 0) {
+            lines.push({ segments: [], width: 0 }); // Blank paragraph keeps its line
+        }
+
+        let currentY = y;
+        lines.forEach((line, lineIndex) => {
+            currentY = opts.checkPageBreak(currentY, lineHeight);
+            this.doc.setFontSize(fontSize);
+
+            if (lineIndex === 0 && block.type === 'listItem') {
+                this.drawListMarker(block, x, currentY, fontSize, baseBold);
+            }
+
+            let offset = 0;
+            if (block.align === 'center') offset = (width - line.width) / 2;
+            if (block.align === 'right') offset = width - line.width;
+
+            this.drawLine(line, x + offset, currentY, fontSize, block.type === 'heading');
+            currentY += lineHeight;
+        });
+
+        return currentY;
+    }
+
+    /**
+     * Break runs into lines that fit the width
+     * @param {Array<Object>} runs - Formatted runs
+     * @param {number} width - Available width in mm
+     * @param {boolean} baseBold - Whether all text is bold (headings)
+     * @returns {Array<Object>} Lines: { segments: [{ text, format, width }], width }
+     */
+    layoutLines(runs, width, baseBold) {
+        const lines = [];
+        let line = { segments: [], width: 0 };
+
+        const pushLine = () => {
+            // Trailing spaces don't count toward alignment
+            while (line.segments.length > 0 && !line.segments[line.segments.length - 1].text.trim()) {
+                line.width -= line.segments.pop().width;
+            }
+            lines.push(line);
+            line = { segments: [], width: 0 };
+        };
+
+        runs.forEach(run => {
+            const format = { ...run, bold: run.bold || baseBold };
+
+            run.text.split(/(\n|\s+)/).forEach(token => {
+                if (!token) return;
+                if (token === '\n') {
+                    pushLine();
+                    return;
+                }
+
+                const isSpace = !token.trim();
+                if (isSpace && line.segments.length === 0) return; // No leading spaces on a line
+
+                this.applyFont(format);
+                const text = isSpace ? ' ' : token;
+                const tokenWidth = this.doc.getTextWidth(text);
+
+                if (!isSpace && line.width + tokenWidth > width && line.segments.length > 0) {
+                    pushLine();
+                }
+
+                if (!isSpace && tokenWidth > width) {
+                    // Word longer than the line: break it by character
+                    this.splitLongWord(text, width).forEach((part, i, parts) => {
+                        const partWidth = this.doc.getTextWidth(part);
+                        line.segments.push({ text: part, format, width: partWidth });
+                        line.width += partWidth;
+                        if (i < parts.length - 1) pushLine();
+                    });
+                    return;
+                }
+
+                line.segments.push({ text, format, width: tokenWidth });
+                line.width += tokenWidth;
+            });
+        });
+
+        if (line.segments.length > 0) pushLine();
+        return lines;
+    }
+
+    splitLongWord(word, width) {
+        const parts = [];
+        let part = '';
+        for (const char of word) {
+            if (part && this.doc.getTextWidth(part + char) > width) {
+                parts.push(part);
+                part = '';
+            }
+            part += char;
+        }
+        if (part) parts.push(part);
+        return parts;
+    }
+
+    /**
+     * Draw a laid-out line segment by segment, with underline/strikethrough and link areas
+     */
+    drawLine(line, x, y, fontSize, isHeading) {
+        const opts = this.options;
+        let cursor = x;
+
+        line.segments.forEach(segment => {
+            const { format } = segment;
+            const color = format.link
+                ? opts.linkColor
+                : (isHeading && opts.headingColor) || opts.textColor;
+
+            this.applyFont(format);
+            this.doc.setTextColor(...color);
+            this.doc.text(segment.text, cursor, y);
+
+            const isSpace = !segment.text.trim();
+            if (format.underline || format.link) {
+                this.drawDecoration(cursor, y + fontSize * 0.3528 * 0.15, segment.width, color, fontSize);
+            }
+            if (format.strike) {
+                this.drawDecoration(cursor, y - fontSize * 0.3528 * 0.3, segment.width, color, fontSize);
+            }
+            if (format.link && !isSpace) {
+                const height = fontSize * 0.3528;
+                this.doc.link(cursor, y - height * 0.85, segment.width, height * 1.1, { url: format.link });
+            }
+
+            cursor += segment.width;
+        });
+    }
+
+    drawDecoration(x, y, width, color, fontSize) {
+        this.doc.setDrawColor(...color);
+        this.doc.setLineWidth(Math.max(0.15, fontSize * 0.02));
+        this.doc.line(x, y, x + width, y);
+        this.doc.setLineWidth(0.2); // Reset to default
+    }
+
+    /**
+     * Draw a bullet (shape by nesting level) or number to the left of a list item
+     */
+    drawListMarker(block, x, y, fontSize, baseBold) {
+        this.doc.setTextColor(...this.options.textColor);
+
+        if (block.marker) {
+            this.applyFont({ bold: baseBold });
+            this.doc.text(block.marker, x - 1.5, y, { align: 'right' });
+            return;
+        }
+
+        // Shapes instead of bullet glyphs, which the standard PDF fonts don't all include
+        const size = fontSize * 0.3528;
+        const cx = x - 2.5;
+        const cy = y - size * 0.33;
+        const radius = size * 0.16;
+        this.doc.setDrawColor(...this.options.textColor);
+        this.doc.setFillColor(...this.options.textColor);
+        this.doc.setLineWidth(0.2);
+
+        switch (block.indent % 3) {
+            case 1:
+                this.doc.circle(cx, cy, radius, 'S');
+                break;
+            case 2:
+                this.doc.rect(cx - radius, cy - radius, radius * 2, radius * 2, 'F');
+                break;
+            default:
+                this.doc.circle(cx, cy, radius, 'F');
+        }
+    }
+
+    applyFont(format) {
+        let style = 'normal';
+        if (format.bold && format.italic) style = 'bolditalic';
+        else if (format.bold) style = 'bold';
+        else if (format.italic) style = 'italic';
+        this.doc.setFont(this.options.fontFamily, style);
+    }
+}
+
+// Expose the class to the window object for dynamic loading
+window.RichTextRenderer = RichTextRenderer;
@@ -1,8 +1,9 @@
 /**
  * Template 1 PDF Generator - Classic Template
  *
- * Generates professional PDF documents with demand tables using jsPDF and autoTable.
- * Creates 8.5" x 12" (letter size) PDFs with proper pagination and styling.
+ * Traditional layout on 8.5" x 12" pages: brand-colored title, underlined
+ * section headings, inline fields and gridded demand tables.
+ * All drawing is done by the shared LayoutRenderer; this file only holds the layout spec.
  *
  * @author Austin Steil
  * @version 1.0.0
@@ -12,510 +13,18 @@
  * @updated October 18, 2025
  */
 
-class Template1Generator {
-    constructor() {
-        this.pageWidth = 215.9; // 8.5" in mm
-        this.pageHeight = 304.8; // 12" in mm
-        this.margin = 12.7; // 0.5" margins
-        this.lineHeight = 5;
-        this.currentY = this.margin;
-
-        // Header/Footer configuration
-        this.headerHeight = 20; // Space reserved for header in mm
-        this.footerHeight = 15; // Space reserved for footer in mm
-        this.headerFooterMargin = 6.35; // 0.25" margin for header/footer area
-
-        // Demand table headers and rows
-        this.demandHeaders = {
-            physicalDemands: {
-                columns: ['N/A <1%', 'Occasional 1-33%', 'Frequent 34-66%', 'Constant 67-100%', 'Comments'],
-                rows: [
-                    'Awkward position', 'Bending over', 'Carrying', 'Driving', 'Fine motor tasks',
-                    'Gripping or grasping', 'Handling', 'Kneeling', 'Lifting', 'Lifting overhead',
-                    'Pulling', 'Pushing', 'Reaching', 'Sitting', 'Squatting or crouching',
-                    'Standing', 'Talking and hearing', 'Twisting or turning', 'Walking'
-                ]
-            },
-            mobilityDemands: {
-                columns: ['N/A <1%', 'Occasional 1-33%', 'Frequent 34-66%', 'Constant 67-100%', 'Comments'],
-                rows: [
-                    'Flexion/Extension', 'Rotation', 'Lateral Flexion/Extension',
-                    'Flexion/Extension', 'Abduction/Adduction', 'Internal/External Rotation', 'Elevation/Depression',
-                    'Flexion/Extension', 'Supination/Pronation',
-                    'Flexion/Extension', 'Ulnar/Radial Deviation', 'Gripping (Power or Pinch)',
-                    'Flexion/Extension', 'Rotation', 'Lateral Flexion/Extension',
-                    'Flexion/Extension', 'Rotation', 'Lateral Flexion/Extension',
-                    'Flexion/Extension', 'Abduction/Adduction', 'Internal/External Rotation',
-                    'Flexion/Extension',
-                    'Dorsiflexion/Plantarflexion'
-                ]
-            },
-            cognitiveSensoryDemands: {
-                columns: ['Required', 'Comments'],
-                rows: [
-                    'Near Vision', 'Far Vision', 'Peripheral Vision', 'Depth Perception', 'Color Vision',
-                    'Perceive Safety/Emergency Indicators',
-                    'Distinguish Sounds or Tones', 'Verbal or Electronic Communication', 'Perceive Safety/Emergency Indicators',
-                    'Tactile Sense (Touch)', 'Olfactory Sense (Smell)', 'Gustatory Sense (Taste)',
-                    'Vestibular Sense (Balance)', 'Kinesthetic Sense (Proprioception)',
-                    'Memory (Short or Long Term)', 'Multitasking', 'Decision Making and Reasoning',
-                    'Simple Math', 'Time Management', 'Literacy (Reading/Writing)',
-                    'Work Independently', 'Work with a Team', 'Supervision of Others'
-                ]
-            },
-            environmentalDemands: {
-                columns: ['N/A <1%', 'Occasional 1-33%', 'Frequent 34-66%', 'Constant 67-100%', 'Comments'],
-                rows: [
-                    'Wet, humid, or slippery surfaces', 'Proximity to moving mechanical parts or machinery',
-                    'Working at heights', 'Fumes, odors, dust, or airborne particles',
-                    'Hazardous chemicals (toxic or caustic)', 'Extreme temperatures (hot or cold, weather-related or non-weather)',
-                    'High noise levels requiring hearing protection', 'Hand-arm vibration (e.g., from power tools)',
-                    'Whole-body vibration (e.g., from vehicles or platforms)', 'Electrical hazards',
-                    'Radiation exposure (ionizing or non-ionizing)', 'Poor lighting or illumination',
-                    'Confined spaces', 'Biological hazards (e.g., pathogens or allergens)'
-                ]
-            },
-            liftingPushingPulling: {
-                columns: ['N/A, <1%', 'Occasional 1-33%, <12 reps/hour', 'Frequent 34-66%, 12-60 reps/hour', 'Constant 67-100%, >60 reps/hour', 'Comments'],
-                rows: ['Less than 5 lbs', '5-25 lbs', '26-50 lbs', '51-100 lbs', 'Over 100 lbs']
-            }
-        };
-    }
-
-    /**
-     * Generate the complete PDF document
-     * @param {Object} data - Form data containing all fields
-     * @returns {jsPDF} Generated PDF document
-     */
-    generate(data) {
-        const jsPDF = window.jspdf.jsPDF;
-        // Create PDF with custom page size: 8.5" x 12" (letter width x 12" height)
-        this.doc = new jsPDF({
-            orientation: 'portrait',
-            unit: 'mm',
-            format: [215.9, 304.8] // 8.5" x 12" in mm
-        });
-        this.data = data;
-        this.currentY = this.margin;
-
-        // Generate document sections
-        this.addCoverPage();
-        this.addJobOverview();
-        this.addJobFunctions();
-        this.addWorkSchedule();
-        this.addJobDemands();
-        this.addSummary();
-
-        // Add headers and footers to all pages except cover page
-        HeaderFooterUtils.addHeadersAndFooters(this.doc, this.data, {
-            pageWidth: this.pageWidth,
-            pageHeight: this.pageHeight,
-            margin: this.margin,
-            headerHeight: 20,
-            footerHeight: 15
-        });
-
-        return this.doc;
-    }
-
-    /**
-     * Add cover page with document title and metadata
-     */
-    addCoverPage() {
-        // Title with brand color
-        const brandColorRgb = PDFUtils.hexToRgb(this.data.brandColor || '#003366');
-        this.doc.setTextColor(...brandColorRgb);
-        this.doc.setFontSize(24);
-        this.doc.setFont(undefined, 'bold');
-        this.doc.text('Job Analysis Report', this.margin, this.currentY);
-        this.doc.setTextColor(0, 0, 0); // Reset to black for rest of document
-        this.currentY += 15;
-
-        // Job Title
-        this.doc.setFontSize(16);
-        this.doc.setFont(undefined, 'normal');
-        this.doc.text(`Position: ${this.data.jobTitle || 'Not specified'}`, this.margin, this.currentY);
-        this.currentY += 12;
-
-        // Company Info
-        this.doc.setFontSize(11);
-        this.doc.text(`Company: ${this.data.companyName || 'Not specified'}`, this.margin, this.currentY);
-        this.currentY += 8;
-
-        // Address
-        const address = this.formatAddress();
-        if (address) {
-            this.doc.text(address, this.margin, this.currentY);
-            this.currentY += 8;
-        }
-
-        // Metadata
-        this.currentY += 10;
-        this.doc.setFontSize(10);
-        this.doc.setFont(undefined, 'bold');
-        this.doc.text('Document Information', this.margin, this.currentY);
-        this.currentY += 6;
-
-        this.doc.setFont(undefined, 'normal');
-        this.doc.setFontSize(9);
-        this.doc.text(`Author: ${this.data.author || 'Not specified'}`, this.margin, this.currentY);
-        this.currentY += 5;
-        this.doc.text(`Email: ${this.data.email || 'Not specified'}`, this.margin, this.currentY);
-        this.currentY += 5;
-        this.doc.text(`Date: ${this.data.date || new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`, this.margin, this.currentY);
-
-        this.addPageBreak();
-    }
-
-    /**
-     * Format company address
-     */
-    formatAddress() {
-        const parts = [];
-        if (this.data.companyStreet) parts.push(this.data.companyStreet);
-        if (this.data.companyCity) parts.push(this.data.companyCity);
-        if (this.data.companyState) parts.push(this.data.companyState);
-        if (this.data.companyZip) parts.push(this.data.companyZip);
-        return parts.join(', ');
-    }
-
-    /**
-     * Add job overview section
-     */
-    addJobOverview() {
-        this.addSectionHeader('Job Overview');
-
-        this.addField('Job Title', this.data.jobTitle);
-        this.addField('Job Purpose', this.data.jobPurpose);
-
-        this.checkPageBreak(20);
-    }
-
-    /**
-     * Add job functions section
-     */
-    addJobFunctions() {
-        this.addSectionHeader('Job Functions');
-
-        this.addField('Essential Functions', this.data.essentialFunctions);
-        this.addField('Marginal Functions', this.data.marginalFunctions);
-
-        this.checkPageBreak(20);
-    }
-
-    /**
-     * Add work schedule section
-     */
-    addWorkSchedule() {
-        this.addSectionHeader('Work Schedule');
-
-        this.addField('Work Schedule', this.data.workSchedule);
-        this.addField('Breaks', this.data.breaks);
-        this.addField('Other Shift Information', this.data.otherShiftInfo);
-
-        this.checkPageBreak(20);
-    }
-
-    /**
-     * Add job demands section
-     */
-    addJobDemands() {
-        this.addSectionHeader('Job Demands');
-
-        this.addDemandTable('Physical Demands', this.data.physicalDemands);
-        this.addDemandTable('Mobility Demands', this.data.mobilityDemands);
-        this.addDemandTable('Cognitive/Sensory Demands', this.data.cognitiveSensoryDemands);
-        this.addDemandTable('Environmental Demands', this.data.environmentalDemands);
-        this.addDemandTable('Lifting/Pushing/Pulling', this.data.liftingPushingPulling);
-
-        this.checkPageBreak(20);
-    }
-
+class Template1Generator extends LayoutRenderer {
     /**
-     * Add summary section
+     * Layout spec - see layout-renderer.js for every available option
      */
-    addSummary() {
-        this.addSectionHeader('Summary');
-
-        this.addField('Classification of Work', this.formatClassification());
-        this.addField('Summary Notes', this.data.summaryText);
-    }
+    static LAYOUT = {
+        // Classic is the renderer's default layout
+        cover: { style: 'classic' },
+        headings: { style: 'underline' }
+    };
 
-    /**
-     * Format classification of work
-     */
-    formatClassification() {
-        if (!this.data.classificationOfWork) return 'Not specified';
-        const c = this.data.classificationOfWork;
-        return `Physical Level: ${c.physicalLevel || 'N/A'}, Cognitive Level: ${c.cognitiveLevel || 'N/A'}`;
-    }
-
-    /**
-     * Add a section header with brand color underline
-     */
-    addSectionHeader(title) {
-        this.checkPageBreak(15);
-        this.doc.setFontSize(12);
-        this.doc.setFont(undefined, 'bold');
-        this.doc.text(title, this.margin, this.currentY);
-        this.currentY += 8;
-
-        // Underline with brand color
-        const brandColorRgb = PDFUtils.hexToRgb(this.data.brandColor || '#003366');
-        this.doc.setDrawColor(...brandColorRgb);
-        this.doc.setLineWidth(0.5);
-        this.doc.line(this.margin, this.currentY - 2, this.pageWidth - this.margin, this.currentY - 2);
-        this.doc.setLineWidth(0.2); // Reset to default
-        this.currentY += 3;
-    }
-
-    /**
-     * Add a field with label and value
-     */
-    addField(label, value) {
-        this.doc.setFontSize(10);
-        this.doc.setFont(undefined, 'bold');
-        this.doc.text(`${label}:`, this.margin, this.currentY);
-
-        this.doc.setFont(undefined, 'normal');
-
-        // Format the value based on its type
-        let fieldValue = this.formatFieldValue(value);
-
-        const lines = this.doc.splitTextToSize(fieldValue, this.pageWidth - (this.margin * 2) - 40);
-        this.doc.text(lines, this.margin + 40, this.currentY);
-
-        this.currentY += Math.max(5, lines.length * this.lineHeight) + 3;
-    }
-
-    /**
-     * Format field value based on its type
-     */
-    formatFieldValue(value) {
-        if (!value) return 'Not specified';
-
-        // Handle arrays
-        if (Array.isArray(value)) {
-            return this.formatArray(value);
-        }
-
-        // Handle objects
-        if (typeof value === 'object') {
-            return this.formatObject(value);
-        }
-
-        // Handle strings
-        return String(value);
-    }
-
-    /**
-     * Format array values
-     */
-    formatArray(arr) {
-        if (arr.length === 0) return 'Not specified';
-
-        return arr.map((item) => {
-            if (typeof item === 'object') {
-                // For objects in arrays, extract meaningful values
-                const values = Object.values(item).filter(v => v && v.trim && v.trim().length > 0);
-                return values.join(' - ');
-            }
-            return String(item);
-        }).join('; ');
-    }
-
-    /**
-     * Format object values
-     */
-    formatObject(obj) {
-        const entries = Object.entries(obj);
-        if (entries.length === 0) return 'Not specified';
-
-        // Special handling for work schedule
-        if (obj.weeklyHours !== undefined) {
-            return `${obj.weeklyHours} hours/week, ${obj.shiftLength} hour shifts, ${obj.shiftsPerWeek} shifts/week`;
-        }
-
-        // General object formatting
-        return entries
-            .map(([key, value]) => {
-                const formattedKey = key.replace(/([A-Z])/g, ' $1').trim();
-                return `${formattedKey}: ${value}`;
-            })
-            .join('; ');
-    }
-
-    /**
-     * Add a demand table using autoTable
-     * @param {string} title - Table title
-     * @param {Object} data - Table data indexed by row and column
-     */
-    addDemandTable(title, data) {
-        if (!data || Object.keys(data).length === 0) return;
-
-        // Get headers for this demand type
-        const demandType = this.getDemandTypeFromTitle(title);
-        const headers = this.demandHeaders[demandType];
-        if (!headers) return;
-
-        this.checkPageBreak(30);
-
-        // Add title
-        this.doc.setFontSize(11);
-        this.doc.setFont(undefined, 'bold');
-        this.doc.text(title, this.margin, this.currentY);
-        this.currentY += 6;
-
-        // Build table rows from data
-        const rows = this.buildDemandTableRows(data, headers);
-
-        // Calculate column widths - give more space to activity and comments columns
-        const pageContentWidth = this.pageWidth - (this.margin * 2);
-        const numFrequencyColumns = headers.columns.length - 2; // All columns except activity and comments
-        const frequencyColWidth = pageContentWidth * 0.12; // Each frequency column gets 12% of width
-        const activityColWidth = pageContentWidth * 0.25; // Activity column gets 25%
-        const commentsColWidth = pageContentWidth - activityColWidth - (frequencyColWidth * numFrequencyColumns); // Comments gets remainder
-
-        // Build column configuration with explicit widths
-        // Include "Activity" as first column header, then all the data column headers
-        const columns = [
-            { header: 'Activity', width: activityColWidth },
-            ...headers.columns.map((col, index) => {
-                let width;
-                if (index === headers.columns.length - 1) {
-                    width = commentsColWidth;
-                } else {
-                    width = frequencyColWidth;
-                }
-                return {
-                    header: col,
-                    width: width
-                };
-            })
-        ];
-
-        // Use autoTable to render the table
-        this.doc.autoTable({
-            columns: columns,
-            body: rows,
-            startY: this.currentY,
-            margin: {
-                top: this.margin,
-                right: this.margin,
-                bottom: this.margin + this.footerHeight,
-                left: this.margin
-            },
-            theme: 'grid',
-            styles: {
-                fontSize: 8,
-                cellPadding: 2.5,
-                overflow: 'linebreak',
-                halign: 'center',
-                valign: 'top'
-            },
-            headStyles: {
-                fillColor: [41, 128, 185],
-                textColor: 255,
-                fontStyle: 'bold',
-                halign: 'center',
-                valign: 'middle'
-            },
-            bodyStyles: {
-                halign: 'center',
-                valign: 'top'
-            },
-            columnStyles: {
-                0: { halign: 'left', valign: 'top' }, // Activity column left-aligned
-                [columns.length - 1]: { halign: 'left', valign: 'top' } // Comments column left-aligned
-            },
-            alternateRowStyles: {
-                fillColor: [245, 245, 245]
-            },
-            didDrawPage: (data) => {
-                // When autoTable creates a new page, adjust the top margin to account for header
-                const currentPageNum = this.doc.getNumberOfPages();
-                if (currentPageNum > 1) {
-                    // On pages after cover, set margin to account for header
-                    data.settings.margin.top = this.margin + this.headerHeight + 3;
-                }
-                this.currentY = data.cursor.y + 3;
-            }
-        });
-
-        // Update currentY after table
-        this.currentY = this.doc.lastAutoTable.finalY + 15;
-    }
-
-    /**
-     * Get demand type from title
-     */
-    getDemandTypeFromTitle(title) {
-        const titleMap = {
-            'Physical Demands': 'physicalDemands',
-            'Mobility Demands': 'mobilityDemands',
-            'Cognitive/Sensory Demands': 'cognitiveSensoryDemands',
-            'Environmental Demands': 'environmentalDemands',
-            'Lifting/Pushing/Pulling': 'liftingPushingPulling'
-        };
-        return titleMap[title] || null;
-    }
-
-    /**
-     * Build table rows from indexed data
-     * Data structure: { rowIndex: { colIndex: value } }
-     * Note: First column in row array is the activity name (not from data)
-     *       Remaining columns map directly to data columns (0-indexed)
-     */
-    buildDemandTableRows(data, headers) {
-        const rows = [];
-
-        headers.rows.forEach((rowLabel, rowIndex) => {
-            const row = [rowLabel]; // First column is the activity name
-
-            // Add all data columns for this row (0 to numColumns-1)
-            for (let colIndex = 0; colIndex < headers.columns.length; colIndex++) {
-                const cellValue = data[rowIndex]?.[colIndex];
-
-                // For checkbox columns, show X if true (more compatible with PDF fonts)
-                if (typeof cellValue === 'boolean') {
-                    row.push(cellValue ? 'X' : '');
-                } else if (typeof cellValue === 'string') {
-                    row.push(cellValue);
-                } else {
-                    row.push('');
-                }
-            }
-
-            rows.push(row);
-        });
-
-        return rows;
-    }
-
-    /**
-     * Check if page break is needed
-     */
-    checkPageBreak(spaceNeeded) {
-        // Reserve space for footer at bottom of page
-        const bottomReserve = this.margin + this.footerHeight;
-        if (this.currentY + spaceNeeded > this.pageHeight - bottomReserve) {
-            this.addPageBreak();
-        }
-    }
-
-    /**
-     * Add a page break
-     */
-    addPageBreak() {
-        this.doc.addPage();
-        // On pages after the cover page, start content below the header area
-        const currentPageNum = this.doc.getNumberOfPages();
-        if (currentPageNum > 1) {
-            // Start below header: margin + header height + small gap
-            this.currentY = this.margin + this.headerHeight + 3;
-        } else {
-            this.currentY = this.margin;
-        }
+    constructor() {
+        super(Template1Generator.LAYOUT);
     }
 }
 